@@ -256,11 +256,11 @@ contract ReserveOracle is AccessControl, Pausable {
     ) external view returns (uint256[] memory timestamps, uint256[] memory coverageRatios) {
         require(endTimestamp >= startTimestamp, "Invalid date range");
         
-        uint256 days = (endTimestamp - startTimestamp) / 86400 + 1;
-        timestamps = new uint256[](days);
-        coverageRatios = new uint256[](days);
+        uint256 dayCount = (endTimestamp - startTimestamp) / 86400 + 1;
+        timestamps = new uint256[](dayCount);
+        coverageRatios = new uint256[](dayCount);
         
-        for (uint256 i = 0; i < days; i++) {
+        for (uint256 i = 0; i < dayCount; i++) {
             uint256 dayTimestamp = startTimestamp + (i * 86400);
             dayTimestamp = (dayTimestamp / 86400) * 86400; // Normalize to start of day
             
@@ -0,0 +1,150 @@
+#!/bin/bash
+
+# FTH-GOLD Bridge Signer End-to-End Test
+# Deploys GatewayRouter to a local anvil chain, makes a native deposit on the
+# same chain (as source "anvil") and checks the signer credits the user
+
+set -e
+
+RPC_URL=${ANVIL_RPC_URL:-http://127.0.0.1:8545}
+WORK_DIR="tmp/bridge-e2e"
+
+# anvil default accounts
+ADMIN_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
+OPERATOR_KEY=0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d
+DEPOSITOR_KEY=0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a
+DEPOSIT_ADDRESS=0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC
+USER_ADDRESS=0x90F79bf6EB2c4f870365E785982E1f101E93b906
+
+# 1 ETH priced at a fixed 2000 USD, less the 0.5% bridge fee
+EXPECTED_CREDITS=1990000000000000000000
+
+echo "🌉 FTH-GOLD Bridge Signer E2E"
+echo "============================="
+echo "RPC: $RPC_URL"
+echo
+
+for tool in anvil forge cast node; do
+    if ! command -v $tool >/dev/null 2>&1; then
+        echo "❌ Error: $tool not found (install Foundry and Node.js)"
+        exit 1
+    fi
+done
+
+ANVIL_PID=""
+cleanup() {
+    if [ -n "$ANVIL_PID" ]; then
+        kill $ANVIL_PID 2>/dev/null || true
+    fi
+}
+trap cleanup EXIT
+
+rm -rf "$WORK_DIR"
+mkdir -p "$WORK_DIR"
+
+# Start anvil unless one is already listening
+if ! cast chain-id --rpc-url $RPC_URL >/dev/null 2>&1; then
+    echo "⛓️  Starting anvil..."
+    anvil --port "${RPC_URL##*:}" --silent > "$WORK_DIR/anvil.log" 2>&1 &
+    ANVIL_PID=$!
+    for i in $(seq 1 30); do
+        cast chain-id --rpc-url $RPC_URL >/dev/null 2>&1 && break
+        sleep 1
+    done
+fi
+
+CHAIN_ID=$(cast chain-id --rpc-url $RPC_URL)
+ADMIN_ADDRESS=$(cast wallet address --private-key $ADMIN_KEY)
+OPERATOR_ADDRESS=$(cast wallet address --private-key $OPERATOR_KEY)
+echo "✅ Chain $CHAIN_ID"
+
+# Deploy GatewayRouter and register the operator
+echo
+echo "📋 Deploying GatewayRouter..."
+ROUTER_ADDRESS=$(forge create contracts/rails/GatewayRouter.sol:GatewayRouter \
+    --rpc-url $RPC_URL \
+    --private-key $ADMIN_KEY \
+    --broadcast \
+    --constructor-args $ADMIN_ADDRESS $ADMIN_ADDRESS \
+    | grep "Deployed to:" | awk '{print $3}')
+
+if [ -z "$ROUTER_ADDRESS" ]; then
+    echo "❌ Error: GatewayRouter deployment failed"
+    exit 1
+fi
+echo "✅ GatewayRouter: $ROUTER_ADDRESS"
+
+cast send $ROUTER_ADDRESS "addBridgeOperator(address)" $OPERATOR_ADDRESS \
+    --rpc-url $RPC_URL --private-key $ADMIN_KEY >/dev/null
+echo "✅ Bridge operator: $OPERATOR_ADDRESS"
+
+START_BLOCK=$(cast block-number --rpc-url $RPC_URL)
+
+cat > "$WORK_DIR/networks.json" << EOF
+{
+  "networks": [
+    {
+      "name": "anvil",
+      "chainId": $CHAIN_ID,
+      "rpcUrls": ["$RPC_URL"],
+      "contracts": { "gatewayRouter": "$ROUTER_ADDRESS" }
+    }
+  ]
+}
+EOF
+
+cat > "$WORK_DIR/bridge.json" << EOF
+{
+  "network": "anvil",
+  "sources": [
+    {
+      "name": "anvil",
+      "type": "evm",
+      "fromChain": "anvil",
+      "chainId": $CHAIN_ID,
+      "rpcUrl": "$RPC_URL",
+      "confirmations": 1,
+      "startBlock": $START_BLOCK,
+      "tokens": [
+        { "symbol": "ETH", "address": "native", "decimals": 18, "pricing": { "type": "fixed", "usd": "2000" } }
+      ],
+      "depositAddresses": { "$DEPOSIT_ADDRESS": "$USER_ADDRESS" }
+    }
+  ]
+}
+EOF
+
+# Deposit 1 ETH and mine past the confirmation depth
+echo
+echo "💸 Depositing 1 ETH to $DEPOSIT_ADDRESS..."
+DEPOSIT_TX=$(cast send $DEPOSIT_ADDRESS --value 1ether \
+    --rpc-url $RPC_URL --private-key $DEPOSITOR_KEY --json | sed -E 's/.*"transactionHash":"(0x[0-9a-f]+)".*/\1/')
+cast rpc anvil_mine 2 --rpc-url $RPC_URL >/dev/null
+echo "✅ Deposit tx: $DEPOSIT_TX"
+
+run_signer() {
+    MONITOR_NETWORKS_FILE="$WORK_DIR/networks.json" \
+    BRIDGE_CONFIG_FILE="$WORK_DIR/bridge.json" \
+    BRIDGE_STATE_DIR="$WORK_DIR/state" \
+    BRIDGE_OPERATOR_PRIVATE_KEY=$OPERATOR_KEY \
+    BRIDGE_SUBMITTER_PRIVATE_KEY=$ADMIN_KEY \
+    node scripts/bridge/bridge-signer.js "$@"
+}
+
+echo
+echo "🔏 Running bridge signer..."
+run_signer run --once
+
+# A second pass must not credit the deposit again
+run_signer run --once
+run_signer status
+
+CREDITS=$(cast call $ROUTER_ADDRESS "getCreditBalance(address)(uint256)" $USER_ADDRESS --rpc-url $RPC_URL | awk '{print $1}')
+
+echo
+if [ "$CREDITS" = "$EXPECTED_CREDITS" ]; then
+    echo "✅ User credited $CREDITS (expected $EXPECTED_CREDITS)"
+else
+    echo "❌ User credited $CREDITS, expected $EXPECTED_CREDITS"
+    exit 1
+fi
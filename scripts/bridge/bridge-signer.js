@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Bridge Operator Signing Service
+ * Watches source-chain deposits, prices them, signs GatewayRouter DepositProofs
+ * and submits them via processCrossChainDeposit
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, expandEnv, resolveNetwork } = require('../ops/networks');
+const { parseOptions } = require('../ops/cli');
+const { createWatcher } = require('./watchers');
+const { createPricer } = require('./pricing');
+const BridgeState = require('./state-store');
+const {
+    DEPOSIT_PROOF_TUPLE,
+    PROOF_MAX_AGE_SEC,
+    hashDepositProof,
+    limitsTokenId,
+    signDepositProof,
+    toProofTuple
+} = require('./deposit-proof');
+
+// Configuration
+const CONFIG = {
+    configFile: process.env.BRIDGE_CONFIG_FILE || './config/bridge.json',
+    stateDir: process.env.BRIDGE_STATE_DIR || './data/bridge',
+    pollIntervalMs: parseInt(process.env.BRIDGE_POLL_INTERVAL_MS) || 15000,
+    // Refuse to submit proofs this close to the 24h ProofExpired window
+    submitMarginSec: parseInt(process.env.BRIDGE_SUBMIT_MARGIN_SEC) || 900,
+    nonceStart: parseInt(process.env.BRIDGE_NONCE_START) || 0,
+    logFile: './logs/bridge-signer.log'
+};
+
+const GATEWAY_ROUTER_ABI = [
+    `function processCrossChainDeposit(${DEPOSIT_PROOF_TUPLE} proof) external`,
+    'function processedProofs(bytes32 proofHash) external view returns (bool)',
+    'function bridgeOperators(address operator) external view returns (bool)',
+    'function supportedTokens(bytes32 tokenId) external view returns (address tokenAddress, uint8 decimals, string symbol, bool active, uint256 minDeposit, uint256 maxDeposit)',
+    'function paused() external view returns (bool)',
+    'error InvalidProofSignature()',
+    'error ProofAlreadyProcessed(bytes32 proofHash)',
+    'error ProofExpired(uint256 timestamp, uint256 maxAge)',
+    'error AmountBelowMinimum(uint256 amount, uint256 minimum)',
+    'error AmountAboveMaximum(uint256 amount, uint256 maximum)',
+    'error EnforcedPause()'
+];
+
+// Reverts that will fail the same way on every retry
+const PERMANENT_ERRORS = ['InvalidProofSignature', 'AmountBelowMinimum', 'AmountAboveMaximum'];
+
+function loadBridgeConfig(file = CONFIG.configFile, env = process.env) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Bridge config not found: ${file} (see config/bridge.example.json)`);
+    }
+    return expandEnv(JSON.parse(fs.readFileSync(file, 'utf8')), env);
+}
+
+class BridgeSigner {
+    constructor(config, network) {
+        if (!network.contracts.gatewayRouter) {
+            throw new Error(`No gatewayRouter address configured for ${network.name} (GATEWAY_ROUTER_ADDRESS)`);
+        }
+        if (!process.env.BRIDGE_OPERATOR_PRIVATE_KEY) {
+            throw new Error('BRIDGE_OPERATOR_PRIVATE_KEY is not set');
+        }
+
+        this.config = config;
+        this.network = network;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+
+        // The operator key only signs proofs; any funded key may submit them
+        this.operator = new ethers.Wallet(process.env.BRIDGE_OPERATOR_PRIVATE_KEY);
+        this.submitter = new ethers.NonceManager(new ethers.Wallet(
+            process.env.BRIDGE_SUBMITTER_PRIVATE_KEY || process.env.BRIDGE_OPERATOR_PRIVATE_KEY,
+            this.provider
+        ));
+        this.router = new ethers.Contract(network.contracts.gatewayRouter, GATEWAY_ROUTER_ABI, this.submitter);
+
+        this.watchers = config.sources.map(source => createWatcher(source));
+        this.pricers = new Map();
+        for (const source of config.sources) {
+            for (const token of source.tokens) {
+                this.pricers.set(`${source.fromChain}:${token.address}`, createPricer(token, {
+                    provider: this.provider,
+                    priceFeedsAddress: network.contracts.priceFeeds
+                }));
+            }
+        }
+
+        this.state = new BridgeState({
+            file: path.join(CONFIG.stateDir, `${network.name}.json`),
+            nonceStart: CONFIG.nonceStart
+        });
+    }
+
+    async initialize() {
+        await this.state.load();
+
+        const isOperator = await this.router.bridgeOperators(this.operator.address);
+        if (!isOperator) {
+            throw new Error(`${this.operator.address} is not a bridge operator on GatewayRouter ${this.network.contracts.gatewayRouter}`);
+        }
+
+        this.log(`Operator ${this.operator.address} | Submitter ${await this.submitter.getAddress()} | Next nonce ${this.state.data.nextNonce}`);
+        this.log(`Sources: ${this.watchers.map(watcher => watcher.name).join(', ')}`);
+    }
+
+    /**
+     * Proof timestamps use destination chain time: the contract computes
+     * block.timestamp - proof.timestamp, which underflows for a future timestamp
+     */
+    async chainTime() {
+        return (await this.provider.getBlock('latest')).timestamp;
+    }
+
+    async pollOnce() {
+        for (const watcher of this.watchers) {
+            try {
+                const { deposits, cursor } = await watcher.poll(this.state.getCursor(watcher.name));
+
+                for (const deposit of deposits) {
+                    await this.processDeposit(deposit);
+                }
+
+                this.state.setCursor(watcher.name, cursor);
+                await this.state.save();
+            } catch (error) {
+                this.log(`[${watcher.name}] Poll failed: ${error.shortMessage || error.message}`, 'ERROR');
+            }
+        }
+
+        await this.resumePending();
+    }
+
+    async processDeposit(deposit) {
+        if (this.state.get(deposit.key)) return;
+
+        const record = {
+            key: deposit.key,
+            source: {
+                fromChain: deposit.fromChain,
+                fromTxHash: deposit.fromTxHash,
+                fromToken: deposit.fromToken,
+                fromAmount: deposit.fromAmount.toString(),
+                symbol: deposit.token.symbol,
+                tokenAddress: deposit.token.address,
+                depositAddress: deposit.depositAddress,
+                blockNumber: deposit.blockNumber
+            },
+            user: deposit.user || null,
+            status: 'new',
+            history: [],
+            createdAt: new Date().toISOString()
+        };
+
+        if (!deposit.user) {
+            return this.finish(record, 'rejected', `no user mapped to deposit address ${deposit.depositAddress}`);
+        }
+
+        this.log(`Deposit ${deposit.key}: ${ethers.formatUnits(deposit.fromAmount, deposit.token.decimals)} ${deposit.token.symbol} for ${deposit.user}`);
+
+        // The watcher cursor moves past this deposit after the poll, so it must be on record before signing
+        if (!await this.trySign(record)) return;
+
+        await this.submit(record);
+    }
+
+    /**
+     * Sign a record, or keep it as sign-failed (pricing or RPC error) for resumePending to retry
+     * @returns {boolean} whether the record now holds a signed proof
+     */
+    async trySign(record) {
+        try {
+            delete record.lastError;
+            await this.signRecord(record);
+            return true;
+        } catch (error) {
+            record.status = 'sign-failed';
+            record.lastError = error.shortMessage || error.message;
+            this.state.put(record);
+            await this.state.save();
+            this.log(`Failed to sign proof for ${record.key}, will retry: ${record.lastError}`, 'ERROR');
+            return false;
+        }
+    }
+
+    async signRecord(record) {
+        const pricer = this.pricers.get(`${record.source.fromChain}:${record.source.tokenAddress}`);
+        const fromAmount = BigInt(record.source.fromAmount);
+        const price = await pricer(fromAmount);
+
+        const proof = await signDepositProof({
+            user: record.user,
+            fromChain: record.source.fromChain,
+            fromTxHash: record.source.fromTxHash,
+            fromToken: record.source.fromToken,
+            fromAmount,
+            usdAmount: price.usdAmount,
+            nonce: BigInt(await this.state.allocateNonce()),
+            timestamp: BigInt(await this.chainTime())
+        }, this.operator);
+
+        record.proof = proof;
+        record.pricing = { price: price.price, source: price.source };
+        record.status = 'signed';
+        this.state.put(record);
+        await this.state.save();
+
+        this.log(`Signed proof ${proof.hash} nonce ${proof.nonce} usdAmount ${ethers.formatEther(proof.usdAmount)}`);
+    }
+
+    async finish(record, status, reason) {
+        record.status = status;
+        if (reason) record.reason = reason;
+        this.state.put(record);
+        await this.state.save();
+
+        const level = status === 'confirmed' ? 'INFO' : 'ERROR';
+        this.log(`${record.key} → ${status}${reason ? `: ${reason}` : ''}`, level);
+    }
+
+    async submit(record) {
+        const { proof } = record;
+        const age = await this.chainTime() - Number(proof.timestamp);
+
+        if (age > PROOF_MAX_AGE_SEC - CONFIG.submitMarginSec) {
+            return this.finish(record, 'expired', `proof is ${Math.floor(age / 60)}m old, ProofExpired after ${PROOF_MAX_AGE_SEC / 3600}h; use "reissue ${record.key}"`);
+        }
+
+        try {
+            if (await this.router.processedProofs(proof.hash)) {
+                return this.finish(record, 'confirmed', 'proof already processed on chain');
+            }
+
+            const limits = await this.router.supportedTokens(limitsTokenId(proof.fromChain, proof.fromToken));
+            const amount = BigInt(proof.fromAmount);
+            if (limits.active && (amount < limits.minDeposit || amount > limits.maxDeposit)) {
+                return this.finish(record, 'rejected', `amount ${amount} outside GatewayRouter limits ${limits.minDeposit}-${limits.maxDeposit}`);
+            }
+
+            if (await this.router.paused()) {
+                this.log(`GatewayRouter is paused, holding ${record.key}`, 'WARNING');
+                return;
+            }
+
+            const tx = await this.router.processCrossChainDeposit(toProofTuple(proof));
+            record.status = 'submitted';
+            record.txHash = tx.hash;
+            this.state.put(record);
+            await this.state.save();
+            this.log(`Submitted ${record.key} in ${tx.hash}`);
+
+            const receipt = await tx.wait();
+            return this.finish(record, receipt.status === 1 ? 'confirmed' : 'failed', receipt.status === 1 ? null : `transaction ${tx.hash} reverted`);
+
+        } catch (error) {
+            const revert = error.revert ? error.revert.name : null;
+
+            if (revert === 'ProofAlreadyProcessed') {
+                return this.finish(record, 'confirmed', 'proof already processed on chain');
+            }
+            if (revert === 'ProofExpired') {
+                return this.finish(record, 'expired', `GatewayRouter rejected proof as expired; use "reissue ${record.key}"`);
+            }
+            if (PERMANENT_ERRORS.includes(revert)) {
+                return this.finish(record, 'rejected', `${revert}(${error.revert.args.join(', ')})`);
+            }
+
+            // Transient (RPC, gas, pause race): keep the signed proof and retry on the next poll
+            record.status = 'signed';
+            record.lastError = error.shortMessage || error.message;
+            this.state.put(record);
+            await this.state.save();
+            this.log(`Submission of ${record.key} failed, will retry: ${record.lastError}`, 'WARNING');
+        }
+    }
+
+    /**
+     * Retry unsigned and signed proofs and settle submissions left open by a restart
+     */
+    async resumePending() {
+        for (const record of this.state.records('sign-failed')) {
+            await this.trySign(record);
+        }
+
+        for (const record of this.state.records('submitted')) {
+            const receipt = await this.provider.getTransactionReceipt(record.txHash);
+            if (receipt) {
+                await this.finish(record, receipt.status === 1 ? 'confirmed' : 'failed', receipt.status === 1 ? null : `transaction ${record.txHash} reverted`);
+            } else if (await this.router.processedProofs(record.proof.hash)) {
+                await this.finish(record, 'confirmed', 'proof already processed on chain');
+            } else if (!await this.provider.getTransaction(record.txHash)) {
+                // Dropped from the mempool; the same signed proof can be resent
+                record.status = 'signed';
+                this.state.put(record);
+            }
+        }
+
+        for (const record of this.state.records('signed')) {
+            await this.submit(record);
+        }
+    }
+
+    /**
+     * Re-sign an expired or failed deposit with a fresh nonce and timestamp.
+     * Only allowed once the old proof can never be processed, so a deposit is credited at most once.
+     */
+    async reissue(key) {
+        await this.state.load();
+        const record = this.state.get(key);
+
+        if (!record) throw new Error(`Unknown deposit ${key}`);
+        if (!['expired', 'failed'].includes(record.status)) {
+            throw new Error(`Deposit ${key} is ${record.status}; only expired or failed deposits can be reissued`);
+        }
+
+        if (await this.router.processedProofs(record.proof.hash)) {
+            return this.finish(record, 'confirmed', 'original proof was processed on chain');
+        }
+
+        const age = await this.chainTime() - Number(record.proof.timestamp);
+        if (age <= PROOF_MAX_AGE_SEC) {
+            throw new Error(`Original proof is only ${Math.floor(age / 60)}m old and could still be submitted; reissue after ${Math.ceil((PROOF_MAX_AGE_SEC - age) / 60)}m`);
+        }
+
+        record.history.push({ hash: record.proof.hash, nonce: String(record.proof.nonce), status: record.status, reason: record.reason });
+        delete record.reason;
+        delete record.txHash;
+
+        await this.signRecord(record);
+        await this.submit(record);
+    }
+
+    printStatus() {
+        const records = this.state.records();
+        const counts = {};
+        for (const record of records) {
+            counts[record.status] = (counts[record.status] || 0) + 1;
+        }
+
+        console.log(`🌉 Bridge signer (${this.network.name}) | Next nonce ${this.state.data.nextNonce}`);
+        console.log(`Deposits: ${records.length} | ${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(' | ') || 'none'}`);
+        for (const [name, cursor] of Object.entries(this.state.data.cursors)) {
+            console.log(`Cursor ${name}: ${cursor}`);
+        }
+        for (const record of records.filter(item => ['expired', 'failed', 'rejected', 'sign-failed', 'signed'].includes(item.status))) {
+            console.log(`  ${record.status.toUpperCase()} ${record.key}${record.reason ? ` - ${record.reason}` : ''}${record.lastError ? ` - ${record.lastError}` : ''}`);
+        }
+    }
+
+    async start({ once = false } = {}) {
+        this.log('🚀 Starting FTH-GOLD Bridge Signer');
+        await this.initialize();
+
+        do {
+            await this.pollOnce();
+            if (!once) await new Promise(resolve => setTimeout(resolve, CONFIG.pollIntervalMs));
+        } while (!once);
+
+        this.log('✅ Poll complete');
+    }
+
+    log(message, level = 'INFO') {
+        const logMessage = `[${new Date().toISOString()}] [${level}] ${message}`;
+        console.log(logMessage);
+
+        fs.promises.mkdir(path.dirname(CONFIG.logFile), { recursive: true })
+            .then(() => fs.promises.appendFile(CONFIG.logFile, logMessage + '\n'))
+            .catch(() => {});
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+    const config = loadBridgeConfig();
+    const signer = new BridgeSigner(config, resolveNetwork(options.network || config.network));
+
+    switch (command) {
+        case 'run':
+            await signer.start({ once: Boolean(options.once) });
+            break;
+
+        case 'status':
+            await signer.state.load();
+            signer.printStatus();
+            break;
+
+        case 'reissue':
+            if (!process.argv[3] || process.argv[3].startsWith('--')) {
+                console.error('Usage: bridge-signer.js reissue <deposit-key>');
+                process.exit(1);
+            }
+            await signer.reissue(process.argv[3]);
+            break;
+
+        default:
+            console.log('Usage: bridge-signer.js <run [--once] | status | reissue <deposit-key>> [--network name]');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+// Handle process termination
+process.on('SIGTERM', () => {
+    console.log('📴 Bridge signer shutting down...');
+    process.exit(0);
+});
+
+process.on('SIGINT', () => {
+    console.log('📴 Bridge signer shutting down...');
+    process.exit(0);
+});
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    BridgeSigner,
+    hashDepositProof,
+    loadBridgeConfig
+};
@@ -0,0 +1,100 @@
+/**
+ * GatewayRouter DepositProof hashing and signing
+ * Must stay byte-for-byte compatible with GatewayRouter.processCrossChainDeposit
+ */
+
+const { ethers } = require('ethers');
+
+// block.timestamp - proof.timestamp > 86400 reverts with ProofExpired
+const PROOF_MAX_AGE_SEC = 86400;
+
+// abi.encode(user, fromChain, fromTxHash, fromToken, fromAmount, usdAmount, nonce, timestamp)
+const PROOF_HASH_TYPES = ['address', 'string', 'string', 'address', 'uint256', 'uint256', 'uint256', 'uint256'];
+
+const DEPOSIT_PROOF_TUPLE = 'tuple(address user, string fromChain, string fromTxHash, address fromToken, uint256 fromAmount, uint256 usdAmount, uint256 nonce, uint256 timestamp, bytes signature)';
+
+function hashDepositProof(proof) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(PROOF_HASH_TYPES, [
+        proof.user,
+        proof.fromChain,
+        proof.fromTxHash,
+        proof.fromToken,
+        proof.fromAmount,
+        proof.usdAmount,
+        proof.nonce,
+        proof.timestamp
+    ]));
+}
+
+/**
+ * Sign with EIP-191 over the raw 32-byte hash, matching proofHash.toEthSignedMessageHash()
+ */
+async function signDepositProof(proof, wallet) {
+    const hash = hashDepositProof(proof);
+    const signature = await wallet.signMessage(ethers.getBytes(hash));
+    return Object.assign({}, proof, { signature, hash });
+}
+
+function recoverProofSigner(proof) {
+    return ethers.verifyMessage(ethers.getBytes(hashDepositProof(proof)), proof.signature);
+}
+
+/**
+ * Key GatewayRouter uses to look up deposit limits for a proof:
+ * keccak256(abi.encodePacked(fromChain, "_", fromToken == 0 ? "NATIVE" : "TOKEN"))
+ */
+function limitsTokenId(fromChain, fromToken) {
+    return ethers.solidityPackedKeccak256(
+        ['string', 'string', 'string'],
+        [fromChain, '_', fromToken === ethers.ZeroAddress ? 'NATIVE' : 'TOKEN']
+    );
+}
+
+/**
+ * TRON base58check address (T...) to the 20-byte EVM address the proof carries
+ */
+function tronToEvmAddress(address) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(address)) return ethers.getAddress(address);
+
+    const bytes = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(address), 25));
+    if (bytes[0] !== 0x41) {
+        throw new Error(`Not a TRON address: ${address}`);
+    }
+
+    const payload = bytes.slice(0, 21);
+    const checksum = ethers.getBytes(ethers.sha256(ethers.sha256(payload))).slice(0, 4);
+    if (!checksum.every((byte, i) => byte === bytes[21 + i])) {
+        throw new Error(`Bad TRON address checksum: ${address}`);
+    }
+
+    return ethers.getAddress(ethers.hexlify(bytes.slice(1, 21)));
+}
+
+/**
+ * Proof as the tuple processCrossChainDeposit expects
+ */
+function toProofTuple(proof) {
+    return {
+        user: proof.user,
+        fromChain: proof.fromChain,
+        fromTxHash: proof.fromTxHash,
+        fromToken: proof.fromToken,
+        fromAmount: proof.fromAmount,
+        usdAmount: proof.usdAmount,
+        nonce: proof.nonce,
+        timestamp: proof.timestamp,
+        signature: proof.signature
+    };
+}
+
+module.exports = {
+    DEPOSIT_PROOF_TUPLE,
+    PROOF_HASH_TYPES,
+    PROOF_MAX_AGE_SEC,
+    hashDepositProof,
+    limitsTokenId,
+    recoverProofSigner,
+    signDepositProof,
+    toProofTuple,
+    tronToEvmAddress
+};
@@ -0,0 +1,68 @@
+/**
+ * Deposit pricing: converts a source-chain amount to the 18-decimal usdAmount in a DepositProof
+ *
+ * Pricers by "pricing.type" on each token:
+ *   stable    - 1 token = 1 USD, as GatewayRouter.depositERC20 assumes
+ *   fixed     - { usd: "2000" } per whole token (local testing)
+ *   chainlink - { feed: "ETH/USD", maxAgeSec } via ChainlinkPriceFeeds.getLatestPrice on the destination chain
+ */
+
+const { ethers } = require('ethers');
+
+const CHAINLINK_PRICE_FEEDS_ABI = [
+    'function getLatestPrice(bytes32 asset) external view returns (uint256 price, uint256 timestamp)'
+];
+
+// getLatestPrice normalizes every feed to 8 decimals
+const FEED_DECIMALS = 8n;
+
+function scaleTo18(amount, decimals) {
+    return amount * 10n ** 18n / 10n ** BigInt(decimals);
+}
+
+function createPricer(token, { provider, priceFeedsAddress }) {
+    const pricing = token.pricing || { type: 'stable' };
+
+    switch (pricing.type) {
+        case 'stable':
+            return async (amount) => ({ usdAmount: scaleTo18(amount, token.decimals), price: '1', source: 'stable' });
+
+        case 'fixed': {
+            const usdPerToken = ethers.parseUnits(String(pricing.usd), 18);
+            return async (amount) => ({
+                usdAmount: amount * usdPerToken / 10n ** BigInt(token.decimals),
+                price: String(pricing.usd),
+                source: 'fixed'
+            });
+        }
+
+        case 'chainlink': {
+            if (!priceFeedsAddress) {
+                throw new Error(`Token ${token.symbol} uses chainlink pricing but no priceFeeds address is configured`);
+            }
+            const feeds = new ethers.Contract(priceFeedsAddress, CHAINLINK_PRICE_FEEDS_ABI, provider);
+            const asset = ethers.id(pricing.feed);
+            const maxAgeSec = pricing.maxAgeSec || 3600;
+
+            return async (amount) => {
+                const [price, updatedAt] = await feeds.getLatestPrice(asset);
+                const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+                if (age > maxAgeSec) {
+                    throw new Error(`${pricing.feed} price is ${age}s old (max ${maxAgeSec}s)`);
+                }
+                return {
+                    usdAmount: scaleTo18(amount, token.decimals) * price / 10n ** FEED_DECIMALS,
+                    price: ethers.formatUnits(price, Number(FEED_DECIMALS)),
+                    source: `chainlink:${pricing.feed}`
+                };
+            };
+        }
+
+        default:
+            throw new Error(`Unknown pricing type "${pricing.type}" for token ${token.symbol}`);
+    }
+}
+
+module.exports = {
+    createPricer
+};
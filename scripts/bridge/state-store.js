@@ -0,0 +1,64 @@
+/**
+ * Bridge signer state: proof nonces, watcher cursors and one record per source deposit
+ * Written atomically (tmp file + rename) after every change so a crash never reuses a nonce
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class BridgeState {
+    constructor({ file, nonceStart = 0 }) {
+        this.file = file;
+        this.data = { nextNonce: nonceStart, cursors: {}, deposits: {} };
+    }
+
+    async load() {
+        try {
+            this.data = Object.assign(this.data, JSON.parse(await fs.promises.readFile(this.file, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    async save() {
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(this.data, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+        await fs.promises.rename(tmp, this.file);
+    }
+
+    /**
+     * Reserve the next proof nonce; persisted before the proof is signed
+     */
+    async allocateNonce() {
+        const nonce = this.data.nextNonce;
+        this.data.nextNonce = nonce + 1;
+        await this.save();
+        return nonce;
+    }
+
+    getCursor(name) {
+        return this.data.cursors[name] !== undefined ? this.data.cursors[name] : null;
+    }
+
+    setCursor(name, cursor) {
+        this.data.cursors[name] = cursor;
+    }
+
+    get(key) {
+        return this.data.deposits[key] || null;
+    }
+
+    put(record) {
+        record.updatedAt = new Date().toISOString();
+        this.data.deposits[record.key] = record;
+    }
+
+    records(status) {
+        const records = Object.values(this.data.deposits);
+        return status ? records.filter(record => record.status === status) : records;
+    }
+}
+
+module.exports = BridgeState;
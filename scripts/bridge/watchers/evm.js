@@ -0,0 +1,125 @@
+/**
+ * EVM source-chain watcher
+ * Finds ERC20 Transfer logs and native transfers into configured deposit addresses
+ */
+
+const { ethers } = require('ethers');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const NATIVE = 'native';
+
+class EvmWatcher {
+    /**
+     * @param {Object} source  { name, fromChain, rpcUrl, confirmations, startBlock, maxBlocksPerPoll, tokens, depositAddresses }
+     */
+    constructor(source) {
+        this.source = source;
+        this.provider = new ethers.JsonRpcProvider(source.rpcUrl, source.chainId || undefined, source.chainId ? { staticNetwork: ethers.Network.from(source.chainId) } : undefined);
+        this.confirmations = source.confirmations !== undefined ? source.confirmations : 12;
+        this.maxBlocksPerPoll = source.maxBlocksPerPoll || 2000;
+
+        // Deposit address (lowercase) => user credited on the destination chain
+        this.depositAddresses = new Map(Object.entries(source.depositAddresses || {})
+            .map(([address, user]) => [address.toLowerCase(), ethers.getAddress(user)]));
+        this.tokens = source.tokens.filter(token => token.address !== NATIVE);
+        this.native = source.tokens.find(token => token.address === NATIVE) || null;
+    }
+
+    get name() {
+        return this.source.name;
+    }
+
+    /**
+     * Scan confirmed blocks after the cursor
+     * @param {number|null} cursor last block already scanned
+     * @returns {{ deposits: Array, cursor: number }}
+     */
+    async poll(cursor) {
+        const head = await this.provider.getBlockNumber();
+        const safeHead = head - this.confirmations;
+        const fromBlock = cursor === null || cursor === undefined
+            ? (this.source.startBlock !== undefined ? this.source.startBlock : safeHead)
+            : cursor + 1;
+
+        if (fromBlock > safeHead) {
+            return { deposits: [], cursor: cursor === null || cursor === undefined ? fromBlock - 1 : cursor };
+        }
+
+        const toBlock = Math.min(safeHead, fromBlock + this.maxBlocksPerPoll - 1);
+        const deposits = [];
+
+        if (this.tokens.length > 0 && this.depositAddresses.size > 0) {
+            deposits.push(...await this.scanTokenTransfers(fromBlock, toBlock, head));
+        }
+        if (this.native && this.depositAddresses.size > 0) {
+            deposits.push(...await this.scanNativeTransfers(fromBlock, toBlock, head));
+        }
+
+        return { deposits, cursor: toBlock };
+    }
+
+    async scanTokenTransfers(fromBlock, toBlock, head) {
+        const tokensByAddress = new Map(this.tokens.map(token => [token.address.toLowerCase(), token]));
+        const recipients = Array.from(this.depositAddresses.keys()).map(address => ethers.zeroPadValue(address, 32));
+
+        const logs = await this.provider.getLogs({
+            address: this.tokens.map(token => token.address),
+            topics: [TRANSFER_TOPIC, null, recipients],
+            fromBlock,
+            toBlock
+        });
+
+        return logs.map(entry => {
+            const token = tokensByAddress.get(entry.address.toLowerCase());
+            const depositAddress = ethers.getAddress(ethers.dataSlice(entry.topics[2], 12));
+
+            return {
+                key: `${this.source.fromChain}:${entry.transactionHash}:${entry.index}`,
+                fromChain: this.source.fromChain,
+                fromTxHash: entry.transactionHash,
+                fromToken: ethers.getAddress(token.address),
+                fromAmount: BigInt(entry.data),
+                token,
+                depositAddress,
+                user: this.depositAddresses.get(depositAddress.toLowerCase()),
+                blockNumber: entry.blockNumber,
+                confirmations: head - entry.blockNumber + 1
+            };
+        });
+    }
+
+    /**
+     * Native transfers have no logs, so blocks are read with their transactions
+     */
+    async scanNativeTransfers(fromBlock, toBlock, head) {
+        const deposits = [];
+
+        for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+            const block = await this.provider.getBlock(blockNumber, true);
+
+            for (const tx of block.prefetchedTransactions) {
+                if (!tx.to || tx.value === 0n || !this.depositAddresses.has(tx.to.toLowerCase())) continue;
+
+                const receipt = await this.provider.getTransactionReceipt(tx.hash);
+                if (!receipt || receipt.status !== 1) continue;
+
+                deposits.push({
+                    key: `${this.source.fromChain}:${tx.hash}`,
+                    fromChain: this.source.fromChain,
+                    fromTxHash: tx.hash,
+                    fromToken: ethers.ZeroAddress,
+                    fromAmount: tx.value,
+                    token: this.native,
+                    depositAddress: ethers.getAddress(tx.to),
+                    user: this.depositAddresses.get(tx.to.toLowerCase()),
+                    blockNumber,
+                    confirmations: head - blockNumber + 1
+                });
+            }
+        }
+
+        return deposits;
+    }
+}
+
+module.exports = EvmWatcher;
@@ -0,0 +1,27 @@
+/**
+ * Registry of source-chain watchers used by the bridge signer
+ *
+ * Each watcher is constructed with its source config and exposes:
+ *   name                 - source name used for cursors and logs
+ *   poll(cursor)         -> { deposits: [...], cursor } with only confirmed deposits
+ *
+ * A deposit is { key, fromChain, fromTxHash, fromToken, fromAmount, token, depositAddress, user, blockNumber, confirmations }
+ */
+
+const WATCHERS = {
+    evm: require('./evm'),
+    tron: require('./tron')
+};
+
+function createWatcher(source) {
+    const Watcher = WATCHERS[source.type];
+    if (!Watcher) {
+        throw new Error(`Unknown watcher type "${source.type}" for source ${source.name} (available: ${Object.keys(WATCHERS).join(', ')})`);
+    }
+    return new Watcher(source);
+}
+
+module.exports = {
+    WATCHERS,
+    createWatcher
+};
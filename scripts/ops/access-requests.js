@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Investor Access Requests
+ * Receives access requests from the website form, stores them under data/ for
+ * compliance review and serves the whitepaper once a request is approved
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { parseOptions } = require('./cli');
+const { validateAccessRequest, INVESTOR_CATEGORIES, JURISDICTIONS } = require('../../website/scripts/access-rules');
+
+// Configuration
+const CONFIG = {
+    port: parseInt(process.env.ACCESS_PORT) || 8787,
+    host: process.env.ACCESS_HOST || '127.0.0.1',
+    // The website origin (e.g. https://futuretechholdings.com); requests carry PII, so no wildcard
+    allowedOrigin: process.env.ACCESS_ALLOWED_ORIGIN || '',
+    // Requests hold investor PII; kept out of git under data/
+    dataDir: process.env.ACCESS_DATA_DIR || './data/access-requests',
+    whitepaperFile: process.env.WHITEPAPER_FILE || './docs/whitepaper.pdf',
+    maxBodyBytes: 16 * 1024
+};
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const ID_PATTERN = /^AR-[0-9]{8}-[0-9a-f]{8}$/;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * One JSON file per request; the access token is only stored hashed
+ */
+class AccessRequestStore {
+    constructor(dir = CONFIG.dataDir) {
+        this.dir = dir;
+    }
+
+    file(id) {
+        if (!ID_PATTERN.test(id)) throw new Error(`Invalid request id: ${id}`);
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async create(request, origin = {}) {
+        const now = new Date().toISOString();
+        const id = `AR-${now.slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const record = {
+            id,
+            status: 'pending',
+            submittedAt: now,
+            updatedAt: now,
+            tokenHash: hashToken(token),
+            request,
+            origin,
+            history: [{ status: 'pending', at: now }]
+        };
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(this.file(id), JSON.stringify(record, null, 2) + '\n', { flag: 'wx' });
+        return { record, token };
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.message.startsWith('Invalid request id')) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Record for id when token matches, otherwise null (unknown ids and bad tokens look the same)
+     */
+    async authorize(id, token) {
+        const record = token ? await this.get(id) : null;
+        if (!record) return null;
+
+        const expected = Buffer.from(record.tokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? record : null;
+    }
+
+    async list(status) {
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const records = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            records.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+        }
+        return records
+            .filter(record => !status || record.status === status)
+            .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    }
+
+    async setStatus(id, status, note) {
+        if (!STATUSES.includes(status)) throw new Error(`Unknown status: ${status}`);
+
+        const record = await this.get(id);
+        if (!record) throw new Error(`Access request ${id} not found`);
+
+        const now = new Date().toISOString();
+        record.status = status;
+        record.updatedAt = now;
+        record.history.push(Object.assign({ status, at: now }, note ? { note } : {}));
+
+        await fs.promises.writeFile(this.file(id), JSON.stringify(record, null, 2) + '\n');
+        return record;
+    }
+}
+
+/**
+ * Public view of a request: no PII beyond what the requester already submitted
+ */
+function publicRecord(record) {
+    return {
+        id: record.id,
+        type: record.request.type,
+        status: record.status,
+        submittedAt: record.submittedAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+class AccessRequestServer {
+    /**
+     * @param {Object} options
+     * @param {number} options.port
+     * @param {string} options.host
+     * @param {AccessRequestStore} options.store
+     * @param {string} options.allowedOrigin CORS origin of the website; required, '*' is refused
+     * @param {string} options.whitepaperFile served to approved requests
+     */
+    constructor({ port, host = '127.0.0.1', store, allowedOrigin, whitepaperFile }) {
+        if (!allowedOrigin || allowedOrigin === '*') {
+            throw new Error('ACCESS_ALLOWED_ORIGIN must be set to the website origin (a wildcard would let any site read investor requests)');
+        }
+
+        this.port = port;
+        this.host = host;
+        this.store = store;
+        this.allowedOrigin = allowedOrigin;
+        this.whitepaperFile = whitepaperFile;
+        this.server = null;
+    }
+
+    headers(extra = {}) {
+        return Object.assign({
+            'Access-Control-Allow-Origin': this.allowedOrigin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Access-Token',
+            'Cache-Control': 'no-store'
+        }, extra);
+    }
+
+    json(res, statusCode, body) {
+        res.writeHead(statusCode, this.headers({ 'Content-Type': 'application/json' }));
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > CONFIG.maxBodyBytes) {
+                    reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+                } catch (error) {
+                    reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+        const token = req.headers['x-access-token'] || url.searchParams.get('token');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, this.headers());
+                return res.end();
+            }
+
+            if (parts[0] !== 'access-requests') {
+                return this.json(res, 404, { error: 'Not found' });
+            }
+
+            // POST /access-requests
+            if (parts.length === 1 && req.method === 'POST') {
+                const { valid, errors, request } = validateAccessRequest(await this.readBody(req));
+                if (!valid) return this.json(res, 422, { error: 'Validation failed', errors });
+
+                const { record, token: accessToken } = await this.store.create(request, {
+                    ip: req.socket.remoteAddress,
+                    userAgent: String(req.headers['user-agent'] || '').slice(0, 200)
+                });
+                console.log(`📨 Access request ${record.id}: ${request.type} | ${request.jurisdiction} | ${request.category}${request.review ? ' | manual review' : ''}`);
+                return this.json(res, 201, Object.assign(publicRecord(record), { token: accessToken }));
+            }
+
+            const record = parts.length >= 2 && req.method === 'GET' ? await this.store.authorize(parts[1], token) : null;
+
+            // GET /access-requests/:id
+            if (parts.length === 2 && record) {
+                return this.json(res, 200, publicRecord(record));
+            }
+
+            // GET /access-requests/:id/whitepaper
+            if (parts.length === 3 && parts[2] === 'whitepaper' && record) {
+                if (record.status !== 'approved') {
+                    return this.json(res, 403, { error: 'Access request not approved', status: record.status });
+                }
+                if (!this.whitepaperFile || !fs.existsSync(this.whitepaperFile)) {
+                    return this.json(res, 503, { error: 'Whitepaper not published' });
+                }
+
+                console.log(`📄 Whitepaper downloaded by ${record.id}`);
+                res.writeHead(200, this.headers({
+                    'Content-Type': 'application/pdf',
+                    'Content-Disposition': `attachment; filename="${path.basename(this.whitepaperFile)}"`
+                }));
+                return fs.createReadStream(this.whitepaperFile).pipe(res);
+            }
+
+            return this.json(res, 404, { error: 'Not found' });
+        } catch (error) {
+            return this.json(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+function describe(record) {
+    const { request } = record;
+    const jurisdiction = JURISDICTIONS[request.jurisdiction];
+    const category = INVESTOR_CATEGORIES[request.category];
+
+    return [
+        `${record.id} [${record.status}] ${request.type} - submitted ${record.submittedAt}`,
+        `  ${request.name}${request.entity ? ` (${request.entity})` : ''} <${request.email}>${request.phone ? ` ${request.phone}` : ''}`,
+        `  ${jurisdiction ? jurisdiction.name : request.jurisdiction} | ${category ? category.label : request.category}${request.review ? ' | MANUAL REVIEW: equivalent local standard' : ''}`,
+        `  Intended investment: $${Number(request.investmentUSD).toLocaleString('en-US')}`
+    ].join('\n');
+}
+
+async function main() {
+    const command = process.argv[2];
+    const target = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+    const options = parseOptions(process.argv.slice(3));
+    const store = new AccessRequestStore(options.dir || CONFIG.dataDir);
+
+    const requireTarget = (usage) => {
+        if (!target) {
+            console.error(`Usage: access-requests.js ${usage}`);
+            process.exit(1);
+        }
+    };
+
+    switch (command) {
+        case 'serve': {
+            const server = new AccessRequestServer({
+                port: options.port ? parseInt(options.port) : CONFIG.port,
+                host: CONFIG.host,
+                store,
+                allowedOrigin: CONFIG.allowedOrigin,
+                whitepaperFile: CONFIG.whitepaperFile
+            });
+            const address = await server.start();
+            console.log(`📬 Access request handler listening on ${address.address}:${address.port} (/access-requests)`);
+            console.log(`   Storing requests in ${store.dir}`);
+            if (!fs.existsSync(CONFIG.whitepaperFile)) {
+                console.log(`⚠️ Whitepaper ${CONFIG.whitepaperFile} not found - approved downloads will fail until it is published`);
+            }
+
+            process.on('SIGINT', async () => {
+                await server.stop();
+                process.exit(0);
+            });
+            return;
+        }
+
+        case 'list': {
+            const records = await store.list(options.status === true ? undefined : options.status);
+            console.log(`📋 ${records.length} access requests${options.status ? ` (${options.status})` : ''}`);
+            for (const record of records) console.log(describe(record));
+            break;
+        }
+
+        case 'show': {
+            requireTarget('show <id>');
+            const record = await store.get(target);
+            if (!record) throw new Error(`Access request ${target} not found`);
+            console.log(describe(record));
+            for (const entry of record.history) {
+                console.log(`  ${entry.at} ${entry.status}${entry.note ? ` - ${entry.note}` : ''}`);
+            }
+            break;
+        }
+
+        case 'approve': {
+            requireTarget('approve <id> [--note text]');
+            const record = await store.setStatus(target, 'approved', options.note);
+            console.log(`✅ ${record.id} approved - whitepaper download enabled`);
+            break;
+        }
+
+        case 'reject': {
+            requireTarget('reject <id> --reason text');
+            if (!options.reason || options.reason === true) throw new Error('--reason is required to reject a request');
+            const record = await store.setStatus(target, 'rejected', options.reason);
+            console.log(`🚫 ${record.id} rejected`);
+            break;
+        }
+
+        default:
+            console.log('Usage: access-requests.js <command> [--dir path]');
+            console.log('  serve [--port N]                   Accept website access requests (ACCESS_PORT, ACCESS_ALLOWED_ORIGIN)');
+            console.log('  list [--status pending|approved|rejected]');
+            console.log('  show <id>                          Request details and review history');
+            console.log('  approve <id> [--note text]         Enable the gated whitepaper download');
+            console.log('  reject <id> --reason text');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    AccessRequestServer,
+    AccessRequestStore
+};
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Admin Console
+ * Diffs a declarative per-network config of admin settings against on-chain values, checks
+ * the Safe holds the role each change needs and exports the changes as an unsigned Safe batch
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, expandEnv, resolveNetwork } = require('./networks');
+const { parseOptions } = require('./cli');
+const { buildSafeBatch, writeSafeBatch } = require('./safe-tx');
+const { SETTINGS, describeAuth, isAuthorized } = require('./admin-settings');
+
+// Configuration
+const CONFIG = {
+    // Desired config per network: <configDir>/<network>.json
+    configDir: process.env.ADMIN_CONFIG_DIR || './config/admin',
+    safeAddress: process.env.ADMIN_MULTISIG,
+    outputDir: './reports/admin'
+};
+
+function formatValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function reason(error) {
+    if (error.revert) {
+        // require() messages read better without the Error(...) wrapper
+        return error.revert.name === 'Error' ? error.revert.args[0] : `${error.revert.name}(${error.revert.args.join(', ')})`;
+    }
+    return error.reason || error.shortMessage || error.message;
+}
+
+function serialize(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2) + '\n';
+}
+
+class AdminConsole {
+    constructor(network) {
+        this.network = network;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+    }
+
+    contract(key) {
+        const address = this.network.contracts[key];
+        if (!address) {
+            throw new Error(`No ${key} address configured for ${this.network.name}`);
+        }
+        return new ethers.Contract(address, SETTINGS[key].abi, this.provider);
+    }
+
+    /**
+     * Desired config with ${VAR} placeholders expanded and every value checked against the contract's bounds
+     * { safe, contracts: { reserveOracle: { coverageFloorBps: 10000, paused: false }, ... } }
+     */
+    async loadConfig(file = path.join(CONFIG.configDir, `${this.network.name}.json`)) {
+        let raw;
+        try {
+            raw = expandEnv(JSON.parse(await fs.promises.readFile(file, 'utf8')), process.env);
+        } catch (error) {
+            throw new Error(`Cannot read admin config ${file}: ${error.message}`);
+        }
+
+        const contracts = [];
+        for (const [key, settings] of Object.entries(raw.contracts || {})) {
+            const spec = SETTINGS[key];
+            if (!spec) {
+                throw new Error(`${file}: unknown contract "${key}" (managed: ${Object.keys(SETTINGS).join(', ')})`);
+            }
+
+            const desired = [];
+            for (const [name, value] of Object.entries(settings)) {
+                const setting = spec.settings[name];
+                if (!setting) {
+                    throw new Error(`${file}: unknown ${spec.label} setting "${name}" (managed: ${Object.keys(spec.settings).join(', ')})`);
+                }
+                try {
+                    desired.push({ name, value: setting.normalize(value) });
+                } catch (error) {
+                    throw new Error(`${file}: ${spec.label}.${error.message}`);
+                }
+            }
+            contracts.push({ key, settings: desired });
+        }
+
+        return { file, safe: raw.safe || null, contracts };
+    }
+
+    /**
+     * On-chain values of every managed setting on the contracts this network has, in config-file shape
+     */
+    async current() {
+        const contracts = {};
+
+        for (const [key, spec] of Object.entries(SETTINGS)) {
+            if (!this.network.contracts[key]) continue;
+
+            const contract = this.contract(key);
+            contracts[key] = {};
+            for (const [name, setting] of Object.entries(spec.settings)) {
+                try {
+                    contracts[key][name] = await setting.read(contract);
+                } catch (error) {
+                    console.error(`⚠️ ${spec.label}.${name}: ${reason(error)}`);
+                }
+            }
+        }
+
+        return { safe: '${ADMIN_MULTISIG}', contracts };
+    }
+
+    /**
+     * Diff desired against on-chain values; every call is role-checked and simulated from the Safe
+     */
+    async plan(config, caller) {
+        const block = await this.provider.getBlock('latest');
+        const items = [];
+
+        for (const { key, settings } of config.contracts) {
+            const spec = SETTINGS[key];
+            const contract = this.contract(key);
+            const address = await contract.getAddress();
+
+            for (const { name, value: desired } of settings) {
+                const setting = spec.settings[name];
+                const current = await setting.read(contract);
+                const item = { contract: key, label: spec.label, address, setting: name, current, desired, calls: [] };
+
+                if (!setting.equal(current, desired)) {
+                    for (const call of setting.calls(current, desired)) {
+                        const data = contract.interface.encodeFunctionData(call.method, call.args);
+                        const authorized = await isAuthorized(contract, call.auth, caller);
+
+                        // A missing role is reported as such; only authorized calls are worth simulating
+                        let revert = null;
+                        if (authorized) {
+                            try {
+                                await this.provider.call({ from: caller, to: address, data, blockTag: block.number });
+                            } catch (error) {
+                                revert = reason(error);
+                            }
+                        }
+
+                        item.calls.push({
+                            method: call.method,
+                            args: call.args,
+                            summary: call.summary,
+                            data,
+                            requires: describeAuth(call.auth),
+                            authorized,
+                            revert
+                        });
+                    }
+                }
+                items.push(item);
+            }
+        }
+
+        const calls = items.flatMap(item => item.calls);
+        return {
+            network: this.network.name,
+            caller,
+            blockNumber: block.number,
+            items,
+            changes: calls.length,
+            blocked: calls.filter(call => !call.authorized || call.revert).length
+        };
+    }
+
+    printPlan(plan) {
+        console.log(`🛠️ Admin plan for ${plan.network} (caller ${plan.caller}, block ${plan.blockNumber})`);
+        console.log('='.repeat(50));
+
+        let label = null;
+        for (const item of plan.items) {
+            if (item.label !== label) {
+                label = item.label;
+                console.log(`\n${item.label} (${item.address})`);
+            }
+            if (item.calls.length === 0) {
+                console.log(`  ${item.setting}: ${formatValue(item.current)} (in sync)`);
+                continue;
+            }
+
+            console.log(`  ${item.setting}: ${formatValue(item.current)} → ${formatValue(item.desired)}`);
+            for (const call of item.calls) {
+                const status = !call.authorized
+                    ? `❌ caller lacks ${call.requires}`
+                    : call.revert ? `❌ reverts: ${call.revert}` : `✅ ${call.requires}`;
+                console.log(`    ${call.method}(${call.args.map(formatValue).join(', ')})  ${status}`);
+            }
+        }
+
+        console.log('');
+        if (plan.changes === 0) {
+            console.log('✅ On-chain settings match the config, nothing to propose');
+        } else {
+            console.log(`${plan.blocked > 0 ? '⚠️' : '📋'} ${plan.changes} call(s), ${plan.blocked} blocked`);
+        }
+    }
+
+    /**
+     * Unsigned Safe batch of every planned call, refused while any of them is blocked unless forced
+     */
+    async exportBatch(plan, { safe, out, force = false } = {}) {
+        const calls = plan.items.flatMap(item => item.calls.map(call => Object.assign({ to: item.address, label: item.label }, call)));
+        if (calls.length === 0) return null;
+
+        if (plan.blocked > 0 && !force) {
+            throw new Error(`${plan.blocked} call(s) would fail from ${plan.caller}; grant the missing roles or fix the config (--force to export anyway)`);
+        }
+
+        const file = out || path.join(CONFIG.outputDir, `${plan.network}-admin-${Date.now()}.json`);
+        await writeSafeBatch(file, buildSafeBatch({
+            chainId: this.network.chainId || Number((await this.provider.getNetwork()).chainId),
+            safeAddress: safe,
+            name: `Admin config ${plan.network}`,
+            description: calls.map(call => `${call.label}: ${call.summary}`).join('; '),
+            transactions: calls.map(call => ({
+                to: call.to,
+                data: call.data,
+                description: `${call.label}.${call.method}(${call.args.map(formatValue).join(', ')}): ${call.summary}`
+            }))
+        }));
+        console.log(`📝 Unsigned Safe batch with ${calls.length} transaction(s) written to ${file} (planned at block ${plan.blockNumber})`);
+        return file;
+    }
+}
+
+/**
+ * --safe, then the config's "safe", then ADMIN_MULTISIG; the zero placeholder from .env.example counts as unset
+ */
+function resolveSafe(options, config) {
+    const safe = [options.safe, config.safe, CONFIG.safeAddress]
+        .find(address => address && address !== ethers.ZeroAddress);
+    if (!safe) {
+        throw new Error('No Safe to plan for: pass --safe <address>, set "safe" in the config or ADMIN_MULTISIG');
+    }
+    return ethers.getAddress(safe);
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+
+    switch (command) {
+        case 'current': {
+            const admin = new AdminConsole(resolveNetwork(options.network));
+            process.stdout.write(serialize(await admin.current()));
+            break;
+        }
+
+        case 'plan':
+        case 'export': {
+            const admin = new AdminConsole(resolveNetwork(options.network));
+            const config = await admin.loadConfig(options.config);
+            const safe = resolveSafe(options, config);
+            const plan = await admin.plan(config, safe);
+
+            if (options.json) {
+                process.stdout.write(serialize(plan));
+            } else {
+                admin.printPlan(plan);
+            }
+
+            if (command === 'export') {
+                await admin.exportBatch(plan, { safe, out: options.out, force: Boolean(options.force) });
+            } else if (plan.blocked > 0) {
+                process.exit(1);
+            }
+            break;
+        }
+
+        default:
+            console.log('Usage: admin-console.js <command> [--network name]');
+            console.log('  current                                     On-chain admin settings, in config-file shape');
+            console.log('  plan [--config file] [--safe addr] [--json] Diff the config against the chain (exit 1 if a call is blocked)');
+            console.log('  export [--config file] [--safe addr] [--out file] [--force]');
+            console.log('                                              Write the plan as an unsigned Safe batch, refused if blocked');
+            console.log(`  Config defaults to ${CONFIG.configDir}/<network>.json`);
+            process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = AdminConsole;
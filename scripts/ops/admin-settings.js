@@ -0,0 +1,278 @@
+/**
+ * Admin settings the admin console manages, per contract key in a network's "contracts" map
+ *
+ * Each setting exposes:
+ *   read(contract)              -> current value, in the same shape the desired-config file uses
+ *   normalize(value)            -> canonical desired value; throws on values the contract would reject
+ *   equal(current, desired)
+ *   calls(current, desired)     -> [{ method, args, auth, summary }] that move current to desired
+ *
+ * auth is what the caller must hold: { role } (AccessControl), { owner: true } (Ownable)
+ * or { any: [auth, ...] }
+ */
+
+const { ethers } = require('ethers');
+
+const ACCESS_CONTROL_ABI = [
+    'function hasRole(bytes32 role, address account) external view returns (bool)'
+];
+
+const OWNABLE_ABI = [
+    'function owner() external view returns (address)'
+];
+
+const PAUSABLE_ABI = [
+    'function paused() external view returns (bool)',
+    'function pause() external',
+    'function unpause() external'
+];
+
+// acceptedTokenList has no length getter; read until the index reverts
+const MAX_LIST_LENGTH = 256;
+
+function role(name) {
+    return { role: name };
+}
+
+const OWNER = { owner: true };
+
+function uint(value, { name, min = 0, max = Infinity }) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${name} must be an integer ${max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`}, got ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+function bool(value, name) {
+    if (typeof value !== 'boolean') throw new Error(`${name} must be true or false, got ${JSON.stringify(value)}`);
+    return value;
+}
+
+/**
+ * Single uint256 with a public getter and a one-argument setter
+ */
+function uintSetting(getter, setter, auth, bounds = {}) {
+    return {
+        async read(contract) {
+            return Number(await contract[getter]());
+        },
+        normalize: value => uint(value, Object.assign({ name: getter }, bounds)),
+        equal: (current, desired) => current === desired,
+        calls: (current, desired) => [{ method: setter, args: [desired], auth, summary: `${getter} ${current} → ${desired}` }]
+    };
+}
+
+/**
+ * OpenZeppelin Pausable, where pausing and unpausing may need different roles
+ */
+function pausedSetting({ pause, unpause }) {
+    return {
+        async read(contract) {
+            return contract.paused();
+        },
+        normalize: value => bool(value, 'paused'),
+        equal: (current, desired) => current === desired,
+        calls: (current, desired) => [desired
+            ? { method: 'pause', args: [], auth: pause, summary: 'pause' }
+            : { method: 'unpause', args: [], auth: unpause, summary: 'unpause' }]
+    };
+}
+
+const SETTINGS = {
+    reserveOracle: {
+        label: 'ReserveOracle',
+        abi: [
+            'function coverageFloorBps() external view returns (uint256)',
+            'function minSourcesRequired() external view returns (uint256)',
+            'function setCoverageFloor(uint256 newFloorBps) external',
+            'function setMinSourcesRequired(uint256 newMin) external',
+            ...ACCESS_CONTROL_ABI,
+            ...PAUSABLE_ABI
+        ],
+        settings: {
+            coverageFloorBps: uintSetting('coverageFloorBps', 'setCoverageFloor', role('DEFAULT_ADMIN_ROLE'), { max: 20000 }),
+            minSourcesRequired: uintSetting('minSourcesRequired', 'setMinSourcesRequired', role('DEFAULT_ADMIN_ROLE'), { min: 1 }),
+            paused: pausedSetting({ pause: role('CIRCUIT_BREAKER_ROLE'), unpause: role('DEFAULT_ADMIN_ROLE') })
+        }
+    },
+
+    gatewayRouter: {
+        label: 'GatewayRouter',
+        abi: [
+            'function bridgeFeePercentBps() external view returns (uint256)',
+            'function setBridgeFee(uint256 newFeeBps) external',
+            ...ACCESS_CONTROL_ABI,
+            ...PAUSABLE_ABI
+        ],
+        settings: {
+            bridgeFeePercentBps: uintSetting('bridgeFeePercentBps', 'setBridgeFee', role('DEFAULT_ADMIN_ROLE'), { max: 1000 }),
+            paused: pausedSetting({ pause: role('DEFAULT_ADMIN_ROLE'), unpause: role('DEFAULT_ADMIN_ROLE') })
+        }
+    },
+
+    subscriptionPool: {
+        label: 'SubscriptionPool',
+        abi: [
+            'function acceptedTokens(address token) external view returns (bool)',
+            'function acceptedTokenList(uint256 index) external view returns (address)',
+            'function addAcceptedToken(address token) external',
+            'function removeAcceptedToken(address token) external',
+            ...ACCESS_CONTROL_ABI,
+            ...PAUSABLE_ABI
+        ],
+        settings: {
+            // The exact set: tokens accepted on-chain but not listed are removed
+            acceptedTokens: {
+                async read(contract) {
+                    const tokens = [];
+                    for (let i = 0; i < MAX_LIST_LENGTH; i++) {
+                        let token;
+                        try {
+                            token = await contract.acceptedTokenList(i);
+                        } catch (error) {
+                            break;
+                        }
+                        // Removed tokens stay in the list; re-added ones appear twice
+                        if (!tokens.includes(token) && await contract.acceptedTokens(token)) tokens.push(token);
+                    }
+                    return tokens;
+                },
+                normalize(value) {
+                    if (!Array.isArray(value)) throw new Error('acceptedTokens must be a list of token addresses');
+                    return [...new Set(value.map(token => {
+                        // Unset ${VAR} placeholders expand to ''
+                        if (!ethers.isAddress(token)) throw new Error(`acceptedTokens: ${JSON.stringify(token)} is not an address`);
+                        return ethers.getAddress(token);
+                    }))];
+                },
+                equal: (current, desired) => current.length === desired.length && desired.every(token => current.includes(token)),
+                calls: (current, desired) => [
+                    ...desired.filter(token => !current.includes(token))
+                        .map(token => ({ method: 'addAcceptedToken', args: [token], auth: role('DEFAULT_ADMIN_ROLE'), summary: `accept ${token}` })),
+                    ...current.filter(token => !desired.includes(token))
+                        .map(token => ({ method: 'removeAcceptedToken', args: [token], auth: role('DEFAULT_ADMIN_ROLE'), summary: `stop accepting ${token}` }))
+                ]
+            },
+            paused: pausedSetting({ pause: role('DEFAULT_ADMIN_ROLE'), unpause: role('DEFAULT_ADMIN_ROLE') })
+        }
+    },
+
+    yieldDistributor: {
+        label: 'FTHGYieldDistributor',
+        abi: [
+            'function minRateBps() external view returns (uint256)',
+            'function maxRateBps() external view returns (uint256)',
+            'function distributionsPaused() external view returns (bool)',
+            'function emergencyPauser() external view returns (address)',
+            'function updateRateBounds(uint256 _minRateBps, uint256 _maxRateBps) external',
+            'function setDistributionsPaused(bool paused) external',
+            ...OWNABLE_ABI
+        ],
+        settings: {
+            rateBounds: {
+                async read(contract) {
+                    return { minRateBps: Number(await contract.minRateBps()), maxRateBps: Number(await contract.maxRateBps()) };
+                },
+                normalize(value) {
+                    const bounds = {
+                        minRateBps: uint(value && value.minRateBps, { name: 'rateBounds.minRateBps' }),
+                        maxRateBps: uint(value && value.maxRateBps, { name: 'rateBounds.maxRateBps', max: 5000 })
+                    };
+                    if (bounds.minRateBps >= bounds.maxRateBps) throw new Error('rateBounds.minRateBps must be below maxRateBps');
+                    return bounds;
+                },
+                equal: (current, desired) => current.minRateBps === desired.minRateBps && current.maxRateBps === desired.maxRateBps,
+                calls: (current, desired) => [{
+                    method: 'updateRateBounds',
+                    args: [desired.minRateBps, desired.maxRateBps],
+                    auth: OWNER,
+                    summary: `rate bounds ${current.minRateBps}-${current.maxRateBps} → ${desired.minRateBps}-${desired.maxRateBps} bps`
+                }]
+            },
+            distributionsPaused: {
+                async read(contract) {
+                    return contract.distributionsPaused();
+                },
+                normalize: value => bool(value, 'distributionsPaused'),
+                equal: (current, desired) => current === desired,
+                calls: (current, desired) => [{
+                    method: 'setDistributionsPaused',
+                    args: [desired],
+                    auth: { any: [OWNER, { emergencyPauser: true }] },
+                    summary: desired ? 'pause distributions' : 'resume distributions'
+                }]
+            }
+        }
+    },
+
+    proofOfReserves: {
+        label: 'FTHGProofOfReserves',
+        abi: [
+            'function minCoverageBps() external view returns (uint256)',
+            'function updateCoverageThreshold(uint256 newMinCoverageBps) external',
+            ...OWNABLE_ABI
+        ],
+        settings: {
+            minCoverageBps: uintSetting('minCoverageBps', 'updateCoverageThreshold', OWNER, { min: 5000, max: 50000 })
+        }
+    },
+
+    fthgToken: {
+        label: 'FTHG',
+        abi: [...ACCESS_CONTROL_ABI, ...PAUSABLE_ABI],
+        settings: {
+            paused: pausedSetting({ pause: role('PAUSER_ROLE'), unpause: role('PAUSER_ROLE') })
+        }
+    },
+
+    priceFeeds: {
+        label: 'ChainlinkPriceFeeds',
+        abi: [...ACCESS_CONTROL_ABI, ...PAUSABLE_ABI],
+        settings: {
+            paused: pausedSetting({ pause: role('DEFAULT_ADMIN_ROLE'), unpause: role('DEFAULT_ADMIN_ROLE') })
+        }
+    },
+
+    complianceRegistry: {
+        label: 'ComplianceRegistry',
+        abi: [...ACCESS_CONTROL_ABI, ...PAUSABLE_ABI],
+        settings: {
+            paused: pausedSetting({ pause: role('DEFAULT_ADMIN_ROLE'), unpause: role('DEFAULT_ADMIN_ROLE') })
+        }
+    }
+};
+
+/**
+ * "DEFAULT_ADMIN_ROLE", "owner", "owner or emergencyPauser"
+ */
+function describeAuth(auth) {
+    if (auth.any) return auth.any.map(describeAuth).join(' or ');
+    if (auth.role) return auth.role;
+    if (auth.owner) return 'owner';
+    return Object.keys(auth)[0];
+}
+
+/**
+ * Whether `caller` satisfies an auth requirement on `contract`
+ */
+async function isAuthorized(contract, auth, caller) {
+    if (auth.any) {
+        for (const option of auth.any) {
+            if (await isAuthorized(contract, option, caller)) return true;
+        }
+        return false;
+    }
+    if (auth.role) {
+        const id = auth.role === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(auth.role);
+        return contract.hasRole(id, caller);
+    }
+    // Ownable-style: an address getter named after the requirement
+    const getter = auth.owner ? 'owner' : Object.keys(auth)[0];
+    return (await contract[getter]()).toLowerCase() === caller.toLowerCase();
+}
+
+module.exports = {
+    SETTINGS,
+    describeAuth,
+    isAuthorized
+};
@@ -0,0 +1,37 @@
+/**
+ * Discord webhook channel (embed payload)
+ */
+
+const { postJson } = require('../http');
+const { title, fields } = require('../format');
+
+const COLORS = {
+    'CRITICAL': 15158332, // Red
+    'WARNING': 15105570,  // Orange
+    'INFO': 3447003       // Blue
+};
+
+class DiscordChannel {
+    constructor({ url }) {
+        this.name = 'discord';
+        this.url = url;
+    }
+
+    format(alert) {
+        return {
+            embeds: [{
+                title: title(alert),
+                description: alert.message,
+                color: COLORS[alert.level] || 0,
+                fields: fields(alert).map(field => ({ name: field.name, value: field.value, inline: true })),
+                footer: { text: 'FTH-GOLD Coverage Monitor' }
+            }]
+        };
+    }
+
+    async send(alert) {
+        return postJson(this.url, this.format(alert));
+    }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,29 @@
+/**
+ * SMTP email channel
+ */
+
+const { sendMail } = require('../smtp');
+const { title, plainText } = require('../format');
+
+class EmailChannel {
+    constructor({ host, port, secure, user, pass, from, to }) {
+        this.name = 'email';
+        this.smtp = { host, port, secure, user, pass };
+        this.from = from;
+        this.to = to;
+    }
+
+    format(alert) {
+        return {
+            subject: `${title(alert)} [${alert.level}] ${alert.message}`,
+            text: plainText(alert)
+        };
+    }
+
+    async send(alert) {
+        const { subject, text } = this.format(alert);
+        return sendMail(Object.assign({}, this.smtp, { from: this.from, to: this.to, subject, text }));
+    }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,59 @@
+/**
+ * PagerDuty Events API v2 channel
+ * INFO alerts on a key that previously triggered are sent as resolves
+ */
+
+const { postJson } = require('../http');
+const { fields } = require('../format');
+
+const SEVERITY = {
+    'CRITICAL': 'critical',
+    'WARNING': 'warning',
+    'INFO': 'info'
+};
+
+class PagerDutyChannel {
+    constructor({ url, routingKey }) {
+        this.name = 'pagerduty';
+        this.resolvable = true;
+        this.url = url || 'https://events.pagerduty.com/v2/enqueue';
+        this.routingKey = routingKey;
+    }
+
+    format(alert) {
+        const dedupKey = `fth-gold:${alert.key}`;
+
+        if (alert.resolves) {
+            return {
+                routing_key: this.routingKey,
+                event_action: 'resolve',
+                dedup_key: dedupKey
+            };
+        }
+
+        const details = {};
+        for (const field of fields(alert)) {
+            details[field.name] = field.value;
+        }
+
+        return {
+            routing_key: this.routingKey,
+            event_action: 'trigger',
+            dedup_key: dedupKey,
+            payload: {
+                summary: alert.message,
+                source: `fth-gold-monitor/${alert.network}`,
+                severity: SEVERITY[alert.level] || 'info',
+                timestamp: alert.timestamp,
+                component: alert.source,
+                custom_details: details
+            }
+        };
+    }
+
+    async send(alert) {
+        return postJson(this.url, this.format(alert));
+    }
+}
+
+module.exports = PagerDutyChannel;
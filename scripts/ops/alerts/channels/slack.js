@@ -0,0 +1,39 @@
+/**
+ * Slack incoming-webhook channel (Block Kit payload)
+ */
+
+const { postJson } = require('../http');
+const { title, fields } = require('../format');
+
+class SlackChannel {
+    constructor({ url }) {
+        this.name = 'slack';
+        this.url = url;
+    }
+
+    format(alert) {
+        return {
+            text: `${title(alert)}: ${alert.message}`,
+            blocks: [
+                {
+                    type: 'header',
+                    text: { type: 'plain_text', text: title(alert) }
+                },
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: `*${alert.level}* ${alert.message}` }
+                },
+                {
+                    type: 'section',
+                    fields: fields(alert).map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` }))
+                }
+            ]
+        };
+    }
+
+    async send(alert) {
+        return postJson(this.url, this.format(alert));
+    }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,26 @@
+/**
+ * Generic JSON webhook channel - posts the raw alert object
+ */
+
+const { postJson } = require('../http');
+
+class WebhookChannel {
+    constructor({ url, token }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    format(alert) {
+        return {
+            type: 'fth-gold.alert',
+            alert
+        };
+    }
+
+    async send(alert) {
+        return postJson(this.url, this.format(alert), this.headers);
+    }
+}
+
+module.exports = WebhookChannel;
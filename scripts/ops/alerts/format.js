@@ -0,0 +1,70 @@
+/**
+ * Shared alert formatting helpers used by the channel formatters
+ */
+
+const { formatUSD } = require('../nav');
+
+const LEVEL_EMOJI = {
+    'CRITICAL': '🚨',
+    'WARNING': '⚠️',
+    'INFO': 'ℹ️'
+};
+
+function formatCoverage(bps) {
+    return `${(bps / 100).toFixed(2)}%`;
+}
+
+function title(alert) {
+    const prefix = alert.escalated ? 'ESCALATED ' : '';
+    const kind = alert.coverage === undefined ? 'Health' : 'Coverage';
+    return `${LEVEL_EMOJI[alert.level] || ''} ${prefix}FTH-GOLD ${kind} Alert`.trim();
+}
+
+/**
+ * Key/value pairs describing an alert, in display order
+ */
+function fields(alert) {
+    const result = [];
+
+    if (alert.coverage !== undefined) {
+        result.push({ name: 'Coverage Ratio', value: formatCoverage(alert.coverage) });
+    }
+    if (alert.goldKG !== undefined) {
+        result.push({ name: 'Gold Reserves', value: `${alert.goldKG} kg` });
+    }
+    if (alert.tokensIssued !== undefined) {
+        result.push({ name: 'Tokens Issued', value: String(alert.tokensIssued) });
+    }
+    if (alert.reserveValueUSD !== undefined) {
+        result.push({ name: 'Reserve Value', value: formatUSD(alert.reserveValueUSD) });
+    }
+    if (alert.navPerTokenUSD !== undefined) {
+        result.push({ name: 'NAV per FTH-G', value: formatUSD(alert.navPerTokenUSD) });
+    }
+    if (alert.headroomUSD !== undefined) {
+        result.push({ name: 'USD Headroom', value: formatUSD(alert.headroomUSD) });
+    }
+
+    result.push({ name: 'Source', value: alert.source });
+    result.push({ name: 'Network', value: alert.network });
+    result.push({ name: 'Timestamp', value: alert.timestamp });
+
+    return result;
+}
+
+function plainText(alert) {
+    return [
+        `[${alert.level}] ${alert.message}`,
+        '',
+        ...fields(alert).map(field => `${field.name}: ${field.value}`),
+        '',
+        `Alert key: ${alert.key}`
+    ].join('\n');
+}
+
+module.exports = {
+    formatCoverage,
+    title,
+    fields,
+    plainText
+};
@@ -0,0 +1,72 @@
+/**
+ * Minimal JSON POST helper with retry/backoff for alert channels
+ * Supports both http: and https: URLs so channels can be pointed at a local stub
+ */
+
+const http = require('http');
+const https = require('https');
+
+function postJson(targetUrl, payload, headers = {}, timeoutMs = 10000) {
+    const url = new URL(targetUrl);
+    const transport = url.protocol === 'http:' ? http : https;
+    const body = JSON.stringify(payload);
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            hostname: url.hostname,
+            port: url.port || undefined,
+            path: url.pathname + url.search,
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, headers),
+            timeout: timeoutMs
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve({ statusCode: res.statusCode, body: data });
+                } else {
+                    const error = new Error(`Webhook returned ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.write(body);
+        req.end();
+    });
+}
+
+function isRetryable(error) {
+    // Client errors other than rate limiting will not succeed on retry
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+async function withRetry(fn, { attempts = 3, baseDelayMs = 1000 } = {}) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            lastError = error;
+            if (attempt === attempts || !isRetryable(error)) break;
+
+            const delay = baseDelayMs * Math.pow(2, attempt - 1);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    throw lastError;
+}
+
+module.exports = {
+    postJson,
+    withRetry
+};
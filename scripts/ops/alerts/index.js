@@ -0,0 +1,226 @@
+/**
+ * FTH-GOLD Alert Pipeline
+ * Routes alerts to channels by level, deduplicates per alert key,
+ * retries failed deliveries and escalates unacknowledged CRITICALs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withRetry } = require('./http');
+const DiscordChannel = require('./channels/discord');
+const SlackChannel = require('./channels/slack');
+const WebhookChannel = require('./channels/webhook');
+const PagerDutyChannel = require('./channels/pagerduty');
+const EmailChannel = require('./channels/email');
+
+const LEVELS = ['CRITICAL', 'WARNING', 'INFO'];
+
+/**
+ * Parse "CRITICAL=discord,pagerduty;WARNING=discord" into { CRITICAL: [...], ... }
+ */
+function parseRoutes(spec) {
+    const routes = {};
+    for (const rule of spec.split(';').map(r => r.trim()).filter(Boolean)) {
+        const [level, names] = rule.split('=');
+        const normalized = level.trim().toUpperCase();
+        if (!LEVELS.includes(normalized)) continue;
+
+        routes[normalized] = (names || '').split(',').map(n => n.trim()).filter(Boolean);
+    }
+    return routes;
+}
+
+function loadAlertConfig(env) {
+    const channels = {};
+
+    const discordUrl = env.ALERT_DISCORD_WEBHOOK || env.DISCORD_WEBHOOK;
+    if (discordUrl) channels.discord = new DiscordChannel({ url: discordUrl });
+
+    const slackUrl = env.ALERT_SLACK_WEBHOOK || env.SLACK_WEBHOOK;
+    if (slackUrl) channels.slack = new SlackChannel({ url: slackUrl });
+
+    if (env.ALERT_WEBHOOK_URL) {
+        channels.webhook = new WebhookChannel({ url: env.ALERT_WEBHOOK_URL, token: env.ALERT_WEBHOOK_TOKEN });
+    }
+
+    if (env.PAGERDUTY_ROUTING_KEY) {
+        channels.pagerduty = new PagerDutyChannel({ url: env.PAGERDUTY_EVENTS_URL, routingKey: env.PAGERDUTY_ROUTING_KEY });
+    }
+
+    if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+        channels.email = new EmailChannel({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.ALERT_EMAIL_FROM || 'monitor@futuretechholdings.com',
+            to: env.ALERT_EMAIL_TO.split(',').map(a => a.trim())
+        });
+    }
+
+    // Pagers and email only wake people up for CRITICALs unless routed otherwise
+    const chat = ['discord', 'slack', 'webhook'];
+    const routes = Object.assign({
+        CRITICAL: Object.keys(channels),
+        WARNING: chat,
+        INFO: chat
+    }, env.ALERT_ROUTES ? parseRoutes(env.ALERT_ROUTES) : {});
+
+    return {
+        channels,
+        routes,
+        cooldownMs: parseInt(env.ALERT_COOLDOWN_MS) || 300000, // 5 minutes per alert key and level
+        escalationMs: parseInt(env.ALERT_ESCALATION_MS) || 900000, // 15 minutes
+        escalationChannels: env.ALERT_ESCALATION_CHANNELS
+            ? env.ALERT_ESCALATION_CHANNELS.split(',').map(n => n.trim())
+            : ['pagerduty', 'email'],
+        retry: {
+            attempts: parseInt(env.ALERT_RETRY_ATTEMPTS) || 3,
+            baseDelayMs: parseInt(env.ALERT_RETRY_DELAY_MS) || 1000
+        },
+        ackFile: env.ALERT_ACK_FILE || './logs/alert-acks.json'
+    };
+}
+
+class AlertManager {
+    constructor(config, log = () => {}) {
+        this.config = config;
+        this.log = log;
+        this.lastSent = {};   // "key:LEVEL" => timestamp
+        this.active = {};     // key => last WARNING/CRITICAL alert
+        this.escalations = {}; // key => timer
+    }
+
+    static fromEnv(env, log) {
+        return new AlertManager(loadAlertConfig(env), log);
+    }
+
+    get channelNames() {
+        return Object.keys(this.config.channels);
+    }
+
+    /**
+     * Decide whether an alert should go out. Cooldown is tracked per
+     * key and level, so a WARNING never suppresses a later CRITICAL.
+     */
+    accept(alert) {
+        const dedupKey = `${alert.key}:${alert.level}`;
+        const now = Date.now();
+
+        if (alert.level === 'INFO' && this.active[alert.key]) {
+            alert.resolves = true;
+        }
+
+        if (!alert.resolves && now - (this.lastSent[dedupKey] || 0) <= this.config.cooldownMs) {
+            return false;
+        }
+
+        this.lastSent[dedupKey] = now;
+        return true;
+    }
+
+    async deliver(alert, channelNames = this.config.routes[alert.level] || []) {
+        let targets = channelNames.filter(name => this.config.channels[name]);
+
+        // Incident-style channels that saw the trigger also need the resolve
+        if (alert.resolves && this.active[alert.key]) {
+            const resolvable = (this.active[alert.key].deliveredTo || [])
+                .filter(name => this.config.channels[name].resolvable && !targets.includes(name));
+            targets = targets.concat(resolvable);
+        }
+
+        const results = await Promise.all(targets.map(name => this.deliverTo(name, alert)));
+        const delivered = targets.filter((name, i) => results[i]);
+
+        if (alert.resolves) {
+            this.resolve(alert.key);
+        } else if (alert.level !== 'INFO') {
+            const previous = this.active[alert.key] ? this.active[alert.key].deliveredTo : [];
+            const deliveredTo = Array.from(new Set(previous.concat(delivered)));
+            this.active[alert.key] = Object.assign({}, alert, { deliveredTo });
+            if (alert.level === 'CRITICAL' && !alert.escalated) {
+                this.scheduleEscalation(alert);
+            }
+        }
+
+        return delivered;
+    }
+
+    async deliverTo(name, alert) {
+        try {
+            await withRetry(() => this.config.channels[name].send(alert), this.config.retry);
+            return true;
+        } catch (error) {
+            this.log(`Failed to send ${name} alert: ${error.message}`, 'ERROR');
+            return false;
+        }
+    }
+
+    async send(alert) {
+        if (!this.accept(alert)) return null;
+        return this.deliver(alert);
+    }
+
+    resolve(key) {
+        delete this.active[key];
+        if (this.escalations[key]) {
+            clearTimeout(this.escalations[key]);
+            delete this.escalations[key];
+        }
+    }
+
+    scheduleEscalation(alert) {
+        if (this.escalations[alert.key]) return;
+
+        const timer = setTimeout(async () => {
+            delete this.escalations[alert.key];
+
+            const current = this.active[alert.key];
+            if (!current || current.level !== 'CRITICAL') return;
+            if (this.isAcknowledged(alert.key, alert.timestamp)) {
+                this.log(`Alert ${alert.key} acknowledged, escalation cancelled`);
+                return;
+            }
+
+            this.log(`Escalating unacknowledged CRITICAL alert: ${alert.key}`, 'CRITICAL');
+            const escalated = Object.assign({}, current, { escalated: true, timestamp: new Date().toISOString() });
+            await this.deliver(escalated, this.config.escalationChannels);
+
+            // Keep escalating until acknowledged or resolved
+            this.scheduleEscalation(current);
+        }, this.config.escalationMs);
+
+        if (timer.unref) timer.unref();
+        this.escalations[alert.key] = timer;
+    }
+
+    readAcks() {
+        try {
+            return JSON.parse(fs.readFileSync(this.config.ackFile, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    isAcknowledged(key, since) {
+        const ackedAt = this.readAcks()[key];
+        return Boolean(ackedAt) && new Date(ackedAt) >= new Date(since);
+    }
+
+    acknowledge(key, by = process.env.USER || 'operator') {
+        const acks = this.readAcks();
+        acks[key] = new Date().toISOString();
+
+        fs.mkdirSync(path.dirname(this.config.ackFile), { recursive: true });
+        fs.writeFileSync(this.config.ackFile, JSON.stringify(acks, null, 2));
+        this.log(`Alert ${key} acknowledged by ${by}`);
+    }
+}
+
+module.exports = {
+    AlertManager,
+    LEVELS,
+    loadAlertConfig,
+    parseRoutes
+};
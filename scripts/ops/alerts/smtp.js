@@ -0,0 +1,175 @@
+/**
+ * Minimal SMTP client for alert emails (no external dependencies)
+ * Supports STARTTLS (port 587) and implicit TLS (port 465); AUTH PLAIN is only sent once the
+ * connection is encrypted
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SmtpSession {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.waiters = [];
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            this.drain();
+        });
+    }
+
+    drain() {
+        // A complete reply ends with a line of the form "250 text" (space, not dash)
+        const match = this.buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n/);
+        if (!match || this.waiters.length === 0) return;
+
+        const end = match.index + match[0].length;
+        const reply = this.buffer.slice(0, end);
+        this.buffer = this.buffer.slice(end);
+
+        const waiter = this.waiters.shift();
+        waiter({ code: parseInt(match[1]), text: reply.trim() });
+        this.drain();
+    }
+
+    read() {
+        return new Promise(resolve => {
+            this.waiters.push(resolve);
+            this.drain();
+        });
+    }
+
+    async command(line, expectedCode) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+
+        const reply = await this.read();
+        if (reply.code !== expectedCode) {
+            throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.text}`);
+        }
+        return reply;
+    }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade a plain connection after a 220 reply to STARTTLS
+ */
+function upgrade(socket, { host, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        socket.removeAllListeners('data');
+        const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+
+        secured.setTimeout(timeoutMs, () => secured.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+        secured.once('error', reject);
+    });
+}
+
+function offers(ehlo, extension) {
+    return ehlo.text.split(/\r\n/).some(line => line.slice(4).split(' ')[0].toUpperCase() === extension);
+}
+
+/**
+ * RFC 2047 encoded-words for header values outside printable ASCII (the level emoji in subjects)
+ */
+function encodeHeader(value) {
+    const flat = value.replace(/\r?\n/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(flat)) return flat;
+
+    // Split on whole characters so no encoded-word exceeds 75 characters
+    const words = [];
+    let chunk = '';
+    for (const char of flat) {
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+async function sendMail({ host, port = 587, secure = false, user, pass, from, to, subject, text, timeoutMs = 15000 }) {
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let session = new SmtpSession(socket);
+    const recipients = Array.isArray(to) ? to : [to];
+
+    let fail;
+    const failed = new Promise((resolve, reject) => { fail = reject; });
+    socket.once('error', fail);
+
+    const conversation = (async () => {
+        await session.command(null, 220);
+        let ehlo = await session.command(`EHLO ${os.hostname()}`, 250);
+
+        if (!secure && offers(ehlo, 'STARTTLS')) {
+            await session.command('STARTTLS', 220);
+            socket = await upgrade(socket, { host, timeoutMs });
+            socket.once('error', fail);
+            session = new SmtpSession(socket);
+
+            // Capabilities advertised before the upgrade must be discarded (RFC 3207)
+            ehlo = await session.command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (user) {
+            if (!socket.encrypted) {
+                throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS; refusing to send credentials in cleartext`);
+            }
+            const credentials = Buffer.from(`\u0000${user}\u0000${pass}`).toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, 235);
+        }
+
+        await session.command(`MAIL FROM:<${from}>`, 250);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${recipient}>`, 250);
+        }
+
+        await session.command('DATA', 354);
+
+        // Dot-stuff lines beginning with "." per RFC 5321
+        const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        const message = [
+            `From: ${from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            body,
+            '.'
+        ].join('\r\n');
+
+        await session.command(message, 250);
+        await session.command('QUIT', 221);
+    })();
+
+    try {
+        await Promise.race([conversation, failed]);
+    } finally {
+        socket.end();
+    }
+}
+
+module.exports = {
+    encodeHeader,
+    sendMail
+};
@@ -0,0 +1,201 @@
+/**
+ * FTH-GOLD Coverage Attestations
+ * Signed, hash-chained daily coverage reports pinned to a block, and their verification
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const ATTESTATION_TYPE = 'fthg-coverage-attestation';
+const ATTESTATION_VERSION = 1;
+
+/**
+ * JSON with object keys sorted at every level, so the hash does not depend on key order
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hashReport(report) {
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(report)));
+}
+
+/**
+ * Sign the report hash with EIP-191 (personal_sign), as GatewayRouter proofs are signed
+ */
+async function signReport(report, wallet) {
+    const hash = hashReport(report);
+    return {
+        report,
+        hash,
+        signer: wallet.address,
+        signature: await wallet.signMessage(ethers.getBytes(hash))
+    };
+}
+
+/**
+ * Binary search for the last block mined at or before a unix timestamp
+ */
+async function findBlockAtOrBefore(provider, timestamp, head) {
+    let low = 0;
+    let high = head;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        const block = await provider.getBlock(mid);
+        if (block.timestamp <= timestamp) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return provider.getBlock(low);
+}
+
+class AttestationChain {
+    constructor({ dir }) {
+        this.dir = dir;
+    }
+
+    fileFor(date) {
+        return path.join(this.dir, `coverage-attestation-${date}.json`);
+    }
+
+    /**
+     * All attestations in the chain, oldest first
+     */
+    async list() {
+        let files;
+        try {
+            files = (await fs.promises.readdir(this.dir))
+                .filter(file => /^coverage-attestation-\d{4}-\d{2}-\d{2}\.json$/.test(file));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const file of files) {
+            const envelope = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+            entries.push({ file, envelope });
+        }
+
+        return entries.sort((a, b) => a.envelope.report.sequence - b.envelope.report.sequence);
+    }
+
+    async head() {
+        const entries = await this.list();
+        return entries.length > 0 ? entries[entries.length - 1].envelope : null;
+    }
+
+    async write(envelope) {
+        const file = this.fileFor(envelope.report.period.date);
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        // 'wx' refuses to overwrite: a rewritten link would break every later report
+        await fs.promises.writeFile(file, JSON.stringify(envelope, null, 2) + '\n', { flag: 'wx' });
+        return file;
+    }
+}
+
+/**
+ * Verify signatures, hashes and chain links; optionally re-read pinned blocks
+ * @param {Array} entries [{ file, envelope }] oldest first
+ * @param {Object} options { provider, reserveOracle, signers: [address] } - omit provider for offline checks
+ * @returns {Array} [{ file, date, errors: [], warnings: [] }]
+ * @throws without signers: a chain edited, re-hashed and re-signed with any key would otherwise verify
+ */
+async function verifyChain(entries, { provider, reserveOracle, signers = [] } = {}) {
+    if (signers.length === 0) {
+        throw new Error('No authorized attestation signers given; cannot tell a genuine chain from a re-signed one');
+    }
+    const allowed = signers.map(signer => signer.toLowerCase());
+    const results = [];
+    let previous = null;
+
+    for (const { file, envelope } of entries) {
+        const { report } = envelope;
+        const errors = [];
+        const warnings = [];
+
+        if (report.type !== ATTESTATION_TYPE) {
+            errors.push(`unexpected type ${report.type}`);
+        }
+
+        const hash = hashReport(report);
+        if (hash !== envelope.hash) {
+            errors.push(`hash mismatch: content hashes to ${hash}, envelope says ${envelope.hash}`);
+        }
+
+        let recovered = null;
+        try {
+            recovered = ethers.verifyMessage(ethers.getBytes(envelope.hash), envelope.signature);
+        } catch (error) {
+            errors.push(`invalid signature: ${error.message}`);
+        }
+        if (recovered && recovered.toLowerCase() !== envelope.signer.toLowerCase()) {
+            errors.push(`signature recovers ${recovered}, envelope claims ${envelope.signer}`);
+        }
+        if (recovered && !allowed.includes(recovered.toLowerCase())) {
+            errors.push(`signer ${recovered} is not an authorized attestation signer`);
+        }
+
+        if (previous) {
+            if (report.previousHash !== previous.hash) {
+                errors.push(`chain broken: previousHash ${report.previousHash} != ${previous.hash}`);
+            }
+            if (report.sequence !== previous.report.sequence + 1) {
+                errors.push(`sequence ${report.sequence} does not follow ${previous.report.sequence}`);
+            }
+        } else if (report.previousHash !== ethers.ZeroHash || report.sequence !== 1) {
+            warnings.push(`chain starts at sequence ${report.sequence}; earlier reports are missing`);
+        }
+
+        if (provider) {
+            try {
+                const block = await provider.getBlock(report.pinned.blockNumber);
+                if (!block || block.hash !== report.pinned.blockHash) {
+                    errors.push(`block ${report.pinned.blockNumber} hash is ${block ? block.hash : 'missing'}, report pinned ${report.pinned.blockHash}`);
+                }
+            } catch (error) {
+                errors.push(`could not fetch block ${report.pinned.blockNumber}: ${error.shortMessage || error.message}`);
+            }
+
+            try {
+                const data = await reserveOracle.getLatestData({ blockTag: report.pinned.blockNumber });
+                if (Number(data.coverageRatio) !== report.pinned.coverageBps || Number(data.timestamp) !== report.pinned.dataTimestamp) {
+                    errors.push(`on-chain coverage at block ${report.pinned.blockNumber} is ${Number(data.coverageRatio)} bps, report pinned ${report.pinned.coverageBps} bps`);
+                }
+            } catch (error) {
+                // Historical eth_call needs an archive node
+                warnings.push(`could not re-read ReserveOracle at block ${report.pinned.blockNumber}: ${error.shortMessage || error.message}`);
+            }
+        }
+
+        results.push({ file, date: report.period.date, errors, warnings });
+        previous = envelope;
+    }
+
+    return results;
+}
+
+module.exports = {
+    ATTESTATION_TYPE,
+    ATTESTATION_VERSION,
+    AttestationChain,
+    canonicalJson,
+    findBlockAtOrBefore,
+    hashReport,
+    signReport,
+    verifyChain
+};
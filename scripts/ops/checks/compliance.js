@@ -0,0 +1,251 @@
+/**
+ * Health check for ComplianceRegistry and IdentitySBT
+ * Indexes KYC and sanctions events, warns ahead of KYC expiry and re-screens
+ * FTHG holders whenever the local sanctions list file changes
+ */
+
+const { ethers } = require('ethers');
+const { fetchLogs } = require('../cli');
+const { readSanctionsList } = require('../sanctions');
+
+const COMPLIANCE_REGISTRY_ABI = [
+    'function getUserComplianceStatus(address user) external view returns (bool kycCompleted, bool sanctionsScreened, uint8 riskLevel, uint256 kycExpiry, bool blocked)',
+    'event UserProfileUpdated(address indexed user, string updateType)',
+    'event SanctionsScreeningPerformed(address indexed user, bool passed, string source)',
+    'event GlobalBlockStatusChanged(address indexed user, bool blocked)'
+];
+
+const IDENTITY_SBT_ABI = [
+    'event KYCVerified(address indexed user, uint256 tokenId, bytes32 kycHash)',
+    'event KYCRevoked(address indexed user, uint256 tokenId)'
+];
+
+const FTHG_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const DAY = 86400;
+
+function emptyUser() {
+    return { verified: false, revoked: false, blocked: false, screening: null, balance: '0' };
+}
+
+function holds(user) {
+    return BigInt(user.balance) > 0n;
+}
+
+module.exports = {
+    name: 'compliance',
+    label: 'Compliance',
+    addressEnv: 'COMPLIANCE_REGISTRY_ADDRESS',
+    contract: 'complianceRegistry',
+    abi: COMPLIANCE_REGISTRY_ABI,
+    related: {
+        identitySBT: IDENTITY_SBT_ABI,
+        fthgToken: FTHG_ABI
+    },
+    thresholds: {
+        expiryWarningDays: parseInt(process.env.KYC_EXPIRY_WARNING_DAYS) || 30,
+        fromBlock: parseInt(process.env.COMPLIANCE_DEPLOY_BLOCK) || 0,
+        holdersFromBlock: parseInt(process.env.FTHG_DEPLOY_BLOCK) || 0,
+        sanctionsListFile: process.env.SANCTIONS_LIST_FILE
+    },
+
+    /**
+     * Incremental: previous state carries the indexed users, holder balances and block cursor
+     */
+    async read(contract, thresholds, { related = {}, previous = null } = {}) {
+        const provider = contract.runner.provider || contract.runner;
+        const head = await provider.getBlockNumber();
+        const now = (await provider.getBlock(head)).timestamp;
+        const users = previous ? structuredClone(previous.users) : {};
+        const events = [];
+        const user = address => (users[address.toLowerCase()] = users[address.toLowerCase()] || emptyUser());
+
+        const sources = [[contract, thresholds.fromBlock]];
+        if (related.identitySBT) sources.push([related.identitySBT, thresholds.fromBlock]);
+        if (related.fthgToken) sources.push([related.fthgToken, thresholds.holdersFromBlock]);
+
+        for (const [source, fromBlock] of sources) {
+            const start = previous ? previous.cursor + 1 : fromBlock;
+            if (start > head) continue;
+
+            const logs = await fetchLogs(provider, { address: await source.getAddress() }, start, head);
+            for (const entry of logs) {
+                const parsed = source.interface.parseLog(entry);
+                if (!parsed) continue;
+                const { args } = parsed;
+
+                switch (parsed.name) {
+                    case 'UserProfileUpdated':
+                        user(args.user);
+                        break;
+                    case 'KYCVerified':
+                        Object.assign(user(args.user), { verified: true, revoked: false });
+                        break;
+                    case 'KYCRevoked':
+                        Object.assign(user(args.user), { verified: false, revoked: true });
+                        events.push({ type: 'revoked', user: args.user, block: entry.blockNumber });
+                        break;
+                    case 'SanctionsScreeningPerformed':
+                        user(args.user).screening = { passed: args.passed, source: args.source, block: entry.blockNumber };
+                        if (!args.passed) events.push({ type: 'screening-failed', user: args.user, source: args.source, block: entry.blockNumber });
+                        break;
+                    case 'GlobalBlockStatusChanged':
+                        user(args.user).blocked = args.blocked;
+                        events.push({ type: args.blocked ? 'blocked' : 'unblocked', user: args.user, block: entry.blockNumber });
+                        break;
+                    case 'Transfer':
+                        if (args.from !== ethers.ZeroAddress) {
+                            user(args.from).balance = (BigInt(user(args.from).balance) - args.value).toString();
+                        }
+                        if (args.to !== ethers.ZeroAddress) {
+                            user(args.to).balance = (BigInt(user(args.to).balance) + args.value).toString();
+                        }
+                        break;
+                }
+            }
+        }
+
+        // Expiry is only readable from the registry, not from events
+        const kyc = [];
+        for (const [address, entry] of Object.entries(users)) {
+            if (!entry.verified && !holds(entry)) continue;
+
+            const status = await contract.getUserComplianceStatus(address);
+            entry.blocked = status.blocked;
+            kyc.push({
+                address: ethers.getAddress(address),
+                completed: status.kycCompleted,
+                expiry: Number(status.kycExpiry),
+                daysLeft: Math.floor((Number(status.kycExpiry) - now) / DAY),
+                holder: holds(entry),
+                balance: entry.balance
+            });
+        }
+
+        // Re-screen every current holder when the list file changes, and new holders on every run
+        let sanctions = null;
+        if (thresholds.sanctionsListFile) {
+            const list = readSanctionsList(thresholds.sanctionsListFile);
+            const listed = list.addresses;
+            const holders = Object.keys(users).filter(address => holds(users[address]));
+
+            sanctions = {
+                file: thresholds.sanctionsListFile,
+                hash: list.hash,
+                entries: listed.size,
+                changed: !previous || !previous.sanctions || previous.sanctions.hash !== list.hash,
+                screened: holders.length,
+                matches: holders.filter(address => listed.has(address)).map(address => ({
+                    address: ethers.getAddress(address),
+                    balance: users[address].balance,
+                    blocked: users[address].blocked
+                }))
+            };
+        }
+
+        return {
+            cursor: head,
+            timestamp: now,
+            warningDays: thresholds.expiryWarningDays,
+            initial: !previous,
+            users,
+            holders: Object.values(users).filter(holds).length,
+            kyc,
+            sanctions,
+            events
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+
+        for (const entry of state.kyc) {
+            const who = `${entry.address}${entry.holder ? ` (holds ${ethers.formatEther(entry.balance)} FTH-G)` : ''}`;
+
+            if (!entry.completed) {
+                if (entry.holder) {
+                    alerts.push({ level: 'WARNING', key: `kyc-missing:${entry.address}`, message: `KYC NOT COMPLETED for holder ${who} - registry checks fail` });
+                }
+            } else if (entry.daysLeft < 0) {
+                alerts.push({ level: 'WARNING', key: `kyc-expired:${entry.address}`, message: `KYC EXPIRED for ${who} on ${new Date(entry.expiry * 1000).toISOString().slice(0, 10)} - transfers and subscriptions will revert` });
+            } else if (entry.daysLeft <= thresholds.expiryWarningDays) {
+                alerts.push({ level: 'WARNING', key: `kyc-expiring:${entry.address}`, message: `KYC expires in ${entry.daysLeft} days for ${who} (${new Date(entry.expiry * 1000).toISOString().slice(0, 10)})` });
+            }
+        }
+
+        if (state.sanctions) {
+            const { sanctions } = state;
+
+            for (const match of sanctions.matches.filter(item => !item.blocked)) {
+                alerts.push({
+                    level: 'CRITICAL',
+                    key: `sanctions-match:${match.address}`,
+                    message: `SANCTIONS MATCH: holder ${match.address} (${ethers.formatEther(match.balance)} FTH-G) is on ${sanctions.file} and not globally blocked`
+                });
+            }
+
+            if (sanctions.changed && previous && previous.sanctions) {
+                alerts.push({
+                    level: 'INFO',
+                    key: 'sanctions-list',
+                    message: `SANCTIONS LIST CHANGED: ${sanctions.entries} entries (was ${previous.sanctions.entries}), re-screened ${sanctions.screened} holders, ${sanctions.matches.length} matches`
+                });
+            }
+        }
+
+        // Historical events are indexed silently on the first run
+        if (!state.initial) {
+            for (const event of state.events) {
+                const message = {
+                    revoked: `IdentitySBT REVOKED for ${event.user}`,
+                    'screening-failed': `Sanctions screening FAILED for ${event.user} (${event.source})`,
+                    blocked: `${event.user} GLOBALLY BLOCKED`,
+                    unblocked: `${event.user} unblocked`
+                }[event.type];
+
+                alerts.push({
+                    level: event.type === 'unblocked' ? 'INFO' : 'WARNING',
+                    key: `${event.type}:${event.user}:${event.block}`,
+                    message: `${message} (block ${event.block})`
+                });
+            }
+        }
+
+        return alerts;
+    },
+
+    /**
+     * Counts only: the holder index stays out of the public /status payload
+     */
+    status(state) {
+        return {
+            cursor: state.cursor,
+            holders: state.holders,
+            kycTracked: state.kyc.filter(entry => entry.completed).length,
+            kycExpiring: state.kyc.filter(entry => entry.completed && entry.daysLeft >= 0 && entry.daysLeft <= state.warningDays).length,
+            kycExpired: state.kyc.filter(entry => entry.completed && entry.daysLeft < 0).length,
+            sanctions: state.sanctions ? {
+                entries: state.sanctions.entries,
+                hash: state.sanctions.hash,
+                screened: state.sanctions.screened,
+                matches: state.sanctions.matches.length,
+                unblockedMatches: state.sanctions.matches.filter(match => !match.blocked).length
+            } : null
+        };
+    },
+
+    summarize(state) {
+        const counts = module.exports.status(state);
+
+        return [
+            `KYC: ${counts.kycTracked} tracked, ${counts.kycExpiring} expiring, ${counts.kycExpired} expired`,
+            `Holders: ${state.holders}`,
+            state.sanctions
+                ? `Sanctions: ${state.sanctions.matches.length} matches in ${state.sanctions.entries} entries${state.sanctions.changed ? ' (list changed, re-screened)' : ''}`
+                : 'Sanctions: no list (SANCTIONS_LIST_FILE)',
+            `Block: ${state.cursor}`
+        ].join(' | ');
+    }
+};
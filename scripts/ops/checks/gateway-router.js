@@ -0,0 +1,72 @@
+/**
+ * Health check for GatewayRouter
+ * Tracks per-chain deposit totals and flags pauses and inflow spikes
+ */
+
+const { ethers } = require('ethers');
+
+const GATEWAY_ROUTER_ABI = [
+    'function getChainTotal(string chain) external view returns (uint256 total)',
+    'function totalUSDCredits() external view returns (uint256)',
+    'function totalFeeCollected() external view returns (uint256)',
+    'function paused() external view returns (bool)'
+];
+
+module.exports = {
+    name: 'gateway-router',
+    label: 'GatewayRouter',
+    addressEnv: 'GATEWAY_ROUTER_ADDRESS',
+    contract: 'gatewayRouter',
+    abi: GATEWAY_ROUTER_ABI,
+    thresholds: {
+        chains: (process.env.GATEWAY_CHAINS || 'ethereum,tron,polygon').split(',').map(c => c.trim()).filter(Boolean),
+        maxInflowUSD: parseFloat(process.env.GATEWAY_MAX_INFLOW_USD) || 1000000 // Per chain, per check
+    },
+
+    async read(contract, thresholds) {
+        const chainTotals = {};
+        for (const chain of thresholds.chains) {
+            chainTotals[chain] = ethers.formatEther(await contract.getChainTotal(chain));
+        }
+
+        return {
+            chainTotals,
+            totalUSDCredits: ethers.formatEther(await contract.totalUSDCredits()),
+            totalFeeCollected: ethers.formatEther(await contract.totalFeeCollected()),
+            paused: await contract.paused()
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+
+        if (state.paused) {
+            alerts.push({ level: 'WARNING', key: 'paused', message: 'GatewayRouter PAUSED - cross-chain deposits halted' });
+        }
+
+        if (previous) {
+            for (const [chain, total] of Object.entries(state.chainTotals)) {
+                const inflow = parseFloat(total) - parseFloat(previous.chainTotals[chain] || '0');
+                if (inflow > thresholds.maxInflowUSD) {
+                    alerts.push({
+                        level: 'WARNING',
+                        key: `inflow-${chain}`,
+                        message: `GatewayRouter inflow spike on ${chain}: $${inflow.toFixed(2)} since last check`
+                    });
+                }
+            }
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        const chains = Object.entries(state.chainTotals).map(([chain, total]) => `${chain}: $${total}`);
+        return [
+            ...chains,
+            `Credits: $${state.totalUSDCredits}`,
+            `Fees: $${state.totalFeeCollected}`,
+            `Status: ${state.paused ? '⏸️ Paused' : '✅ Active'}`
+        ].join(' | ');
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Registry of contract health checks run by the coverage monitor
+ *
+ * Each check module exports:
+ *   name, label   - identifiers used in logs and alerts
+ *   addressEnv    - env var holding the contract address when no networks file is used
+ *   contract      - key of the address in a network's "contracts" map (check is skipped if unset)
+ *   abi           - human-readable ABI for the calls it makes
+ *   thresholds    - alert thresholds, overridable via env
+ *   read(contract, thresholds)              -> state snapshot
+ *   evaluate(state, previous, thresholds)   -> [{ level, key, message }]
+ *   summarize(state)                        -> one-line log summary
+ *
+ * Optional:
+ *   related       - { networkContractKey: abi } of other contracts the check reads
+ *   read(contract, thresholds, { related, previous }) receives those and its last state
+ *   status(state) - what /status publishes instead of the full state
+ */
+
+module.exports = [
+    require('./reserve-oracle-liveness'),
+    require('./proof-of-reserves'),
+    require('./yield-distributor'),
+    require('./gateway-router'),
+    require('./subscription-pool'),
+    require('./compliance'),
+    require('./price-feeds')
+];
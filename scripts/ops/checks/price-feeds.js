@@ -0,0 +1,221 @@
+/**
+ * Health check for ChainlinkPriceFeeds and the NAV it prices
+ * Flags feeds nearing or past the age at which getLatestPrice reverts StalePrice and
+ * FTHGPriceFeedConsumer reverts StalePriceFeed, and sharp moves from the previous round
+ */
+
+const { ethers } = require('ethers');
+const { AGGREGATOR_ABI, PRICE_FEEDS_ABI, assetId, errorReason, formatNav, formatUSD, readNav } = require('../nav');
+
+const RESERVE_ORACLE_ABI = [
+    'function getLatestData() external view returns (tuple(uint256 goldReservesKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp, address source))',
+    'function coverageFloorBps() external view returns (uint256)'
+];
+
+function list(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function age(seconds) {
+    return seconds < 3600 ? `${Math.floor(seconds / 60)}m` : `${Math.floor(seconds / 3600)}h`;
+}
+
+/**
+ * Age at which reads start reverting: the heartbeat (StalePriceFeed) or the
+ * stalePriceThreshold (StalePrice), whichever is set and shorter
+ */
+function staleLimit(feed) {
+    const limits = [
+        { seconds: feed.heartbeat, name: 'heartbeat', revert: 'FTHGPriceFeedConsumer reverts StalePriceFeed' },
+        { seconds: feed.staleThreshold, name: 'stale threshold', revert: 'getLatestPrice reverts StalePrice' }
+    ].filter(limit => limit.seconds > 0);
+    if (limits.length === 0) return null;
+
+    const seconds = Math.min(...limits.map(limit => limit.seconds));
+    const hit = limits.filter(limit => limit.seconds === seconds);
+    return {
+        seconds,
+        name: hit.map(limit => limit.name).join(' and '),
+        revert: hit.map(limit => limit.revert).join(', ')
+    };
+}
+
+async function readFeed(contract, asset, block) {
+    const overrides = { blockTag: block.number };
+    const id = assetId(asset);
+    const info = await contract.getFeedInfo(id, overrides);
+
+    if (!info.active) {
+        return { asset, active: false, error: 'FeedNotActive' };
+    }
+
+    const feed = {
+        asset,
+        active: true,
+        description: info.description,
+        aggregator: info.feed,
+        decimals: Number(info.decimals),
+        heartbeat: Number(info.heartbeat),
+        staleThreshold: Number(await contract.stalePriceThreshold(id, overrides))
+    };
+
+    try {
+        const aggregator = new ethers.Contract(info.feed, AGGREGATOR_ABI, contract.runner);
+        const latest = await aggregator.latestRoundData(overrides);
+
+        Object.assign(feed, {
+            roundId: latest.roundId.toString(),
+            price: ethers.formatUnits(latest.answer, feed.decimals),
+            updatedAt: Number(latest.updatedAt),
+            age: Number(block.timestamp) - Number(latest.updatedAt),
+            previousPrice: null,
+            deviationBps: null
+        });
+
+        if (latest.answer <= 0n) {
+            feed.error = 'Invalid price';
+            return feed;
+        }
+
+        // The first round of an aggregator phase has no readable predecessor
+        try {
+            const previous = await aggregator.getRoundData(latest.roundId - 1n, overrides);
+            if (previous.answer > 0n) {
+                const change = latest.answer > previous.answer ? latest.answer - previous.answer : previous.answer - latest.answer;
+                feed.previousPrice = ethers.formatUnits(previous.answer, feed.decimals);
+                feed.deviationBps = Number(change * 10000n / previous.answer);
+            }
+        } catch (error) {
+            // No previous round to compare against
+        }
+    } catch (error) {
+        feed.error = errorReason(error);
+    }
+
+    return feed;
+}
+
+module.exports = {
+    name: 'price-feeds',
+    label: 'ChainlinkPriceFeeds',
+    addressEnv: 'CHAINLINK_PRICE_FEEDS_ADDRESS',
+    contract: 'priceFeeds',
+    abi: PRICE_FEEDS_ABI,
+    related: {
+        reserveOracle: RESERVE_ORACLE_ABI
+    },
+    thresholds: {
+        assets: list(process.env.PRICE_FEED_ASSETS || 'XAU/USD'),
+        quoteAssets: list(process.env.NAV_QUOTE_ASSETS),
+        staleWarningPct: parseInt(process.env.PRICE_FEED_STALE_WARNING_PCT) || 80,
+        deviationWarningBps: parseInt(process.env.PRICE_FEED_DEVIATION_WARNING_BPS) || 300, // 3%
+        deviationCriticalBps: parseInt(process.env.PRICE_FEED_DEVIATION_CRITICAL_BPS) || 1000 // 10%
+    },
+
+    async read(contract, thresholds, { related = {} } = {}) {
+        // Ages are measured against chain time, the clock the contracts compare against
+        const block = await contract.runner.provider.getBlock('latest');
+
+        const feeds = [];
+        for (const asset of thresholds.assets) {
+            try {
+                feeds.push(await readFeed(contract, asset, block));
+            } catch (error) {
+                feeds.push({ asset, active: false, error: errorReason(error) });
+            }
+        }
+
+        let nav = null;
+        if (related.reserveOracle) {
+            try {
+                const result = await readNav(contract, related.reserveOracle, {
+                    quoteAssets: thresholds.quoteAssets,
+                    blockTag: block.number
+                });
+                const quotes = {};
+                for (const [asset, value] of Object.entries(result.quotes)) {
+                    quotes[asset] = typeof value === 'bigint' ? ethers.formatEther(value) : value;
+                }
+                nav = Object.assign(formatNav(result), { priceTimestamp: result.priceTimestamp, quotes });
+            } catch (error) {
+                nav = { error: errorReason(error) };
+            }
+        }
+
+        return {
+            blockNumber: block.number,
+            now: Number(block.timestamp),
+            feeds,
+            nav
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+        const previousFeeds = new Map((previous ? previous.feeds : []).map(feed => [feed.asset, feed]));
+
+        for (const feed of state.feeds) {
+            const before = previousFeeds.get(feed.asset);
+
+            if (!feed.active || feed.error) {
+                alerts.push({
+                    level: 'CRITICAL',
+                    key: `${feed.asset}:unavailable`,
+                    message: `PRICE FEED UNAVAILABLE: ${feed.asset} - ${feed.error}`
+                });
+                continue;
+            }
+            if (before && (!before.active || before.error)) {
+                alerts.push({ level: 'INFO', key: `${feed.asset}:unavailable`, message: `PRICE FEED RECOVERED: ${feed.asset} readable again at ${feed.price}` });
+            }
+
+            const limit = staleLimit(feed);
+            const beforeLimit = before && !before.error && before.active ? staleLimit(before) : null;
+            const wasStale = beforeLimit && before.age * 100 > beforeLimit.seconds * thresholds.staleWarningPct;
+
+            if (limit && feed.age > limit.seconds) {
+                alerts.push({
+                    level: 'CRITICAL',
+                    key: `${feed.asset}:stale`,
+                    message: `PRICE FEED STALE: ${feed.asset} last updated ${age(feed.age)} ago, past its ${age(limit.seconds)} ${limit.name} - ${limit.revert}`
+                });
+            } else if (limit && feed.age * 100 > limit.seconds * thresholds.staleWarningPct) {
+                alerts.push({
+                    level: 'WARNING',
+                    key: `${feed.asset}:stale`,
+                    message: `PRICE FEED LATE: ${feed.asset} last updated ${age(feed.age)} ago, reads revert after ${age(limit.seconds)}`
+                });
+            } else if (wasStale) {
+                alerts.push({ level: 'INFO', key: `${feed.asset}:stale`, message: `PRICE FEED FRESH: ${feed.asset} updated ${age(feed.age)} ago` });
+            }
+
+            if (feed.deviationBps === null) continue;
+
+            const move = `${feed.asset} moved ${(feed.deviationBps / 100).toFixed(2)}% from the previous round (${feed.previousPrice} -> ${feed.price})`;
+            if (feed.deviationBps >= thresholds.deviationCriticalBps) {
+                alerts.push({ level: 'CRITICAL', key: `${feed.asset}:deviation`, message: `PRICE FEED DEVIATION: ${move}` });
+            } else if (feed.deviationBps >= thresholds.deviationWarningBps) {
+                alerts.push({ level: 'WARNING', key: `${feed.asset}:deviation`, message: `PRICE FEED DEVIATION: ${move}` });
+            } else if (before && before.deviationBps >= thresholds.deviationWarningBps && before.roundId !== feed.roundId) {
+                alerts.push({ level: 'INFO', key: `${feed.asset}:deviation`, message: `PRICE FEED STEADY: ${feed.asset} within ${(thresholds.deviationWarningBps / 100).toFixed(2)}% of the previous round` });
+            }
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        const parts = state.feeds.map(feed => feed.error || !feed.active
+            ? `${feed.asset}: ${feed.error || 'inactive'}`
+            : `${feed.asset}: ${feed.price} (${age(feed.age)})`);
+
+        if (state.nav && state.nav.error) {
+            parts.push(`NAV: unavailable (${state.nav.error})`);
+        } else if (state.nav) {
+            parts.push(`Reserve Value: ${formatUSD(state.nav.reserveValueUSD)}`);
+            if (state.nav.navPerTokenUSD !== null) parts.push(`NAV/FTH-G: ${formatUSD(state.nav.navPerTokenUSD)}`);
+            parts.push(`USD Headroom: ${formatUSD(state.nav.headroomUSD)}`);
+        }
+        return parts.join(' | ');
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * Health check for FTHGProofOfReserves (Chainlink PoR add-on)
+ * Watches keeper pings and consecutive unhealthy checks
+ */
+
+const PROOF_OF_RESERVES_ABI = [
+    'function check() external view returns (bool healthy, uint256 coverageBps, uint256 lastUpdate)',
+    'function getStatusSummary() external view returns (uint256 lastCheck, bool wasHealthy, uint256 failures, bool needsAttention)',
+    'function getCriticalStatus() external view returns (bool criticalStatus, uint256 consecutiveFailures)'
+];
+
+module.exports = {
+    name: 'proof-of-reserves',
+    label: 'FTHGProofOfReserves',
+    addressEnv: 'PROOF_OF_RESERVES_ADDRESS',
+    contract: 'proofOfReserves',
+    abi: PROOF_OF_RESERVES_ABI,
+    thresholds: {
+        maxPingAgeSec: parseInt(process.env.POR_MAX_PING_AGE_SEC) || 7200 // Keepers ping hourly
+    },
+
+    async read(contract) {
+        const [lastCheck, wasHealthy, failures, needsAttention] = await contract.getStatusSummary();
+        const [criticalStatus] = await contract.getCriticalStatus();
+
+        return {
+            lastCheck: Number(lastCheck),
+            wasHealthy,
+            failures: Number(failures),
+            needsAttention,
+            criticalStatus
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+        const pingAge = Math.floor(Date.now() / 1000) - state.lastCheck;
+
+        if (state.criticalStatus || state.needsAttention) {
+            alerts.push({
+                level: 'CRITICAL',
+                key: 'critical',
+                message: `PoR CRITICAL: ${state.failures} consecutive unhealthy checks`
+            });
+        } else if (!state.wasHealthy) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'unhealthy',
+                message: `PoR UNHEALTHY: last ping reported unhealthy coverage (${state.failures} failures)`
+            });
+        }
+
+        if (state.lastCheck > 0 && pingAge > thresholds.maxPingAgeSec) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'ping-stale',
+                message: `PoR not pinged for ${Math.floor(pingAge / 60)}m (max ${Math.floor(thresholds.maxPingAgeSec / 60)}m)`
+            });
+        }
+
+        if (previous && !previous.wasHealthy && state.wasHealthy) {
+            alerts.push({ level: 'INFO', key: 'recovered', message: 'PoR RECOVERED: last ping healthy' });
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        return [
+            `Last Ping: ${state.lastCheck ? new Date(state.lastCheck * 1000).toISOString() : 'never'}`,
+            `Status: ${state.wasHealthy ? '✅ Healthy' : '❌ Unhealthy'}`,
+            `Failures: ${state.failures}`
+        ].join(' | ');
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * Liveness check for ReserveOracle
+ * Flags a frozen aggregate, stale or deactivated sources and too few fresh sources,
+ * mirroring the contract's DataTooOld / InsufficientSources reverts before they happen
+ */
+
+const { ethers } = require('ethers');
+
+const RESERVE_ORACLE_LIVENESS_ABI = [
+    'function getLatestData() external view returns (tuple(uint256 goldReservesKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp, address source))',
+    'function activeSourceIds(uint256 index) external view returns (bytes32)',
+    'function dataSources(bytes32 sourceId) external view returns (string name, address provider, uint256 lastUpdate, bool active, uint256 weight)',
+    'function minSourcesRequired() external view returns (uint256)'
+];
+
+// _aggregateData() ignores source data older than 24 hours
+const CONTRACT_SOURCE_MAX_AGE_SEC = 86400;
+const MAX_SOURCES = 64;
+
+function hours(seconds) {
+    return `${Math.floor(seconds / 3600)}h`;
+}
+
+// Same decoding as the monitor's SourceDeactivated handler so alert keys line up
+function sourceKey(id) {
+    try {
+        return ethers.decodeBytes32String(id);
+    } catch (error) {
+        return id;
+    }
+}
+
+module.exports = {
+    name: 'reserve-oracle-liveness',
+    label: 'ReserveOracle',
+    addressEnv: 'RESERVE_ORACLE_ADDRESS',
+    contract: 'reserveOracle',
+    abi: RESERVE_ORACLE_LIVENESS_ABI,
+    thresholds: {
+        staleWarningSec: parseInt(process.env.ORACLE_STALE_WARNING_SEC) || 43200, // 12 hours
+        staleCriticalSec: parseInt(process.env.ORACLE_STALE_CRITICAL_SEC) || 86400, // 24 hours
+        sourceWarningSec: parseInt(process.env.SOURCE_STALE_WARNING_SEC) || 43200 // 12 hours
+    },
+
+    /**
+     * @param {string|number} blockTag read at a pinned block (attestations) instead of latest
+     */
+    async read(contract, thresholds, blockTag = 'latest') {
+        // Ages are measured against chain time, the clock the contract itself uses
+        const block = await contract.runner.provider.getBlock(blockTag);
+        const now = Number(block.timestamp);
+        const overrides = { blockTag: block.number };
+        const latestData = await contract.getLatestData(overrides);
+
+        // activeSourceIds has no length getter; read until the index reverts
+        const sources = [];
+        for (let i = 0; i < MAX_SOURCES; i++) {
+            let id;
+            try {
+                id = await contract.activeSourceIds(i, overrides);
+            } catch (error) {
+                break;
+            }
+
+            const source = await contract.dataSources(id, overrides);
+            const lastUpdate = Number(source.lastUpdate);
+            const age = lastUpdate > 0 ? now - lastUpdate : null;
+
+            sources.push({
+                id,
+                key: sourceKey(id),
+                name: source.name || sourceKey(id),
+                provider: source.provider,
+                active: source.active,
+                weight: Number(source.weight),
+                lastUpdate,
+                age,
+                fresh: source.active && age !== null && age <= CONTRACT_SOURCE_MAX_AGE_SEC
+            });
+        }
+
+        const dataTimestamp = Number(latestData.timestamp);
+
+        return {
+            blockNumber: block.number,
+            now,
+            dataTimestamp,
+            dataAge: dataTimestamp > 0 ? now - dataTimestamp : null,
+            minSourcesRequired: Number(await contract.minSourcesRequired(overrides)),
+            validSources: sources.filter(source => source.fresh).length,
+            sources
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+
+        // Aggregate timestamp stops advancing => coverage reads are frozen
+        if (state.dataAge === null || state.dataAge > thresholds.staleCriticalSec) {
+            alerts.push({
+                level: 'CRITICAL',
+                key: 'stale',
+                message: state.dataAge === null
+                    ? 'ORACLE STALE: no aggregated reserve data yet'
+                    : `ORACLE STALE: aggregate not updated for ${hours(state.dataAge)} (max ${hours(thresholds.staleCriticalSec)}), coverage is frozen`
+            });
+        } else if (state.dataAge > thresholds.staleWarningSec) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'stale',
+                message: `ORACLE STALE: aggregate not updated for ${hours(state.dataAge)} (warn ${hours(thresholds.staleWarningSec)})`
+            });
+        } else if (previous && (previous.dataAge === null || previous.dataAge > thresholds.staleWarningSec)) {
+            alerts.push({ level: 'INFO', key: 'stale', message: `ORACLE FRESH: aggregate updated ${Math.floor(state.dataAge / 60)}m ago` });
+        }
+
+        // Next updateReserveData() reverts with "Insufficient valid sources"
+        if (state.validSources < state.minSourcesRequired) {
+            alerts.push({
+                level: 'CRITICAL',
+                key: 'sources',
+                message: `INSUFFICIENT SOURCES: ${state.validSources} fresh active sources, ${state.minSourcesRequired} required - aggregation will revert`
+            });
+        } else if (state.validSources === state.minSourcesRequired) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'sources',
+                message: `SOURCES AT MINIMUM: ${state.validSources} of ${state.minSourcesRequired} required, one more stale source halts aggregation`
+            });
+        } else if (previous && previous.validSources <= previous.minSourcesRequired) {
+            alerts.push({ level: 'INFO', key: 'sources', message: `SOURCES RECOVERED: ${state.validSources} fresh, ${state.minSourcesRequired} required` });
+        }
+
+        const previousSources = new Map((previous ? previous.sources : []).map(source => [source.id, source]));
+
+        for (const source of state.sources) {
+            const before = previousSources.get(source.id);
+
+            if (!source.active) {
+                if (!before || before.active) {
+                    alerts.push({
+                        level: 'WARNING',
+                        key: `source-deactivated:${source.key}`,
+                        message: `SOURCE DEACTIVATED: ${source.name} (${source.provider})`
+                    });
+                }
+                continue;
+            }
+
+            const wasStale = before && before.active && (before.age === null || before.age > thresholds.sourceWarningSec);
+
+            if (!source.fresh) {
+                alerts.push({
+                    level: 'WARNING',
+                    key: `source-stale:${source.key}`,
+                    message: source.age === null
+                        ? `SOURCE STALE: ${source.name} has never reported`
+                        : `SOURCE STALE: ${source.name} last reported ${hours(source.age)} ago, excluded from aggregation (DataTooOld)`
+                });
+            } else if (source.age > thresholds.sourceWarningSec) {
+                alerts.push({
+                    level: 'WARNING',
+                    key: `source-stale:${source.key}`,
+                    message: `SOURCE STALE: ${source.name} last reported ${hours(source.age)} ago (excluded after ${hours(CONTRACT_SOURCE_MAX_AGE_SEC)})`
+                });
+            } else if (wasStale) {
+                alerts.push({ level: 'INFO', key: `source-stale:${source.key}`, message: `SOURCE FRESH: ${source.name} reported ${Math.floor(source.age / 60)}m ago` });
+            }
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        return [
+            `Data Age: ${state.dataAge === null ? 'never' : `${Math.floor(state.dataAge / 60)}m`}`,
+            `Sources: ${state.validSources}/${state.sources.length} fresh (min ${state.minSourcesRequired})`,
+            ...state.sources.map(source => `${source.name}: ${!source.active ? 'inactive' : source.age === null ? 'never' : `${Math.floor(source.age / 60)}m`}`)
+        ].join(' | ');
+    }
+};
@@ -0,0 +1,71 @@
+/**
+ * Health check for SubscriptionPool
+ * Flags paused/inactive subscriptions and program capacity usage
+ */
+
+const { ethers } = require('ethers');
+
+const SUBSCRIPTION_POOL_ABI = [
+    'function paused() external view returns (bool)',
+    'function subscriptionsActive() external view returns (bool)',
+    'function totalKGAllocated() external view returns (uint256)',
+    'function maxTotalKG() external view returns (uint256)',
+    'function totalSubscriptions() external view returns (uint256)'
+];
+
+module.exports = {
+    name: 'subscription-pool',
+    label: 'SubscriptionPool',
+    addressEnv: 'SUBSCRIPTION_POOL_ADDRESS',
+    contract: 'subscriptionPool',
+    abi: SUBSCRIPTION_POOL_ABI,
+    thresholds: {
+        capacityWarningBps: parseInt(process.env.POOL_CAPACITY_WARNING_BPS) || 9500 // 95% of program cap
+    },
+
+    async read(contract) {
+        const totalKGAllocated = await contract.totalKGAllocated();
+        const maxTotalKG = await contract.maxTotalKG();
+
+        return {
+            paused: await contract.paused(),
+            subscriptionsActive: await contract.subscriptionsActive(),
+            totalKGAllocated: ethers.formatEther(totalKGAllocated),
+            maxTotalKG: ethers.formatEther(maxTotalKG),
+            capacityUsedBps: maxTotalKG === 0n ? 10000 : Number((totalKGAllocated * 10000n) / maxTotalKG),
+            totalSubscriptions: Number(await contract.totalSubscriptions())
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+
+        if (state.paused) {
+            alerts.push({ level: 'CRITICAL', key: 'paused', message: 'SubscriptionPool PAUSED - maturations and subscriptions halted' });
+        } else if (!state.subscriptionsActive) {
+            alerts.push({ level: 'WARNING', key: 'inactive', message: 'SubscriptionPool not accepting new subscriptions' });
+        }
+
+        if (state.capacityUsedBps >= thresholds.capacityWarningBps) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'capacity',
+                message: `Program capacity ${(state.capacityUsedBps / 100).toFixed(2)}% used (${state.totalKGAllocated} / ${state.maxTotalKG} kg)`
+            });
+        }
+
+        if (previous && (previous.paused || !previous.subscriptionsActive) && !state.paused && state.subscriptionsActive) {
+            alerts.push({ level: 'INFO', key: 'resumed', message: 'SubscriptionPool RESUMED' });
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        return [
+            `Allocated: ${state.totalKGAllocated} / ${state.maxTotalKG} kg`,
+            `Subscriptions: ${state.totalSubscriptions}`,
+            `Status: ${state.paused ? '⏸️ Paused' : state.subscriptionsActive ? '✅ Active' : '⛔ Inactive'}`
+        ].join(' | ');
+    }
+};
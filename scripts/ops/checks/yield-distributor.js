@@ -0,0 +1,81 @@
+/**
+ * Health check for FTHGYieldDistributor
+ * Flags overdue epochs, paused distributions and out-of-bounds rates
+ */
+
+const YIELD_DISTRIBUTOR_ABI = [
+    'function getCurrentEpochInfo() external view returns (uint256 epoch, uint256 startTime, uint256 endTime, uint256 rateBps)',
+    'function distributionsPaused() external view returns (bool)',
+    'function minRateBps() external view returns (uint256)',
+    'function maxRateBps() external view returns (uint256)'
+];
+
+module.exports = {
+    name: 'yield-distributor',
+    label: 'FTHGYieldDistributor',
+    addressEnv: 'YIELD_DISTRIBUTOR_ADDRESS',
+    contract: 'yieldDistributor',
+    abi: YIELD_DISTRIBUTOR_ABI,
+    thresholds: {
+        epochGraceSec: parseInt(process.env.YIELD_EPOCH_GRACE_SEC) || 86400 // 1 day past epoch end
+    },
+
+    async read(contract) {
+        const [epoch, startTime, endTime, rateBps] = await contract.getCurrentEpochInfo();
+
+        return {
+            epoch: Number(epoch),
+            startTime: Number(startTime),
+            endTime: Number(endTime),
+            rateBps: Number(rateBps),
+            paused: await contract.distributionsPaused(),
+            minRateBps: Number(await contract.minRateBps()),
+            maxRateBps: Number(await contract.maxRateBps())
+        };
+    },
+
+    evaluate(state, previous, thresholds) {
+        const alerts = [];
+        const now = Math.floor(Date.now() / 1000);
+
+        if (state.paused) {
+            alerts.push({ level: 'WARNING', key: 'paused', message: 'Yield distributions PAUSED' });
+        }
+
+        if (now > state.endTime + thresholds.epochGraceSec) {
+            const overdueHours = Math.floor((now - state.endTime) / 3600);
+            alerts.push({
+                level: 'WARNING',
+                key: 'epoch-overdue',
+                message: `Epoch ${state.epoch} ended ${overdueHours}h ago and no new epoch has started`
+            });
+        }
+
+        if (state.rateBps < state.minRateBps || state.rateBps > state.maxRateBps) {
+            alerts.push({
+                level: 'WARNING',
+                key: 'rate-bounds',
+                message: `Epoch ${state.epoch} rate ${state.rateBps} bps outside bounds ${state.minRateBps}-${state.maxRateBps} bps`
+            });
+        }
+
+        if (previous && state.epoch > previous.epoch) {
+            alerts.push({
+                level: 'INFO',
+                key: `epoch-${state.epoch}`,
+                message: `Epoch ${state.epoch} started at ${state.rateBps} bps`
+            });
+        }
+
+        return alerts;
+    },
+
+    summarize(state) {
+        return [
+            `Epoch: ${state.epoch}`,
+            `Rate: ${state.rateBps} bps`,
+            `Ends: ${new Date(state.endTime * 1000).toISOString()}`,
+            `Status: ${state.paused ? '⏸️ Paused' : '✅ Active'}`
+        ].join(' | ');
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * FTH-GOLD Ops CLI Helpers
+ * Argument parsing and chunked log scanning shared by the ops scripts
+ */
+
+/**
+ * Parse "--key value" / "--flag" arguments into an object
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) continue;
+
+        const key = args[i].slice(2);
+        const next = args[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * eth_getLogs over a block range in chunks small enough for public RPC limits
+ */
+async function fetchLogs(provider, filter, fromBlock, toBlock, chunkSize = parseInt(process.env.LOG_CHUNK_SIZE) || 2000) {
+    const logs = [];
+
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        const end = Math.min(toBlock, start + chunkSize - 1);
+        logs.push(...await provider.getLogs(Object.assign({}, filter, { fromBlock: start, toBlock: end })));
+    }
+
+    return logs;
+}
+
+module.exports = {
+    fetchLogs,
+    parseOptions
+};
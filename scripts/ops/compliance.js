@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Compliance CLI
+ * Investor onboarding, sanctions screening, KYC expiry and audit export
+ * on top of ComplianceRegistry and IdentitySBT. Every transaction is printed
+ * (and simulated with --dry-run) before it is sent.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { CONTRACT_ENV, RpcPool, resolveNetwork } = require('./networks');
+const { fetchLogs, parseOptions } = require('./cli');
+const { buildSafeBatch, writeSafeBatch } = require('./safe-tx');
+const { canonicalJson } = require('./attestation');
+const { readSanctionsList } = require('./sanctions');
+
+// Configuration
+const CONFIG = {
+    fromBlock: parseInt(process.env.COMPLIANCE_DEPLOY_BLOCK) || 0,
+    expiryWarningDays: parseInt(process.env.KYC_EXPIRY_WARNING_DAYS) || 30,
+    sanctionsListFile: process.env.SANCTIONS_LIST_FILE,
+    sanctionsSource: process.env.SANCTIONS_SOURCE || 'LOCAL_LIST',
+    // Onboarding receipts hold the kycHash salt; kept out of git under data/
+    receiptDir: './data/compliance/onboarding',
+    outputDir: './reports/compliance'
+};
+
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Prohibited'];
+const JURISDICTION_STATUS = ['Allowed', 'Restricted', 'Prohibited'];
+
+const COMPLIANCE_REGISTRY_ABI = [
+    'function completeKYC(address user, bytes32 jurisdictionCode, uint8 riskLevel, uint256 kycExpiryDate, string[] documentHashes) external',
+    'function performSanctionsScreening(address user, bool passed, string source, bool pepStatus, bool adverseMedia) external',
+    'function setGlobalBlock(address user, bool blocked) external',
+    'function configureJurisdiction(bytes32 jurisdictionCode, uint8 status, bool requiresEnhancedDD, uint256 maxInvestment, string notes) external',
+    'function configureAction(bytes32 action, bool enabled, bool requiresKYC, bool requiresSanctions, bool requiresRisk, uint8 maxRisk, uint256 cooldown) external',
+    'function getUserComplianceStatus(address user) external view returns (bool kycCompleted, bool sanctionsScreened, uint8 riskLevel, uint256 kycExpiry, bool blocked)',
+    'function calculateRiskScore(address user) external view returns (uint256 score, uint8 level)',
+    'function userProfiles(address user) external view returns (bool kycCompleted, bool sanctionsScreened, bool pepScreened, bool adverseMediaScreened, uint8 riskLevel, bytes32 jurisdictionCode, uint256 lastScreeningUpdate, uint256 kycExpiryDate)',
+    'function jurisdictions(bytes32 code) external view returns (uint8 status, bool requiresEnhancedDD, uint256 maxInvestmentAmount, string regulatoryNotes)',
+    'function check(address user, bytes32 action) external view returns (bool)',
+    'function globallyBlocked(address user) external view returns (bool)',
+    'event UserProfileUpdated(address indexed user, string updateType)',
+    'event RiskAssessmentUpdated(address indexed user, uint8 oldLevel, uint8 newLevel)',
+    'event SanctionsScreeningPerformed(address indexed user, bool passed, string source)',
+    'event JurisdictionConfigured(bytes32 indexed jurisdictionCode, uint8 status)',
+    'event ActionConfigUpdated(bytes32 indexed action, bool enabled)',
+    'event ComplianceViolation(address indexed user, bytes32 action, string reason)',
+    'event GlobalBlockStatusChanged(address indexed user, bool blocked)',
+    'error SanctionsMatch(address user, string source)',
+    'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)'
+];
+
+const IDENTITY_SBT_ABI = [
+    'function mint(address to, bytes32 documentHash) external',
+    'function isVerified(address user) external view returns (bool)',
+    'function kycHash(address user) external view returns (bytes32)',
+    'event KYCVerified(address indexed user, uint256 tokenId, bytes32 kycHash)',
+    'event KYCRevoked(address indexed user, uint256 tokenId)',
+    'error AlreadyVerified()',
+    'error NotAuthorized()'
+];
+
+/**
+ * ComplianceRegistry stores jurisdiction and action ids as bytes32 string literals ("AE", "SUBSCRIBE")
+ */
+function toBytes32(value) {
+    return /^0x[0-9a-fA-F]{64}$/.test(value) ? value : ethers.encodeBytes32String(value);
+}
+
+function fromBytes32(value) {
+    try {
+        return ethers.decodeBytes32String(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function enumIndex(values, name, label) {
+    const index = values.findIndex(value => value.toLowerCase() === String(name).toLowerCase());
+    if (index === -1) {
+        throw new Error(`Unknown ${label} "${name}" (expected ${values.join(', ')})`);
+    }
+    return index;
+}
+
+/**
+ * keccak256 of the canonical JSON of { pii, salt }: the hash can be re-derived from the
+ * record on file, but the salt keeps low-entropy PII from being brute-forced from chain data
+ */
+function hashKycRecord(pii, salt) {
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson({ pii, salt })));
+}
+
+/**
+ * Sanctioned addresses from JSON ([address] or [{ address }]) or text/CSV (first 0x address per line)
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ComplianceTool {
+    constructor(network, options = {}) {
+        for (const key of ['complianceRegistry', 'identitySBT']) {
+            if (!network.contracts[key]) {
+                throw new Error(`No ${key} address configured for ${network.name} (${CONTRACT_ENV[key]})`);
+            }
+        }
+
+        this.network = network;
+        // Env override, else the deploy block recorded in deployments/{network}.json
+        this.fromBlock = CONFIG.fromBlock || (network.deployBlocks || {}).complianceRegistry || 0;
+        this.options = options;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.wallet = process.env.COMPLIANCE_PRIVATE_KEY
+            ? new ethers.Wallet(process.env.COMPLIANCE_PRIVATE_KEY, this.provider)
+            : null;
+
+        const runner = this.wallet || this.provider;
+        this.registry = new ethers.Contract(network.contracts.complianceRegistry, COMPLIANCE_REGISTRY_ABI, runner);
+        this.identity = new ethers.Contract(network.contracts.identitySBT, IDENTITY_SBT_ABI, runner);
+        this.labels = new Map([
+            [network.contracts.complianceRegistry.toLowerCase(), 'ComplianceRegistry'],
+            [network.contracts.identitySBT.toLowerCase(), 'IdentitySBT']
+        ]);
+    }
+
+    describe(tx) {
+        const contract = this.labels.get(tx.contract.target.toLowerCase());
+        const args = tx.args.map(arg => Array.isArray(arg) ? `[${arg.join(', ')}]` : String(arg));
+        return `${contract}.${tx.method}(${args.join(', ')})`;
+    }
+
+    /**
+     * Print every transaction, then simulate (--dry-run), export a Safe batch (--safe) or send
+     * @param {Array} plan [{ contract, method, args, description }]
+     */
+    async execute(plan, title) {
+        const { dryRun, safe } = this.options;
+        const mode = dryRun ? 'DRY RUN' : safe ? `SAFE BATCH for ${safe}` : 'SEND';
+
+        console.log(`\n📋 ${title}: ${plan.length} transaction${plan.length === 1 ? '' : 's'} (${mode})`);
+        for (const [index, tx] of plan.entries()) {
+            console.log(`  ${index + 1}. ${tx.description}`);
+            console.log(`     ${this.describe(tx)}`);
+            console.log(`     to ${tx.contract.target} data ${tx.contract.interface.encodeFunctionData(tx.method, tx.args)}`);
+        }
+
+        if (plan.length === 0) return [];
+
+        if (dryRun) {
+            const from = this.options.from || (this.wallet && this.wallet.address);
+            if (!from) {
+                console.log('  ℹ️ Set COMPLIANCE_PRIVATE_KEY or --from to simulate against the chain');
+                return [];
+            }
+            // Each call is simulated on its own against current state, not on top of the earlier steps
+            for (const [index, tx] of plan.entries()) {
+                try {
+                    await tx.contract[tx.method].staticCall(...tx.args, { from });
+                    console.log(`  ✅ ${index + 1}. would succeed from ${from}`);
+                } catch (error) {
+                    const reason = error.revert ? `${error.revert.name}(${error.revert.args.join(', ')})` : (error.shortMessage || error.message);
+                    console.log(`  ❌ ${index + 1}. would revert: ${reason}`);
+                }
+            }
+            return [];
+        }
+
+        if (safe) {
+            const file = this.options.out || path.join(CONFIG.outputDir, `${this.network.name}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}.json`);
+            await writeSafeBatch(file, buildSafeBatch({
+                chainId: this.network.chainId || Number((await this.provider.getNetwork()).chainId),
+                safeAddress: safe,
+                name: `FTHG compliance: ${title}`,
+                description: plan.map(tx => tx.description).join('; '),
+                transactions: plan.map(tx => ({
+                    to: tx.contract.target,
+                    data: tx.contract.interface.encodeFunctionData(tx.method, tx.args),
+                    description: tx.description
+                }))
+            }));
+            console.log(`📝 Unsigned Safe batch written to ${file}`);
+            return [];
+        }
+
+        if (!this.wallet) {
+            throw new Error('COMPLIANCE_PRIVATE_KEY is not set; use --dry-run or --safe <address>');
+        }
+
+        const receipts = [];
+        for (const [index, tx] of plan.entries()) {
+            const sent = await tx.contract[tx.method](...tx.args);
+            console.log(`  📤 ${index + 1}. ${sent.hash}`);
+            const receipt = await sent.wait();
+            if (receipt.status !== 1) {
+                throw new Error(`Transaction ${sent.hash} reverted`);
+            }
+            receipts.push({ description: tx.description, txHash: sent.hash, blockNumber: receipt.blockNumber });
+        }
+        console.log(`✅ ${receipts.length} transactions confirmed`);
+        return receipts;
+    }
+
+    /**
+     * Onboard an investor from a KYC record:
+     * { address, jurisdiction, riskLevel, kycExpiry | kycValidDays, documents, pii, salt?, screening? }
+     */
+    async onboard(file) {
+        const record = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const user = ethers.getAddress(record.address);
+
+        if (!record.pii || typeof record.pii !== 'object') {
+            throw new Error(`${file} has no "pii" object to hash`);
+        }
+        if (!record.jurisdiction) {
+            throw new Error(`${file} has no "jurisdiction" (ISO 3166-1 alpha-2)`);
+        }
+
+        const salt = record.salt || ethers.hexlify(crypto.randomBytes(32));
+        const kycHash = hashKycRecord(record.pii, salt);
+        const riskLevel = enumIndex(RISK_LEVELS, record.riskLevel || 'Low', 'risk level');
+        const kycExpiry = record.kycExpiry
+            ? Math.floor(new Date(record.kycExpiry).getTime() / 1000)
+            : Math.floor(Date.now() / 1000) + (record.kycValidDays || 365) * 86400;
+        const jurisdiction = toBytes32(record.jurisdiction);
+
+        if (!Number.isFinite(kycExpiry) || kycExpiry * 1000 <= Date.now()) {
+            throw new Error(`KYC expiry ${record.kycExpiry} is not a future date`);
+        }
+
+        const status = await this.registry.jurisdictions(jurisdiction);
+        // Unset codes read back as Allowed with no notes and a zero investment cap
+        if (status.regulatoryNotes.length === 0 && status.maxInvestmentAmount === 0n && !this.options.force) {
+            throw new Error(`Jurisdiction ${record.jurisdiction} is not configured in ComplianceRegistry; configure it first or pass --force`);
+        }
+        if (JURISDICTION_STATUS[Number(status.status)] === 'Prohibited' && !this.options.force) {
+            throw new Error(`Jurisdiction ${record.jurisdiction} is Prohibited (${status.regulatoryNotes}); pass --force to record KYC anyway`);
+        }
+
+        if (CONFIG.sanctionsListFile && readSanctionsList(CONFIG.sanctionsListFile).addresses.has(user.toLowerCase())) {
+            throw new Error(`${user} is on the sanctions list ${CONFIG.sanctionsListFile}; not onboarding`);
+        }
+
+        console.log(`🪪 Onboarding ${user}`);
+        console.log(`  Jurisdiction: ${record.jurisdiction} (${JURISDICTION_STATUS[Number(status.status)]}${status.requiresEnhancedDD ? ', enhanced DD' : ''})`);
+        console.log(`  Risk: ${RISK_LEVELS[riskLevel]} | KYC expires ${new Date(kycExpiry * 1000).toISOString()}`);
+        console.log(`  kycHash: ${kycHash} (${Object.keys(record.pii).length} PII fields hashed locally, nothing sent on-chain)`);
+
+        const plan = [];
+        if (await this.identity.isVerified(user)) {
+            const existing = await this.identity.kycHash(user);
+            console.log(`  ℹ️ IdentitySBT already minted${existing !== kycHash ? ` with a different kycHash ${existing}` : ''}; skipping mint`);
+        } else {
+            plan.push({ contract: this.identity, method: 'mint', args: [user, kycHash], description: `Mint IdentitySBT to ${user}` });
+        }
+
+        plan.push({
+            contract: this.registry,
+            method: 'completeKYC',
+            args: [user, jurisdiction, riskLevel, kycExpiry, record.documents || []],
+            description: `Complete KYC (${record.jurisdiction}, ${RISK_LEVELS[riskLevel]}, ${(record.documents || []).length} documents)`
+        });
+
+        if (record.screening) {
+            if (record.screening.passed === false) {
+                throw new Error(`KYC record marks ${user} as failing sanctions screening; use "compliance.js block" instead`);
+            }
+            plan.push({
+                contract: this.registry,
+                method: 'performSanctionsScreening',
+                args: [user, true, record.screening.source || CONFIG.sanctionsSource, Boolean(record.screening.pep), Boolean(record.screening.adverseMedia)],
+                description: `Record sanctions screening (${record.screening.source || CONFIG.sanctionsSource})`
+            });
+        }
+
+        const receipts = await this.execute(plan, `Onboard ${user}`);
+
+        if (!this.options.dryRun) {
+            // No PII: enough to re-derive and prove kycHash from the record on file
+            const receipt = path.join(CONFIG.receiptDir, `${user}.json`);
+            await fs.promises.mkdir(CONFIG.receiptDir, { recursive: true });
+            await fs.promises.writeFile(receipt, JSON.stringify({
+                network: this.network.name,
+                user,
+                kycHash,
+                salt,
+                jurisdiction: record.jurisdiction,
+                riskLevel: RISK_LEVELS[riskLevel],
+                kycExpiry: new Date(kycExpiry * 1000).toISOString(),
+                documents: record.documents || [],
+                transactions: receipts,
+                onboardedAt: new Date().toISOString()
+            }, null, 2) + '\n');
+            console.log(`🧾 Onboarding receipt (with kycHash salt) saved to ${receipt}`);
+        }
+    }
+
+    /**
+     * Addresses that have a ComplianceRegistry profile or an IdentitySBT
+     */
+    async knownUsers() {
+        const head = await this.provider.getBlockNumber();
+        const logs = await fetchLogs(this.provider, {
+            address: [this.network.contracts.complianceRegistry, this.network.contracts.identitySBT],
+            topics: [[
+                this.registry.interface.getEvent('UserProfileUpdated').topicHash,
+                this.identity.interface.getEvent('KYCVerified').topicHash
+            ]]
+        }, this.fromBlock, head);
+
+        return Array.from(new Set(logs.map(entry => ethers.getAddress(ethers.dataSlice(entry.topics[1], 12)))));
+    }
+
+    /**
+     * Screen addresses against a local list: matches are globally blocked,
+     * clean addresses get a passed performSanctionsScreening record
+     */
+    async screen(options = {}) {
+        const listFile = options.list || CONFIG.sanctionsListFile;
+        if (!listFile) {
+            throw new Error('No sanctions list: pass --list file or set SANCTIONS_LIST_FILE');
+        }
+
+        const sanctioned = readSanctionsList(listFile).addresses;
+        const source = options.source || CONFIG.sanctionsSource;
+        const addresses = options.addresses
+            ? (await fs.promises.readFile(options.addresses, 'utf8')).split('\n').map(line => line.trim()).filter(line => ethers.isAddress(line)).map(line => ethers.getAddress(line))
+            : await this.knownUsers();
+
+        console.log(`🔎 Screening ${addresses.length} addresses against ${sanctioned.size} entries in ${listFile} (${source})`);
+
+        const plan = [];
+        const matches = [];
+        for (const user of addresses) {
+            const blocked = await this.registry.globallyBlocked(user);
+
+            if (sanctioned.has(user.toLowerCase())) {
+                matches.push(user);
+                console.log(`  🚫 MATCH ${user}${blocked ? ' (already blocked)' : ''}`);
+                if (!blocked) {
+                    plan.push({ contract: this.registry, method: 'setGlobalBlock', args: [user, true], description: `Block ${user}: sanctions match (${source})` });
+                }
+            } else if (!options['matches-only']) {
+                plan.push({ contract: this.registry, method: 'performSanctionsScreening', args: [user, true, source, false, false], description: `Record clean screening for ${user}` });
+            }
+        }
+
+        console.log(`${matches.length === 0 ? '✅' : '❌'} ${matches.length} matches, ${addresses.length - matches.length} clean`);
+        await this.execute(plan, 'Sanctions screening');
+        return matches;
+    }
+
+    /**
+     * KYC expiring within the window (or already expired), from getUserComplianceStatus
+     */
+    async expiring(days = CONFIG.expiryWarningDays) {
+        const now = (await this.provider.getBlock('latest')).timestamp;
+        const horizon = now + days * 86400;
+        const rows = [];
+
+        for (const user of await this.knownUsers()) {
+            const status = await this.registry.getUserComplianceStatus(user);
+            const expiry = Number(status.kycExpiry);
+            if (!status.kycCompleted || expiry > horizon) continue;
+
+            rows.push({
+                user,
+                expiry,
+                expired: expiry <= now,
+                daysLeft: Math.floor((expiry - now) / 86400),
+                riskLevel: RISK_LEVELS[Number(status.riskLevel)],
+                blocked: status.blocked
+            });
+        }
+
+        return rows.sort((a, b) => a.expiry - b.expiry);
+    }
+
+    async printRisk(user) {
+        user = ethers.getAddress(user);
+        const [score, profile, status] = await Promise.all([
+            this.registry.calculateRiskScore(user),
+            this.registry.userProfiles(user),
+            this.registry.getUserComplianceStatus(user)
+        ]);
+        const jurisdiction = await this.registry.jurisdictions(profile.jurisdictionCode);
+        const calculated = RISK_LEVELS[Number(score.level)];
+        const stored = RISK_LEVELS[Number(profile.riskLevel)];
+
+        console.log(`⚖️ Risk preview for ${user}`);
+        console.log(`  calculateRiskScore: ${score.score} → ${calculated}`);
+        console.log(`  Stored risk level: ${stored}${calculated !== stored ? ' (differs from calculated score)' : ''}`);
+        console.log(`  Jurisdiction: ${fromBytes32(profile.jurisdictionCode) || 'none'} (${JURISDICTION_STATUS[Number(jurisdiction.status)]})`);
+        console.log(`  KYC: ${status.kycCompleted ? `completed, expires ${new Date(Number(status.kycExpiry) * 1000).toISOString()}` : 'not completed'}`);
+        console.log(`  Screening: sanctions ${profile.sanctionsScreened ? '✅' : '❌'} | PEP ${profile.pepScreened ? '✅' : '❌'} | adverse media ${profile.adverseMediaScreened ? '✅' : '❌'}`);
+        console.log(`  Globally blocked: ${status.blocked ? '🚫 yes' : 'no'}`);
+        for (const action of ['SUBSCRIBE', 'TRANSFER', 'REDEEM', 'PAYOUT']) {
+            console.log(`  ${action}: ${await this.registry.check(user, toBytes32(action)) ? '✅ allowed' : '❌ denied'}`);
+        }
+    }
+
+    async block(user, blocked) {
+        user = ethers.getAddress(user);
+        await this.execute([{
+            contract: this.registry,
+            method: 'setGlobalBlock',
+            args: [user, blocked],
+            description: `${blocked ? 'Block' : 'Unblock'} ${user}${this.options.reason ? `: ${this.options.reason}` : ''}`
+        }], blocked ? `Block ${user}` : `Unblock ${user}`);
+    }
+
+    async configureJurisdiction(code, options) {
+        const status = enumIndex(JURISDICTION_STATUS, options.status || 'Allowed', 'jurisdiction status');
+        const maxInvestment = options['max-usd'] !== undefined ? ethers.parseEther(String(options['max-usd'])) : ethers.MaxUint256;
+
+        await this.execute([{
+            contract: this.registry,
+            method: 'configureJurisdiction',
+            args: [toBytes32(code), status, Boolean(options.edd), maxInvestment, options.notes || ''],
+            description: `Set jurisdiction ${code} to ${JURISDICTION_STATUS[status]}`
+        }], `Jurisdiction ${code}`);
+    }
+
+    async configureAction(action, options) {
+        const flag = (name, fallback) => options[name] === undefined ? fallback : options[name] !== 'false';
+        const maxRisk = enumIndex(RISK_LEVELS, options['max-risk'] || 'Medium', 'risk level');
+
+        await this.execute([{
+            contract: this.registry,
+            method: 'configureAction',
+            args: [
+                toBytes32(action),
+                flag('enabled', true),
+                flag('kyc', true),
+                flag('sanctions', true),
+                flag('risk', true),
+                maxRisk,
+                parseInt(options.cooldown) || 0
+            ],
+            description: `Configure action ${action}`
+        }], `Action ${action}`);
+    }
+
+    /**
+     * Every compliance event from both contracts as CSV rows, oldest first
+     */
+    async exportAuditCsv(file) {
+        const head = await this.provider.getBlockNumber();
+        const logs = await fetchLogs(this.provider, {
+            address: [this.network.contracts.complianceRegistry, this.network.contracts.identitySBT]
+        }, this.fromBlock, head);
+
+        const blockTimes = new Map();
+        const rows = [['timestamp', 'block', 'tx_hash', 'contract', 'event', 'subject', 'details']];
+
+        for (const entry of logs) {
+            const contract = entry.address.toLowerCase() === this.network.contracts.identitySBT.toLowerCase() ? this.identity : this.registry;
+            const parsed = contract.interface.parseLog(entry);
+            if (!parsed) continue;
+
+            if (!blockTimes.has(entry.blockNumber)) {
+                blockTimes.set(entry.blockNumber, (await this.provider.getBlock(entry.blockNumber)).timestamp);
+            }
+
+            const { args } = parsed;
+            const details = {
+                UserProfileUpdated: () => args.updateType,
+                RiskAssessmentUpdated: () => `${RISK_LEVELS[Number(args.oldLevel)]} -> ${RISK_LEVELS[Number(args.newLevel)]}`,
+                SanctionsScreeningPerformed: () => `passed=${args.passed} source=${args.source}`,
+                JurisdictionConfigured: () => JURISDICTION_STATUS[Number(args.status)],
+                ActionConfigUpdated: () => `enabled=${args.enabled}`,
+                ComplianceViolation: () => `${fromBytes32(args.action)}: ${args.reason}`,
+                GlobalBlockStatusChanged: () => `blocked=${args.blocked}`,
+                KYCVerified: () => `tokenId=${args.tokenId} kycHash=${args.kycHash}`,
+                KYCRevoked: () => `tokenId=${args.tokenId}`
+            }[parsed.name];
+
+            const subject = args.user || (args.jurisdictionCode && fromBytes32(args.jurisdictionCode)) || (args.action && fromBytes32(args.action)) || '';
+
+            rows.push([
+                new Date(blockTimes.get(entry.blockNumber) * 1000).toISOString(),
+                entry.blockNumber,
+                entry.transactionHash,
+                this.labels.get(entry.address.toLowerCase()),
+                parsed.name,
+                subject,
+                details ? details() : ''
+            ]);
+        }
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n');
+        console.log(`📑 ${rows.length - 1} compliance events (blocks ${this.fromBlock}-${head}) exported to ${file}`);
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const target = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+    const options = parseOptions(process.argv.slice(3));
+    const tool = new ComplianceTool(resolveNetwork(options.network), {
+        dryRun: Boolean(options['dry-run']),
+        safe: options.safe,
+        from: options.from,
+        out: options.out,
+        force: Boolean(options.force),
+        reason: options.reason
+    });
+
+    const requireTarget = (usage) => {
+        if (!target) {
+            console.error(`Usage: compliance.js ${usage}`);
+            process.exit(1);
+        }
+    };
+
+    switch (command) {
+        case 'onboard':
+            requireTarget('onboard <kyc-record.json>');
+            await tool.onboard(target);
+            break;
+
+        case 'screen':
+            await tool.screen(options);
+            break;
+
+        case 'expiring': {
+            const days = options.days !== undefined ? parseInt(options.days) : CONFIG.expiryWarningDays;
+            const rows = await tool.expiring(days);
+            console.log(`⏳ ${rows.length} investors with KYC expired or expiring within ${days} days`);
+            for (const row of rows) {
+                console.log(`  ${row.expired ? '❌ EXPIRED' : `⚠️ ${row.daysLeft}d left`} ${row.user} | ${new Date(row.expiry * 1000).toISOString().slice(0, 10)} | ${row.riskLevel}${row.blocked ? ' | blocked' : ''}`);
+            }
+            break;
+        }
+
+        case 'risk':
+            requireTarget('risk <address>');
+            await tool.printRisk(target);
+            break;
+
+        case 'block':
+            requireTarget('block <address> [--unblock] [--reason text]');
+            await tool.block(target, !options.unblock);
+            break;
+
+        case 'jurisdiction':
+            requireTarget('jurisdiction <code> --status Allowed|Restricted|Prohibited [--edd] [--max-usd N] [--notes text]');
+            await tool.configureJurisdiction(target, options);
+            break;
+
+        case 'action':
+            requireTarget('action <name> [--enabled false] [--kyc false] [--sanctions false] [--risk false] [--max-risk level] [--cooldown sec]');
+            await tool.configureAction(target, options);
+            break;
+
+        case 'audit-csv':
+            await tool.exportAuditCsv(options.out || path.join(CONFIG.outputDir, `${tool.network.name}-compliance-audit-${new Date().toISOString().slice(0, 10)}.csv`));
+            break;
+
+        default:
+            console.log('Usage: compliance.js <command> [--network name] [--dry-run | --safe addr]');
+            console.log('  onboard <kyc-record.json> [--force]              Mint IdentitySBT and completeKYC (see config/kyc-record.example.json)');
+            console.log('  screen [--list file] [--addresses file] [--source name] [--matches-only]');
+            console.log('                                                   Bulk-screen against a local sanctions list');
+            console.log('  expiring [--days N]                              KYC expired or expiring soon');
+            console.log('  risk <address>                                   calculateRiskScore and action checks');
+            console.log('  block <address> [--unblock] [--reason text]      setGlobalBlock');
+            console.log('  jurisdiction <code> --status S [--edd] [--max-usd N] [--notes text]');
+            console.log('  action <name> [--enabled false] [--max-risk level] [--cooldown sec] ...');
+            console.log('  audit-csv [--out file]                           Export all compliance events');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ComplianceTool,
+    hashKycRecord
+};
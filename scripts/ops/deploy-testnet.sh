@@ -65,6 +65,11 @@ else
     exit 1
 fi
 
+# Record addresses, ABIs and deploy blocks in the deployment registry used by the ops tools
+echo
+echo "📥 Updating deployment registry..."
+node scripts/ops/deployments.js ingest --network $NETWORK
+
 # Wait for contract verification
 echo
 echo "⏳ Waiting for contract verification..."
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Deployment Registry
+ * Ingests Foundry broadcast output (Deploy, DeployExtended, DeployAddons) into a
+ * versioned manifest per network under deployments/, verifies deployed bytecode
+ * and resolves contract addresses for networks.js and every tool built on it
+ */
+
+const { ethers } = require('ethers');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { KNOWN_CHAIN_IDS, RpcPool, resolveNetwork } = require('./networks');
+const { parseOptions } = require('./cli');
+
+// Configuration
+const CONFIG = {
+    dir: process.env.DEPLOYMENTS_DIR || './deployments',
+    // Root project and the addons Foundry project
+    projects: [
+        { broadcast: './broadcast', out: './out' },
+        { broadcast: './addons/broadcast', out: './addons/out' }
+    ],
+    scripts: ['Deploy.s.sol', 'DeployExtended.s.sol', 'DeployAddons.s.sol']
+};
+
+// Contract names in broadcasts and artifacts, keyed like network.contracts
+const CONTRACT_KEYS = {
+    FTHG: 'fthgToken',
+    IdentitySBT: 'identitySBT',
+    ComplianceRegistry: 'complianceRegistry',
+    ChainlinkPriceFeeds: 'priceFeeds',
+    ReserveOracle: 'reserveOracle',
+    GatewayRouter: 'gatewayRouter',
+    SubscriptionPool: 'subscriptionPool',
+    FTHGProofOfReserves: 'proofOfReserves',
+    FTHGYieldDistributor: 'yieldDistributor',
+    FTHGPriceFeedConsumer: 'priceFeedConsumer',
+    FTHGKeepersPayout: 'keepersPayout'
+};
+
+function contractKey(name) {
+    return CONTRACT_KEYS[name] || name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function gitCommit() {
+    try {
+        return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Runtime bytecode with immutables zeroed and the trailing CBOR metadata removed,
+ * so a deployment compares equal to its build artifact
+ */
+function normalizeBytecode(code, immutableReferences = {}) {
+    let bytes = ethers.getBytes(code);
+
+    for (const references of Object.values(immutableReferences)) {
+        for (const { start, length } of references) {
+            bytes = Uint8Array.from(bytes);
+            bytes.fill(0, start, start + length);
+        }
+    }
+
+    if (bytes.length >= 2) {
+        const metadataLength = (bytes[bytes.length - 2] << 8) + bytes[bytes.length - 1] + 2;
+        if (metadataLength < bytes.length) bytes = bytes.slice(0, bytes.length - metadataLength);
+    }
+
+    return ethers.hexlify(bytes);
+}
+
+class DeploymentRegistry {
+    constructor({ dir = CONFIG.dir, projects = CONFIG.projects } = {}) {
+        this.dir = dir;
+        this.projects = projects;
+    }
+
+    file(network) {
+        return path.join(this.dir, `${network}.json`);
+    }
+
+    /**
+     * Manifest for a network, or null when it has never been ingested (sync: used while loading networks)
+     */
+    load(network) {
+        const file = this.file(network);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    async save(manifest) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const file = this.file(manifest.network);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2) + '\n');
+        await fs.promises.rename(`${file}.tmp`, file);
+        return file;
+    }
+
+    /**
+     * run-latest.json of each deploy script for a chain, in deployment order
+     */
+    findBroadcasts(chainId) {
+        const found = [];
+        for (const project of this.projects) {
+            for (const script of CONFIG.scripts) {
+                const file = path.join(project.broadcast, script, String(chainId), 'run-latest.json');
+                if (fs.existsSync(file)) found.push({ script, file, out: project.out });
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Contract creations from one broadcast, with block numbers from its receipts
+     */
+    parseBroadcast({ script, file, out }) {
+        const broadcast = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const receipts = new Map((broadcast.receipts || []).map(receipt => [receipt.transactionHash, receipt]));
+        const deployedAt = broadcast.timestamp
+            ? new Date(broadcast.timestamp > 1e12 ? broadcast.timestamp : broadcast.timestamp * 1000).toISOString()
+            : null;
+
+        const contracts = [];
+        for (const tx of broadcast.transactions || []) {
+            if (!['CREATE', 'CREATE2'].includes(tx.transactionType) || !tx.contractName || !tx.contractAddress) continue;
+
+            const receipt = receipts.get(tx.hash);
+            if (!receipt || Number(receipt.status) !== 1) continue;
+
+            contracts.push({
+                key: contractKey(tx.contractName),
+                name: tx.contractName,
+                address: ethers.getAddress(tx.contractAddress),
+                deployBlock: Number(receipt.blockNumber),
+                txHash: tx.hash,
+                script,
+                commit: broadcast.commit || null,
+                deployedAt,
+                out
+            });
+        }
+        return { chainId: Number(broadcast.chain), contracts };
+    }
+
+    /**
+     * Compiled artifact (abi + deployedBytecode) for a contract name
+     */
+    loadArtifact(name, out) {
+        const dirs = [out, ...this.projects.map(project => project.out)].filter(Boolean);
+        for (const dir of dirs) {
+            if (!fs.existsSync(dir)) continue;
+            for (const entry of fs.readdirSync(dir)) {
+                const file = path.join(dir, entry, `${name}.json`);
+                if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Merge broadcasts into the network manifest; bumps the version when any address changes
+     * @param {Object} options { network, chainId, broadcasts, provider }
+     * @returns {{ manifest, changes }}
+     */
+    async ingest({ network, chainId, broadcasts, provider }) {
+        const previous = this.load(network);
+        if (previous && previous.chainId !== chainId) {
+            throw new Error(`deployments/${network}.json is for chain ${previous.chainId}, broadcasts are for chain ${chainId}`);
+        }
+
+        const manifest = previous || { network, chainId, version: 0, updatedAt: null, contracts: {}, history: [] };
+        const changes = [];
+
+        for (const broadcast of broadcasts) {
+            const parsed = this.parseBroadcast(broadcast);
+            if (parsed.chainId && parsed.chainId !== chainId) {
+                throw new Error(`${broadcast.file} is for chain ${parsed.chainId}, expected ${chainId}`);
+            }
+
+            for (const contract of parsed.contracts) {
+                const current = manifest.contracts[contract.key];
+                if (current && current.address === contract.address) continue;
+                // Broadcasts are re-read on every ingest; never roll back to an older run
+                if (current && current.deployBlock > contract.deployBlock) continue;
+
+                const artifact = this.loadArtifact(contract.name, contract.out);
+                const code = provider ? await provider.getCode(contract.address) : null;
+                if (code === '0x') {
+                    throw new Error(`${contract.name} has no code at ${contract.address} - was the broadcast run against this chain?`);
+                }
+
+                manifest.contracts[contract.key] = {
+                    name: contract.name,
+                    address: contract.address,
+                    deployBlock: contract.deployBlock,
+                    txHash: contract.txHash,
+                    script: contract.script,
+                    commit: contract.commit,
+                    deployedAt: contract.deployedAt,
+                    codeHash: code ? ethers.keccak256(code) : null,
+                    abi: artifact ? artifact.abi : null
+                };
+                changes.push({ key: contract.key, name: contract.name, from: current ? current.address : null, to: contract.address, script: contract.script });
+            }
+        }
+
+        if (changes.length > 0) {
+            manifest.version++;
+            manifest.updatedAt = new Date().toISOString();
+            manifest.history.push({
+                version: manifest.version,
+                at: manifest.updatedAt,
+                commit: gitCommit(),
+                changes: changes.map(({ key, from, to, script }) => ({ key, from, to, script }))
+            });
+            await this.save(manifest);
+        }
+
+        return { manifest, changes };
+    }
+
+    /**
+     * Compare on-chain code with the manifest code hash and the local build artifact
+     * @returns {Array} [{ key, address, deployed, codeHashMatch, artifactMatch }] (null = could not compare)
+     */
+    async verify(manifest, provider) {
+        const results = [];
+
+        for (const [key, entry] of Object.entries(manifest.contracts)) {
+            const code = await provider.getCode(entry.address);
+            const artifact = this.loadArtifact(entry.name);
+
+            let artifactMatch = null;
+            if (artifact && artifact.deployedBytecode && artifact.deployedBytecode.object && code !== '0x') {
+                const { object, immutableReferences } = artifact.deployedBytecode;
+                artifactMatch = normalizeBytecode(code, immutableReferences) === normalizeBytecode(object, immutableReferences);
+            }
+
+            results.push({
+                key,
+                name: entry.name,
+                address: entry.address,
+                deployed: code !== '0x',
+                codeHashMatch: entry.codeHash ? ethers.keccak256(code) === entry.codeHash : null,
+                artifactMatch
+            });
+        }
+
+        return results;
+    }
+}
+
+/**
+ * Merge a network's manifest into its contracts; used by networks.js for every tool.
+ * An address configured in config/networks.json or env that disagrees with the
+ * registry is an error, so two tools can never silently watch different deployments.
+ */
+function applyDeployments(network, registry = new DeploymentRegistry()) {
+    const manifest = registry.load(network.name);
+    network.deployBlocks = {};
+    network.deployment = null;
+    if (!manifest) return network;
+
+    if (network.chainId && manifest.chainId !== network.chainId) {
+        throw new Error(`${registry.file(network.name)} is for chain ${manifest.chainId}, network ${network.name} is chain ${network.chainId}`);
+    }
+
+    for (const [key, entry] of Object.entries(manifest.contracts)) {
+        const configured = network.contracts[key];
+        if (configured && configured.toLowerCase() !== entry.address.toLowerCase()) {
+            throw new Error(
+                `${network.name} ${key}: configured ${configured} but deployment registry v${manifest.version} has ${entry.address}. ` +
+                `Remove the override or re-run: node scripts/ops/deployments.js ingest --network ${network.name}`
+            );
+        }
+        network.contracts[key] = entry.address;
+        network.deployBlocks[key] = entry.deployBlock;
+    }
+
+    network.chainId = network.chainId || manifest.chainId;
+    network.deployment = { version: manifest.version, updatedAt: manifest.updatedAt };
+    return network;
+}
+
+async function main() {
+    const command = process.argv[2];
+    const target = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+    const options = parseOptions(process.argv.slice(3));
+    const registry = new DeploymentRegistry({ dir: options.dir || CONFIG.dir });
+
+    switch (command) {
+        case 'ingest': {
+            // Ingest works before the network is usable: chain id from --chain-id or the known chains
+            const name = options.network || process.env.NETWORK || 'sepolia';
+            const chainId = parseInt(options['chain-id']) || KNOWN_CHAIN_IDS[name];
+            if (!chainId) throw new Error(`Unknown chain id for ${name}; pass --chain-id`);
+
+            const broadcasts = options.broadcast
+                ? [{ script: path.basename(path.dirname(path.dirname(options.broadcast))), file: options.broadcast }]
+                : registry.findBroadcasts(chainId);
+            if (broadcasts.length === 0) {
+                throw new Error(`No Foundry broadcasts for chain ${chainId} under ${CONFIG.projects.map(project => project.broadcast).join(', ')}`);
+            }
+
+            let pool = null;
+            if (!options['no-verify']) {
+                try {
+                    pool = new RpcPool(resolveNetwork(name));
+                } catch (error) {
+                    console.log(`⚠️ ${error.message} - recording addresses without on-chain code hashes`);
+                }
+            }
+
+            const { manifest, changes } = await registry.ingest({ network: name, chainId, broadcasts, provider: pool && pool.provider });
+            console.log(`📥 Read ${broadcasts.map(broadcast => broadcast.file).join(', ')}`);
+            if (changes.length === 0) {
+                console.log(`✅ ${registry.file(name)} already up to date (v${manifest.version})`);
+            } else {
+                console.log(`✅ ${registry.file(name)} updated to v${manifest.version}`);
+                for (const change of changes) {
+                    console.log(`  ${change.key.padEnd(20)} ${change.from ? `${change.from} → ` : ''}${change.to} (${change.script})`);
+                }
+            }
+            if (pool) pool.destroy();
+            break;
+        }
+
+        case 'verify': {
+            const network = resolveNetwork(options.network);
+            const manifest = registry.load(network.name);
+            if (!manifest) throw new Error(`No deployment manifest for ${network.name}`);
+
+            const pool = new RpcPool(network);
+            const results = await registry.verify(manifest, pool.provider);
+            pool.destroy();
+
+            const mark = value => value === null ? '—' : value ? '✅' : '❌';
+            console.log(`🔎 ${network.name} deployment v${manifest.version} (code hash / build artifact)`);
+            for (const result of results) {
+                console.log(`  ${result.deployed ? '' : '❌ NO CODE '}${result.key.padEnd(20)} ${result.address} ${mark(result.codeHashMatch)} ${mark(result.artifactMatch)}`);
+            }
+
+            const failed = results.filter(result => !result.deployed || result.codeHashMatch === false || result.artifactMatch === false);
+            process.exit(failed.length > 0 ? 1 : 0);
+            break;
+        }
+
+        case 'show': {
+            const name = options.network || process.env.NETWORK || 'sepolia';
+            const manifest = registry.load(name);
+            if (!manifest) throw new Error(`No deployment manifest for ${name}`);
+
+            console.log(`📋 ${name} (chain ${manifest.chainId}) deployment v${manifest.version}, updated ${manifest.updatedAt}`);
+            for (const [key, entry] of Object.entries(manifest.contracts)) {
+                console.log(`  ${key.padEnd(20)} ${entry.address} block ${entry.deployBlock} (${entry.script}${entry.commit ? ` @ ${entry.commit}` : ''})`);
+            }
+            break;
+        }
+
+        case 'address': {
+            // Plain output for shell scripts (health-check.sh)
+            if (!target) {
+                console.error('Usage: deployments.js address <key> [--network name]');
+                process.exit(1);
+            }
+            const manifest = registry.load(options.network || process.env.NETWORK || 'sepolia');
+            const entry = manifest && manifest.contracts[target];
+            if (!entry) process.exit(1);
+            console.log(entry.address);
+            break;
+        }
+
+        default:
+            console.log('Usage: deployments.js <command> [--network name] [--dir path]');
+            console.log('  ingest [--chain-id N] [--broadcast run.json] [--no-verify]');
+            console.log('                                Record Foundry broadcasts in deployments/<network>.json');
+            console.log('  verify                        On-chain code vs recorded code hash and build artifacts');
+            console.log('  show                          Addresses, deploy blocks and source script');
+            console.log('  address <key>                 Print one address (e.g. fthgToken)');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+// Exported before main() runs: networks.js resolves addresses through this module
+module.exports = {
+    CONTRACT_KEYS,
+    DeploymentRegistry,
+    applyDeployments,
+    normalizeBytecode
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
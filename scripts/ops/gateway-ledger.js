@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD GatewayRouter Ledger
+ * Indexes CrossChainDepositProven / CreditsWithdrawn events, rebuilds userCredits,
+ * chainTotalDeposits and totalFeeCollected, and reconciles them with on-chain state
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, resolveNetwork } = require('./networks');
+const { fetchLogs, parseOptions } = require('./cli');
+const { DEPOSIT_PROOF_TUPLE, hashDepositProof, limitsTokenId, recoverProofSigner } = require('../bridge/deposit-proof');
+
+// Configuration
+const CONFIG = {
+    fromBlock: parseInt(process.env.GATEWAY_DEPLOY_BLOCK) || 0,
+    // Index only blocks this deep so a reorg cannot rewrite the ledger
+    confirmations: process.env.GATEWAY_LEDGER_CONFIRMATIONS !== undefined ? parseInt(process.env.GATEWAY_LEDGER_CONFIRMATIONS) : 12,
+    chains: (process.env.GATEWAY_CHAINS || 'ethereum,tron,polygon').split(',').map(c => c.trim()).filter(Boolean),
+    dataDir: './data/gateway',
+    outputDir: './reports/gateway'
+};
+
+const GATEWAY_ROUTER_ABI = [
+    `function processCrossChainDeposit(${DEPOSIT_PROOF_TUPLE} proof) external`,
+    'function depositERC20(address token, uint256 amount) external',
+    'function supportedTokens(bytes32 tokenId) external view returns (address tokenAddress, uint8 decimals, string symbol, bool active, uint256 minDeposit, uint256 maxDeposit)',
+    'function getCreditBalance(address user) external view returns (uint256)',
+    'function getChainTotal(string chain) external view returns (uint256)',
+    'function totalUSDCredits() external view returns (uint256)',
+    'function totalFeeCollected() external view returns (uint256)',
+    'event CrossChainDepositProven(address indexed user, string fromChain, string fromTxHash, uint256 fromAmount, uint256 usdAmount, uint256 fee)',
+    'event CreditsWithdrawn(address indexed user, uint256 amount, address token)'
+];
+
+// receive() checks supportedTokens[keccak256("ETH_NATIVE")]
+const DIRECT_ETH_TOKEN_ID = ethers.id('ETH_NATIVE');
+
+function serialize(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2) + '\n';
+}
+
+// "0xAB.." and "ab.." name the same source transaction
+function normalizeTxHash(hash) {
+    return hash.toLowerCase().replace(/^0x/, '');
+}
+
+function usd(amount) {
+    return `$${Number(ethers.formatEther(amount)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+function mismatch(label, actual, expected) {
+    return `${label} is ${usd(actual)}, events rebuild ${usd(expected)} (off by ${ethers.formatEther(actual - expected)})`;
+}
+
+class GatewayLedger {
+    constructor(network) {
+        if (!network.contracts.gatewayRouter) {
+            throw new Error(`No gatewayRouter address configured for ${network.name} (GATEWAY_ROUTER_ADDRESS)`);
+        }
+
+        this.network = network;
+        // Env override, else the deploy block recorded in deployments/{network}.json
+        this.fromBlock = CONFIG.fromBlock || (network.deployBlocks || {}).gatewayRouter || 0;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.router = new ethers.Contract(network.contracts.gatewayRouter, GATEWAY_ROUTER_ABI, this.provider);
+        this.file = path.join(CONFIG.dataDir, `${network.name}.json`);
+    }
+
+    async load() {
+        try {
+            const ledger = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            if (ledger.router.toLowerCase() === this.network.contracts.gatewayRouter.toLowerCase()) {
+                return ledger;
+            }
+            console.log(`⚠️ Ledger ${this.file} was built for ${ledger.router}; re-indexing`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return { router: this.network.contracts.gatewayRouter, cursor: null, deposits: [], withdrawals: [] };
+    }
+
+    async save(ledger) {
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, serialize(ledger));
+        await fs.promises.rename(tmp, this.file);
+    }
+
+    /**
+     * The event carries neither the proof hash nor fromToken; recover them from the calling transaction.
+     * Calls routed through a Safe or another contract cannot be decoded and keep proof = null.
+     */
+    async decodeDeposit(entry, args) {
+        const tx = await this.provider.getTransaction(entry.transactionHash);
+        const router = this.network.contracts.gatewayRouter.toLowerCase();
+
+        if (!tx || !tx.to || tx.to.toLowerCase() !== router) {
+            return { kind: args.fromTxHash === '' ? 'direct' : 'proof', proof: null, limitsTokenId: null };
+        }
+
+        if (tx.data === '0x') {
+            return { kind: 'direct', proof: null, limitsTokenId: DIRECT_ETH_TOKEN_ID, limitsKey: 'ETH_NATIVE' };
+        }
+
+        const call = this.router.interface.parseTransaction({ data: tx.data, value: tx.value });
+
+        if (call && call.name === 'depositERC20') {
+            return {
+                kind: 'direct',
+                proof: null,
+                limitsTokenId: ethers.solidityPackedKeccak256(['string', 'address'], ['ethereum_', call.args.token]),
+                limitsKey: `ethereum_${call.args.token}`
+            };
+        }
+
+        if (call && call.name === 'processCrossChainDeposit') {
+            const proof = call.args.proof;
+            let signer = null;
+            try {
+                signer = recoverProofSigner(proof);
+            } catch (error) {
+                signer = null;
+            }
+
+            return {
+                kind: 'proof',
+                proof: {
+                    hash: hashDepositProof(proof),
+                    fromToken: proof.fromToken,
+                    usdAmount: proof.usdAmount,
+                    nonce: proof.nonce,
+                    timestamp: Number(proof.timestamp),
+                    signer
+                },
+                limitsTokenId: limitsTokenId(proof.fromChain, proof.fromToken),
+                limitsKey: `${proof.fromChain}_${proof.fromToken === ethers.ZeroAddress ? 'NATIVE' : 'TOKEN'}`
+            };
+        }
+
+        return { kind: args.fromTxHash === '' ? 'direct' : 'proof', proof: null, limitsTokenId: null };
+    }
+
+    /**
+     * Append events from confirmed blocks after the saved cursor
+     */
+    async index(options = {}) {
+        const ledger = await this.load();
+        const head = await this.provider.getBlockNumber();
+        const toBlock = head - CONFIG.confirmations;
+        const fromBlock = ledger.cursor !== null
+            ? ledger.cursor + 1
+            : (options['from-block'] !== undefined ? parseInt(options['from-block']) : this.fromBlock);
+
+        if (fromBlock > toBlock) {
+            return ledger;
+        }
+
+        const deposit = this.router.interface.getEvent('CrossChainDepositProven');
+        const withdrawal = this.router.interface.getEvent('CreditsWithdrawn');
+        const logs = await fetchLogs(this.provider, {
+            address: this.network.contracts.gatewayRouter,
+            topics: [[deposit.topicHash, withdrawal.topicHash]]
+        }, fromBlock, toBlock);
+
+        for (const entry of logs) {
+            const { name, args } = this.router.interface.parseLog(entry);
+            const base = { blockNumber: entry.blockNumber, txHash: entry.transactionHash, logIndex: entry.index, user: args.user };
+
+            if (name === 'CreditsWithdrawn') {
+                ledger.withdrawals.push(Object.assign(base, { amount: args.amount, token: args.token }));
+                continue;
+            }
+
+            ledger.deposits.push(Object.assign(base, {
+                fromChain: args.fromChain,
+                fromTxHash: args.fromTxHash,
+                fromAmount: args.fromAmount,
+                netAmount: args.usdAmount,
+                fee: args.fee
+            }, await this.decodeDeposit(entry, args)));
+        }
+
+        ledger.cursor = toBlock;
+        ledger.indexedAt = new Date().toISOString();
+        await this.save(ledger);
+
+        console.log(`📚 Indexed blocks ${fromBlock}-${toBlock}: ${logs.length} events (${ledger.deposits.length} deposits, ${ledger.withdrawals.length} withdrawals total)`);
+        return ledger;
+    }
+
+    /**
+     * Rebuild contract accounting from the ledger, mirroring GatewayRouter:
+     * every deposit adds usdAmount (net) to userCredits and fee to totalFeeCollected,
+     * only processCrossChainDeposit adds net + fee to chainTotalDeposits[fromChain]
+     */
+    rebuild(ledger) {
+        const users = new Map();
+        const chains = new Map(CONFIG.chains.map(chain => [chain, 0n]));
+        let fees = 0n;
+
+        for (const item of ledger.deposits) {
+            const user = ethers.getAddress(item.user);
+            users.set(user, (users.get(user) || 0n) + BigInt(item.netAmount));
+            fees += BigInt(item.fee);
+
+            if (item.kind === 'proof') {
+                chains.set(item.fromChain, (chains.get(item.fromChain) || 0n) + BigInt(item.netAmount) + BigInt(item.fee));
+            }
+        }
+
+        for (const item of ledger.withdrawals) {
+            const user = ethers.getAddress(item.user);
+            users.set(user, (users.get(user) || 0n) - BigInt(item.amount));
+        }
+
+        return { users, chains, fees };
+    }
+
+    /**
+     * Proofs for the same source transaction under different proof hashes
+     * (processedProofs blocks only identical hashes, so a new nonce or timestamp replays a deposit)
+     */
+    findDuplicates(ledger) {
+        const groups = new Map();
+        for (const item of ledger.deposits) {
+            if (item.kind !== 'proof' || item.fromTxHash === '') continue;
+
+            const key = `${item.fromChain}:${normalizeTxHash(item.fromTxHash)}`;
+            groups.set(key, (groups.get(key) || []).concat(item));
+        }
+
+        return Array.from(groups.entries())
+            .filter(([, items]) => items.length > 1)
+            .map(([key, items]) => ({
+                key,
+                count: items.length,
+                totalNet: items.reduce((sum, item) => sum + BigInt(item.netAmount), 0n),
+                deposits: items.map(item => ({
+                    txHash: item.txHash,
+                    blockNumber: item.blockNumber,
+                    user: item.user,
+                    fromTxHash: item.fromTxHash,
+                    netAmount: item.netAmount,
+                    proofHash: item.proof ? item.proof.hash : null,
+                    nonce: item.proof ? item.proof.nonce : null
+                }))
+            }));
+    }
+
+    /**
+     * Deposits outside the current supportedTokens bounds for their limits key
+     */
+    async findOutOfBounds(ledger, blockTag) {
+        const configs = new Map();
+        const findings = [];
+        const unbounded = new Map();
+
+        for (const item of ledger.deposits) {
+            if (!item.limitsTokenId) continue;
+
+            if (!configs.has(item.limitsTokenId)) {
+                configs.set(item.limitsTokenId, await this.router.supportedTokens(item.limitsTokenId, { blockTag }));
+            }
+            const config = configs.get(item.limitsTokenId);
+            const amount = BigInt(item.fromAmount);
+
+            // GatewayRouter skips the bounds check when the limits key is not active
+            if (!config.active) {
+                unbounded.set(item.limitsKey, (unbounded.get(item.limitsKey) || 0) + 1);
+                continue;
+            }
+
+            if (amount < config.minDeposit || amount > config.maxDeposit) {
+                findings.push({
+                    txHash: item.txHash,
+                    user: item.user,
+                    fromChain: item.fromChain,
+                    fromTxHash: item.fromTxHash,
+                    fromAmount: amount,
+                    symbol: config.symbol,
+                    minDeposit: config.minDeposit,
+                    maxDeposit: config.maxDeposit,
+                    issue: amount < config.minDeposit ? 'below minDeposit' : 'above maxDeposit'
+                });
+            }
+        }
+
+        return {
+            findings,
+            unbounded: Array.from(unbounded.entries()).map(([key, count]) => ({ key, count }))
+        };
+    }
+
+    /**
+     * Index, rebuild and compare with on-chain state at the indexed block
+     */
+    async reconcile(options = {}) {
+        const ledger = await this.index(options);
+        if (ledger.cursor === null) {
+            throw new Error(`No confirmed blocks to index yet (confirmations ${CONFIG.confirmations})`);
+        }
+
+        const blockTag = ledger.cursor;
+        const rebuilt = this.rebuild(ledger);
+        const mismatches = [];
+        const warnings = [];
+
+        const userRows = [];
+        for (const [user, expected] of rebuilt.users) {
+            const actual = await this.router.getCreditBalance(user, { blockTag });
+            userRows.push({ user, expected, actual });
+            if (actual !== expected) {
+                mismatches.push(mismatch(`userCredits[${user}]`, actual, expected));
+            }
+        }
+
+        const chainRows = [];
+        for (const [chain, expected] of rebuilt.chains) {
+            const actual = await this.router.getChainTotal(chain, { blockTag });
+            chainRows.push({ chain, expected, actual });
+            if (actual !== expected) {
+                mismatches.push(mismatch(`chainTotalDeposits[${chain}]`, actual, expected));
+            }
+        }
+
+        const expectedCredits = Array.from(rebuilt.users.values()).reduce((sum, amount) => sum + amount, 0n);
+        const totalUSDCredits = await this.router.totalUSDCredits({ blockTag });
+        if (totalUSDCredits !== expectedCredits) {
+            mismatches.push(mismatch('totalUSDCredits', totalUSDCredits, expectedCredits));
+        }
+
+        // withdrawFees emits no event, so the on-chain total may only be lower than the rebuilt one
+        const totalFeeCollected = await this.router.totalFeeCollected({ blockTag });
+        const feesWithdrawn = rebuilt.fees - totalFeeCollected;
+        if (feesWithdrawn < 0n) {
+            mismatches.push(`totalFeeCollected is ${usd(totalFeeCollected)}, more than the ${usd(rebuilt.fees)} of fees in events`);
+        } else if (feesWithdrawn > 0n) {
+            warnings.push(`${usd(feesWithdrawn)} of fees not in totalFeeCollected; expected only if withdrawFees was called (it emits no event)`);
+        }
+
+        const undecoded = ledger.deposits.filter(item => item.kind === 'proof' && !item.proof).length;
+        if (undecoded > 0) {
+            warnings.push(`${undecoded} proof deposits were not direct router calls; their proof hashes and bounds could not be checked`);
+        }
+
+        const duplicates = this.findDuplicates(ledger);
+        const bounds = await this.findOutOfBounds(ledger, blockTag);
+        for (const item of bounds.unbounded) {
+            warnings.push(`${item.count} deposits under limits key ${item.key} have no active supportedTokens bounds`);
+        }
+
+        const report = {
+            network: this.network.name,
+            router: this.network.contracts.gatewayRouter,
+            blockNumber: blockTag,
+            deposits: ledger.deposits.length,
+            withdrawals: ledger.withdrawals.length,
+            totals: {
+                totalUSDCredits: { expected: expectedCredits, actual: totalUSDCredits },
+                totalFeeCollected: { indexed: rebuilt.fees, actual: totalFeeCollected, withdrawn: feesWithdrawn > 0n ? feesWithdrawn : 0n }
+            },
+            users: userRows,
+            chains: chainRows,
+            mismatches,
+            duplicates,
+            outOfBounds: bounds.findings,
+            warnings,
+            ok: mismatches.length === 0 && duplicates.length === 0 && bounds.findings.length === 0,
+            generatedAt: new Date().toISOString()
+        };
+
+        this.printReconciliation(report);
+
+        const file = options.out || path.join(CONFIG.outputDir, `${this.network.name}-reconciliation-${report.generatedAt.slice(0, 10)}.json`);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, serialize(report));
+        console.log(`Report saved to: ${file}`);
+
+        return report;
+    }
+
+    printReconciliation(report) {
+        console.log(`🧾 GatewayRouter ${report.router} reconciliation (${report.network}) at block ${report.blockNumber}`);
+        console.log(`Deposits: ${report.deposits} | Withdrawals: ${report.withdrawals} | Users: ${report.users.length}`);
+        console.log(`Credits: ${usd(report.totals.totalUSDCredits.actual)} | Fees: ${usd(report.totals.totalFeeCollected.actual)} (${usd(report.totals.totalFeeCollected.indexed)} indexed)`);
+        for (const row of report.chains) {
+            console.log(`  ${row.actual === row.expected ? '✅' : '❌'} ${row.chain}: ${usd(row.actual)} on-chain, ${usd(row.expected)} from events`);
+        }
+
+        for (const mismatch of report.mismatches) {
+            console.log(`  ❌ MISMATCH ${mismatch}`);
+        }
+        for (const duplicate of report.duplicates) {
+            console.log(`  ❌ REPLAY ${duplicate.key} credited ${duplicate.count} times (${usd(duplicate.totalNet)}) under proofs ${duplicate.deposits.map(item => item.proofHash || item.txHash).join(', ')}`);
+        }
+        for (const item of report.outOfBounds) {
+            console.log(`  ❌ BOUNDS ${item.txHash}: ${item.fromAmount} ${item.symbol} from ${item.fromChain} ${item.issue} (${item.minDeposit}-${item.maxDeposit})`);
+        }
+        for (const warning of report.warnings) {
+            console.log(`  ⚠️ ${warning}`);
+        }
+
+        console.log(report.ok ? '✅ Ledger reconciles with on-chain state' : '❌ Reconciliation found issues');
+    }
+
+    async printDeposits(options = {}) {
+        const ledger = await this.load();
+        const user = options.user ? ethers.getAddress(options.user) : null;
+        const rows = ledger.deposits.filter(item => (!user || ethers.getAddress(item.user) === user) && (!options.chain || item.fromChain === options.chain));
+
+        console.log(`🌉 ${rows.length} deposits indexed to block ${ledger.cursor} (${this.network.name})`);
+        for (const item of rows.slice(-(parseInt(options.limit) || 50))) {
+            console.log(`  #${item.blockNumber} ${item.user} ${item.fromChain} ${item.fromTxHash || '(direct)'} → ${usd(BigInt(item.netAmount))} + ${usd(BigInt(item.fee))} fee${item.proof ? ` | nonce ${item.proof.nonce}` : ''}`);
+        }
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+    const ledger = new GatewayLedger(resolveNetwork(options.network));
+
+    switch (command) {
+        case 'index':
+            await ledger.index(options);
+            break;
+
+        case 'reconcile': {
+            const report = await ledger.reconcile(options);
+            process.exit(report.ok ? 0 : 1);
+            break;
+        }
+
+        case 'deposits':
+            await ledger.printDeposits(options);
+            break;
+
+        default:
+            console.log('Usage: gateway-ledger.js <command> [--network name]');
+            console.log('  index     [--from-block N]                  Index new CrossChainDepositProven / CreditsWithdrawn events');
+            console.log('  reconcile [--from-block N] [--out file]     Rebuild credits, chain totals and fees; flag mismatches, replays and bounds');
+            console.log('  deposits  [--user addr] [--chain name] [--limit N]');
+            console.log('                                              List indexed deposits');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = GatewayLedger;
@@ -39,13 +39,13 @@ else
     echo "✅ RPC connected - Latest block: $LATEST_BLOCK"
 fi
 
-# Check contract deployments (if deployment file exists)
-DEPLOYMENT_FILE="deployments/latest.md"
-if [ -f "$DEPLOYMENT_FILE" ]; then
+# Check contract deployments (from the deployment registry, deployments/<network>.json)
+DEPLOYMENT_FILE="${DEPLOYMENTS_DIR:-deployments}/$NETWORK.json"
+if [ -f "$DEPLOYMENT_FILE" ] && command -v node >/dev/null 2>&1; then
     echo
     echo "📋 Checking contract deployments..."
     
-    FTHG_ADDRESS=$(grep "FTHG Token:" "$DEPLOYMENT_FILE" | cut -d' ' -f3)
+    FTHG_ADDRESS=$(node scripts/ops/deployments.js address fthgToken --network "$NETWORK" 2>/dev/null || true)
     if [ -n "$FTHG_ADDRESS" ]; then
         echo "FTHG Token: $FTHG_ADDRESS"
         
@@ -65,9 +65,14 @@ if [ -f "$DEPLOYMENT_FILE" ]; then
             echo "  Symbol: $SYMBOL" 
             echo "  Total Supply: $(cast to-dec $TOTAL_SUPPLY) tokens"
         fi
+    else
+        echo "⚠️  No fthgToken in $DEPLOYMENT_FILE"
     fi
+
+    # Bytecode of every registered contract against the manifest and build artifacts
+    node scripts/ops/deployments.js verify --network "$NETWORK" || echo "⚠️  Deployment bytecode verification failed"
 else
-    echo "ℹ️  No deployment file found - run deployment first"
+    echo "ℹ️  No deployment registry for $NETWORK - run: node scripts/ops/deployments.js ingest --network $NETWORK"
 fi
 
 # Check environment configuration
@@ -93,6 +98,15 @@ else
     echo "⚠️  USDT address not configured"
 fi
 
+# Contract health checks (ProofOfReserves, YieldDistributor, GatewayRouter, SubscriptionPool)
+echo
+echo "🩺 Contract Health Checks:"
+if command -v node >/dev/null 2>&1; then
+    node scripts/ops/monitor-coverage.js checks || echo "⚠️  Contract health checks failed"
+else
+    echo "⚠️  Node.js not installed - skipping contract health checks"
+fi
+
 # System resource checks
 echo
 echo "💻 System Resources:"
@@ -0,0 +1,142 @@
+/**
+ * FTH-GOLD Monitor HTTP Endpoint
+ * Serves Prometheus /metrics plus /healthz, /status, /status/public and /status/history JSON for the coverage monitor
+ */
+
+const http = require('http');
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render metric definitions in Prometheus text exposition format
+ * @param {Array} metrics [{ name, help, type, samples: [{ labels, value }] }]
+ */
+function renderMetrics(metrics) {
+    const lines = [];
+
+    for (const metric of metrics) {
+        const samples = metric.samples.filter(sample => sample.value !== null && sample.value !== undefined && !Number.isNaN(sample.value));
+        if (samples.length === 0) continue;
+
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const sample of samples) {
+            const labels = Object.entries(sample.labels || {})
+                .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+                .join(',');
+            lines.push(`${metric.name}${labels ? `{${labels}}` : ''} ${Number(sample.value)}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Merge metric definitions from several sources, combining samples of metrics with the same name
+ */
+function mergeMetrics(metricLists) {
+    const merged = new Map();
+
+    for (const metric of metricLists.flat()) {
+        const existing = merged.get(metric.name);
+        if (existing) {
+            existing.samples = existing.samples.concat(metric.samples);
+        } else {
+            merged.set(metric.name, Object.assign({}, metric, { samples: metric.samples.slice() }));
+        }
+    }
+
+    return Array.from(merged.values());
+}
+
+class MetricsServer {
+    /**
+     * @param {Object} options
+     * @param {number} options.port
+     * @param {string} options.host
+     * @param {Function} options.metrics () => metric definitions
+     * @param {Function} options.health  () => { healthy, ... }
+     * @param {Function} options.status  () => status object
+     * @param {Function} options.publicStatus () => status safe to publish (website)
+     * @param {Function} options.publicHistory ({ days }) => Promise of daily coverage history (website chart)
+     */
+    constructor({ port, host = '0.0.0.0', metrics, health, status, publicStatus, publicHistory }) {
+        this.port = port;
+        this.host = host;
+        this.handlers = { metrics, health, status, publicStatus, publicHistory };
+        this.server = null;
+    }
+
+    async handle(req, res) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Allow': 'GET' });
+            return res.end();
+        }
+
+        try {
+            switch (pathname) {
+                case '/metrics':
+                    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                    return res.end(renderMetrics(this.handlers.metrics()));
+
+                case '/healthz': {
+                    const health = this.handlers.health();
+                    return this.json(res, health.healthy ? 200 : 503, health);
+                }
+
+                case '/status':
+                    return this.json(res, 200, this.handlers.status());
+
+                case '/status/public':
+                    return this.handlers.publicStatus
+                        ? this.json(res, 200, this.handlers.publicStatus())
+                        : this.json(res, 404, { error: 'Not found' });
+
+                case '/status/history':
+                    return this.handlers.publicHistory
+                        ? this.json(res, 200, await this.handlers.publicHistory({ days: parseInt(searchParams.get('days')) || undefined }))
+                        : this.json(res, 404, { error: 'Not found' });
+
+                default:
+                    return this.json(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            return this.json(res, 500, { error: error.message });
+        }
+    }
+
+    json(res, statusCode, body) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = {
+    MetricsServer,
+    mergeMetrics,
+    renderMetrics
+};
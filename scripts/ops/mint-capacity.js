@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Mint Capacity
+ * Maximum FTHG issuance the ReserveOracle coverage floor allows, post-issuance
+ * coverage for a proposed mint or maturity batch, and floor-checked mint transactions
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, resolveNetwork } = require('./networks');
+const { parseOptions } = require('./cli');
+const { buildSafeBatch, writeSafeBatch } = require('./safe-tx');
+const { goldValueUSD } = require('./nav');
+
+// Configuration
+const CONFIG = {
+    warningThresholdBps: parseInt(process.env.COVERAGE_WARNING_BPS) || 10200, // 102%
+    oracleStaleSec: parseInt(process.env.ORACLE_STALE_CRITICAL_SEC) || 86400,
+    // Safe holding MINTER_ROLE on FTHG
+    safeAddress: process.env.MINTER_MULTISIG || process.env.ADMIN_MULTISIG,
+    outputDir: './reports/mint'
+};
+
+const BPS = 10000n;
+
+const RESERVE_ORACLE_ABI = [
+    'function getLatestData() external view returns (tuple(uint256 goldReservesKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp, address source))',
+    'function coverageFloorBps() external view returns (uint256)'
+];
+
+const PRICE_FEEDS_ABI = [
+    'function getGoldPriceUSD() external view returns (uint256 price, uint256 timestamp)'
+];
+
+const FTHG_ABI = [
+    'function totalSupply() external view returns (uint256)',
+    'function mint(address to, uint256 amount) external',
+    'function paused() external view returns (bool)'
+];
+
+const SUBSCRIPTION_POOL_ABI = [
+    'function fthgToken() external view returns (address)',
+    'function entryPriceUSD() external view returns (uint256)',
+    'function totalKGAllocated() external view returns (uint256)',
+    'function userSubscriptions(address user, uint256 index) external view returns (address user, uint256 depositAmount, uint256 kgAllocated, uint8 lockMode, uint256 cliffEnd, uint256 fiveYearEnd, bool matured, uint256 subscriptionTime)',
+    'function batchMatureSubscriptions(address[] users, uint256[] subscriptionIds) external'
+];
+
+/**
+ * Coverage in bps exactly as ReserveOracle computes it (integer division)
+ */
+function coverageBps(goldKG, tokensIssued) {
+    return tokensIssued === 0n ? ethers.MaxUint256 : (goldKG * BPS) / tokensIssued;
+}
+
+/**
+ * Largest issuance m with coverageBps(goldKG, tokensIssued + m) >= floorBps
+ */
+function maxIssuance(goldKG, tokensIssued, floorBps) {
+    if (floorBps === 0n) return ethers.MaxUint256;
+    const ceiling = (goldKG * BPS) / floorBps;
+    return ceiling > tokensIssued ? ceiling - tokensIssued : 0n;
+}
+
+/**
+ * Capacity from reserve data; all amounts in 1e18 kg (1 FTHG = 1 kg)
+ * @param {Object} data { goldKG, tokensIssued, floorBps, warningBps, committed }
+ */
+function computeCapacity({ goldKG, tokensIssued, floorBps, warningBps = floorBps, committed = 0n }) {
+    const maxMintable = maxIssuance(goldKG, tokensIssued, floorBps);
+    const current = coverageBps(goldKG, tokensIssued);
+
+    return {
+        goldKG,
+        tokensIssued,
+        floorBps,
+        warningBps,
+        coverageBps: current,
+        headroomBps: current === ethers.MaxUint256 ? null : current - floorBps,
+        maxMintable,
+        maxMintableAtWarning: maxIssuance(goldKG, tokensIssued, warningBps),
+        // Allocations that will be minted on maturity already use part of the capacity
+        committed,
+        availableForSubscriptions: maxMintable > committed ? maxMintable - committed : 0n
+    };
+}
+
+/**
+ * Post-issuance coverage for minting `amount` on top of the capacity snapshot
+ */
+function simulateIssuance(capacity, amount) {
+    const after = coverageBps(capacity.goldKG, capacity.tokensIssued + amount);
+    return {
+        amount,
+        tokensAfter: capacity.tokensIssued + amount,
+        coverageAfterBps: after,
+        breach: after < capacity.floorBps,
+        belowWarning: after < capacity.warningBps,
+        remaining: capacity.maxMintable > amount ? capacity.maxMintable - amount : 0n
+    };
+}
+
+function formatBps(bps) {
+    return bps === ethers.MaxUint256 ? '∞' : `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+function formatKG(amount) {
+    return `${ethers.formatEther(amount)} kg`;
+}
+
+function formatUSD(amount) {
+    return `$${Number(ethers.formatEther(amount)).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+}
+
+function serialize(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2) + '\n';
+}
+
+class MintCapacity {
+    constructor(network) {
+        if (!network.contracts.reserveOracle) {
+            throw new Error(`No reserveOracle address configured for ${network.name} (RESERVE_ORACLE_ADDRESS)`);
+        }
+
+        this.network = network;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.reserveOracle = new ethers.Contract(network.contracts.reserveOracle, RESERVE_ORACLE_ABI, this.provider);
+        this.priceFeeds = network.contracts.priceFeeds
+            ? new ethers.Contract(network.contracts.priceFeeds, PRICE_FEEDS_ABI, this.provider)
+            : null;
+        this.pool = network.contracts.subscriptionPool
+            ? new ethers.Contract(network.contracts.subscriptionPool, SUBSCRIPTION_POOL_ABI, this.provider)
+            : null;
+        this.token = null;
+    }
+
+    async initialize() {
+        const address = this.network.contracts.fthgToken || (this.pool && await this.pool.fthgToken());
+        if (address) {
+            this.token = new ethers.Contract(address, FTHG_ABI, this.provider);
+        }
+    }
+
+    /**
+     * Capacity snapshot plus the oracle age, gold price and subscription context around it
+     */
+    async read() {
+        if (!this.token && (this.network.contracts.fthgToken || this.pool)) {
+            await this.initialize();
+        }
+
+        const block = await this.provider.getBlock('latest');
+        const data = await this.reserveOracle.getLatestData();
+        const floorBps = await this.reserveOracle.coverageFloorBps();
+        const supply = this.token ? await this.token.totalSupply() : null;
+
+        // Sources can lag actual issuance; never count fewer tokens than exist
+        const tokensIssued = supply !== null && supply > data.tokensIssued ? supply : data.tokensIssued;
+
+        let committed = 0n;
+        let entryPriceUSD = null;
+        if (this.pool) {
+            entryPriceUSD = await this.pool.entryPriceUSD();
+            if (supply !== null) {
+                const allocated = await this.pool.totalKGAllocated();
+                committed = allocated > supply ? allocated - supply : 0n;
+            }
+        }
+
+        const capacity = computeCapacity({
+            goldKG: data.goldReservesKG,
+            tokensIssued,
+            floorBps,
+            warningBps: BigInt(CONFIG.warningThresholdBps),
+            committed
+        });
+
+        let goldPrice = null;
+        if (this.priceFeeds) {
+            try {
+                const [price, timestamp] = await this.priceFeeds.getGoldPriceUSD();
+                goldPrice = { perOz: price, timestamp: Number(timestamp) };
+            } catch (error) {
+                goldPrice = { error: error.revert ? error.revert.name : (error.shortMessage || error.message) };
+            }
+        }
+
+        return {
+            network: this.network.name,
+            blockNumber: block.number,
+            oracle: {
+                coverageBps: data.coverageRatio,
+                goldKG: data.goldReservesKG,
+                tokensIssued: data.tokensIssued,
+                timestamp: Number(data.timestamp),
+                ageSec: block.timestamp - Number(data.timestamp),
+                stale: data.timestamp === 0n || block.timestamp - Number(data.timestamp) > CONFIG.oracleStaleSec
+            },
+            totalSupply: supply,
+            entryPriceUSD,
+            goldPrice,
+            capacity
+        };
+    }
+
+    /**
+     * USD value of an amount of kg at the gold spot price (1e18 USD), or null without a price
+     */
+    valueUSD(snapshot, kg) {
+        if (!snapshot.goldPrice || snapshot.goldPrice.perOz === undefined) return null;
+        return goldValueUSD(kg, snapshot.goldPrice.perOz);
+    }
+
+    printCapacity(snapshot) {
+        const { capacity, oracle } = snapshot;
+        const withValue = kg => {
+            const value = this.valueUSD(snapshot, kg);
+            return value === null ? formatKG(kg) : `${formatKG(kg)} (${formatUSD(value)} at spot)`;
+        };
+
+        console.log(`⚖️ FTHG Mint Capacity (${snapshot.network}, block ${snapshot.blockNumber})`);
+        console.log('='.repeat(50));
+        console.log(`Gold reserves: ${withValue(capacity.goldKG)}`);
+        console.log(`Tokens issued: ${formatKG(capacity.tokensIssued)}${snapshot.totalSupply !== null && snapshot.totalSupply > oracle.tokensIssued ? ` (FTHG totalSupply; oracle reports ${formatKG(oracle.tokensIssued)})` : ''}`);
+        console.log(`Coverage: ${formatBps(capacity.coverageBps)} | Floor: ${formatBps(capacity.floorBps)} | Warning: ${formatBps(capacity.warningBps)}`);
+        console.log(`Oracle data: ${oracle.timestamp ? new Date(oracle.timestamp * 1000).toISOString() : 'never updated'}${oracle.stale ? ' ⚠️ STALE' : ''}`);
+
+        if (snapshot.goldPrice) {
+            console.log(snapshot.goldPrice.error
+                ? `Gold price: unavailable (${snapshot.goldPrice.error})`
+                : `Gold price: $${ethers.formatUnits(snapshot.goldPrice.perOz, 8)}/oz (${new Date(snapshot.goldPrice.timestamp * 1000).toISOString()})`);
+        }
+
+        console.log('');
+        console.log(`Max mintable at floor: ${withValue(capacity.maxMintable)}`);
+        console.log(`Max mintable above warning: ${withValue(capacity.maxMintableAtWarning)}`);
+        console.log(`Headroom before breach: ${capacity.headroomBps === null ? 'no tokens issued' : formatBps(capacity.headroomBps)}`);
+
+        if (snapshot.entryPriceUSD !== null) {
+            console.log(`Unmatured allocations: ${formatKG(capacity.committed)}`);
+            console.log(`Available for new subscriptions: ${formatKG(capacity.availableForSubscriptions)} (${formatUSD(capacity.availableForSubscriptions * snapshot.entryPriceUSD / ethers.WeiPerEther)} at entry price)`);
+        }
+    }
+
+    printSimulation(snapshot, result, label) {
+        const status = result.breach ? '❌ BREACH' : result.belowWarning ? '⚠️ below warning' : '✅ healthy';
+
+        console.log(`\n🧪 ${label}: ${formatKG(result.amount)}`);
+        console.log(`  Coverage: ${formatBps(snapshot.capacity.coverageBps)} → ${formatBps(result.coverageAfterBps)} ${status}`);
+        console.log(`  Tokens issued: ${formatKG(snapshot.capacity.tokensIssued)} → ${formatKG(result.tokensAfter)}`);
+        console.log(result.breach
+            ? `  Exceeds capacity by ${formatKG(result.amount - snapshot.capacity.maxMintable)}`
+            : `  Capacity left after issuance: ${formatKG(result.remaining)}`);
+    }
+
+    /**
+     * kg a batchMatureSubscriptions call would mint, skipping matured or out-of-range ids like the pool does
+     */
+    async batchIssuance(users, ids) {
+        if (!this.pool) {
+            throw new Error(`No subscriptionPool address configured for ${this.network.name} (SUBSCRIPTION_POOL_ADDRESS)`);
+        }
+
+        const now = (await this.provider.getBlock('latest')).timestamp;
+        let total = 0n;
+        for (let i = 0; i < users.length; i++) {
+            try {
+                const sub = await this.pool.userSubscriptions(users[i], ids[i]);
+                if (!sub.matured && now >= Number(sub.cliffEnd)) total += sub.kgAllocated;
+            } catch (error) {
+                // Out-of-range ids are skipped by the pool too
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Issuance proposed by a Safe batch file: FTHG.mint and batchMatureSubscriptions calls
+     */
+    async fileIssuance(file) {
+        const batch = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        let total = 0n;
+
+        for (const tx of batch.transactions || []) {
+            const to = tx.to.toLowerCase();
+            if (this.token && to === (await this.token.getAddress()).toLowerCase()) {
+                const parsed = this.token.interface.parseTransaction({ data: tx.data });
+                if (parsed && parsed.name === 'mint') total += parsed.args.amount;
+            } else if (this.pool && to === this.network.contracts.subscriptionPool.toLowerCase()) {
+                const parsed = this.pool.interface.parseTransaction({ data: tx.data });
+                if (parsed && parsed.name === 'batchMatureSubscriptions') {
+                    total += await this.batchIssuance(parsed.args.users, parsed.args.subscriptionIds);
+                }
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Throws unless `amount` keeps coverage at or above the floor on fresh oracle data
+     */
+    assertWithinCapacity(snapshot, amount, { force = false } = {}) {
+        if (snapshot.oracle.stale && !force) {
+            throw new Error(`ReserveOracle data is stale (${Math.floor(snapshot.oracle.ageSec / 3600)}h old); capacity cannot be trusted, pass --force to override`);
+        }
+
+        const result = simulateIssuance(snapshot.capacity, amount);
+        if (result.breach) {
+            throw new Error(`Refusing to issue ${formatKG(amount)}: coverage would fall to ${formatBps(result.coverageAfterBps)}, below the ${formatBps(snapshot.capacity.floorBps)} floor (max ${formatKG(snapshot.capacity.maxMintable)})`);
+        }
+        return result;
+    }
+
+    /**
+     * Unsigned FTHG.mint Safe batch, only when the mint keeps coverage at or above the floor
+     */
+    async proposeMint(to, amount, options = {}) {
+        const snapshot = await this.read();
+        if (!this.token) {
+            throw new Error(`No FTHG token configured for ${this.network.name} (FTHG_TOKEN_ADDRESS or SUBSCRIPTION_POOL_ADDRESS)`);
+        }
+
+        const recipient = ethers.getAddress(to);
+        this.printCapacity(snapshot);
+        const result = this.assertWithinCapacity(snapshot, amount, options);
+        this.printSimulation(snapshot, result, `Mint to ${recipient}`);
+
+        if (result.belowWarning) {
+            console.log(`  ⚠️ Post-issuance coverage is below the ${formatBps(snapshot.capacity.warningBps)} warning threshold`);
+        }
+        if (await this.token.paused()) {
+            console.log('  ⚠️ FTHG is paused; mint will revert until unpaused');
+        }
+
+        const tokenAddress = await this.token.getAddress();
+        const data = this.token.interface.encodeFunctionData('mint', [recipient, amount]);
+        const description = `Mint ${formatKG(amount)} FTHG to ${recipient}, coverage ${formatBps(snapshot.capacity.coverageBps)} → ${formatBps(result.coverageAfterBps)}`;
+
+        console.log(`\n📋 FTHG.mint(${recipient}, ${amount})`);
+        console.log(`  to ${tokenAddress} data ${data}`);
+
+        const safeAddress = options.safe || CONFIG.safeAddress;
+        if (!safeAddress) {
+            console.log('  ℹ️ Pass --safe <address> (or set MINTER_MULTISIG) to write a Safe batch');
+            return null;
+        }
+
+        const file = options.out || path.join(CONFIG.outputDir, `${this.network.name}-mint-${recipient.slice(2, 10).toLowerCase()}-${Date.now()}.json`);
+        await writeSafeBatch(file, buildSafeBatch({
+            chainId: this.network.chainId || Number((await this.provider.getNetwork()).chainId),
+            safeAddress,
+            name: 'FTHG mint',
+            description,
+            transactions: [{ to: tokenAddress, data, description }]
+        }));
+        console.log(`📝 Unsigned Safe batch written to ${file} (capacity checked at block ${snapshot.blockNumber})`);
+        return file;
+    }
+}
+
+/**
+ * "12.5" kg, or --usd converted at the pool entry price
+ */
+async function resolveAmount(tool, options) {
+    if (options.amount !== undefined) return ethers.parseEther(String(options.amount));
+    if (options.usd !== undefined) {
+        if (!tool.pool) throw new Error('--usd needs SUBSCRIPTION_POOL_ADDRESS for the entry price');
+        return (ethers.parseEther(String(options.usd)) * ethers.WeiPerEther) / await tool.pool.entryPriceUSD();
+    }
+    return null;
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2] || 'capacity';
+    const options = parseOptions(process.argv.slice(3));
+    const tool = new MintCapacity(resolveNetwork(options.network));
+
+    switch (command) {
+        case 'capacity': {
+            const snapshot = await tool.read();
+            if (options.json) {
+                process.stdout.write(serialize(snapshot));
+            } else {
+                tool.printCapacity(snapshot);
+            }
+            break;
+        }
+
+        case 'simulate': {
+            let amount = await resolveAmount(tool, options);
+            let label = options.usd !== undefined ? `Subscriptions of ${formatUSD(ethers.parseEther(String(options.usd)))}` : 'Mint';
+
+            if (options.batch) {
+                await tool.initialize();
+                amount = await tool.fileIssuance(options.batch);
+                label = `Batch ${options.batch}`;
+            }
+            if (amount === null) {
+                console.error('Usage: mint-capacity.js simulate --amount <kg> | --usd <amount> | --batch <safe-batch.json>');
+                process.exit(1);
+            }
+
+            const snapshot = await tool.read();
+            const result = simulateIssuance(snapshot.capacity, amount);
+            tool.printCapacity(snapshot);
+            tool.printSimulation(snapshot, result, label);
+            process.exit(result.breach ? 1 : 0);
+            break;
+        }
+
+        case 'mint': {
+            const amount = await resolveAmount(tool, options);
+            if (!options.to || amount === null) {
+                console.error('Usage: mint-capacity.js mint --to <address> --amount <kg> [--safe addr] [--out file] [--force]');
+                process.exit(1);
+            }
+            await tool.proposeMint(options.to, amount, { safe: options.safe, out: options.out, force: Boolean(options.force) });
+            break;
+        }
+
+        default:
+            console.log('Usage: mint-capacity.js <command> [--network name]');
+            console.log('  capacity [--json]                                  Max mintable before the coverage floor');
+            console.log('  simulate --amount kg | --usd amount | --batch file Post-issuance coverage (exit 1 on breach)');
+            console.log('  mint --to addr --amount kg [--safe addr] [--force] FTHG.mint Safe batch, refused on breach');
+            process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MintCapacity,
+    computeCapacity,
+    coverageBps,
+    maxIssuance,
+    simulateIssuance
+};
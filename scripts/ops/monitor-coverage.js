@@ -13,46 +13,140 @@ const path = require('path');
 require('dotenv').config();
 
 // Configuration
+// Network, RPC endpoints and contract addresses come from ./networks (config/networks.json or env)
 const CONFIG = {
-    network: process.env.NETWORK || 'sepolia',
-    rpcUrl: process.env.RPC_SEPOLIA,
-    reserveOracleAddress: process.env.RESERVE_ORACLE_ADDRESS,
     coverageFloorBps: parseInt(process.env.COVERAGE_FLOOR_BPS) || 10000, // 100%
     warningThresholdBps: parseInt(process.env.COVERAGE_WARNING_BPS) || 10200, // 102%
     checkIntervalMs: 60000, // 1 minute
-    alertWebhook: process.env.DISCORD_WEBHOOK || process.env.SLACK_WEBHOOK,
-    logFile: './logs/coverage-monitor.log'
+    mode: process.env.MONITOR_MODE || 'events', // 'events' or 'poll'
+    eventStallMs: parseInt(process.env.EVENT_STALL_MS) || 180000, // 3 minutes without blocks => poll
+    backfillBlocks: parseInt(process.env.EVENT_BACKFILL_BLOCKS) || 5000,
+    logChunkSize: parseInt(process.env.LOG_CHUNK_SIZE) || 2000,
+    schedulerTickMs: 5000,
+    rpcProbeTimeoutMs: parseInt(process.env.RPC_PROBE_TIMEOUT_MS) || 10000,
+    divergenceWarningBps: parseInt(process.env.ORACLE_DIVERGENCE_WARNING_BPS) || 100, // 1%
+    divergenceCriticalBps: parseInt(process.env.ORACLE_DIVERGENCE_CRITICAL_BPS) || 500, // 5%
+    maxAgeSkewSec: parseInt(process.env.ORACLE_MAX_AGE_SKEW_SEC) || 86400, // 24 hours
+    logFile: './logs/coverage-monitor.log',
+    historyDir: process.env.COVERAGE_HISTORY_DIR || './data/coverage',
+    attestationDir: process.env.ATTESTATION_DIR || './reports/attestations',
+    attestationConfirmations: parseInt(process.env.ATTESTATION_CONFIRMATIONS) || 12,
+    metricsPort: process.env.METRICS_PORT !== undefined ? parseInt(process.env.METRICS_PORT) : 9464, // 0 disables
+    metricsHost: process.env.METRICS_HOST || '0.0.0.0',
+    healthStaleMs: parseInt(process.env.HEALTH_STALE_MS) || 300000, // /healthz fails after 5 minutes without a good read
+    stateDir: './logs',
+    publicSnapshotFile: process.env.PUBLIC_STATUS_FILE || './website/data/status.json',
+    publicHistoryFile: process.env.PUBLIC_HISTORY_FILE || './website/data/coverage-history.json',
+    publicHistoryDays: parseInt(process.env.PUBLIC_HISTORY_DAYS) || 90
 };
 
 // ABI for ReserveOracle (simplified)
 const RESERVE_ORACLE_ABI = [
     'function getCoverageRatio() external view returns (uint256)',
     'function getLatestData() external view returns (tuple(uint256 goldReservesKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp, address source))',
-    'function isCoverageHealthy() external view returns (bool isHealthy, uint256 coverage)'
+    'function isCoverageHealthy() external view returns (bool isHealthy, uint256 coverage)',
+    'function coverageFloorBps() external view returns (uint256)',
+    'function getHistoricalCoverage(uint256 startTimestamp, uint256 endTimestamp) external view returns (uint256[] timestamps, uint256[] coverageRatios)',
+    'event SourceUpdated(bytes32 indexed sourceId, uint256 goldKG, uint256 tokensIssued, uint256 coverage)',
+    'event CoverageUpdated(uint256 goldKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp)',
+    'event CoverageThresholdBreached(uint256 coverageRatio, uint256 threshold)',
+    'event SourceDeactivated(bytes32 indexed sourceId, string reason)'
 ];
 
+const MONITORED_EVENTS = ['CoverageUpdated', 'CoverageThresholdBreached', 'SourceUpdated', 'SourceDeactivated'];
+const LIVENESS_CHECK = 'reserve-oracle-liveness';
+const PRICE_FEEDS_CHECK = 'price-feeds';
+
+const CHECKS = require('./checks');
+const { AlertManager } = require('./alerts');
+const CoverageStore = require('./store/coverage-store');
+const { MetricsServer, mergeMetrics } = require('./metrics-server');
+const { RpcPool, loadNetworks } = require('./networks');
+const { parseOptions } = require('./cli');
+const { computeNav, formatNav, formatUSD } = require('./nav');
+const { ATTESTATION_TYPE, ATTESTATION_VERSION, AttestationChain, findBlockAtOrBefore, signReport, verifyChain } = require('./attestation');
+const PROOF_OF_RESERVES_ABI = require('./checks/proof-of-reserves').abi;
+
 class CoverageMonitor {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-        this.reserveOracle = new ethers.Contract(
-            CONFIG.reserveOracleAddress,
+    /**
+     * @param {Object} network entry from loadNetworks(); defaults to the first configured network
+     */
+    constructor(network = loadNetworks(process.env)[0]) {
+        this.network = network;
+        this.contracts = network.contracts;
+        this.stateFile = path.join(CONFIG.stateDir, `coverage-monitor.${network.name}.state.json`);
+        
+        // Ordered failover provider for everything, quorum provider for coverage reads
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        // Networks without a ReserveOracle (GatewayRouter-only L2s) run the contract checks alone
+        this.reserveOracle = this.contracts.reserveOracle ? new ethers.Contract(
+            this.contracts.reserveOracle,
             RESERVE_ORACLE_ABI,
             this.provider
-        );
-        this.lastAlertTime = 0;
+        ) : null;
+        this.quorumOracle = this.reserveOracle ? this.reserveOracle.connect(this.rpc.quorumProvider) : null;
+        this.proofOfReserves = this.contracts.proofOfReserves ? new ethers.Contract(
+            this.contracts.proofOfReserves,
+            PROOF_OF_RESERVES_ABI,
+            this.provider
+        ) : null;
+        this.store = new CoverageStore({ dir: path.join(CONFIG.historyDir, network.name) });
+        this.attestations = new AttestationChain({ dir: path.join(CONFIG.attestationDir, network.name) });
+        this.alerts = AlertManager.fromEnv(process.env, (message, level) => this.log(message, level));
         this.lastCoverage = 0;
-        this.alertCooldownMs = 300000; // 5 minutes between alerts
+        this.lastDivergenceLevel = null;
+        this.rpcStatus = null;
+        this.running = false;
+        
+        // Counters and last readings exposed on /metrics and /status
+        this.startedAt = Date.now();
+        this.latestCoverage = null;
+        this.latestReconciliation = null;
+        this.lastSuccessfulCheck = 0;
+        this.rpcErrors = 0;
+        this.alertCounts = { CRITICAL: 0, WARNING: 0, INFO: 0 };
+        
+        // Event subscription state
+        this.onChainFloorBps = CONFIG.coverageFloorBps;
+        this.lastProcessedBlock = null;
+        this.lastEventActivity = 0;
+        this.lastEventCoverage = null;
+        this.syncing = false;
+        this.subscribed = false;
+        
+        // Contract health checks that have an address configured
+        this.checks = CHECKS
+            .filter(check => this.contracts[check.contract])
+            .map(check => ({
+                check,
+                contract: new ethers.Contract(this.contracts[check.contract], check.abi, this.provider),
+                related: check.related ? this.relatedContracts(check.related) : null,
+                intervalMs: parseInt(process.env[`${check.addressEnv.replace(/_ADDRESS$/, '')}_INTERVAL_MS`]) || CONFIG.checkIntervalMs,
+                nextRun: 0,
+                running: false,
+                // state keeps the last good read for alert diffs; lastOk is the outcome of the latest run
+                lastOk: false,
+                state: null
+            }));
     }
 
     async initialize() {
         try {
+            // Probe first so an outage at startup still raises MONITOR BLIND
+            const rpc = await this.checkProviders();
+            this.log(`RPC endpoints: ${rpc.healthy}/${rpc.total} healthy, quorum ${rpc.quorum}`);
+            if (rpc.healthy === 0) return false;
+            
             // Test connection
             const network = await this.provider.getNetwork();
             this.log(`Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
             
             // Test contract connection
-            const coverage = await this.reserveOracle.getCoverageRatio();
-            this.log(`Initial coverage ratio: ${this.formatCoverage(coverage)}`);
+            if (this.reserveOracle) {
+                const coverage = await this.reserveOracle.getCoverageRatio();
+                this.log(`Initial coverage ratio: ${this.formatCoverage(Number(coverage))}`);
+            }
             
             return true;
         } catch (error) {
@@ -62,9 +156,12 @@ class CoverageMonitor {
     }
 
     async checkCoverage() {
+        if (!this.reserveOracle) return null;
+        
         try {
-            const [isHealthy, coverageRatio] = await this.reserveOracle.isCoverageHealthy();
-            const latestData = await this.reserveOracle.getLatestData();
+            // Alerted values must agree across the configured provider quorum
+            const [isHealthy, coverageRatio] = await this.quorumOracle.isCoverageHealthy();
+            const latestData = await this.quorumOracle.getLatestData();
             
             const coverage = {
                 ratio: parseInt(coverageRatio.toString()),
@@ -72,26 +169,155 @@ class CoverageMonitor {
                 goldKG: ethers.formatEther(latestData.goldReservesKG),
                 tokensIssued: ethers.formatEther(latestData.tokensIssued),
                 timestamp: new Date(parseInt(latestData.timestamp.toString()) * 1000),
-                lastUpdate: new Date()
+                lastUpdate: new Date(),
+                origin: 'poll'
             };
             
-            this.logCoverageData(coverage);
-            this.checkAlertConditions(coverage);
-            
-            this.lastCoverage = coverage.ratio;
+            await this.processCoverage(coverage);
             return coverage;
             
         } catch (error) {
+            this.rpcErrors++;
             this.log(`Error checking coverage: ${error.message}`, 'ERROR');
             return null;
         }
     }
 
+    /**
+     * Cross-check ReserveOracle coverage against the Chainlink PoR feed
+     * read through FTHGProofOfReserves.check().
+     */
+    async reconcileOracles() {
+        if (!this.proofOfReserves || !this.reserveOracle) return null;
+        
+        try {
+            const latestData = await this.reserveOracle.getLatestData();
+            const [porHealthy, porCoverage, porLastUpdate] = await this.proofOfReserves.check();
+            
+            const oracleBps = parseInt(latestData.coverageRatio.toString());
+            const porBps = parseInt(porCoverage.toString());
+            const oracleTimestamp = parseInt(latestData.timestamp.toString());
+            const porTimestamp = parseInt(porLastUpdate.toString());
+            
+            const reconciliation = {
+                oracleBps,
+                porBps,
+                porHealthy,
+                differenceBps: Math.abs(oracleBps - porBps),
+                divergenceBps: porBps === 0 ? Infinity : Math.round(Math.abs(oracleBps - porBps) * 10000 / porBps),
+                ageSkewSec: Math.abs(oracleTimestamp - porTimestamp),
+                oracleTimestamp: new Date(oracleTimestamp * 1000),
+                porTimestamp: new Date(porTimestamp * 1000)
+            };
+            
+            this.log([
+                `Reconciliation: Oracle ${this.formatCoverage(oracleBps)}`,
+                `PoR ${this.formatCoverage(porBps)}`,
+                `Divergence: ${reconciliation.divergenceBps} bps`,
+                `Age Skew: ${Math.floor(reconciliation.ageSkewSec / 60)}m`
+            ].join(' | '));
+            
+            await this.checkDivergenceConditions(reconciliation);
+            this.latestReconciliation = reconciliation;
+            return reconciliation;
+            
+        } catch (error) {
+            this.rpcErrors++;
+            this.log(`Error reconciling oracles: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
+    async checkDivergenceConditions(reconciliation) {
+        let level = null;
+        const reasons = [];
+        
+        if (reconciliation.divergenceBps >= CONFIG.divergenceCriticalBps) {
+            level = 'CRITICAL';
+            reasons.push(`coverage differs by ${reconciliation.divergenceBps} bps (limit ${CONFIG.divergenceCriticalBps} bps)`);
+        } else if (reconciliation.divergenceBps >= CONFIG.divergenceWarningBps) {
+            level = 'WARNING';
+            reasons.push(`coverage differs by ${reconciliation.divergenceBps} bps (limit ${CONFIG.divergenceWarningBps} bps)`);
+        }
+        
+        if (reconciliation.ageSkewSec > CONFIG.maxAgeSkewSec) {
+            level = level || 'WARNING';
+            reasons.push(`data age skew ${Math.floor(reconciliation.ageSkewSec / 3600)}h (limit ${Math.floor(CONFIG.maxAgeSkewSec / 3600)}h)`);
+        }
+        
+        const details = `Oracle ${this.formatCoverage(reconciliation.oracleBps)} vs PoR ${this.formatCoverage(reconciliation.porBps)}`;
+        const options = { source: 'oracle-divergence' };
+        
+        if (level) {
+            await this.sendAlert(level, `ORACLE DIVERGENCE: ${details} - ${reasons.join(', ')}`, { ratio: reconciliation.oracleBps }, options);
+        } else if (this.lastDivergenceLevel) {
+            await this.sendAlert('INFO', `ORACLE DIVERGENCE RESOLVED: ${details}`, { ratio: reconciliation.oracleBps }, options);
+        }
+        
+        this.lastDivergenceLevel = level;
+    }
+
+    /**
+     * Probe every RPC endpoint on its own; the monitor is blind when none respond.
+     */
+    async checkProviders() {
+        const status = await this.rpc.probe(CONFIG.rpcProbeTimeoutMs);
+        const previous = this.rpcStatus;
+        this.rpcStatus = status;
+        
+        const failing = status.endpoints
+            .filter(endpoint => !endpoint.healthy)
+            .map(endpoint => `${endpoint.url} (${endpoint.lastError})`);
+        const options = { source: 'rpc', key: 'monitor-blind' };
+        
+        if (status.healthy === 0) {
+            await this.sendAlert('CRITICAL', `MONITOR BLIND: all ${status.total} RPC endpoints failing - ${failing.join(', ')}`, null, options);
+        } else if (status.healthy < status.quorum) {
+            await this.sendAlert('WARNING', `RPC QUORUM LOST: ${status.healthy}/${status.total} endpoints healthy, quorum ${status.quorum} - ${failing.join(', ')}`, null, options);
+        } else if (status.healthy < status.total) {
+            await this.sendAlert('WARNING', `RPC DEGRADED: ${status.healthy}/${status.total} endpoints healthy - ${failing.join(', ')}`, null, options);
+        } else if (previous && previous.healthy < previous.total) {
+            await this.sendAlert('INFO', `RPC RECOVERED: ${status.healthy}/${status.total} endpoints healthy`, null, options);
+        }
+        
+        return status;
+    }
+
+    async processCoverage(coverage, isBackfill = false) {
+        this.logCoverageData(coverage);
+        if (!isBackfill) {
+            await this.checkAlertConditions(coverage);
+        }
+        
+        this.lastCoverage = coverage.ratio;
+        this.latestCoverage = coverage;
+        this.lastSuccessfulCheck = Date.now();
+        await this.recordSample(coverage);
+    }
+
+    async recordSample(coverage) {
+        try {
+            await this.store.append({
+                // Events are stamped with their block time so backfilled history lines up
+                observedAt: coverage.origin === 'event' ? coverage.timestamp : coverage.lastUpdate,
+                ratio: coverage.ratio,
+                healthy: coverage.healthy,
+                goldKG: coverage.goldKG,
+                tokensIssued: coverage.tokensIssued,
+                dataTimestamp: coverage.timestamp,
+                origin: coverage.origin
+            });
+        } catch (error) {
+            this.log(`Failed to record coverage sample: ${error.message}`, 'ERROR');
+        }
+    }
+
     logCoverageData(coverage) {
         const message = [
             `Coverage: ${this.formatCoverage(coverage.ratio)}`,
             `Gold: ${coverage.goldKG} kg`,
             `Tokens: ${coverage.tokensIssued}`,
+            ...this.navSummary(coverage),
             `Status: ${coverage.healthy ? '✅ Healthy' : '❌ Unhealthy'}`,
             `Data Age: ${this.getDataAge(coverage.timestamp)}`
         ].join(' | ');
@@ -99,105 +325,58 @@ class CoverageMonitor {
         this.log(message);
     }
 
-    checkAlertConditions(coverage) {
-        const now = Date.now();
-        const shouldAlert = (now - this.lastAlertTime) > this.alertCooldownMs;
+    async checkAlertConditions(coverage) {
+        // Deduplication and cooldown are handled per alert key by the AlertManager
         
         // Critical: Coverage below floor
-        if (coverage.ratio < CONFIG.coverageFloorBps && shouldAlert) {
-            this.sendAlert('CRITICAL', `Coverage BREACH: ${this.formatCoverage(coverage.ratio)} < ${this.formatCoverage(CONFIG.coverageFloorBps)}`, coverage);
-            this.lastAlertTime = now;
+        if (coverage.ratio < CONFIG.coverageFloorBps) {
+            await this.sendAlert('CRITICAL', `Coverage BREACH: ${this.formatCoverage(coverage.ratio)} < ${this.formatCoverage(CONFIG.coverageFloorBps)}`, coverage);
             return;
         }
         
         // Warning: Coverage below warning threshold
-        if (coverage.ratio < CONFIG.warningThresholdBps && coverage.ratio >= CONFIG.coverageFloorBps && shouldAlert) {
-            this.sendAlert('WARNING', `Coverage LOW: ${this.formatCoverage(coverage.ratio)} < ${this.formatCoverage(CONFIG.warningThresholdBps)}`, coverage);
-            this.lastAlertTime = now;
+        if (coverage.ratio < CONFIG.warningThresholdBps) {
+            await this.sendAlert('WARNING', `Coverage LOW: ${this.formatCoverage(coverage.ratio)} < ${this.formatCoverage(CONFIG.warningThresholdBps)}`, coverage);
             return;
         }
         
         // Info: Coverage recovered
-        if (this.lastCoverage < CONFIG.warningThresholdBps && coverage.ratio >= CONFIG.warningThresholdBps && shouldAlert) {
-            this.sendAlert('INFO', `Coverage RECOVERED: ${this.formatCoverage(coverage.ratio)}`, coverage);
-            this.lastAlertTime = now;
+        if (this.lastCoverage < CONFIG.warningThresholdBps) {
+            await this.sendAlert('INFO', `Coverage RECOVERED: ${this.formatCoverage(coverage.ratio)}`, coverage);
         }
     }
 
-    async sendAlert(level, message, coverage) {
+    async sendAlert(level, message, coverage, { source = 'reserve-oracle', key = source } = {}) {
+        const nav = coverage ? this.navFor(coverage) : null;
         const alertData = {
             level,
+            // Keys are scoped per network so dedup, escalation and acks never cross deployments
+            key: `${this.network.name}:${key}`,
             message,
-            coverage: coverage.ratio,
-            goldKG: coverage.goldKG,
-            tokensIssued: coverage.tokensIssued,
+            source,
+            coverage: coverage ? coverage.ratio : undefined,
+            goldKG: coverage ? coverage.goldKG : undefined,
+            tokensIssued: coverage ? coverage.tokensIssued : undefined,
+            reserveValueUSD: nav ? nav.reserveValueUSD : undefined,
+            navPerTokenUSD: nav && nav.navPerTokenUSD !== null ? nav.navPerTokenUSD : undefined,
+            headroomUSD: nav ? nav.headroomUSD : undefined,
             timestamp: new Date().toISOString(),
-            network: CONFIG.network
+            network: this.network.name
         };
         
+        if (!this.alerts.accept(alertData)) return;
+        
         this.log(`${level} ALERT: ${message}`, level);
+        this.alertCounts[level] = (this.alertCounts[level] || 0) + 1;
         
-        // Send webhook notification
-        if (CONFIG.alertWebhook) {
-            try {
-                await this.sendWebhookAlert(alertData);
-            } catch (error) {
-                this.log(`Failed to send webhook: ${error.message}`, 'ERROR');
-            }
-        }
+        // Fan out to the channels routed for this level
+        const delivered = await this.alerts.deliver(alertData);
+        alertData.channels = delivered;
         
         // Save alert to file
         await this.saveAlert(alertData);
     }
 
-    async sendWebhookAlert(alertData) {
-        const webhook = require('https');
-        const url = new URL(CONFIG.alertWebhook);
-        
-        const color = {
-            'CRITICAL': 15158332, // Red
-            'WARNING': 15105570,  // Orange
-            'INFO': 3447003       // Blue
-        }[alertData.level] || 0;
-        
-        const payload = {
-            embeds: [{
-                title: `🏛️ FTH-GOLD Coverage Alert`,
-                description: alertData.message,
-                color: color,
-                fields: [
-                    { name: 'Coverage Ratio', value: this.formatCoverage(alertData.coverage), inline: true },
-                    { name: 'Gold Reserves', value: `${alertData.goldKG} kg`, inline: true },
-                    { name: 'Tokens Issued', value: alertData.tokensIssued, inline: true },
-                    { name: 'Network', value: alertData.network, inline: true },
-                    { name: 'Timestamp', value: alertData.timestamp, inline: true }
-                ],
-                footer: { text: 'FTH-GOLD Coverage Monitor' }
-            }]
-        };
-        
-        return new Promise((resolve, reject) => {
-            const req = webhook.request({
-                hostname: url.hostname,
-                path: url.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            }, (res) => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    resolve();
-                } else {
-                    reject(new Error(`Webhook returned ${res.statusCode}`));
-                }
-            });
-            
-            req.on('error', reject);
-            req.write(JSON.stringify(payload));
-            req.end();
-        });
-    }
-
     async saveAlert(alertData) {
         const alertFile = './logs/coverage-alerts.jsonl';
         const alertLine = JSON.stringify(alertData) + '\n';
@@ -214,6 +393,44 @@ class CoverageMonitor {
         return `${(bps / 100).toFixed(2)}%`;
     }
 
+    /**
+     * NAV of a coverage reading at the XAU/USD price from the last price-feeds check,
+     * or null without a usable price or when the reading carries no reserve amounts
+     * (divergence alerts, breach events seen before any CoverageUpdated)
+     */
+    navFor(coverage) {
+        const entry = this.checks.find(item => item.check.name === PRICE_FEEDS_CHECK);
+        const nav = entry && entry.state ? entry.state.nav : null;
+        if (!coverage || coverage.goldKG === undefined || coverage.tokensIssued === undefined) return null;
+        if (!nav || nav.error) return null;
+        
+        return formatNav(computeNav({
+            goldKG: ethers.parseEther(coverage.goldKG),
+            tokensIssued: ethers.parseEther(coverage.tokensIssued),
+            floorBps: CONFIG.coverageFloorBps,
+            pricePerOz: ethers.parseUnits(nav.goldPricePerOz, 8)
+        }));
+    }
+
+    navSummary(coverage) {
+        const nav = this.navFor(coverage);
+        if (!nav) return [];
+        
+        return [
+            `Value: ${formatUSD(nav.reserveValueUSD)}`,
+            ...(nav.navPerTokenUSD !== null ? [`NAV: ${formatUSD(nav.navPerTokenUSD)}`] : []),
+            `USD Headroom: ${formatUSD(nav.headroomUSD)}`
+        ];
+    }
+
+    formatSourceId(sourceId) {
+        try {
+            return ethers.decodeBytes32String(sourceId);
+        } catch (error) {
+            return sourceId;
+        }
+    }
+
     getDataAge(timestamp) {
         const ageMs = Date.now() - timestamp.getTime();
         const ageMinutes = Math.floor(ageMs / 60000);
@@ -226,7 +443,7 @@ class CoverageMonitor {
 
     log(message, level = 'INFO') {
         const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
+        const logMessage = `[${timestamp}] [${level}] [${this.network.name}] ${message}`;
         
         console.log(logMessage);
         
@@ -240,30 +457,783 @@ class CoverageMonitor {
         }
     }
 
+    /**
+     * Run a single contract health check and route its alerts.
+     */
+    async runCheck(entry) {
+        const { check } = entry;
+        entry.running = true;
+        
+        try {
+            // Checks with related contracts also index incrementally from their previous state
+            const context = entry.related ? { related: entry.related, previous: entry.state } : undefined;
+            const state = await check.read(entry.contract, check.thresholds, context);
+            const alerts = check.evaluate(state, entry.state, check.thresholds);
+            
+            this.log(`[${check.label}] ${check.summarize(state)}`);
+            
+            for (const alert of alerts) {
+                await this.sendAlert(alert.level, `[${check.label}] ${alert.message}`, null, {
+                    source: check.name,
+                    key: `${check.name}:${alert.key}`
+                });
+            }
+            
+            entry.state = state;
+            entry.lastOk = true;
+            if (!this.reserveOracle) {
+                // Without coverage reads the contract checks are what /healthz tracks
+                this.lastSuccessfulCheck = Date.now();
+            }
+            return state;
+        } catch (error) {
+            entry.lastOk = false;
+            this.rpcErrors++;
+            this.log(`[${check.label}] Check failed: ${error.message}`, 'ERROR');
+            return null;
+        } finally {
+            entry.running = false;
+        }
+    }
+
+    /**
+     * Contracts a check reads besides its own, keyed like network.contracts; unset ones are skipped
+     */
+    relatedContracts(related) {
+        const contracts = {};
+        for (const [key, abi] of Object.entries(related)) {
+            if (this.contracts[key]) {
+                contracts[key] = new ethers.Contract(this.contracts[key], abi, this.provider);
+            }
+        }
+        return contracts;
+    }
+
+    async runAllChecks() {
+        if (this.checks.length === 0) {
+            this.log('No health checks configured - set contract addresses in .env', 'WARNING');
+        }
+        
+        const results = {};
+        for (const entry of this.checks) {
+            results[entry.check.name] = await this.runCheck(entry);
+        }
+        return results;
+    }
+
+    /**
+     * Run a check on the next scheduler tick instead of waiting for its interval.
+     */
+    triggerCheck(name) {
+        const entry = this.checks.find(item => item.check.name === name);
+        if (entry) entry.nextRun = 0;
+    }
+
+    /**
+     * Single scheduler tick: run every check whose interval has elapsed.
+     */
+    async runDueChecks() {
+        const now = Date.now();
+        
+        for (const entry of this.checks) {
+            if (entry.running || now < entry.nextRun) continue;
+            
+            entry.nextRun = now + entry.intervalMs;
+            await this.runCheck(entry);
+        }
+    }
+
+    async loadState() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.stateFile, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async saveState() {
+        const state = {
+            lastProcessedBlock: this.lastProcessedBlock,
+            reserveOracle: this.contracts.reserveOracle,
+            updatedAt: new Date().toISOString()
+        };
+        
+        try {
+            await fs.promises.mkdir(path.dirname(this.stateFile), { recursive: true });
+            await fs.promises.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+        } catch (error) {
+            this.log(`Failed to save monitor state: ${error.message}`, 'ERROR');
+        }
+    }
+
+    /**
+     * Subscribe to ReserveOracle events, backfilling from the persisted
+     * last-processed block before following new blocks.
+     */
+    async subscribe() {
+        try {
+            this.onChainFloorBps = parseInt((await this.reserveOracle.coverageFloorBps()).toString());
+        } catch (error) {
+            this.log(`Could not read on-chain coverage floor, using ${this.formatCoverage(this.onChainFloorBps)}: ${error.message}`, 'WARNING');
+        }
+        
+        const head = await this.provider.getBlockNumber();
+        const state = await this.loadState();
+        
+        if (Number.isInteger(state.lastProcessedBlock) && state.reserveOracle === this.contracts.reserveOracle) {
+            this.lastProcessedBlock = state.lastProcessedBlock;
+        } else {
+            this.lastProcessedBlock = Math.max(0, head - CONFIG.backfillBlocks);
+        }
+        
+        this.log(`Backfilling ReserveOracle events from block ${this.lastProcessedBlock + 1} to ${head}`);
+        await this.syncEvents(head, true);
+        
+        this.provider.on('block', (blockNumber) => {
+            this.syncEvents(blockNumber, false);
+        });
+        this.provider.on('error', (error) => {
+            this.log(`Provider error: ${error.message}`, 'ERROR');
+        });
+        
+        this.subscribed = true;
+        this.lastEventActivity = Date.now();
+        this.log(`📡 Subscribed to ${MONITORED_EVENTS.join(', ')}`);
+    }
+
+    async syncEvents(toBlock, isBackfill) {
+        if (this.syncing || toBlock <= this.lastProcessedBlock) {
+            return;
+        }
+        this.syncing = true;
+        
+        const previousCoverage = this.lastCoverage;
+        let replayed = null;
+        
+        try {
+            const iface = this.reserveOracle.interface;
+            const topics = MONITORED_EVENTS.map(name => iface.getEvent(name).topicHash);
+            
+            while (this.lastProcessedBlock < toBlock) {
+                const fromBlock = this.lastProcessedBlock + 1;
+                const chunkEnd = Math.min(toBlock, fromBlock + CONFIG.logChunkSize - 1);
+                
+                const logs = await this.provider.getLogs({
+                    address: this.contracts.reserveOracle,
+                    topics: [topics],
+                    fromBlock,
+                    toBlock: chunkEnd
+                });
+                
+                for (const entry of logs) {
+                    replayed = await this.handleEvent(iface.parseLog(entry), entry, isBackfill) || replayed;
+                }
+                
+                this.lastProcessedBlock = chunkEnd;
+                await this.saveState();
+            }
+            
+            // Historical readings are only recorded; alert once on where coverage ended up
+            if (isBackfill && replayed) {
+                this.lastCoverage = previousCoverage;
+                await this.checkAlertConditions(replayed);
+                this.lastCoverage = replayed.ratio;
+            }
+            
+            this.lastEventActivity = Date.now();
+            this.lastSuccessfulCheck = this.lastEventActivity;
+        } catch (error) {
+            this.rpcErrors++;
+            this.log(`Error syncing events: ${error.message}`, 'ERROR');
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * Handle one ReserveOracle log. Backfilled logs are recorded without alerting;
+     * returns the coverage reading for coverage events so the caller can evaluate
+     * the latest one.
+     */
+    async handleEvent(event, entry, isBackfill) {
+        const origin = `block ${entry.blockNumber}${isBackfill ? ', backfill' : ''}`;
+        
+        switch (event.name) {
+            case 'CoverageUpdated': {
+                const ratio = parseInt(event.args.coverageRatio.toString());
+                const coverage = {
+                    ratio,
+                    healthy: ratio >= this.onChainFloorBps,
+                    goldKG: ethers.formatEther(event.args.goldKG),
+                    tokensIssued: ethers.formatEther(event.args.tokensIssued),
+                    timestamp: new Date(parseInt(event.args.timestamp.toString()) * 1000),
+                    lastUpdate: new Date(),
+                    origin: 'event'
+                };
+                
+                this.log(`CoverageUpdated event (${origin})`);
+                this.lastEventCoverage = coverage;
+                await this.processCoverage(coverage, isBackfill);
+                return coverage;
+            }
+            
+            case 'CoverageThresholdBreached': {
+                const ratio = parseInt(event.args.coverageRatio.toString());
+                this.onChainFloorBps = parseInt(event.args.threshold.toString());
+                this.log(`CoverageThresholdBreached event: ${this.formatCoverage(ratio)} < ${this.formatCoverage(this.onChainFloorBps)} (${origin})`, 'CRITICAL');
+                
+                const coverage = Object.assign({}, this.lastEventCoverage, { ratio, healthy: false });
+                if (!isBackfill) {
+                    await this.checkAlertConditions(coverage);
+                }
+                this.lastCoverage = ratio;
+                return coverage;
+            }
+            
+            case 'SourceUpdated':
+                this.log([
+                    `SourceUpdated ${this.formatSourceId(event.args.sourceId)}`,
+                    `Coverage: ${this.formatCoverage(Number(event.args.coverage))}`,
+                    `Gold: ${ethers.formatEther(event.args.goldKG)} kg`,
+                    `Tokens: ${ethers.formatEther(event.args.tokensIssued)}`,
+                    `(${origin})`
+                ].join(' | '));
+                this.triggerCheck(LIVENESS_CHECK);
+                break;
+            
+            case 'SourceDeactivated': {
+                const source = this.formatSourceId(event.args.sourceId);
+                if (isBackfill) {
+                    // The liveness check below reports sources that are still inactive
+                    this.log(`SourceDeactivated ${source} - ${event.args.reason} (${origin})`, 'WARNING');
+                    this.triggerCheck(LIVENESS_CHECK);
+                    break;
+                }
+                await this.sendAlert('WARNING', `[ReserveOracle] SOURCE DEACTIVATED: ${source} - ${event.args.reason} (${origin})`, null, {
+                    source: LIVENESS_CHECK,
+                    key: `${LIVENESS_CHECK}:source-deactivated:${source}`
+                });
+                this.triggerCheck(LIVENESS_CHECK);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Polling fallback: runs the classic check whenever the event stream
+     * has not delivered a block within the stall window.
+     */
+    async pollIfStalled() {
+        const stalledMs = Date.now() - this.lastEventActivity;
+        
+        if (this.subscribed && stalledMs <= CONFIG.eventStallMs) {
+            return;
+        }
+        
+        if (this.subscribed) {
+            this.log(`Event stream stalled for ${Math.floor(stalledMs / 1000)}s, falling back to polling`, 'WARNING');
+        }
+        
+        await this.checkCoverage();
+        
+        // Catch up on any events missed while the stream was down
+        if (this.subscribed) {
+            try {
+                await this.syncEvents(await this.provider.getBlockNumber(), true);
+            } catch (error) {
+                this.log(`Event catch-up failed: ${error.message}`, 'ERROR');
+            }
+        }
+    }
+
+    getMetrics() {
+        const coverage = this.latestCoverage;
+        const nav = this.navFor(coverage);
+        const prices = this.checks.find(entry => entry.check.name === PRICE_FEEDS_CHECK);
+        const feeds = prices && prices.state ? prices.state.feeds.filter(feed => feed.active && !feed.error) : [];
+        const gauge = (name, help, value, labels) => ({ name, help, type: 'gauge', samples: [{ labels, value }] });
+        const usd = value => value === null || value === undefined ? null : parseFloat(value);
+        
+        const metrics = [
+            gauge('fthg_coverage_ratio_bps', 'ReserveOracle coverage ratio in basis points', coverage ? coverage.ratio : null),
+            gauge('fthg_gold_reserves_kg', 'Gold reserves reported by ReserveOracle in kg', coverage ? parseFloat(coverage.goldKG) : null),
+            gauge('fthg_tokens_issued', 'FTH-G tokens issued reported by ReserveOracle', coverage ? parseFloat(coverage.tokensIssued) : null),
+            gauge('fthg_oracle_data_age_seconds', 'Seconds since ReserveOracle data was last aggregated', coverage ? Math.floor((Date.now() - coverage.timestamp.getTime()) / 1000) : null),
+            gauge('fthg_oracle_healthy', 'Whether coverage is at or above the on-chain floor (1 = healthy)', coverage ? (coverage.healthy ? 1 : 0) : null),
+            gauge('fthg_coverage_floor_bps', 'Configured coverage floor in basis points', CONFIG.coverageFloorBps),
+            gauge('fthg_coverage_warning_bps', 'Configured coverage warning threshold in basis points', CONFIG.warningThresholdBps),
+            gauge('fthg_oracle_divergence_bps', 'Relative divergence between ReserveOracle and Chainlink PoR in basis points',
+                this.latestReconciliation && Number.isFinite(this.latestReconciliation.divergenceBps) ? this.latestReconciliation.divergenceBps : null),
+            gauge('fthg_gold_price_usd', 'XAU/USD price per troy ounce from ChainlinkPriceFeeds', nav ? usd(nav.goldPricePerOz) : null),
+            gauge('fthg_reserve_value_usd', 'USD value of the gold reserves reported by ReserveOracle', nav ? usd(nav.reserveValueUSD) : null),
+            gauge('fthg_nav_per_token_usd', 'Reserve value in USD per FTH-G issued', nav ? usd(nav.navPerTokenUSD) : null),
+            gauge('fthg_usd_coverage_headroom', 'Reserve value in USD above the coverage floor (negative below it)', nav ? usd(nav.headroomUSD) : null),
+            {
+                name: 'fthg_price_feed_age_seconds',
+                help: 'Seconds since each watched ChainlinkPriceFeeds feed last updated',
+                type: 'gauge',
+                samples: feeds.map(feed => ({ labels: { asset: feed.asset }, value: feed.age }))
+            },
+            {
+                name: 'fthg_price_feed_deviation_bps',
+                help: 'Move of each watched price feed from its previous round in basis points',
+                type: 'gauge',
+                samples: feeds.filter(feed => feed.deviationBps !== null).map(feed => ({ labels: { asset: feed.asset }, value: feed.deviationBps }))
+            },
+            {
+                name: 'fthg_alerts_total',
+                help: 'Alerts sent since monitor start, by level',
+                type: 'counter',
+                samples: Object.entries(this.alertCounts).map(([level, value]) => ({ labels: { level }, value }))
+            },
+            {
+                name: 'fthg_rpc_errors_total',
+                help: 'Failed RPC reads since monitor start',
+                type: 'counter',
+                samples: [{ value: this.rpcErrors }]
+            },
+            {
+                name: 'fthg_check_up',
+                help: 'Whether the last run of each contract health check succeeded (1 = up)',
+                type: 'gauge',
+                samples: this.checks.map(entry => ({ labels: { check: entry.check.name }, value: entry.lastOk ? 1 : 0 }))
+            },
+            gauge('fthg_last_successful_check_timestamp_seconds', 'Unix time of the last successful oracle read',
+                this.lastSuccessfulCheck ? Math.floor(this.lastSuccessfulCheck / 1000) : null),
+            gauge('fthg_last_processed_block', 'Last block whose ReserveOracle events were processed', this.lastProcessedBlock),
+            gauge('fthg_rpc_endpoints_healthy', 'RPC endpoints that answered the last probe', this.rpcStatus ? this.rpcStatus.healthy : null),
+            gauge('fthg_rpc_endpoints_total', 'Configured RPC endpoints', this.rpc.endpoints.length),
+            {
+                name: 'fthg_rpc_endpoint_up',
+                help: 'Whether each RPC endpoint answered the last probe (1 = up)',
+                type: 'gauge',
+                samples: this.rpcStatus ? this.rpcStatus.endpoints.map(endpoint => ({ labels: { endpoint: endpoint.url }, value: endpoint.healthy ? 1 : 0 })) : []
+            }
+        ];
+        
+        // Every series carries the network so several monitors can share one endpoint
+        for (const metric of metrics) {
+            metric.samples = metric.samples.map(sample => ({
+                labels: Object.assign({ network: this.network.name }, sample.labels),
+                value: sample.value
+            }));
+        }
+        return metrics;
+    }
+
+    getHealth() {
+        const sinceLastCheckMs = this.lastSuccessfulCheck ? Date.now() - this.lastSuccessfulCheck : null;
+        
+        return {
+            healthy: sinceLastCheckMs !== null && sinceLastCheckMs <= CONFIG.healthStaleMs,
+            rpcEndpointsHealthy: this.rpcStatus ? this.rpcStatus.healthy : null,
+            lastSuccessfulCheck: this.lastSuccessfulCheck ? new Date(this.lastSuccessfulCheck).toISOString() : null,
+            staleAfterSeconds: CONFIG.healthStaleMs / 1000
+        };
+    }
+
+    getStatus() {
+        const coverage = this.latestCoverage;
+        const checks = {};
+        for (const entry of this.checks) {
+            checks[entry.check.name] = entry.check.status && entry.state ? entry.check.status(entry.state) : entry.state;
+        }
+        
+        return {
+            network: this.network.name,
+            chainId: this.network.chainId,
+            mode: CONFIG.mode,
+            uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+            health: this.getHealth(),
+            coverage: coverage ? {
+                ratioBps: coverage.ratio,
+                ratio: this.formatCoverage(coverage.ratio),
+                healthy: coverage.healthy,
+                goldKG: coverage.goldKG,
+                tokensIssued: coverage.tokensIssued,
+                dataTimestamp: coverage.timestamp.toISOString(),
+                dataAge: this.getDataAge(coverage.timestamp)
+            } : null,
+            nav: this.navFor(coverage),
+            thresholds: {
+                floorBps: CONFIG.coverageFloorBps,
+                warningBps: CONFIG.warningThresholdBps
+            },
+            reconciliation: this.latestReconciliation,
+            checks,
+            alerts: this.alertCounts,
+            rpcErrors: this.rpcErrors,
+            rpc: this.rpcStatus,
+            lastProcessedBlock: this.lastProcessedBlock
+        };
+    }
+
+    /**
+     * Figures safe to publish (website hero stats and status panel): no RPC, alert or holder detail
+     */
+    getPublicStatus() {
+        const coverage = this.latestCoverage;
+        const liveness = this.checks.find(entry => entry.check.name === LIVENESS_CHECK);
+        const contracts = this.checks.filter(entry => entry !== liveness);
+        
+        let oracle = 'unknown';
+        if (liveness && liveness.state) {
+            const levels = liveness.check.evaluate(liveness.state, null, liveness.check.thresholds).map(alert => alert.level);
+            oracle = levels.includes('CRITICAL') ? 'offline' : levels.includes('WARNING') ? 'degraded' : 'online';
+        } else if (coverage) {
+            oracle = this.getHealth().healthy ? 'online' : 'degraded';
+        }
+        
+        let contractStatus = 'unknown';
+        if (contracts.some(entry => entry.state && entry.state.paused)) {
+            contractStatus = 'paused';
+        } else if (contracts.length > 0 && contracts.every(entry => entry.state)) {
+            contractStatus = 'operational';
+        }
+        
+        return {
+            network: this.network.name,
+            chainId: this.network.chainId,
+            coverage: coverage ? {
+                ratioBps: coverage.ratio,
+                ratio: this.formatCoverage(coverage.ratio),
+                healthy: coverage.healthy,
+                floorBps: CONFIG.coverageFloorBps,
+                goldKG: coverage.goldKG,
+                tokensIssued: coverage.tokensIssued,
+                dataTimestamp: coverage.timestamp.toISOString()
+            } : null,
+            oracle,
+            contracts: contractStatus,
+            updatedAt: this.lastSuccessfulCheck ? new Date(this.lastSuccessfulCheck).toISOString() : null
+        };
+    }
+
+    /**
+     * Daily coverage for the website chart: per-day aggregates only, no raw samples
+     */
+    async getPublicHistory(days = CONFIG.publicHistoryDays) {
+        const to = new Date();
+        const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() - days + 1));
+        
+        return {
+            network: this.network.name,
+            floorBps: CONFIG.coverageFloorBps,
+            warningBps: CONFIG.warningThresholdBps,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            days: await this.store.daily({ from, to, floorBps: CONFIG.coverageFloorBps })
+        };
+    }
+    
     async start() {
         this.log('🚀 Starting FTH-GOLD Coverage Monitor');
-        this.log(`Network: ${CONFIG.network}`);
+        this.log(`Network: ${this.network.name}${this.network.chainId ? ` (Chain ID: ${this.network.chainId})` : ''}`);
+        this.log(`RPC Endpoints: ${this.rpc.endpoints.map(endpoint => endpoint.label).join(', ')} (quorum ${this.network.quorum})`);
+        this.log(`Mode: ${this.reserveOracle ? CONFIG.mode : 'contract checks only (no ReserveOracle configured)'}`);
         this.log(`Check Interval: ${CONFIG.checkIntervalMs / 1000}s`);
         this.log(`Coverage Floor: ${this.formatCoverage(CONFIG.coverageFloorBps)}`);
         this.log(`Warning Threshold: ${this.formatCoverage(CONFIG.warningThresholdBps)}`);
+        this.log(`PoR Reconciliation: ${this.proofOfReserves ? `warn ${CONFIG.divergenceWarningBps} bps / critical ${CONFIG.divergenceCriticalBps} bps` : 'disabled'}`);
+        this.log(`Alert Channels: ${this.alerts.channelNames.join(', ') || 'none (log only)'}`);
+        this.log(`Health Checks: ${this.checks.map(entry => entry.check.label).join(', ') || 'none configured'}`);
         
         const initialized = await this.initialize();
+        
+        // RPC endpoint probes drive the MONITOR BLIND / degraded alerts
+        setInterval(async () => {
+            try {
+                if (this.running) {
+                    await this.checkProviders();
+                } else if (await this.initialize()) {
+                    // A network that was unreachable at startup starts once an endpoint answers
+                    await this.run();
+                }
+            } catch (error) {
+                this.log(`RPC probe failed: ${error.message}`, 'ERROR');
+            }
+        }, CONFIG.checkIntervalMs);
+        
         if (!initialized) {
-            this.log('Failed to initialize monitor', 'ERROR');
-            process.exit(1);
+            this.log('Failed to initialize monitor, retrying on each RPC probe', 'ERROR');
+            return false;
         }
         
+        await this.run();
+        return true;
+    }
+
+    /**
+     * ReserveOracle coverage: events with polling fallback (or polling only), then PoR reconciliation
+     */
+    async runCoverage() {
         // Initial check
         await this.checkCoverage();
         
-        // Set up periodic checking
-        setInterval(async () => {
-            await this.checkCoverage();
-        }, CONFIG.checkIntervalMs);
+        if (CONFIG.mode === 'events') {
+            try {
+                await this.subscribe();
+            } catch (error) {
+                this.log(`Event subscription failed, polling only: ${error.message}`, 'ERROR');
+            }
+            
+            // Polling stays on as a fallback for a stalled stream or dropped RPC
+            setInterval(async () => {
+                await this.pollIfStalled();
+            }, CONFIG.checkIntervalMs);
+        } else {
+            // Set up periodic checking
+            setInterval(async () => {
+                await this.checkCoverage();
+            }, CONFIG.checkIntervalMs);
+        }
+        
+        // Oracle reconciliation against Chainlink PoR
+        if (this.proofOfReserves) {
+            await this.reconcileOracles();
+            setInterval(async () => {
+                await this.reconcileOracles();
+            }, CONFIG.checkIntervalMs);
+        }
+    }
+
+    /**
+     * Start coverage reads, reconciliation and health checks once connected
+     */
+    async run() {
+        this.running = true;
+        
+        // Coverage reads, events and PoR reconciliation need a ReserveOracle on this network
+        if (this.reserveOracle) {
+            await this.runCoverage();
+        }
+        
+        // Contract health checks share one scheduler
+        if (this.checks.length > 0) {
+            await this.runDueChecks();
+            setInterval(async () => {
+                await this.runDueChecks();
+            }, CONFIG.schedulerTickMs);
+        }
         
         this.log('✅ Coverage monitor started successfully');
     }
 
+    /**
+     * Query stored coverage history
+     * Options: --from, --to (ISO dates, default last 7 days), --at <time>,
+     *          --backfill (import getHistoricalCoverage first), --json
+     */
+    async showHistory(options) {
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - 7 * 86400000);
+        
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            this.log('Invalid --from/--to date', 'ERROR');
+            return null;
+        }
+        
+        if (options.backfill && !this.reserveOracle) {
+            this.log('No ReserveOracle configured on this network, nothing to backfill', 'WARNING');
+        } else if (options.backfill) {
+            try {
+                const imported = await this.store.backfillFromChain(this.reserveOracle, from, to);
+                this.log(`Imported ${imported} daily on-chain coverage values`);
+            } catch (error) {
+                this.log(`On-chain backfill failed: ${error.message}`, 'ERROR');
+            }
+        }
+        
+        if (options.at) {
+            const sample = await this.store.at(new Date(options.at));
+            if (options.json) {
+                console.log(JSON.stringify(sample, null, 2));
+            } else if (sample) {
+                console.log(`Coverage at ${new Date(options.at).toISOString()}: ${this.formatCoverage(sample.ratio)} (sampled ${sample.t}, ${sample.origin})`);
+            } else {
+                console.log(`No coverage sample at or before ${options.at}`);
+            }
+            return sample;
+        }
+        
+        const stats = await this.store.stats({ from, to, floorBps: CONFIG.coverageFloorBps });
+        
+        if (options.json) {
+            console.log(JSON.stringify(stats, null, 2));
+            return stats;
+        }
+        
+        console.log(`📈 Coverage history ${from.toISOString()} → ${to.toISOString()}`);
+        if (stats.count === 0) {
+            console.log('No samples in range');
+            return stats;
+        }
+        
+        console.log([
+            `Samples: ${stats.count}`,
+            `Min: ${this.formatCoverage(stats.minBps)}`,
+            `Max: ${this.formatCoverage(stats.maxBps)}`,
+            `Avg: ${this.formatCoverage(stats.avgBps)}`,
+            `Latest: ${this.formatCoverage(stats.last.ratio)} (${stats.last.t})`
+        ].join(' | '));
+        
+        console.log(`Breaches below ${this.formatCoverage(CONFIG.coverageFloorBps)}: ${stats.breaches.length} (total ${Math.round(stats.totalBreachSec / 60)}m)`);
+        for (const breach of stats.breaches) {
+            console.log(`  ${breach.start} → ${breach.ongoing ? 'ongoing' : breach.end} | ${Math.round(breach.durationSec / 60)}m | min ${this.formatCoverage(breach.minBps)}`);
+        }
+        
+        return stats;
+    }
+
+    /**
+     * Issue the signed attestation for one UTC day, pinned to the last block of that day
+     * Options: --date YYYY-MM-DD (default yesterday)
+     */
+    async attest(options = {}) {
+        if (!process.env.ATTESTATION_PRIVATE_KEY) {
+            this.log('ATTESTATION_PRIVATE_KEY is not set - cannot sign attestations', 'ERROR');
+            return null;
+        }
+        
+        if (!this.reserveOracle) {
+            this.log('No ReserveOracle configured on this network - nothing to attest', 'ERROR');
+            return null;
+        }
+        
+        const date = options.date || new Date(Date.now() - 86400000).toISOString().split('T')[0];
+        const from = new Date(`${date}T00:00:00.000Z`);
+        const to = new Date(from.getTime() + 86400000 - 1);
+        
+        if (isNaN(from.getTime()) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            this.log(`Invalid --date ${date}, expected YYYY-MM-DD`, 'ERROR');
+            return null;
+        }
+        
+        if (to.getTime() > Date.now()) {
+            this.log(`Period ${date} has not ended yet; attest completed days only`, 'ERROR');
+            return null;
+        }
+        
+        try {
+            const head = await this.attestations.head();
+            if (head && head.report.period.date >= date) {
+                this.log(`Attestation chain head is ${head.report.period.date}; reports must be issued in date order`, 'ERROR');
+                return null;
+            }
+            
+            // Pin to the last confirmed block within the period
+            const safeHead = await this.provider.getBlock(await this.provider.getBlockNumber() - CONFIG.attestationConfirmations);
+            const periodEnd = Math.floor(to.getTime() / 1000);
+            const block = safeHead.timestamp <= periodEnd ? safeHead : await findBlockAtOrBefore(this.provider, periodEnd, safeHead.number);
+            
+            const latestData = await this.reserveOracle.getLatestData({ blockTag: block.number });
+            const liveness = CHECKS.find(check => check.name === LIVENESS_CHECK);
+            const sources = await liveness.read(
+                new ethers.Contract(this.contracts.reserveOracle, liveness.abi, this.provider),
+                liveness.thresholds,
+                block.number
+            );
+            const stats = await this.store.stats({ from, to, floorBps: CONFIG.coverageFloorBps });
+            
+            if (stats.count === 0) {
+                this.log(`No coverage samples recorded on ${date}; attestation covers the pinned read only`, 'WARNING');
+            }
+            
+            const report = {
+                type: ATTESTATION_TYPE,
+                version: ATTESTATION_VERSION,
+                sequence: head ? head.report.sequence + 1 : 1,
+                previousHash: head ? head.hash : ethers.ZeroHash,
+                network: this.network.name,
+                chainId: Number((await this.provider.getNetwork()).chainId),
+                reserveOracle: this.contracts.reserveOracle,
+                period: { date, from: from.toISOString(), to: to.toISOString() },
+                coverage: {
+                    samples: stats.count,
+                    minBps: stats.count ? stats.minBps : null,
+                    maxBps: stats.count ? stats.maxBps : null,
+                    avgBps: stats.count ? stats.avgBps : null,
+                    floorBps: CONFIG.coverageFloorBps,
+                    warningBps: CONFIG.warningThresholdBps
+                },
+                breaches: stats.breaches.map(breach => ({
+                    start: breach.start,
+                    end: breach.end,
+                    ongoing: breach.ongoing,
+                    durationSec: breach.durationSec,
+                    minBps: breach.minBps
+                })),
+                totalBreachSec: stats.totalBreachSec,
+                minSourcesRequired: sources.minSourcesRequired,
+                sources: sources.sources.map(source => ({
+                    id: source.id,
+                    name: source.name,
+                    provider: source.provider,
+                    active: source.active,
+                    weight: source.weight,
+                    lastUpdate: source.lastUpdate
+                })),
+                pinned: {
+                    blockNumber: block.number,
+                    blockHash: block.hash,
+                    blockTimestamp: block.timestamp,
+                    coverageBps: Number(latestData.coverageRatio),
+                    goldKG: ethers.formatEther(latestData.goldReservesKG),
+                    tokensIssued: ethers.formatEther(latestData.tokensIssued),
+                    dataTimestamp: Number(latestData.timestamp)
+                },
+                generatedAt: new Date().toISOString()
+            };
+            
+            const envelope = await signReport(report, new ethers.Wallet(process.env.ATTESTATION_PRIVATE_KEY));
+            const file = await this.attestations.write(envelope);
+            
+            this.log(`🔏 Attestation #${report.sequence} for ${date} pinned to block ${block.number}, signed by ${envelope.signer}: ${file}`);
+            return envelope;
+            
+        } catch (error) {
+            this.log(`Failed to issue attestation: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Verify the attestation chain; re-reads pinned blocks unless --offline
+     * @returns {boolean} true when every report verifies
+     */
+    async verifyAttestations(options = {}) {
+        const entries = await this.attestations.list();
+        if (entries.length === 0) {
+            this.log(`No attestations found in ${this.attestations.dir}`, 'WARNING');
+            return true;
+        }
+        
+        const signers = (process.env.ATTESTATION_SIGNERS || '').split(',').map(signer => signer.trim()).filter(Boolean);
+        if (signers.length === 0) {
+            this.log('ATTESTATION_SIGNERS is not set - any key could have re-signed an edited chain, refusing to verify', 'ERROR');
+            return false;
+        }
+        
+        const results = await verifyChain(entries, options.offline
+            ? { signers }
+            : { provider: this.provider, reserveOracle: this.reserveOracle, signers });
+        
+        for (const result of results) {
+            if (result.errors.length === 0) {
+                this.log(`✅ ${result.date} (${result.file})`);
+            } else {
+                this.log(`❌ ${result.date} (${result.file}): ${result.errors.join('; ')}`, 'ERROR');
+            }
+            for (const warning of result.warnings) {
+                this.log(`⚠️ ${result.date}: ${warning}`, 'WARNING');
+            }
+        }
+        
+        const failed = results.filter(result => result.errors.length > 0).length;
+        this.log(`Verified ${results.length} attestations: ${failed === 0 ? 'chain intact' : `${failed} failed`}`, failed === 0 ? 'INFO' : 'ERROR');
+        return failed === 0;
+    }
+
     async generateReport() {
         this.log('📊 Generating coverage report...');
         
@@ -271,9 +1241,14 @@ class CoverageMonitor {
             const coverage = await this.checkCoverage();
             if (!coverage) return;
             
+            // Price the reading with current feeds when ChainlinkPriceFeeds is configured
+            const prices = this.checks.find(entry => entry.check.name === PRICE_FEEDS_CHECK);
+            const priceState = prices ? await this.runCheck(prices) : null;
+            const nav = priceState ? this.navFor(coverage) : null;
+            
             const report = {
                 timestamp: new Date().toISOString(),
-                network: CONFIG.network,
+                network: this.network.name,
                 coverage: {
                     ratio: this.formatCoverage(coverage.ratio),
                     healthy: coverage.healthy,
@@ -281,13 +1256,18 @@ class CoverageMonitor {
                     tokensIssued: coverage.tokensIssued,
                     lastUpdate: coverage.timestamp.toISOString()
                 },
+                nav: nav ? Object.assign(nav, {
+                    priceTimestamp: new Date(priceState.nav.priceTimestamp * 1000).toISOString(),
+                    quotes: priceState.nav.quotes
+                }) : priceState && priceState.nav,
+                priceFeeds: priceState ? priceState.feeds : undefined,
                 thresholds: {
                     floor: this.formatCoverage(CONFIG.coverageFloorBps),
                     warning: this.formatCoverage(CONFIG.warningThresholdBps)
                 }
             };
             
-            const reportFile = `./reports/coverage-report-${new Date().toISOString().split('T')[0]}.json`;
+            const reportFile = `./reports/coverage-report-${this.network.name}-${new Date().toISOString().split('T')[0]}.json`;
             await fs.promises.mkdir(path.dirname(reportFile), { recursive: true });
             await fs.promises.writeFile(reportFile, JSON.stringify(report, null, 2));
             
@@ -300,27 +1280,188 @@ class CoverageMonitor {
     }
 }
 
+/**
+ * Public status of every monitor, as served on /status/public and written by `snapshot`
+ */
+function buildPublicStatus(monitors) {
+    const networks = {};
+    for (const monitor of monitors) {
+        networks[monitor.network.name] = monitor.getPublicStatus();
+    }
+    return { generatedAt: new Date().toISOString(), networks };
+}
+
+/**
+ * Daily coverage history of every monitor, as served on /status/history and written by `snapshot`
+ */
+async function buildPublicHistory(monitors, days) {
+    const networks = {};
+    for (const monitor of monitors) {
+        networks[monitor.network.name] = await monitor.getPublicHistory(days);
+    }
+    return { generatedAt: new Date().toISOString(), networks };
+}
+
+/**
+ * Serve /metrics, /healthz, /status, /status/public and /status/history for every monitor from one endpoint
+ */
+async function startMetricsServer(monitors) {
+    if (!CONFIG.metricsPort) return null;
+    
+    const server = new MetricsServer({
+        port: CONFIG.metricsPort,
+        host: CONFIG.metricsHost,
+        metrics: () => mergeMetrics(monitors.map(monitor => monitor.getMetrics())),
+        health: () => {
+            const networks = {};
+            for (const monitor of monitors) {
+                networks[monitor.network.name] = monitor.getHealth();
+            }
+            return {
+                healthy: Object.values(networks).every(health => health.healthy),
+                networks
+            };
+        },
+        status: () => {
+            const networks = {};
+            for (const monitor of monitors) {
+                networks[monitor.network.name] = monitor.getStatus();
+            }
+            return { generatedAt: new Date().toISOString(), networks };
+        },
+        publicStatus: () => buildPublicStatus(monitors),
+        publicHistory: ({ days }) => buildPublicHistory(monitors, Math.min(days || CONFIG.publicHistoryDays, 365))
+    });
+    
+    try {
+        const address = await server.start();
+        console.log(`📈 Metrics endpoint listening on ${address.address}:${address.port} (/metrics, /healthz, /status, /status/public, /status/history)`);
+    } catch (error) {
+        console.error(`Failed to start metrics endpoint: ${error.message}`);
+    }
+    return server;
+}
+
 // Main execution
 async function main() {
-    const monitor = new CoverageMonitor();
-    
     const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+    
+    // A bad entry for one network is logged and skipped so the others still run
+    const skip = (name, error) => console.error(`❌ Skipping network ${name}: ${error.message}`);
+    
+    // --network <name> limits any command to one deployment
+    const networks = loadNetworks(process.env, skip)
+        .filter(network => !options.network || network.name === options.network);
+    
+    if (networks.length === 0) {
+        console.error(options.network ? `Unknown network: ${options.network}` : 'No usable network configured');
+        process.exit(1);
+    }
+    
+    const monitors = [];
+    for (const network of networks) {
+        try {
+            monitors.push(new CoverageMonitor(network));
+        } catch (error) {
+            skip(network.name, error);
+        }
+    }
+    
+    if (monitors.length === 0) {
+        console.error('No network could be set up');
+        process.exit(1);
+    }
     
     switch (command) {
         case 'report':
-            await monitor.generateReport();
+            for (const monitor of monitors) await monitor.generateReport();
             process.exit(0);
             break;
         
         case 'check':
-            await monitor.initialize();
-            await monitor.checkCoverage();
+            for (const monitor of monitors) {
+                await monitor.initialize();
+                await monitor.checkCoverage();
+            }
             process.exit(0);
             break;
         
-        default:
-            await monitor.start();
+        case 'snapshot': {
+            // Static copy of /status/public for hosting next to the website
+            const file = options.out || CONFIG.publicSnapshotFile;
+            for (const monitor of monitors) {
+                if (await monitor.initialize()) {
+                    await monitor.checkCoverage();
+                    await monitor.runAllChecks();
+                }
+            }
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(buildPublicStatus(monitors), null, 2) + '\n');
+            console.log(`📸 Public status snapshot written to ${file}`);
+            
+            const historyFile = options['history-out'] || CONFIG.publicHistoryFile;
+            await fs.promises.mkdir(path.dirname(historyFile), { recursive: true });
+            await fs.promises.writeFile(historyFile, JSON.stringify(await buildPublicHistory(monitors), null, 2) + '\n');
+            console.log(`📸 Coverage history feed written to ${historyFile}`);
+            process.exit(monitors.some(monitor => monitor.latestCoverage) ? 0 : 1);
             break;
+        }
+        
+        case 'reconcile':
+            for (const monitor of monitors) await monitor.reconcileOracles();
+            process.exit(0);
+            break;
+        
+        case 'ack':
+            if (!process.argv[3] || process.argv[3].startsWith('--')) {
+                console.error('Usage: monitor-coverage.js ack <network>:<alert-key>');
+                process.exit(1);
+            }
+            monitors[0].alerts.acknowledge(process.argv[3]);
+            process.exit(0);
+            break;
+        
+        case 'history':
+            for (const monitor of monitors) await monitor.showHistory(options);
+            process.exit(0);
+            break;
+        
+        case 'checks':
+            for (const monitor of monitors) await monitor.runAllChecks();
+            process.exit(0);
+            break;
+        
+        case 'attest': {
+            let issued = true;
+            // Only networks with a ReserveOracle have coverage to attest
+            for (const monitor of monitors.filter(monitor => monitor.reserveOracle || options.network)) {
+                issued = Boolean(await monitor.attest(options)) && issued;
+            }
+            process.exit(issued ? 0 : 1);
+            break;
+        }
+        
+        case 'verify': {
+            let intact = true;
+            for (const monitor of monitors) {
+                intact = await monitor.verifyAttestations(options) && intact;
+            }
+            process.exit(intact ? 0 : 1);
+            break;
+        }
+        
+        default: {
+            await startMetricsServer(monitors);
+            
+            // One process watches every deployment; a network that fails to start does not stop the others,
+            // and with none reachable the process stays up probing and alerting until one answers
+            const started = await Promise.all(monitors.map(monitor => monitor.start()));
+            if (!started.some(Boolean)) {
+                console.error(`No network could be initialized; probing RPC endpoints every ${CONFIG.checkIntervalMs / 1000}s`);
+            }
+            break;
+        }
     }
 }
 
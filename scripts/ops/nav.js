@@ -0,0 +1,164 @@
+/**
+ * FTH-GOLD NAV
+ * Dollar value of the ReserveOracle figures priced through ChainlinkPriceFeeds:
+ * reserve value, NAV per FTH-G and USD headroom over the coverage floor (1 FTH-G = 1 kg)
+ */
+
+const { ethers } = require('ethers');
+
+const BPS = 10000n;
+const OZ_PER_KG = 321507466n; // Troy ounces per kg, 7 decimals
+const OZ_PER_KG_SCALE = 10000000n;
+const PRICE_SCALE = 100000000n; // ChainlinkPriceFeeds normalizes to 8 decimals
+const PRICE_DECIMALS = 8;
+
+const GOLD_ASSET = 'XAU/USD';
+
+const PRICE_FEEDS_ABI = [
+    'function getLatestPrice(bytes32 asset) external view returns (uint256 price, uint256 timestamp)',
+    'function convertPrice(bytes32 fromAsset, bytes32 toAsset, uint256 amount) external view returns (uint256 convertedAmount)',
+    'function getFeedInfo(bytes32 asset) external view returns (tuple(address feed, uint256 heartbeat, uint8 decimals, bool active, string description))',
+    'function stalePriceThreshold(bytes32 asset) external view returns (uint256)',
+    'error FeedNotActive(bytes32 asset)',
+    'error StalePrice(bytes32 asset, uint256 lastUpdate)',
+    'error InvalidPrice(bytes32 asset, int256 price)',
+    'error FeedNotFound(bytes32 asset)'
+];
+
+const AGGREGATOR_ABI = [
+    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+    'function getRoundData(uint80 roundId) external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+/**
+ * Asset id as ChainlinkPriceFeeds keys it: keccak256("XAU/USD"); raw bytes32 ids pass through
+ */
+function assetId(asset) {
+    return ethers.isHexString(asset, 32) ? asset : ethers.id(asset);
+}
+
+/**
+ * Revert name or message, for logs and alerts
+ */
+function errorReason(error) {
+    if (error.revert) return error.revert.name;
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * USD value (1e18) of an amount of gold in kg (1e18) at a per-ounce price (8 decimals)
+ */
+function goldValueUSD(kg, pricePerOz) {
+    return (kg * pricePerOz * OZ_PER_KG) / (PRICE_SCALE * OZ_PER_KG_SCALE);
+}
+
+/**
+ * Troy ounces (1e18) in an amount of gold in kg (1e18)
+ */
+function kgToOz(kg) {
+    return (kg * OZ_PER_KG) / OZ_PER_KG_SCALE;
+}
+
+/**
+ * NAV figures from reserve and supply amounts (all bigint, 1e18) and the XAU/USD price (8 decimals)
+ * headroomUSD is negative when coverage is below the floor
+ */
+function computeNav({ goldKG, tokensIssued, floorBps, pricePerOz }) {
+    const reserveValueUSD = goldValueUSD(goldKG, pricePerOz);
+    const issuedValueUSD = goldValueUSD(tokensIssued, pricePerOz);
+    const floorValueUSD = issuedValueUSD * BigInt(floorBps) / BPS;
+
+    return {
+        goldPricePerOz: pricePerOz,
+        goldPricePerKg: goldValueUSD(ethers.WeiPerEther, pricePerOz),
+        reserveValueUSD,
+        issuedValueUSD,
+        navPerTokenUSD: tokensIssued > 0n ? reserveValueUSD * ethers.WeiPerEther / tokensIssued : null,
+        floorValueUSD,
+        headroomUSD: reserveValueUSD - floorValueUSD
+    };
+}
+
+/**
+ * Decimal strings for status, reports and alert payloads
+ */
+function formatNav(nav) {
+    const usd = value => value === null ? null : ethers.formatEther(value);
+
+    return {
+        goldPricePerOz: ethers.formatUnits(nav.goldPricePerOz, PRICE_DECIMALS),
+        goldPricePerKg: usd(nav.goldPricePerKg),
+        reserveValueUSD: usd(nav.reserveValueUSD),
+        issuedValueUSD: usd(nav.issuedValueUSD),
+        navPerTokenUSD: usd(nav.navPerTokenUSD),
+        floorValueUSD: usd(nav.floorValueUSD),
+        headroomUSD: usd(nav.headroomUSD)
+    };
+}
+
+/**
+ * "$1,234,567.89" from a decimal string or a 1e18 bigint
+ */
+function formatUSD(amount) {
+    const value = typeof amount === 'bigint' ? ethers.formatEther(amount) : amount;
+    const number = Number(value);
+    return `${number < 0 ? '-' : ''}$${Math.abs(number).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Read NAV from ReserveOracle and ChainlinkPriceFeeds at one block
+ * @param {ethers.Contract} priceFeeds     ChainlinkPriceFeeds with PRICE_FEEDS_ABI
+ * @param {ethers.Contract} reserveOracle  with getLatestData() and coverageFloorBps()
+ * @param {Object} options  { quoteAssets: ['USDT/USD', ...], blockTag }
+ * @returns figures from computeNav plus priceTimestamp and quotes { asset: navPerToken in asset units | { error } };
+ *   throws when XAU/USD itself is unreadable (FeedNotActive, StalePrice, ...)
+ */
+async function readNav(priceFeeds, reserveOracle, { quoteAssets = [], blockTag = 'latest' } = {}) {
+    const overrides = { blockTag };
+    const data = await reserveOracle.getLatestData(overrides);
+    const floorBps = await reserveOracle.coverageFloorBps(overrides);
+    const [pricePerOz, priceTimestamp] = await priceFeeds.getLatestPrice(assetId(GOLD_ASSET), overrides);
+
+    const nav = computeNav({
+        goldKG: data.goldReservesKG,
+        tokensIssued: data.tokensIssued,
+        floorBps,
+        pricePerOz
+    });
+
+    // NAV per token in other currencies, priced in one call with convertPrice's own staleness checks
+    const quotes = {};
+    if (data.tokensIssued > 0n) {
+        const ozPerToken = kgToOz(data.goldReservesKG) * ethers.WeiPerEther / data.tokensIssued;
+        for (const asset of quoteAssets) {
+            try {
+                quotes[asset] = await priceFeeds.convertPrice(assetId(GOLD_ASSET), assetId(asset), ozPerToken, overrides);
+            } catch (error) {
+                quotes[asset] = { error: errorReason(error) };
+            }
+        }
+    }
+
+    return Object.assign(nav, {
+        goldKG: data.goldReservesKG,
+        tokensIssued: data.tokensIssued,
+        floorBps: Number(floorBps),
+        priceTimestamp: Number(priceTimestamp),
+        quotes
+    });
+}
+
+module.exports = {
+    GOLD_ASSET,
+    PRICE_DECIMALS,
+    PRICE_FEEDS_ABI,
+    AGGREGATOR_ABI,
+    assetId,
+    errorReason,
+    goldValueUSD,
+    kgToOz,
+    computeNav,
+    formatNav,
+    formatUSD,
+    readNav
+};
@@ -0,0 +1,224 @@
+/**
+ * FTH-GOLD Network Configuration and RPC Failover
+ * Loads the set of monitored deployments and builds failover/quorum providers
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+
+const KNOWN_CHAIN_IDS = {
+    mainnet: 1,
+    sepolia: 11155111,
+    polygon: 137,
+    arbitrum: 42161,
+    optimism: 10,
+    base: 8453,
+    anvil: 31337
+};
+
+// Contract keys in a network config and the env vars used when no config file exists
+const CONTRACT_ENV = {
+    reserveOracle: 'RESERVE_ORACLE_ADDRESS',
+    proofOfReserves: 'PROOF_OF_RESERVES_ADDRESS',
+    yieldDistributor: 'YIELD_DISTRIBUTOR_ADDRESS',
+    gatewayRouter: 'GATEWAY_ROUTER_ADDRESS',
+    subscriptionPool: 'SUBSCRIPTION_POOL_ADDRESS',
+    priceFeeds: 'CHAINLINK_PRICE_FEEDS_ADDRESS',
+    complianceRegistry: 'COMPLIANCE_REGISTRY_ADDRESS',
+    identitySBT: 'IDENTITY_SBT_ADDRESS',
+    fthgToken: 'FTHG_TOKEN_ADDRESS'
+};
+
+/**
+ * Replace ${VAR} placeholders so config files never need to contain RPC keys
+ */
+function expandEnv(value, env) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => env[name] || '');
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandEnv(item, env));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = expandEnv(item, env);
+        }
+        return result;
+    }
+    return value;
+}
+
+function normalizeNetwork(network) {
+    const rpcUrls = (network.rpcUrls || []).filter(Boolean);
+    if (rpcUrls.length === 0) {
+        throw new Error(`Network ${network.name} has no RPC endpoints configured`);
+    }
+
+    const contracts = {};
+    for (const [key, address] of Object.entries(network.contracts || {})) {
+        if (address) contracts[key] = address;
+    }
+
+    return {
+        name: network.name,
+        chainId: network.chainId || KNOWN_CHAIN_IDS[network.name] || null,
+        rpcUrls,
+        quorum: Math.min(network.quorum || 1, rpcUrls.length),
+        stallTimeoutMs: network.stallTimeoutMs || 2000,
+        contracts
+    };
+}
+
+/**
+ * Load monitored networks from MONITOR_NETWORKS_FILE (default ./config/networks.json),
+ * falling back to a single network described by NETWORK / RPC_<NETWORK> / *_ADDRESS env vars.
+ * Addresses and deploy blocks recorded in deployments/<network>.json fill in the contracts.
+ * @param {Function} [onInvalid] (name, error) => void; skip invalid config entries instead of throwing
+ */
+function loadNetworks(env = process.env, onInvalid = null) {
+    // Required here: deployments.js builds on this module for its own CLI
+    const { DeploymentRegistry, applyDeployments } = require('./deployments');
+    const file = env.MONITOR_NETWORKS_FILE || './config/networks.json';
+    const registry = new DeploymentRegistry({ dir: env.DEPLOYMENTS_DIR || './deployments' });
+
+    if (fs.existsSync(file)) {
+        const config = expandEnv(JSON.parse(fs.readFileSync(file, 'utf8')), env);
+        const networks = [];
+        for (const network of config.networks.filter(entry => entry.enabled !== false)) {
+            try {
+                networks.push(applyDeployments(normalizeNetwork(network), registry));
+            } catch (error) {
+                if (!onInvalid) throw error;
+                onInvalid(network.name, error);
+            }
+        }
+        return networks;
+    }
+
+    const name = env.NETWORK || 'sepolia';
+    const contracts = {};
+    for (const [key, envName] of Object.entries(CONTRACT_ENV)) {
+        contracts[key] = env[envName];
+    }
+
+    return [applyDeployments(normalizeNetwork({
+        name,
+        rpcUrls: (env[`RPC_${name.toUpperCase()}`] || '').split(',').map(url => url.trim()),
+        quorum: parseInt(env.RPC_QUORUM) || 1,
+        contracts
+    }), registry)];
+}
+
+/**
+ * Pick one network for single-network tools; --network <name> or the first configured
+ */
+function resolveNetwork(name, env = process.env) {
+    const networks = loadNetworks(env);
+    const network = name ? networks.find(item => item.name === name) : networks[0];
+    if (!network) {
+        throw new Error(`Unknown network: ${name} (configured: ${networks.map(item => item.name).join(', ')})`);
+    }
+    return network;
+}
+
+/**
+ * Strip credentials and API keys from an RPC URL for logs and status output
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}`;
+    } catch (error) {
+        return 'invalid-url';
+    }
+}
+
+class RpcPool {
+    constructor(network) {
+        this.network = network;
+        const staticNetwork = network.chainId ? ethers.Network.from(network.chainId) : undefined;
+
+        this.endpoints = network.rpcUrls.map((url, index) => ({
+            url,
+            label: redactUrl(url),
+            provider: new ethers.JsonRpcProvider(url, staticNetwork, staticNetwork ? { staticNetwork } : undefined),
+            priority: index + 1,
+            healthy: null,
+            blockNumber: null,
+            lastError: null
+        }));
+
+        const configs = this.endpoints.map(endpoint => ({
+            provider: endpoint.provider,
+            priority: endpoint.priority,
+            stallTimeout: network.stallTimeoutMs,
+            weight: 1
+        }));
+
+        // Ordered failover for general reads, events and block polling
+        this.provider = this.endpoints.length === 1
+            ? this.endpoints[0].provider
+            : new ethers.FallbackProvider(configs, staticNetwork, { quorum: 1 });
+
+        // Quorum reads across providers for values we alert on
+        this.quorumProvider = network.quorum > 1
+            ? new ethers.FallbackProvider(configs, staticNetwork, { quorum: network.quorum })
+            : this.provider;
+    }
+
+    /**
+     * Probe every endpoint independently
+     * @returns {{ healthy: number, total: number, endpoints: Array }}
+     */
+    async probe(timeoutMs = 10000) {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                const blockNumber = await Promise.race([
+                    endpoint.provider.getBlockNumber(),
+                    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs).unref())
+                ]);
+                endpoint.healthy = true;
+                endpoint.blockNumber = blockNumber;
+                endpoint.lastError = null;
+            } catch (error) {
+                endpoint.healthy = false;
+                endpoint.lastError = error.shortMessage || error.message;
+            }
+        }));
+
+        return this.summary();
+    }
+
+    summary() {
+        return {
+            healthy: this.endpoints.filter(endpoint => endpoint.healthy).length,
+            total: this.endpoints.length,
+            quorum: this.network.quorum,
+            endpoints: this.endpoints.map(endpoint => ({
+                url: endpoint.label,
+                healthy: endpoint.healthy,
+                blockNumber: endpoint.blockNumber,
+                lastError: endpoint.lastError
+            }))
+        };
+    }
+
+    destroy() {
+        for (const endpoint of this.endpoints) {
+            endpoint.provider.destroy();
+        }
+        if (this.provider !== this.endpoints[0].provider) this.provider.destroy();
+        if (this.quorumProvider !== this.provider) this.quorumProvider.destroy();
+    }
+}
+
+module.exports = {
+    CONTRACT_ENV,
+    KNOWN_CHAIN_IDS,
+    RpcPool,
+    expandEnv,
+    loadNetworks,
+    redactUrl,
+    resolveNetwork
+};
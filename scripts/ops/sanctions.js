@@ -0,0 +1,29 @@
+/**
+ * FTH-GOLD Sanctions List
+ * The one parser behind the compliance CLI's screening and the monitor's compliance check,
+ * so both agree on who is sanctioned
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * A JSON array of addresses or { address } objects, or text with the first 0x address
+ * on each line ('#' lines are comments)
+ * @returns {{ hash: string, addresses: Set<string> }} sha256 of the file and lower-case addresses
+ */
+function readSanctionsList(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const addresses = file.endsWith('.json')
+        ? JSON.parse(content).map(item => typeof item === 'string' ? item : item.address)
+        : content.split('\n').filter(line => !line.trim().startsWith('#')).map(line => (line.match(/0x[0-9a-fA-F]{40}/) || [])[0]);
+
+    return {
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+        addresses: new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))
+    };
+}
+
+module.exports = {
+    readSanctionsList
+};
@@ -0,0 +1,23 @@
+/**
+ * Shared values for the coverage breach scenarios
+ */
+
+// Sources ReserveOracle registers in its constructor
+const SOURCES = ['chainlink-por', 'independent-auditor', 'manual-attestation'];
+
+const HOUR = 3600;
+const DAY = 86400;
+
+/**
+ * The same reading from every source
+ */
+function allSources(goldKG, tokensIssued = '1000') {
+    return SOURCES.map(source => ({ source, goldKG, tokensIssued }));
+}
+
+module.exports = {
+    DAY,
+    HOUR,
+    SOURCES,
+    allSources
+};
@@ -0,0 +1,37 @@
+/**
+ * One source reports far from the others. ReserveOracle declares ExcessiveDeviation and
+ * maxDeviationBps but never checks them (known gap, docs/ORACLE-SPEC.md), so both updates
+ * are accepted and the auditor's 40% weight alone moves the aggregate, into a breach at 80%.
+ * The last step records that behaviour as a known gap: the run reports KNOWN-GAP, not PASS,
+ * until the contract rejects the 80% update with ExcessiveDeviation
+ */
+
+const { HOUR, allSources } = require('./common');
+
+module.exports = {
+    name: 'deviating-source',
+    description: 'independent-auditor reports 130%, then 80% while the others hold 110%; both are accepted (no deviation check) and the second drags the weighted aggregate to 98%',
+    steps: [
+        {
+            label: 'all sources at 110%',
+            advance: HOUR,
+            updates: allSources('1100'),
+            expect: { noAlerts: ['WARNING', 'CRITICAL'], coverageBps: 11000, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            // 40% × 130% + 60% × 110%
+            label: 'auditor reports 130%',
+            advance: HOUR,
+            updates: [{ source: 'independent-auditor', goldKG: '1300', tokensIssued: '1000' }],
+            expect: { noAlerts: ['WARNING', 'CRITICAL'], coverageBps: 11800, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            // 40% × 80% + 60% × 110%: a single feed breaches the floor; nothing here pauses the token
+            label: 'auditor reports 80%',
+            knownGap: 'ReserveOracle accepted an update 30 points from the other sources (maxDeviationBps is never checked), so coverage fell to 98% with minting still allowed',
+            advance: HOUR,
+            updates: [{ source: 'independent-auditor', goldKG: '800', tokensIssued: '1000' }],
+            expect: { alerts: ['CRITICAL reserve-oracle'], coverageBps: 9800, mint: 'allowed', transfer: 'allowed' }
+        }
+    ]
+};
@@ -0,0 +1,46 @@
+/**
+ * Reserves erode over two days: LOW warning first, then BREACH and the runbook token pause
+ */
+
+const { HOUR, allSources } = require('./common');
+
+module.exports = {
+    name: 'gradual-decline',
+    description: 'Coverage slides 110% → 99% in 12h steps; WARNING before CRITICAL, FTHG paused on breach',
+    responses: [
+        { on: 'CRITICAL reserve-oracle', actions: ['pauseToken'] }
+    ],
+    steps: [
+        {
+            label: 'coverage 108%',
+            advance: 12 * HOUR,
+            updates: allSources('1080'),
+            expect: { noAlerts: ['WARNING', 'CRITICAL'], coverageBps: 10800, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            label: 'coverage 104%',
+            advance: 12 * HOUR,
+            updates: allSources('1040'),
+            expect: { noAlerts: ['WARNING', 'CRITICAL'], coverageBps: 10400, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            label: 'coverage 101%',
+            advance: 12 * HOUR,
+            updates: allSources('1010'),
+            expect: { alerts: ['WARNING reserve-oracle'], noAlerts: ['CRITICAL'], coverageBps: 10100, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            label: 'coverage 99%',
+            advance: 12 * HOUR,
+            updates: allSources('990'),
+            expect: { alerts: ['CRITICAL reserve-oracle'], coverageBps: 9900, mint: 'blocked', transfer: 'blocked' }
+        },
+        {
+            // The pause stays until an admin unpauses after review, even once coverage is back
+            label: 'reserves restored to 103%',
+            advance: 12 * HOUR,
+            updates: allSources('1030'),
+            expect: { alerts: ['INFO reserve-oracle'], noAlerts: ['CRITICAL'], coverageBps: 10300, mint: 'blocked', transfer: 'blocked' }
+        }
+    ]
+};
@@ -0,0 +1,30 @@
+/**
+ * Coverage breach scenarios run by simulate-scenarios.js against a local anvil chain
+ *
+ * Every scenario starts from fresh ReserveOracle and FTHG deployments with all sources
+ * reporting 1100 kg against 1000 FTH-G (110%) and 1000 FTH-G held by an investor.
+ *
+ * Each scenario module exports:
+ *   name, description
+ *   steps         - [{ label, advance, updates, expect }] run in order
+ *     advance     - seconds of chain time to move forward before the updates
+ *     updates     - [{ source, goldKG, tokensIssued, expectRevert }] updateReserveData calls
+ *                   (expectRevert: custom error name or require message the call must revert with)
+ *     expect      - { alerts, noAlerts, mint, transfer, coverageBps }
+ *                   alerts/noAlerts: patterns that must / must not fire after the step
+ *                   mint/transfer: 'allowed' or 'blocked'
+ *
+ * Optional:
+ *   responses     - [{ on, actions }] runbook actions taken the first time an alert matches
+ *                   "on"; actions: 'pauseToken' (PAUSER_ROLE) and 'pauseOracle' (CIRCUIT_BREAKER_ROLE)
+ *
+ * Alert patterns are "LEVEL" or "LEVEL source[:key]", e.g. "CRITICAL reserve-oracle" or
+ * "WARNING reserve-oracle-liveness:source-stale:manual-attestation".
+ */
+
+module.exports = [
+    require('./gradual-decline'),
+    require('./sudden-drop'),
+    require('./stale-source'),
+    require('./deviating-source')
+];
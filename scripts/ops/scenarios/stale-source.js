@@ -0,0 +1,55 @@
+/**
+ * Sources stop reporting one by one until aggregation reverts and the aggregate goes stale
+ */
+
+const { HOUR } = require('./common');
+
+const update = (source, expectRevert) => ({ source, goldKG: '1100', tokensIssued: '1000', expectRevert });
+
+module.exports = {
+    name: 'stale-source',
+    description: 'manual-attestation, then independent-auditor stop reporting; liveness warnings, then InsufficientSources and a token pause',
+    responses: [
+        { on: 'CRITICAL reserve-oracle-liveness:stale', actions: ['pauseToken'] }
+    ],
+    steps: [
+        {
+            label: 'manual attestation 13h late',
+            advance: 13 * HOUR,
+            updates: [update('chainlink-por'), update('independent-auditor')],
+            expect: {
+                alerts: ['WARNING reserve-oracle-liveness:source-stale:manual-attestation'],
+                noAlerts: ['CRITICAL', 'WARNING reserve-oracle-liveness:sources'],
+                coverageBps: 11000,
+                mint: 'allowed',
+                transfer: 'allowed'
+            }
+        },
+        {
+            // Past 24h the contract drops the source; two of the required two remain. _aggregateData reads
+            // weights by activeSourceIds index over the compacted list, which only lines up because the
+            // dropped source is the last one registered
+            label: 'manual attestation excluded',
+            advance: 12 * HOUR,
+            updates: [update('chainlink-por'), update('independent-auditor')],
+            expect: {
+                alerts: ['WARNING reserve-oracle-liveness:sources', 'WARNING reserve-oracle-liveness:source-stale:manual-attestation'],
+                noAlerts: ['CRITICAL'],
+                coverageBps: 11000,
+                mint: 'allowed',
+                transfer: 'allowed'
+            }
+        },
+        {
+            label: 'auditor silent for 25h',
+            advance: 25 * HOUR,
+            updates: [update('chainlink-por', 'Insufficient valid sources')],
+            expect: {
+                alerts: ['CRITICAL reserve-oracle-liveness:sources', 'CRITICAL reserve-oracle-liveness:stale'],
+                coverageBps: 11000,
+                mint: 'blocked',
+                transfer: 'blocked'
+            }
+        }
+    ]
+};
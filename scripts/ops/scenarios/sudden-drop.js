@@ -0,0 +1,34 @@
+/**
+ * Reserves written down in one update: straight to BREACH, emergency pause of token and oracle
+ */
+
+const { HOUR, allSources } = require('./common');
+
+module.exports = {
+    name: 'sudden-drop',
+    description: 'Coverage drops 110% → 90% within one hour; CRITICAL without a prior WARNING, token and oracle paused',
+    responses: [
+        { on: 'CRITICAL reserve-oracle', actions: ['pauseToken', 'pauseOracle'] }
+    ],
+    steps: [
+        {
+            label: 'steady at 110%',
+            advance: HOUR,
+            updates: allSources('1100'),
+            expect: { noAlerts: ['WARNING', 'CRITICAL'], coverageBps: 11000, mint: 'allowed', transfer: 'allowed' }
+        },
+        {
+            label: 'reserves written down to 90%',
+            advance: HOUR,
+            updates: allSources('900'),
+            expect: { alerts: ['CRITICAL reserve-oracle'], coverageBps: 9000, mint: 'blocked', transfer: 'blocked' }
+        },
+        {
+            // The oracle pause freezes coverage at the breached value until an admin unpauses
+            label: 'update while oracle paused',
+            advance: HOUR,
+            updates: [{ source: 'chainlink-por', goldKG: '1100', tokensIssued: '1000', expectRevert: 'EnforcedPause' }],
+            expect: { coverageBps: 9000, mint: 'blocked', transfer: 'blocked' }
+        }
+    ]
+};
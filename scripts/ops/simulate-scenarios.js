@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Coverage Scenario Simulator
+ * Deploys ReserveOracle and FTHG to a local anvil chain, replays scripted reserve updates
+ * (scripts/ops/scenarios), runs CoverageMonitor against them and reports per scenario
+ * which alerts fired, when, and whether FTHG minting and transfers ended up blocked.
+ * Steps marked knownGap reproduce a documented contract flaw: when they behave as scripted
+ * the scenario is reported as KNOWN-GAP, never PASS
+ */
+
+const { ethers } = require('ethers');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const CoverageMonitor = require('./monitor-coverage');
+const CoverageStore = require('./store/coverage-store');
+const { AlertManager, loadAlertConfig } = require('./alerts');
+const { DeploymentRegistry } = require('./deployments');
+const { parseOptions } = require('./cli');
+const SCENARIOS = require('./scenarios');
+const { allSources } = require('./scenarios/common');
+
+// Configuration
+const CONFIG = {
+    rpcUrl: process.env.ANVIL_RPC_URL || 'http://127.0.0.1:8545',
+    workDir: process.env.SCENARIO_WORK_DIR || './tmp/scenarios',
+    reportDir: './reports/scenarios',
+    anvilStartTimeoutMs: 30000
+};
+
+// anvil default accounts
+const KEYS = {
+    admin: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', // admin, writer for the default sources, pauser
+    breaker: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d', // ReserveOracle CIRCUIT_BREAKER_ROLE
+    minter: '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a', // FTHG MINTER_ROLE
+    holder: '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6' // Investor holding FTH-G
+};
+
+/**
+ * Custom error name or require message of a failed call
+ */
+function revertReason(error) {
+    if (error.reason) return error.reason;
+    if (error.revert && error.revert.name) return error.revert.name;
+    return error.shortMessage || error.message;
+}
+
+/**
+ * "LEVEL" or "LEVEL source[:key]" against a recorded alert
+ */
+function matches(alert, pattern) {
+    const [level, scope] = pattern.split(' ');
+    if (alert.level !== level) return false;
+    return !scope || alert.scope === scope || alert.scope.startsWith(`${scope}:`);
+}
+
+class ScenarioRunner {
+    constructor({ rpcUrl = CONFIG.rpcUrl, workDir = CONFIG.workDir, verbose = false } = {}) {
+        this.rpcUrl = rpcUrl;
+        this.workDir = workDir;
+        this.verbose = verbose;
+        // No request cache: back-to-back sends would otherwise reuse a cached pending nonce
+        this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { pollingInterval: 250, cacheTimeout: -1 });
+        this.signers = {};
+        for (const [role, key] of Object.entries(KEYS)) {
+            this.signers[role] = new ethers.Wallet(key, this.provider);
+        }
+        this.registry = new DeploymentRegistry();
+    }
+
+    async advance(seconds) {
+        if (!seconds) return;
+        await this.provider.send('evm_increaseTime', [seconds]);
+        await this.provider.send('evm_mine', []);
+    }
+
+    async deploy(name, args) {
+        const artifact = this.registry.loadArtifact(name);
+        if (!artifact) {
+            throw new Error(`No build artifact for ${name} - run forge build`);
+        }
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, this.signers.admin);
+        const contract = await factory.deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    /**
+     * Fresh contracts at 110% coverage with an investor holding FTH-G
+     */
+    async setup() {
+        const { admin, breaker, minter, holder } = this.signers;
+        const oracle = await this.deploy('ReserveOracle', [admin.address, breaker.address]);
+        const token = await this.deploy('FTHG', [admin.address, minter.address]);
+
+        await (await token.connect(minter).mint(holder.address, ethers.parseEther('1000'))).wait();
+
+        // Aggregation needs minSourcesRequired fresh sources, so the first update of a new
+        // deployment always reverts; seed with the minimum lowered as a real launch must
+        await (await oracle.setMinSourcesRequired(1)).wait();
+        for (const update of allSources('1100')) {
+            const result = await this.applyUpdate(oracle, update);
+            if (result.reverted) throw new Error(`Seeding ${update.source} reverted: ${result.reverted}`);
+        }
+        await (await oracle.setMinSourcesRequired(2)).wait();
+
+        return { oracle, token };
+    }
+
+    /**
+     * CoverageMonitor for a scenario: no alert channels or cooldown, state and history in the work dir
+     */
+    createMonitor(scenario, contracts) {
+        const dir = path.join(this.workDir, scenario.name);
+        fs.mkdirSync(dir, { recursive: true });
+        const logFile = path.join(dir, 'monitor.log');
+
+        const monitor = new CoverageMonitor({
+            name: `scenario-${scenario.name}`,
+            chainId: null,
+            rpcUrls: [this.rpcUrl],
+            quorum: 1,
+            stallTimeoutMs: 2000,
+            contracts,
+            deployBlocks: {},
+            deployment: null
+        });
+        monitor.stateFile = path.join(dir, 'monitor.state.json');
+        monitor.store = new CoverageStore({ dir: path.join(dir, 'coverage') });
+        monitor.alerts = new AlertManager(Object.assign(loadAlertConfig({}), {
+            cooldownMs: 0,
+            ackFile: path.join(dir, 'alert-acks.json')
+        }));
+        monitor.log = (message, level = 'INFO') => {
+            const line = `[${level}] ${message}`;
+            fs.appendFileSync(logFile, line + '\n');
+            if (this.verbose) console.log(`    ${line}`);
+        };
+
+        // Alerts are recorded for the step being run instead of logs/coverage-alerts.jsonl
+        monitor.recorded = [];
+        monitor.saveAlert = async alertData => {
+            monitor.recorded.push({
+                level: alertData.level,
+                scope: alertData.key.slice(`${monitor.network.name}:`.length),
+                message: alertData.message
+            });
+        };
+        return monitor;
+    }
+
+    /**
+     * Let the monitor process the new blocks (events mode) and run its health checks
+     */
+    async observe(monitor) {
+        monitor.recorded = [];
+        await monitor.syncEvents(await this.provider.getBlockNumber(), false);
+        await monitor.runAllChecks();
+        return monitor.recorded;
+    }
+
+    async applyUpdate(oracle, update) {
+        const result = { source: update.source, goldKG: update.goldKG, tokensIssued: update.tokensIssued, reverted: null };
+        const args = [
+            ethers.encodeBytes32String(update.source),
+            ethers.parseEther(update.goldKG),
+            ethers.parseEther(update.tokensIssued)
+        ];
+        try {
+            // Simulate first so a revert is reported with its decoded reason
+            await oracle.updateReserveData.staticCall(...args);
+            await (await oracle.updateReserveData(...args)).wait();
+        } catch (error) {
+            result.reverted = revertReason(error);
+        }
+        return result;
+    }
+
+    /**
+     * Runbook actions for alerts that match a response not yet taken
+     */
+    async respond(scenario, taken, alerts, { oracle, token }) {
+        const actions = {
+            pauseToken: () => token.connect(this.signers.admin).pause(),
+            pauseOracle: () => oracle.connect(this.signers.breaker).pause()
+        };
+        const responses = [];
+
+        for (const [i, response] of (scenario.responses || []).entries()) {
+            if (taken.has(i) || !alerts.some(alert => matches(alert, response.on))) continue;
+            taken.add(i);
+
+            for (const action of response.actions) {
+                if (!actions[action]) throw new Error(`Unknown response action ${action} in ${scenario.name}`);
+                const entry = { action, on: response.on, error: null };
+                try {
+                    await (await actions[action]()).wait();
+                } catch (error) {
+                    entry.error = revertReason(error);
+                }
+                responses.push(entry);
+            }
+        }
+        return responses;
+    }
+
+    /**
+     * Whether a 1 wei mint by the minter and a 1 wei transfer by the investor would succeed
+     */
+    async probe(token) {
+        const { admin, minter, holder } = this.signers;
+        const attempt = async call => {
+            try {
+                await call();
+                return { status: 'allowed', reason: null };
+            } catch (error) {
+                return { status: 'blocked', reason: revertReason(error) };
+            }
+        };
+        return {
+            mint: await attempt(() => token.connect(minter).mint.staticCall(holder.address, 1n)),
+            transfer: await attempt(() => token.connect(holder).transfer.staticCall(admin.address, 1n))
+        };
+    }
+
+    evaluate(step, result) {
+        const expect = step.expect || {};
+        const failures = [];
+
+        step.updates.forEach((update, i) => {
+            const { reverted } = result.updates[i];
+            if (update.expectRevert && !reverted) {
+                failures.push(`${update.source} update succeeded, expected revert ${update.expectRevert}`);
+            } else if (update.expectRevert && !reverted.includes(update.expectRevert)) {
+                failures.push(`${update.source} update reverted with "${reverted}", expected ${update.expectRevert}`);
+            } else if (!update.expectRevert && reverted) {
+                failures.push(`${update.source} update reverted: ${reverted}`);
+            }
+        });
+
+        for (const pattern of expect.alerts || []) {
+            if (!result.alerts.some(alert => matches(alert, pattern))) {
+                failures.push(`expected alert "${pattern}" did not fire`);
+            }
+        }
+        for (const pattern of expect.noAlerts || []) {
+            for (const alert of result.alerts.filter(item => matches(item, pattern))) {
+                failures.push(`unexpected alert ${alert.level}: ${alert.message}`);
+            }
+        }
+
+        for (const action of ['mint', 'transfer']) {
+            if (expect[action] && result[action].status !== expect[action]) {
+                failures.push(`${action} ${result[action].status}${result[action].reason ? ` (${result[action].reason})` : ''}, expected ${expect[action]}`);
+            }
+        }
+
+        if (expect.coverageBps !== undefined && result.coverageBps !== expect.coverageBps) {
+            failures.push(`coverage ${result.coverageBps} bps, expected ${expect.coverageBps} bps`);
+        }
+
+        return failures;
+    }
+
+    async run(scenario) {
+        const startBlock = await this.provider.getBlockNumber();
+        const contracts = await this.setup();
+        const monitor = this.createMonitor(scenario, {
+            reserveOracle: await contracts.oracle.getAddress(),
+            fthgToken: await contracts.token.getAddress()
+        });
+        monitor.lastProcessedBlock = startBlock;
+        monitor.onChainFloorBps = Number(await contracts.oracle.coverageFloorBps());
+
+        const result = {
+            name: scenario.name,
+            description: scenario.description,
+            contracts: monitor.contracts,
+            setupAlerts: await this.observe(monitor),
+            steps: [],
+            status: 'pass'
+        };
+        const taken = new Set();
+
+        try {
+            for (const step of scenario.steps) {
+                await this.advance(step.advance);
+
+                const updates = [];
+                for (const update of step.updates) {
+                    updates.push(await this.applyUpdate(contracts.oracle, update));
+                }
+
+                const alerts = await this.observe(monitor);
+                const responses = await this.respond(scenario, taken, alerts, contracts);
+                const block = await this.provider.getBlock('latest');
+
+                const stepResult = Object.assign({
+                    label: step.label,
+                    block: block.number,
+                    chainTime: new Date(block.timestamp * 1000).toISOString(),
+                    updates,
+                    alerts,
+                    responses,
+                    coverageBps: Number(await contracts.oracle.getCoverageRatio())
+                }, await this.probe(contracts.token));
+                stepResult.failures = this.evaluate(step, stepResult);
+                if (step.knownGap) stepResult.knownGap = step.knownGap;
+
+                result.steps.push(stepResult);
+            }
+        } finally {
+            monitor.rpc.destroy();
+        }
+
+        result.status = scenarioStatus(result.steps);
+        return result;
+    }
+}
+
+/**
+ * 'fail' if any step missed its expectations, else 'known-gap' if a step reproduced a known gap, else 'pass'
+ */
+function scenarioStatus(steps) {
+    if (steps.some(step => step.failures.length > 0)) return 'fail';
+    if (steps.some(step => step.knownGap)) return 'known-gap';
+    return 'pass';
+}
+
+const STATUS_LABELS = { pass: '✅ PASS', fail: '❌ FAIL', 'known-gap': '⚠️  KNOWN-GAP' };
+
+/**
+ * Use the node at rpcUrl, or start anvil on its port; returns the child process if started
+ */
+async function ensureAnvil(rpcUrl) {
+    const reachable = async () => {
+        const request = new ethers.FetchRequest(rpcUrl);
+        request.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+        request.timeout = 2000;
+        try {
+            return (await request.send()).ok();
+        } catch (error) {
+            return false;
+        }
+    };
+
+    if (await reachable()) return null;
+
+    console.log('⛓️  Starting anvil...');
+    const anvil = spawn('anvil', ['--port', new URL(rpcUrl).port || '8545', '--silent'], { stdio: 'ignore' });
+    let spawnError = null;
+    anvil.on('error', error => { spawnError = error; });
+
+    const deadline = Date.now() + CONFIG.anvilStartTimeoutMs;
+    while (Date.now() < deadline) {
+        if (await reachable()) return anvil;
+        if (spawnError || anvil.exitCode !== null) break;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    anvil.kill();
+    throw new Error(spawnError ? `Could not start anvil: ${spawnError.message} (install Foundry)` : `anvil did not start at ${rpcUrl}`);
+}
+
+function printResult(result) {
+    const alertList = alerts => alerts.length === 0 ? '-' : alerts.map(alert => `${alert.level} ${alert.scope}`).join(', ');
+
+    console.log(`\n🎬 ${result.name}: ${result.description}`);
+    for (const step of result.steps) {
+        console.log([
+            `  ${step.failures.length > 0 ? '❌' : step.knownGap ? '⚠️ ' : '✅'} ${step.label.padEnd(30)}`,
+            `coverage ${(step.coverageBps / 100).toFixed(2)}%`,
+            `mint ${step.mint.status}`,
+            `transfer ${step.transfer.status}`,
+            `alerts: ${alertList(step.alerts)}`
+        ].join(' | '));
+        for (const response of step.responses) {
+            console.log(`     ⚡ ${response.action} (on ${response.on})${response.error ? ` failed: ${response.error}` : ''}`);
+        }
+        for (const failure of step.failures) {
+            console.log(`     ↳ ${failure}`);
+        }
+        if (step.knownGap && step.failures.length === 0) {
+            console.log(`     ↳ known gap: ${step.knownGap}`);
+        }
+    }
+    console.log(`  ${STATUS_LABELS[result.status]}`);
+}
+
+async function main() {
+    const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'run';
+    const options = parseOptions(process.argv.slice(2));
+
+    switch (command) {
+        case 'list':
+            for (const scenario of SCENARIOS) {
+                console.log(`${scenario.name.padEnd(20)} ${scenario.description}`);
+            }
+            break;
+
+        case 'run': {
+            const selected = options.scenario
+                ? options.scenario.split(',').map(name => {
+                    const scenario = SCENARIOS.find(item => item.name === name.trim());
+                    if (!scenario) throw new Error(`Unknown scenario: ${name} (available: ${SCENARIOS.map(item => item.name).join(', ')})`);
+                    return scenario;
+                })
+                : SCENARIOS;
+            const rpcUrl = options.rpc || CONFIG.rpcUrl;
+
+            if (!options['no-build']) {
+                console.log('🔨 forge build');
+                const build = spawnSync('forge', ['build'], { stdio: 'inherit' });
+                if (build.status !== 0) throw new Error('forge build failed (pass --no-build to use existing artifacts)');
+            }
+
+            const anvil = await ensureAnvil(rpcUrl);
+            const runner = new ScenarioRunner({ rpcUrl, verbose: Boolean(options.verbose) });
+            const results = [];
+
+            try {
+                console.log(`🧪 Running ${selected.length} scenario(s) on ${rpcUrl} (chain ${(await runner.provider.getNetwork()).chainId})`);
+                for (const scenario of selected) {
+                    const result = await runner.run(scenario);
+                    printResult(result);
+                    results.push(result);
+                }
+            } finally {
+                runner.provider.destroy();
+                if (anvil) anvil.kill();
+            }
+
+            const report = {
+                timestamp: new Date().toISOString(),
+                rpcUrl,
+                passed: results.filter(result => result.status === 'pass').length,
+                failed: results.filter(result => result.status === 'fail').length,
+                knownGaps: results.filter(result => result.status === 'known-gap').length,
+                scenarios: results
+            };
+            const reportFile = path.join(CONFIG.reportDir, `scenarios-${report.timestamp.replace(/[:.]/g, '-')}.json`);
+            await fs.promises.mkdir(CONFIG.reportDir, { recursive: true });
+            await fs.promises.writeFile(reportFile, JSON.stringify(report, null, 2));
+
+            console.log(`\n📊 ${report.passed} passed, ${report.failed} failed, ${report.knownGaps} known gap(s) - report saved to ${reportFile}`);
+            // Known gaps are not a pass: exit 2 so CI shows them until the contract is fixed
+            process.exit(report.failed > 0 ? 1 : report.knownGaps > 0 ? 2 : 0);
+            break;
+        }
+
+        default:
+            console.log('Usage: simulate-scenarios.js [run|list] [--scenario a,b] [--rpc url] [--no-build] [--verbose]');
+            console.log('  run       Deploy to anvil (started if --rpc / ANVIL_RPC_URL is not answering) and run scenarios');
+            console.log('  list      Available scenarios');
+            console.log('  Exit status: 0 all passed, 1 a scenario failed, 2 only known gaps (docs/ORACLE-SPEC.md) reproduced');
+            process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { ScenarioRunner, matches, scenarioStatus };
@@ -0,0 +1,263 @@
+/**
+ * FTH-GOLD Coverage Time Series Store
+ * Append-only JSONL partitioned by UTC day, with an index of per-day
+ * summaries so range queries only open the partitions they need
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_SECONDS = 86400;
+
+// ReserveOracle reports type(uint256).max while totalSupply is zero
+const NO_ISSUANCE_BPS = 1e9;
+
+function dayKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function toDate(value) {
+    return value instanceof Date ? value : new Date(value);
+}
+
+class CoverageStore {
+    constructor({ dir = './data/coverage' } = {}) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'index.json');
+        this.index = null;
+        this.writing = Promise.resolve();
+    }
+
+    async loadIndex() {
+        if (this.index) return this.index;
+
+        try {
+            this.index = JSON.parse(await fs.promises.readFile(this.indexFile, 'utf8'));
+        } catch (error) {
+            this.index = { days: {} };
+        }
+        return this.index;
+    }
+
+    async saveIndex() {
+        // Unique per process so two writers never rename each other's half-written file
+        const tmpFile = `${this.indexFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(this.index, null, 2));
+        await fs.promises.rename(tmpFile, this.indexFile);
+    }
+
+    partitionFile(day) {
+        return path.join(this.dir, `${day}.jsonl`);
+    }
+
+    /**
+     * Append one coverage sample
+     * @param {Object} sample { observedAt, ratio, healthy, goldKG, tokensIssued, dataTimestamp, origin }
+     */
+    append(sample) {
+        // Appends run one at a time so concurrent callers never interleave index updates
+        const appended = this.writing.then(() => this.write(sample));
+        this.writing = appended.catch(() => {});
+        return appended;
+    }
+
+    async write(sample) {
+        const observedAt = toDate(sample.observedAt);
+        const record = {
+            t: observedAt.toISOString(),
+            ratio: sample.ratio,
+            healthy: sample.healthy,
+            goldKG: sample.goldKG,
+            tokensIssued: sample.tokensIssued,
+            dataTimestamp: sample.dataTimestamp ? toDate(sample.dataTimestamp).toISOString() : null,
+            origin: sample.origin || 'poll'
+        };
+
+        const day = dayKey(observedAt);
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(this.partitionFile(day), JSON.stringify(record) + '\n');
+
+        const index = await this.loadIndex();
+        const entry = index.days[day] || { count: 0, minBps: record.ratio, maxBps: record.ratio, first: record.t, last: record.t };
+        entry.count++;
+        entry.minBps = Math.min(entry.minBps, record.ratio);
+        entry.maxBps = Math.max(entry.maxBps, record.ratio);
+        if (record.t < entry.first) entry.first = record.t;
+        if (record.t > entry.last) entry.last = record.t;
+        index.days[day] = entry;
+
+        await this.saveIndex();
+        return record;
+    }
+
+    async readPartition(day) {
+        try {
+            const content = await fs.promises.readFile(this.partitionFile(day), 'utf8');
+            return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * All samples in [from, to], oldest first
+     */
+    async query({ from, to, origin } = {}) {
+        const index = await this.loadIndex();
+        const fromDate = from ? toDate(from) : new Date(0);
+        const toDateValue = to ? toDate(to) : new Date();
+        const fromDay = dayKey(fromDate);
+        const toDay = dayKey(toDateValue);
+
+        const days = Object.keys(index.days).filter(day => day >= fromDay && day <= toDay).sort();
+        const samples = [];
+
+        for (const day of days) {
+            for (const record of await this.readPartition(day)) {
+                const t = new Date(record.t);
+                if (t < fromDate || t > toDateValue) continue;
+                if (origin && record.origin !== origin) continue;
+                samples.push(record);
+            }
+        }
+
+        return samples.sort((a, b) => a.t.localeCompare(b.t));
+    }
+
+    /**
+     * Latest sample at or before a point in time
+     */
+    async at(time) {
+        const target = toDate(time);
+        const index = await this.loadIndex();
+        const days = Object.keys(index.days).filter(day => day <= dayKey(target)).sort().reverse();
+
+        for (const day of days) {
+            const samples = (await this.readPartition(day))
+                .filter(record => new Date(record.t) <= target)
+                .sort((a, b) => a.t.localeCompare(b.t));
+            if (samples.length > 0) return samples[samples.length - 1];
+        }
+
+        return null;
+    }
+
+    /**
+     * Min/max/avg coverage and breach intervals for a range.
+     * Samples taken while no tokens were issued (uint256 max ratio) are left out, as in daily().
+     * @param {Object} options { from, to, floorBps }
+     */
+    async stats({ from, to, floorBps = 10000 } = {}) {
+        const samples = (await this.query({ from, to })).filter(sample => sample.ratio < NO_ISSUANCE_BPS);
+        if (samples.length === 0) {
+            return { count: 0, breaches: [], totalBreachSec: 0 };
+        }
+
+        const ratios = samples.map(sample => sample.ratio);
+        const breaches = [];
+        let current = null;
+
+        for (const sample of samples) {
+            if (sample.ratio < floorBps) {
+                if (!current) {
+                    current = { start: sample.t, end: null, minBps: sample.ratio, ongoing: false };
+                }
+                current.minBps = Math.min(current.minBps, sample.ratio);
+            } else if (current) {
+                current.end = sample.t;
+                breaches.push(current);
+                current = null;
+            }
+        }
+
+        if (current) {
+            current.end = samples[samples.length - 1].t;
+            current.ongoing = true;
+            breaches.push(current);
+        }
+
+        for (const breach of breaches) {
+            breach.durationSec = Math.round((new Date(breach.end) - new Date(breach.start)) / 1000);
+        }
+
+        return {
+            count: samples.length,
+            from: samples[0].t,
+            to: samples[samples.length - 1].t,
+            minBps: Math.min(...ratios),
+            maxBps: Math.max(...ratios),
+            avgBps: Math.round(ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length),
+            first: samples[0],
+            last: samples[samples.length - 1],
+            breaches,
+            totalBreachSec: breaches.reduce((sum, breach) => sum + breach.durationSec, 0)
+        };
+    }
+
+    /**
+     * Per-UTC-day min/avg/max coverage and time below the floor, oldest first.
+     * Samples taken while no tokens were issued (uint256 max ratio) are left out.
+     * @param {Object} options { from, to, floorBps }
+     */
+    async daily({ from, to, floorBps = 10000 } = {}) {
+        const samples = (await this.query({ from, to })).filter(sample => sample.ratio < NO_ISSUANCE_BPS);
+        const days = new Map();
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const day = sample.t.split('T')[0];
+            const entry = days.get(day) || { date: day, count: 0, minBps: sample.ratio, maxBps: sample.ratio, sumBps: 0, breachSec: 0 };
+
+            entry.count++;
+            entry.sumBps += sample.ratio;
+            entry.minBps = Math.min(entry.minBps, sample.ratio);
+            entry.maxBps = Math.max(entry.maxBps, sample.ratio);
+
+            // A breach lasts until the next sample, as in stats()
+            const next = samples[i + 1];
+            if (sample.ratio < floorBps && next) {
+                entry.breachSec += Math.round((new Date(next.t) - new Date(sample.t)) / 1000);
+            }
+            days.set(day, entry);
+        }
+
+        return Array.from(days.values()).map(({ sumBps, ...entry }) => Object.assign(entry, {
+            avgBps: Math.round(sumBps / entry.count),
+            breach: entry.minBps < floorBps
+        }));
+    }
+
+    /**
+     * Import ReserveOracle.getHistoricalCoverage() daily values so on-chain
+     * history lines up with off-chain samples. Days already imported are skipped.
+     * @returns {number} Number of days imported
+     */
+    async backfillFromChain(reserveOracle, from, to) {
+        const startTs = Math.floor(toDate(from).getTime() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+        const endTs = Math.floor(toDate(to).getTime() / 1000);
+
+        const [timestamps, ratios] = await reserveOracle.getHistoricalCoverage(startTs, endTs);
+        const existing = new Set((await this.query({ from: new Date(startTs * 1000), to, origin: 'onchain-daily' })).map(record => record.t));
+
+        let imported = 0;
+        for (let i = 0; i < timestamps.length; i++) {
+            const ratio = Number(ratios[i]);
+            if (ratio === 0) continue; // No aggregation happened that day
+
+            const observedAt = new Date(Number(timestamps[i]) * 1000);
+            if (existing.has(observedAt.toISOString())) continue;
+
+            await this.append({
+                observedAt,
+                ratio,
+                healthy: null,
+                origin: 'onchain-daily'
+            });
+            imported++;
+        }
+
+        return imported;
+    }
+}
+
+module.exports = CoverageStore;
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Subscription Book
+ * Per-investor SubscriptionPool portfolio, upcoming-maturity calendar and
+ * gas-budgeted batchMatureSubscriptions proposals
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, resolveNetwork } = require('./networks');
+const { fetchLogs, parseOptions } = require('./cli');
+const { buildSafeBatch, writeSafeBatch } = require('./safe-tx');
+const { MintCapacity } = require('./mint-capacity');
+
+// Configuration
+const CONFIG = {
+    fromBlock: parseInt(process.env.SUBSCRIPTION_POOL_DEPLOY_BLOCK) || 0,
+    gasBudget: parseInt(process.env.MATURITY_BATCH_GAS_BUDGET) || 5000000,
+    calendarDays: parseInt(process.env.MATURITY_CALENDAR_DAYS) || 90,
+    // Safe holding OPERATOR_ROLE on the pool
+    safeAddress: process.env.OPERATIONS_MULTISIG || process.env.ADMIN_MULTISIG,
+    outputDir: './reports/subscriptions'
+};
+
+// Per-call gas estimates used when no operator address is given for eth_estimateGas
+const GAS = {
+    base: 45000,        // Transaction, calldata head, role and pause checks
+    perMaturity: 80000, // Read sub, set matured, FTHG.mint (cold balance slot) and Matured event
+    perCliff: 30000     // FiveYear subscriptions also call FTHG.setCliff
+};
+
+const LOCK_MODES = ['Standard', 'FiveYear'];
+
+const SUBSCRIPTION_POOL_ABI = [
+    'function fthgToken() external view returns (address)',
+    'function userSubscriptionCount(address user) external view returns (uint256)',
+    'function getAllUserSubscriptions(address user) external view returns (tuple(address user, uint256 depositAmount, uint256 kgAllocated, uint8 lockMode, uint256 cliffEnd, uint256 fiveYearEnd, bool matured, uint256 subscriptionTime)[])',
+    'function batchMatureSubscriptions(address[] users, uint256[] subscriptionIds) external',
+    'function paused() external view returns (bool)',
+    'event Subscribed(address indexed user, uint256 indexed subscriptionId, uint256 depositAmount, uint256 kgAllocated, uint8 lockMode, uint256 cliffEnd)',
+    'event Matured(address indexed user, uint256 indexed subscriptionId, uint256 fthgMinted)'
+];
+
+const FTHG_ABI = [
+    'function balanceOf(address user) external view returns (uint256)',
+    'function cliffEnd(address user) external view returns (uint256)',
+    'function getCliffEnd(address user) external view returns (uint256)'
+];
+
+const YIELD_DISTRIBUTOR_ABI = [
+    'function distributionToken() external view returns (address)',
+    'function getUserClaimHistory(address user) external view returns (uint256 lastClaimedEpoch, uint256 totalClaimed)',
+    'function getTotalClaimable(address user) external view returns (uint256)'
+];
+
+const ERC20_ABI = [
+    'function decimals() external view returns (uint8)',
+    'function symbol() external view returns (string)'
+];
+
+function isoDate(timestamp) {
+    return timestamp > 0 ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+function serialize(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2) + '\n';
+}
+
+class SubscriptionBook {
+    constructor(network) {
+        if (!network.contracts.subscriptionPool) {
+            throw new Error(`No subscriptionPool address configured for ${network.name} (SUBSCRIPTION_POOL_ADDRESS)`);
+        }
+
+        this.network = network;
+        // Env override, else the deploy block recorded in deployments/{network}.json
+        this.fromBlock = CONFIG.fromBlock || (network.deployBlocks || {}).subscriptionPool || 0;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.pool = new ethers.Contract(network.contracts.subscriptionPool, SUBSCRIPTION_POOL_ABI, this.provider);
+        this.distributor = network.contracts.yieldDistributor
+            ? new ethers.Contract(network.contracts.yieldDistributor, YIELD_DISTRIBUTOR_ABI, this.provider)
+            : null;
+        this.token = null;
+    }
+
+    async initialize() {
+        this.token = new ethers.Contract(await this.pool.fthgToken(), FTHG_ABI, this.provider);
+
+        if (this.distributor) {
+            const yieldToken = new ethers.Contract(await this.distributor.distributionToken(), ERC20_ABI, this.provider);
+            this.yieldDecimals = Number(await yieldToken.decimals());
+            this.yieldSymbol = await yieldToken.symbol();
+        }
+    }
+
+    /**
+     * FTHG exposes cliffEnd(address); the addon IFTHGCore interface names it getCliffEnd
+     */
+    async readTokenCliff(user) {
+        try {
+            return Number(await this.token.cliffEnd(user));
+        } catch (error) {
+            return Number(await this.token.getCliffEnd(user));
+        }
+    }
+
+    /**
+     * Subscribed / Matured events keyed by "user:subscriptionId"
+     */
+    async indexEvents(fromBlock = this.fromBlock) {
+        const head = await this.provider.getBlockNumber();
+        const subscribed = this.pool.interface.getEvent('Subscribed');
+        const matured = this.pool.interface.getEvent('Matured');
+        const logs = await fetchLogs(this.provider, {
+            address: this.network.contracts.subscriptionPool,
+            topics: [[subscribed.topicHash, matured.topicHash]]
+        }, fromBlock, head);
+
+        const events = new Map();
+        for (const entry of logs) {
+            const { name, args } = this.pool.interface.parseLog(entry);
+            const key = `${args.user}:${args.subscriptionId}`;
+            const record = events.get(key) || { user: args.user, subscriptionId: Number(args.subscriptionId), subscribed: null, matured: null };
+
+            const ref = { blockNumber: entry.blockNumber, txHash: entry.transactionHash };
+            if (name === 'Subscribed') {
+                record.subscribed = ref;
+            } else {
+                record.matured = Object.assign(ref, { fthgMinted: args.fthgMinted });
+            }
+            events.set(key, record);
+        }
+
+        return events;
+    }
+
+    /**
+     * Investor book from on-chain subscriptions, annotated with event history
+     */
+    async build(options = {}) {
+        await this.initialize();
+
+        const fromBlock = options['from-block'] !== undefined ? parseInt(options['from-block']) : this.fromBlock;
+        const events = await this.indexEvents(fromBlock);
+        const now = (await this.provider.getBlock('latest')).timestamp;
+        const filter = options.user ? ethers.getAddress(options.user) : null;
+
+        const users = Array.from(new Set(Array.from(events.values()).map(record => record.user)))
+            .filter(user => !filter || user === filter);
+
+        const investors = [];
+        const warnings = [];
+
+        for (const user of users) {
+            const subscriptions = (await this.pool.getAllUserSubscriptions(user)).map((sub, id) => {
+                const record = events.get(`${user}:${id}`);
+                const cliffEnd = Number(sub.cliffEnd);
+
+                if (!record) {
+                    warnings.push(`${user} subscription #${id} has no Subscribed event after block ${fromBlock}`);
+                } else if (record.matured && !sub.matured) {
+                    warnings.push(`${user} subscription #${id} emitted Matured but is not marked matured`);
+                } else if (!record.matured && sub.matured) {
+                    warnings.push(`${user} subscription #${id} is matured but no Matured event was found`);
+                }
+
+                return {
+                    id,
+                    depositUSD: sub.depositAmount,
+                    kgAllocated: sub.kgAllocated,
+                    lockMode: LOCK_MODES[Number(sub.lockMode)],
+                    subscribedAt: isoDate(Number(sub.subscriptionTime)),
+                    cliffEnd,
+                    maturityDate: isoDate(cliffEnd),
+                    unlockDate: isoDate(Number(sub.fiveYearEnd)),
+                    fiveYearEnd: Number(sub.fiveYearEnd),
+                    status: sub.matured ? 'matured' : cliffEnd <= now ? 'maturable' : 'pending',
+                    maturedTx: record && record.matured ? record.matured.txHash : null
+                };
+            });
+
+            const sum = (items, field) => items.reduce((total, item) => total + item[field], 0n);
+            const pending = subscriptions.filter(sub => sub.status !== 'matured');
+
+            let yieldClaimed = null;
+            let yieldClaimable = null;
+            if (this.distributor) {
+                yieldClaimed = (await this.distributor.getUserClaimHistory(user)).totalClaimed;
+                yieldClaimable = await this.distributor.getTotalClaimable(user);
+            }
+
+            const tokenCliffEnd = await this.readTokenCliff(user);
+
+            investors.push({
+                user,
+                subscriptions,
+                depositUSD: sum(subscriptions, 'depositUSD'),
+                kgAllocated: sum(subscriptions, 'kgAllocated'),
+                kgPending: sum(pending, 'kgAllocated'),
+                fthgBalance: await this.token.balanceOf(user),
+                tokenCliffEnd,
+                tokenCliffDate: isoDate(tokenCliffEnd),
+                transfersLocked: tokenCliffEnd > now,
+                nextMaturity: pending.length > 0 ? pending.reduce((next, sub) => sub.cliffEnd < next.cliffEnd ? sub : next).maturityDate : null,
+                yieldClaimed,
+                yieldClaimable
+            });
+        }
+
+        return {
+            network: this.network.name,
+            pool: this.network.contracts.subscriptionPool,
+            token: await this.token.getAddress(),
+            now,
+            investors,
+            warnings,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    printBook(book) {
+        console.log(`📒 SubscriptionPool ${book.pool} (${book.network}) | ${book.investors.length} investors`);
+
+        for (const investor of book.investors) {
+            console.log(`\n${investor.user}`);
+            console.log(`  Deposited: $${ethers.formatEther(investor.depositUSD)} | Allocated: ${ethers.formatEther(investor.kgAllocated)} kg | Pending: ${ethers.formatEther(investor.kgPending)} kg`);
+            console.log(`  FTH-G: ${ethers.formatEther(investor.fthgBalance)} | Transfers: ${investor.transfersLocked ? `🔒 until ${investor.tokenCliffDate}` : '🔓 unlocked'}`);
+            if (investor.yieldClaimed !== null) {
+                console.log(`  Yield claimed: ${ethers.formatUnits(investor.yieldClaimed, this.yieldDecimals)} ${this.yieldSymbol} | Claimable: ${ethers.formatUnits(investor.yieldClaimable, this.yieldDecimals)} ${this.yieldSymbol}`);
+            }
+            for (const sub of investor.subscriptions) {
+                const icon = sub.status === 'matured' ? '✅' : sub.status === 'maturable' ? '⏰' : '⏳';
+                console.log(`  ${icon} #${sub.id} ${sub.lockMode} ${ethers.formatEther(sub.kgAllocated)} kg | matures ${sub.maturityDate}${sub.unlockDate ? ` | unlocks ${sub.unlockDate}` : ''} | ${sub.status}`);
+            }
+        }
+
+        for (const warning of book.warnings) {
+            console.log(`⚠️ ${warning}`);
+        }
+    }
+
+    /**
+     * Unmatured subscriptions by maturity day, plus five-year unlocks, within the horizon
+     */
+    calendar(book, days = CONFIG.calendarDays) {
+        const horizon = book.now + days * 86400;
+        const entries = [];
+
+        for (const investor of book.investors) {
+            for (const sub of investor.subscriptions) {
+                if (sub.status !== 'matured' && sub.cliffEnd <= horizon) {
+                    entries.push({ type: sub.status === 'maturable' ? 'overdue' : 'maturity', timestamp: sub.cliffEnd, user: investor.user, id: sub.id, kg: sub.kgAllocated, lockMode: sub.lockMode });
+                }
+                if (sub.fiveYearEnd > book.now && sub.fiveYearEnd <= horizon) {
+                    entries.push({ type: 'unlock', timestamp: sub.fiveYearEnd, user: investor.user, id: sub.id, kg: sub.kgAllocated, lockMode: sub.lockMode });
+                }
+            }
+        }
+
+        const byDay = new Map();
+        for (const entry of entries.sort((a, b) => a.timestamp - b.timestamp)) {
+            const day = entry.type === 'overdue' ? 'overdue' : isoDate(entry.timestamp).slice(0, 10);
+            byDay.set(day, (byDay.get(day) || []).concat(entry));
+        }
+
+        return Array.from(byDay.entries()).map(([day, items]) => ({
+            day,
+            kgMaturing: items.filter(item => item.type !== 'unlock').reduce((sum, item) => sum + item.kg, 0n),
+            items
+        }));
+    }
+
+    printCalendar(calendar, days) {
+        console.log(`📅 Maturity calendar, next ${days} days`);
+        if (calendar.length === 0) {
+            console.log('  Nothing maturing');
+        }
+
+        for (const day of calendar) {
+            const label = day.day === 'overdue' ? '⏰ Past cliff, not yet matured' : `📆 ${day.day}`;
+            console.log(`${label} | ${ethers.formatEther(day.kgMaturing)} kg`);
+            for (const item of day.items) {
+                const action = item.type === 'unlock' ? '🔓 five-year unlock' : '🪙 matures';
+                console.log(`    ${action} ${item.user} #${item.id} ${ethers.formatEther(item.kg)} kg (${item.lockMode})`);
+            }
+        }
+    }
+
+    estimateItemGas(item) {
+        return GAS.perMaturity + (item.lockMode === 'FiveYear' ? GAS.perCliff : 0);
+    }
+
+    /**
+     * Split maturable subscriptions into batches whose estimated gas stays under the budget.
+     * With --from (an OPERATOR_ROLE holder) every batch is checked with eth_estimateGas and halved until it fits.
+     */
+    async planBatches(book, { gasBudget = CONFIG.gasBudget, from = null } = {}) {
+        const items = [];
+        for (const investor of book.investors) {
+            for (const sub of investor.subscriptions) {
+                if (sub.status === 'maturable') {
+                    items.push({ user: investor.user, id: sub.id, lockMode: sub.lockMode, kg: sub.kgAllocated });
+                }
+            }
+        }
+
+        const batches = [];
+        let current = [];
+        let currentGas = GAS.base;
+
+        for (const item of items) {
+            const gas = this.estimateItemGas(item);
+            if (current.length > 0 && currentGas + gas > gasBudget) {
+                batches.push(current);
+                current = [];
+                currentGas = GAS.base;
+            }
+            current.push(item);
+            currentGas += gas;
+        }
+        if (current.length > 0) batches.push(current);
+
+        if (!from) {
+            return batches.map(batch => ({ items: batch, gas: batch.reduce((sum, item) => sum + this.estimateItemGas(item), GAS.base), estimated: false }));
+        }
+
+        const checked = [];
+        const queue = batches.slice();
+        while (queue.length > 0) {
+            const batch = queue.shift();
+            const gas = Number(await this.pool.batchMatureSubscriptions.estimateGas(
+                batch.map(item => item.user),
+                batch.map(item => item.id),
+                { from }
+            ));
+
+            if (gas > gasBudget && batch.length > 1) {
+                const half = Math.ceil(batch.length / 2);
+                queue.unshift(batch.slice(0, half), batch.slice(half));
+                continue;
+            }
+            checked.push({ items: batch, gas, estimated: true });
+        }
+
+        return checked;
+    }
+
+    /**
+     * One unsigned Safe batch per transaction, so each stays within the gas budget
+     */
+    async proposeBatches(options = {}) {
+        const book = await this.build(options);
+        const gasBudget = options['gas-budget'] !== undefined ? parseInt(options['gas-budget']) : CONFIG.gasBudget;
+        const batches = await this.planBatches(book, { gasBudget, from: options.from || null });
+
+        if (batches.length === 0) {
+            console.log('✅ No subscriptions past their cliff awaiting maturation');
+            return [];
+        }
+
+        if (await this.pool.paused()) {
+            console.log('⚠️ SubscriptionPool is paused; batchMatureSubscriptions will revert until unpaused');
+        }
+
+        // Maturation mints FTHG: batches that would push coverage below the floor are not written
+        const mintCapacity = this.network.contracts.reserveOracle ? new MintCapacity(this.network) : null;
+        const capacity = mintCapacity ? await mintCapacity.read() : null;
+        if (!capacity) {
+            console.log('⚠️ No reserveOracle configured; batches are not checked against the coverage floor');
+        }
+
+        const safeAddress = options.safe || CONFIG.safeAddress;
+        const chainId = this.network.chainId || Number((await this.provider.getNetwork()).chainId);
+        const outputDir = options['out-dir'] || CONFIG.outputDir;
+        const files = [];
+        let issued = 0n;
+
+        for (const [index, batch] of batches.entries()) {
+            const users = batch.items.map(item => item.user);
+            const ids = batch.items.map(item => item.id);
+            const kg = batch.items.reduce((sum, item) => sum + item.kg, 0n);
+
+            if (capacity) {
+                try {
+                    mintCapacity.assertWithinCapacity(capacity, issued + kg, { force: Boolean(options.force) });
+                } catch (error) {
+                    console.log(`❌ Batch ${index + 1}/${batches.length} and later not written: ${error.message}`);
+                    break;
+                }
+                issued += kg;
+            }
+            const description = `Mature ${batch.items.length} subscriptions (${ethers.formatEther(kg)} kg), ~${batch.gas} gas${batch.estimated ? '' : ' (heuristic)'}`;
+
+            const file = path.join(outputDir, `${this.network.name}-mature-batch-${book.generatedAt.slice(0, 10)}-${index + 1}.json`);
+            await writeSafeBatch(file, buildSafeBatch({
+                chainId,
+                safeAddress,
+                name: `FTHG maturity batch ${index + 1}/${batches.length}`,
+                description,
+                transactions: [{
+                    to: this.network.contracts.subscriptionPool,
+                    data: this.pool.interface.encodeFunctionData('batchMatureSubscriptions', [users, ids]),
+                    description
+                }]
+            }));
+
+            files.push(file);
+            console.log(`📝 Batch ${index + 1}/${batches.length}: ${description} → ${file}`);
+        }
+
+        console.log(`Gas budget ${gasBudget} per transaction; execute batches from ${safeAddress || 'the OPERATOR_ROLE multisig'}`);
+        return files;
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+    const book = new SubscriptionBook(resolveNetwork(options.network));
+
+    switch (command) {
+        case 'book': {
+            const data = await book.build(options);
+            book.printBook(data);
+            if (options.out) {
+                await fs.promises.mkdir(path.dirname(options.out), { recursive: true });
+                await fs.promises.writeFile(options.out, serialize(data));
+                console.log(`Book saved to: ${options.out}`);
+            }
+            break;
+        }
+
+        case 'calendar': {
+            const days = options.days !== undefined ? parseInt(options.days) : CONFIG.calendarDays;
+            book.printCalendar(book.calendar(await book.build(options), days), days);
+            break;
+        }
+
+        case 'batches':
+            await book.proposeBatches(options);
+            break;
+
+        default:
+            console.log('Usage: subscription-book.js <command> [--network name] [--from-block N]');
+            console.log('  book     [--user addr] [--out file]       Per-investor subscriptions, tokens, cliffs and yield');
+            console.log('  calendar [--days N]                       Upcoming maturities and five-year unlocks');
+            console.log('  batches  [--gas-budget N] [--from operator] [--safe addr] [--out-dir dir] [--force]');
+            console.log('                                            Safe batches for batchMatureSubscriptions, within the coverage floor');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = SubscriptionBook;
@@ -0,0 +1,130 @@
+/**
+ * Investor access requests: eligibility rules shared with the website and the gated whitepaper
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AccessRequestServer, AccessRequestStore } = require('../access-requests');
+const { validateAccessRequest } = require('../../../website/scripts/access-rules');
+
+const ORIGIN = 'https://futuretechholdings.com';
+
+const REQUEST = {
+    type: 'whitepaper',
+    name: 'Jane Investor',
+    jurisdiction: 'GB',
+    category: 'uk-sophisticated',
+    email: 'jane@example.com',
+    investmentUSD: '$250,000',
+    attestation: 'on'
+};
+
+test('validateAccessRequest accepts a qualified request and normalizes the amount', () => {
+    const { valid, errors, request } = validateAccessRequest(REQUEST);
+    assert.strictEqual(valid, true, JSON.stringify(errors));
+    assert.strictEqual(request.investmentUSD, '250000');
+    assert.strictEqual(request.attestation, true);
+    assert.strictEqual(request.review, false);
+});
+
+test('validateAccessRequest refuses US persons and categories from another jurisdiction', () => {
+    const us = validateAccessRequest(Object.assign({}, REQUEST, { jurisdiction: 'US', category: 'professional' }));
+    assert.strictEqual(us.valid, false);
+    assert.match(us.errors.jurisdiction, /US persons are not eligible/);
+    assert.strictEqual(us.errors.category, undefined);
+
+    const mismatched = validateAccessRequest(Object.assign({}, REQUEST, { category: 'sg-accredited' }));
+    assert.match(mismatched.errors.category, /available in United Kingdom/);
+});
+
+test('validateAccessRequest applies category minimums, entity names and the attestation', () => {
+    const exempt = validateAccessRequest(Object.assign({}, REQUEST, { jurisdiction: 'AE', category: 'uae-exempt-offer', investmentUSD: '50000' }));
+    assert.match(exempt.errors.investmentUSD, /Minimum investment is \$54,459/);
+
+    const below = validateAccessRequest(Object.assign({}, REQUEST, { investmentUSD: '19999' }));
+    assert.match(below.errors.investmentUSD, /Minimum investment is \$20,000/);
+
+    const institution = validateAccessRequest(Object.assign({}, REQUEST, { jurisdiction: 'AE', category: 'uae-institution', attestation: undefined }));
+    assert.deepStrictEqual(Object.keys(institution.errors).sort(), ['attestation', 'entity']);
+
+    const other = validateAccessRequest(Object.assign({}, REQUEST, { jurisdiction: 'OTHER', category: 'professional', type: 'brochure' }));
+    assert.strictEqual(other.valid, true);
+    assert.strictEqual(other.request.review, true);
+    assert.strictEqual(other.request.type, 'access');
+});
+
+test('the server refuses to start without an explicit allowed origin', () => {
+    const store = new AccessRequestStore(os.tmpdir());
+    assert.throws(() => new AccessRequestServer({ port: 0, store }), /ACCESS_ALLOWED_ORIGIN must be set/);
+    assert.throws(() => new AccessRequestServer({ port: 0, store, allowedOrigin: '*' }), /ACCESS_ALLOWED_ORIGIN must be set/);
+});
+
+let server;
+let store;
+let baseUrl;
+
+before(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-access-'));
+    const whitepaperFile = path.join(dir, 'whitepaper.pdf');
+    fs.writeFileSync(whitepaperFile, '%PDF-1.4 test');
+
+    store = new AccessRequestStore(path.join(dir, 'requests'));
+    server = new AccessRequestServer({ port: 0, store, allowedOrigin: ORIGIN, whitepaperFile });
+    const address = await server.start();
+    baseUrl = `http://127.0.0.1:${address.port}/access-requests`;
+});
+
+after(() => server.stop());
+
+async function submit() {
+    const response = await fetch(baseUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(REQUEST)
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), ORIGIN);
+    return response.json();
+}
+
+function whitepaper(id, token) {
+    return fetch(`${baseUrl}/${id}/whitepaper${token === undefined ? '' : `?token=${encodeURIComponent(token)}`}`);
+}
+
+test('the whitepaper is withheld from pending and rejected requests', async () => {
+    const { id, token, status } = await submit();
+    assert.strictEqual(status, 'pending');
+
+    const pending = await whitepaper(id, token);
+    assert.strictEqual(pending.status, 403);
+    assert.strictEqual((await pending.json()).status, 'pending');
+
+    await store.setStatus(id, 'rejected', 'not qualified');
+    const rejected = await whitepaper(id, token);
+    assert.strictEqual(rejected.status, 403);
+    assert.strictEqual((await rejected.json()).status, 'rejected');
+});
+
+test('an approved request needs its own token to download', async () => {
+    const { id, token } = await submit();
+    const other = await submit();
+    await store.setStatus(id, 'approved');
+
+    for (const wrong of [undefined, '', other.token, token.slice(1)]) {
+        const response = await whitepaper(id, wrong);
+        assert.strictEqual(response.status, 404, `token ${wrong}`);
+        assert.doesNotMatch(await response.text(), /%PDF/);
+    }
+
+    const status = await fetch(`${baseUrl}/${id}`, { headers: { 'X-Access-Token': other.token } });
+    assert.strictEqual(status.status, 404);
+
+    const approved = await whitepaper(id, token);
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.headers.get('content-type'), 'application/pdf');
+    assert.strictEqual(await approved.text(), '%PDF-1.4 test');
+});
@@ -0,0 +1,199 @@
+/**
+ * Alert pipeline: routing, dedup, resolves, retry and escalation against local stubs
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AlertManager, loadAlertConfig, parseRoutes } = require('../alerts');
+const { encodeHeader, sendMail } = require('../alerts/smtp');
+const { httpStub, smtpStub } = require('./stubs');
+
+function alert(level, key = 'coverage', extra = {}) {
+    return Object.assign({
+        level,
+        key,
+        message: `${level} on ${key}`,
+        source: 'test',
+        network: 'anvil',
+        timestamp: new Date().toISOString()
+    }, extra);
+}
+
+function manager(stub, overrides = {}) {
+    const config = loadAlertConfig(Object.assign({
+        ALERT_DISCORD_WEBHOOK: stub.url('/discord'),
+        ALERT_WEBHOOK_URL: stub.url('/webhook'),
+        PAGERDUTY_ROUTING_KEY: 'routing-key',
+        PAGERDUTY_EVENTS_URL: stub.url('/pagerduty'),
+        ALERT_RETRY_DELAY_MS: '1',
+        ALERT_ACK_FILE: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-acks-')), 'acks.json')
+    }, overrides));
+    return new AlertManager(config);
+}
+
+test('parseRoutes reads level=channel lists and ignores unknown levels', () => {
+    assert.deepStrictEqual(parseRoutes('critical=discord,pagerduty; WARNING=discord;DEBUG=slack'), {
+        CRITICAL: ['discord', 'pagerduty'],
+        WARNING: ['discord']
+    });
+});
+
+test('CRITICAL goes to every channel, WARNING only to chat channels', async () => {
+    const stub = await httpStub();
+    try {
+        const alerts = manager(stub);
+
+        assert.deepStrictEqual(await alerts.send(alert('CRITICAL')), ['discord', 'webhook', 'pagerduty']);
+        assert.deepStrictEqual(await alerts.send(alert('WARNING', 'staleness')), ['discord', 'webhook']);
+
+        assert.strictEqual(stub.on('/pagerduty').length, 1);
+        assert.strictEqual(stub.on('/pagerduty')[0].body.event_action, 'trigger');
+        assert.strictEqual(stub.on('/webhook')[1].body.alert.key, 'staleness');
+        assert.match(stub.on('/discord')[0].body.embeds[0].title, /FTH-GOLD Health Alert/);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('ALERT_ROUTES overrides the default routing', async () => {
+    const stub = await httpStub();
+    try {
+        const alerts = manager(stub, { ALERT_ROUTES: 'WARNING=pagerduty' });
+        assert.deepStrictEqual(await alerts.send(alert('WARNING')), ['pagerduty']);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('cooldown is per key and level, so a WARNING does not suppress a CRITICAL', async () => {
+    const stub = await httpStub();
+    try {
+        const alerts = manager(stub);
+
+        assert.notStrictEqual(await alerts.send(alert('WARNING')), null);
+        assert.strictEqual(await alerts.send(alert('WARNING')), null);
+        assert.notStrictEqual(await alerts.send(alert('WARNING', 'other')), null);
+        assert.notStrictEqual(await alerts.send(alert('CRITICAL')), null);
+        assert.strictEqual(stub.on('/discord').length, 3);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('INFO on an active key resolves the incident on channels that saw the trigger', async () => {
+    const stub = await httpStub();
+    try {
+        const alerts = manager(stub);
+
+        await alerts.send(alert('CRITICAL'));
+        const resolved = alert('INFO');
+        assert.deepStrictEqual(await alerts.send(resolved), ['discord', 'webhook', 'pagerduty']);
+        assert.strictEqual(resolved.resolves, true);
+
+        const pagerduty = stub.on('/pagerduty');
+        assert.deepStrictEqual(pagerduty.map(request => request.body.event_action), ['trigger', 'resolve']);
+        assert.strictEqual(pagerduty[1].body.dedup_key, 'fth-gold:coverage');
+        assert.deepStrictEqual(alerts.active, {});
+    } finally {
+        await stub.close();
+    }
+});
+
+test('failed deliveries are retried on 5xx but not on 4xx', async () => {
+    const stub = await httpStub([503, 200, 400]);
+    try {
+        const alerts = manager(stub, { ALERT_ROUTES: 'WARNING=discord;CRITICAL=discord' });
+
+        assert.deepStrictEqual(await alerts.send(alert('WARNING')), ['discord']);
+        assert.strictEqual(stub.requests.length, 2);
+
+        assert.deepStrictEqual(await alerts.send(alert('CRITICAL', 'other')), []);
+        assert.strictEqual(stub.requests.length, 3);
+        alerts.resolve('other');
+    } finally {
+        await stub.close();
+    }
+});
+
+test('unacknowledged CRITICALs escalate until acknowledged', async () => {
+    const stub = await httpStub();
+    try {
+        const alerts = manager(stub, {
+            ALERT_ROUTES: 'CRITICAL=discord',
+            ALERT_ESCALATION_MS: '20',
+            ALERT_ESCALATION_CHANNELS: 'pagerduty'
+        });
+
+        await alerts.send(alert('CRITICAL'));
+        await new Promise(resolve => setTimeout(resolve, 60));
+        const escalations = stub.on('/pagerduty').length;
+        assert.ok(escalations >= 1);
+        assert.match(stub.on('/pagerduty')[0].body.payload.summary, /CRITICAL on coverage/);
+
+        alerts.acknowledge('coverage');
+        await new Promise(resolve => setTimeout(resolve, 60));
+        const afterAck = stub.on('/pagerduty').length;
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.strictEqual(stub.on('/pagerduty').length, afterAck);
+        assert.ok(afterAck <= escalations + 1);
+        alerts.resolve('coverage');
+    } finally {
+        await stub.close();
+    }
+});
+
+test('encodeHeader leaves ASCII alone and encodes emoji as RFC 2047 words', () => {
+    assert.strictEqual(encodeHeader('FTH-GOLD Alert'), 'FTH-GOLD Alert');
+
+    const subject = `🚨 FTH-GOLD Coverage Alert [CRITICAL] ${'COVERAGE BREACH '.repeat(6)}`;
+    const encoded = encodeHeader(subject);
+    const words = encoded.split('\r\n ');
+    assert.ok(words.every(word => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(word) && word.length <= 75));
+    const decoded = words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join('');
+    assert.strictEqual(decoded, subject);
+});
+
+test('sendMail delivers over a plain connection when no credentials are configured', async () => {
+    const stub = await smtpStub();
+    try {
+        await sendMail({ host: '127.0.0.1', port: stub.port, from: 'monitor@example.com', to: ['ops@example.com'], subject: '🚨 Alert', text: 'line\n.dot' });
+
+        assert.strictEqual(stub.messages.length, 1);
+        assert.match(stub.messages[0], /^Subject: =\?UTF-8\?B\?/m);
+        assert.match(stub.messages[0], /\r\n\.\.dot$/);
+        assert.ok(stub.commands.includes('RCPT TO:<ops@example.com>'));
+    } finally {
+        await stub.close();
+    }
+});
+
+test('sendMail refuses to send credentials without TLS', async () => {
+    const stub = await smtpStub();
+    try {
+        await assert.rejects(
+            sendMail({ host: '127.0.0.1', port: stub.port, user: 'monitor', pass: 'secret', from: 'a@example.com', to: 'b@example.com', subject: 's', text: 't' }),
+            /refusing to send credentials in cleartext/
+        );
+        assert.ok(!stub.commands.some(command => command.startsWith('AUTH')));
+    } finally {
+        await stub.close();
+    }
+});
+
+test('sendMail upgrades with STARTTLS when the server offers it', async () => {
+    const stub = await smtpStub({ extensions: ['STARTTLS', 'AUTH PLAIN'] });
+    try {
+        await assert.rejects(
+            sendMail({ host: '127.0.0.1', port: stub.port, user: 'monitor', pass: 'secret', from: 'a@example.com', to: 'b@example.com', subject: 's', text: 't' }),
+            /STARTTLS failed/
+        );
+        assert.ok(stub.commands.includes('STARTTLS'));
+        assert.ok(!stub.commands.some(command => command.startsWith('AUTH')));
+    } finally {
+        await stub.close();
+    }
+});
@@ -0,0 +1,115 @@
+/**
+ * Attestation chain: canonical hashing, signatures, links and authorized signers
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { ATTESTATION_TYPE, AttestationChain, canonicalJson, hashReport, signReport, verifyChain } = require('../attestation');
+
+const operator = ethers.Wallet.createRandom();
+const intruder = ethers.Wallet.createRandom();
+
+function report(sequence, previousHash, date, minBps = 10200) {
+    return {
+        type: ATTESTATION_TYPE,
+        version: 1,
+        sequence,
+        previousHash,
+        network: 'anvil',
+        period: { date },
+        coverage: { samples: 24, minBps, maxBps: 10500, avgBps: 10350 }
+    };
+}
+
+async function chain(wallet = operator, length = 3) {
+    const entries = [];
+    let previousHash = ethers.ZeroHash;
+    for (let i = 1; i <= length; i++) {
+        const envelope = await signReport(report(i, previousHash, `2026-10-0${i}`), wallet);
+        entries.push({ file: `coverage-attestation-2026-10-0${i}.json`, envelope });
+        previousHash = envelope.hash;
+    }
+    return entries;
+}
+
+function errors(results) {
+    return results.flatMap(result => result.errors);
+}
+
+test('canonicalJson sorts keys at every level and drops undefined values', () => {
+    assert.strictEqual(canonicalJson({ b: 1, a: { d: [2, { z: 1, y: 2 }], c: undefined } }), '{"a":{"d":[2,{"y":2,"z":1}]},"b":1}');
+    assert.strictEqual(hashReport({ a: 1, b: 2 }), hashReport({ b: 2, a: 1 }));
+});
+
+test('a chain signed by an authorized signer verifies', async () => {
+    const results = await verifyChain(await chain(), { signers: [operator.address] });
+
+    assert.deepStrictEqual(results.map(result => result.date), ['2026-10-01', '2026-10-02', '2026-10-03']);
+    assert.deepStrictEqual(errors(results), []);
+    assert.deepStrictEqual(results.flatMap(result => result.warnings), []);
+});
+
+test('verification refuses to run without authorized signers', async () => {
+    await assert.rejects(verifyChain(await chain(), {}), /No authorized attestation signers/);
+});
+
+test('an edited report fails its hash check', async () => {
+    const entries = await chain();
+    entries[1].envelope.report.coverage.minBps = 9000;
+
+    const results = await verifyChain(entries, { signers: [operator.address] });
+    assert.match(results[1].errors.join(), /hash mismatch/);
+    assert.deepStrictEqual(results[0].errors, []);
+});
+
+test('an edited chain re-hashed and re-signed with another key is rejected', async () => {
+    const forged = await chain(intruder);
+
+    const results = await verifyChain(forged, { signers: [operator.address] });
+    assert.strictEqual(results.filter(result => result.errors.some(error => /not an authorized attestation signer/.test(error))).length, 3);
+});
+
+test('a replaced link breaks the chain for the next report', async () => {
+    const entries = await chain();
+    entries[1].envelope = await signReport(report(2, entries[0].envelope.hash, '2026-10-02', 9000), operator);
+
+    const results = await verifyChain(entries, { signers: [operator.address] });
+    assert.deepStrictEqual(results[1].errors, []);
+    assert.match(results[2].errors.join(), /chain broken/);
+});
+
+test('a claimed signer that does not match the signature is reported', async () => {
+    const entries = await chain();
+    entries[0].envelope.signer = intruder.address;
+
+    const results = await verifyChain(entries, { signers: [operator.address, intruder.address] });
+    assert.match(results[0].errors.join(), /envelope claims/);
+});
+
+test('a missing first report is a warning, a gap in sequence an error', async () => {
+    const entries = await chain();
+
+    const [first] = await verifyChain(entries.slice(1), { signers: [operator.address] });
+    assert.deepStrictEqual(first.errors, []);
+    assert.match(first.warnings.join(), /earlier reports are missing/);
+
+    const results = await verifyChain([entries[0], entries[2]], { signers: [operator.address] });
+    assert.match(results[1].errors.join(), /sequence 3 does not follow 1/);
+});
+
+test('AttestationChain lists in sequence order and never overwrites a report', async () => {
+    const store = new AttestationChain({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-attestations-')) });
+    const entries = await chain();
+
+    for (const { envelope } of entries.slice().reverse()) await store.write(envelope);
+    await assert.rejects(store.write(entries[0].envelope), { code: 'EEXIST' });
+
+    assert.deepStrictEqual((await store.list()).map(entry => entry.envelope.report.sequence), [1, 2, 3]);
+    assert.strictEqual((await store.head()).hash, entries[2].envelope.hash);
+    assert.deepStrictEqual(errors(await verifyChain(await store.list(), { signers: [operator.address] })), []);
+});
@@ -0,0 +1,84 @@
+/**
+ * Bridge signer: a deposit that fails to sign stays on record once the cursor moves past it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { BridgeSigner } = require('../../bridge/bridge-signer');
+const BridgeState = require('../../bridge/state-store');
+
+const TOKEN = { symbol: 'USDT', address: '0x00000000000000000000000000000000000000f6', decimals: 6 };
+
+const DEPOSIT = {
+    key: 'ethereum:0xabc:0',
+    fromChain: 'ethereum',
+    fromTxHash: '0xabc',
+    fromToken: TOKEN.address,
+    fromAmount: 25000000000n,
+    token: TOKEN,
+    depositAddress: '0x00000000000000000000000000000000000000a7',
+    user: '0x00000000000000000000000000000000000000b8',
+    blockNumber: 120
+};
+
+/**
+ * Signer over one watcher that yields DEPOSIT once, a pricer that fails `failures` times
+ * and a submit() that only records what it was given. A poll that finds the deposit
+ * tries to sign it twice: once as new, once from resumePending.
+ */
+function signer(failures) {
+    const instance = Object.create(BridgeSigner.prototype);
+    instance.operator = ethers.Wallet.createRandom();
+    instance.state = new BridgeState({ file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-bridge-')), 'test.json') });
+    instance.watchers = [{
+        name: 'ethereum',
+        polled: 0,
+        async poll() {
+            this.polled++;
+            return { deposits: this.polled === 1 ? [DEPOSIT] : [], cursor: 130 };
+        }
+    }];
+    instance.pricers = new Map([[`ethereum:${TOKEN.address}`, async (amount) => {
+        if (failures-- > 0) throw new Error('price feed unavailable');
+        return { usdAmount: amount * 10n ** 12n, price: '1.00', source: 'fixed' };
+    }]]);
+    instance.chainTime = async () => 1790000000;
+    instance.provider = {};
+    instance.submitted = [];
+    instance.submit = async (record) => { instance.submitted.push(record.key); };
+    instance.log = () => {};
+    return instance;
+}
+
+test('a deposit that fails to sign is kept as sign-failed and retried after the cursor moves on', async () => {
+    const instance = signer(2);
+
+    await instance.pollOnce();
+    assert.strictEqual(instance.state.getCursor('ethereum'), 130);
+    const record = instance.state.get(DEPOSIT.key);
+    assert.strictEqual(record.status, 'sign-failed');
+    assert.strictEqual(record.lastError, 'price feed unavailable');
+    assert.deepStrictEqual(instance.submitted, []);
+
+    // The watcher no longer returns the deposit; the retry comes from the state file
+    await instance.pollOnce();
+    const signed = instance.state.get(DEPOSIT.key);
+    assert.strictEqual(signed.status, 'signed');
+    assert.strictEqual(signed.lastError, undefined);
+    assert.strictEqual(signed.proof.usdAmount, 25000n * 10n ** 18n);
+    assert.deepStrictEqual(instance.submitted, [DEPOSIT.key]);
+});
+
+test('a sign-failed record survives a restart', async () => {
+    const instance = signer(2);
+    await instance.pollOnce();
+
+    const reloaded = await new BridgeState({ file: instance.state.file }).load();
+    assert.strictEqual(reloaded.get(DEPOSIT.key).status, 'sign-failed');
+    assert.strictEqual(reloaded.getCursor('ethereum'), 130);
+});
@@ -0,0 +1,114 @@
+/**
+ * Coverage store: appends, range queries, stats() and daily() rollups
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CoverageStore = require('../store/coverage-store');
+
+const MAX_UINT256 = 2 ** 256;
+
+function tempStore() {
+    return new CoverageStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-coverage-')) });
+}
+
+async function seed(store, samples) {
+    for (const [t, ratio] of samples) {
+        await store.append({ observedAt: t, ratio, healthy: ratio >= 10000 });
+    }
+}
+
+test('stats reports min/max/avg and breach intervals', async () => {
+    const store = tempStore();
+    await seed(store, [
+        ['2026-10-01T00:00:00Z', 10500],
+        ['2026-10-01T01:00:00Z', 9800],
+        ['2026-10-01T01:30:00Z', 9600],
+        ['2026-10-01T02:00:00Z', 10200],
+        ['2026-10-01T03:00:00Z', 9900]
+    ]);
+
+    const stats = await store.stats({ from: '2026-10-01T00:00:00Z', to: '2026-10-01T23:59:59Z', floorBps: 10000 });
+    assert.strictEqual(stats.count, 5);
+    assert.strictEqual(stats.minBps, 9600);
+    assert.strictEqual(stats.maxBps, 10500);
+    assert.strictEqual(stats.avgBps, 10000);
+    assert.deepStrictEqual(stats.breaches.map(breach => [breach.start, breach.end, breach.minBps, breach.ongoing, breach.durationSec]), [
+        ['2026-10-01T01:00:00.000Z', '2026-10-01T02:00:00.000Z', 9600, false, 3600],
+        ['2026-10-01T03:00:00.000Z', '2026-10-01T03:00:00.000Z', 9900, true, 0]
+    ]);
+    assert.strictEqual(stats.totalBreachSec, 3600);
+});
+
+test('stats and daily leave out samples taken while nothing was issued', async () => {
+    const store = tempStore();
+    await seed(store, [
+        ['2026-10-02T00:00:00Z', MAX_UINT256],
+        ['2026-10-02T06:00:00Z', 10400],
+        ['2026-10-02T12:00:00Z', 10600]
+    ]);
+    const range = { from: '2026-10-02T00:00:00Z', to: '2026-10-02T23:59:59Z' };
+
+    const stats = await store.stats(range);
+    assert.strictEqual(stats.count, 2);
+    assert.strictEqual(stats.maxBps, 10600);
+    assert.strictEqual(stats.avgBps, 10500);
+    assert.strictEqual(stats.first.ratio, 10400);
+
+    const [day] = await store.daily(range);
+    assert.deepStrictEqual(day, { date: '2026-10-02', count: 2, minBps: 10400, maxBps: 10600, breachSec: 0, avgBps: 10500, breach: false });
+});
+
+test('stats over a range with only no-issuance samples is empty', async () => {
+    const store = tempStore();
+    await seed(store, [['2026-10-03T00:00:00Z', MAX_UINT256]]);
+
+    assert.deepStrictEqual(await store.stats({ from: '2026-10-03T00:00:00Z', to: '2026-10-03T23:59:59Z' }), { count: 0, breaches: [], totalBreachSec: 0 });
+});
+
+test('daily rolls up per UTC day and counts time below the floor until the next sample', async () => {
+    const store = tempStore();
+    await seed(store, [
+        ['2026-10-04T22:00:00Z', 9900],
+        ['2026-10-04T23:00:00Z', 10100],
+        ['2026-10-05T00:30:00Z', 9500],
+        ['2026-10-05T01:00:00Z', 10300]
+    ]);
+
+    const days = await store.daily({ from: '2026-10-04T00:00:00Z', to: '2026-10-05T23:59:59Z', floorBps: 10000 });
+    assert.deepStrictEqual(days, [
+        { date: '2026-10-04', count: 2, minBps: 9900, maxBps: 10100, breachSec: 3600, avgBps: 10000, breach: true },
+        { date: '2026-10-05', count: 2, minBps: 9500, maxBps: 10300, breachSec: 1800, avgBps: 9900, breach: true }
+    ]);
+});
+
+test('query and at only return samples inside the requested window', async () => {
+    const store = tempStore();
+    await seed(store, [
+        ['2026-10-06T10:00:00Z', 10100],
+        ['2026-10-07T10:00:00Z', 10200],
+        ['2026-10-08T10:00:00Z', 10300]
+    ]);
+
+    const samples = await store.query({ from: '2026-10-07T00:00:00Z', to: '2026-10-08T09:00:00Z' });
+    assert.deepStrictEqual(samples.map(sample => sample.ratio), [10200]);
+    assert.strictEqual((await store.at('2026-10-08T09:59:59Z')).ratio, 10200);
+    assert.strictEqual(await store.at('2026-10-06T09:59:59Z'), null);
+});
+
+test('concurrent appends all land in the partition and the index', async () => {
+    const store = tempStore();
+    const ratios = Array.from({ length: 20 }, (_, i) => 10000 + i);
+
+    await Promise.all(ratios.map((ratio, i) => store.append({ observedAt: new Date(Date.UTC(2026, 9, 9, 0, i)), ratio, healthy: true })));
+
+    const index = JSON.parse(fs.readFileSync(store.indexFile, 'utf8'));
+    assert.strictEqual(index.days['2026-10-09'].count, 20);
+    assert.strictEqual(index.days['2026-10-09'].maxBps, 10019);
+    assert.strictEqual((await new CoverageStore({ dir: store.dir }).query({ from: '2026-10-09T00:00:00Z', to: '2026-10-09T23:59:59Z' })).length, 20);
+    assert.deepStrictEqual(fs.readdirSync(store.dir).sort(), ['2026-10-09.jsonl', 'index.json']);
+});
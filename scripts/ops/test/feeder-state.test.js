@@ -0,0 +1,86 @@
+/**
+ * Oracle feeder state: approve/reject from the CLI survives the running feeder's saves
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FeederState = require('../../oracle/feeder-state');
+
+function files() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-feeder-'));
+    return { file: path.join(dir, 'test.json'), auditFile: path.join(dir, 'test-audit.jsonl') };
+}
+
+function held(key) {
+    return { key, sourceId: 'independent-auditor', status: 'held', asOf: '2025-01-15T16:00:00.000Z', goldKG: '1200000000000000000000', reason: 'above 5%' };
+}
+
+/**
+ * What `oracle-feeder.js approve|reject` does: a second process loads, decides and saves
+ */
+async function decide(options, key, decision) {
+    const cli = await new FeederState(options).load();
+    const record = cli.get(key);
+    record.status = decision === 'approved' ? 'validated' : 'rejected';
+    record.review = { decision, note: null, at: new Date().toISOString() };
+    cli.put(record);
+    await cli.save();
+}
+
+test('a save by the running feeder keeps review decisions made since it loaded', async () => {
+    const options = files();
+    const feeder = new FeederState(options);
+    feeder.put(held('independent-auditor:A'));
+    feeder.put(held('independent-auditor:B'));
+    await feeder.save();
+
+    await decide(options, 'independent-auditor:A', 'approved');
+    await decide(options, 'independent-auditor:B', 'rejected');
+
+    // The feeder records an unrelated statement from memory
+    feeder.put({ key: 'manual-attestation:C', sourceId: 'manual-attestation', status: 'validated' });
+    await feeder.save();
+
+    const saved = await new FeederState(options).load();
+    assert.strictEqual(saved.get('independent-auditor:A').status, 'validated');
+    assert.strictEqual(saved.get('independent-auditor:A').review.decision, 'approved');
+    assert.strictEqual(saved.get('independent-auditor:B').status, 'rejected');
+    assert.strictEqual(saved.get('manual-attestation:C').status, 'validated');
+    assert.strictEqual(feeder.get('independent-auditor:A').status, 'validated');
+});
+
+test('mergeReviews updates held records in place and reports them once', async () => {
+    const options = files();
+    const feeder = new FeederState(options);
+    const record = held('independent-auditor:A');
+    feeder.put(record);
+    await feeder.save();
+
+    await decide(options, 'independent-auditor:A', 'approved');
+
+    const reviewed = await feeder.mergeReviews();
+    assert.deepStrictEqual(reviewed.map(item => item.key), ['independent-auditor:A']);
+    assert.strictEqual(reviewed[0], record);
+    assert.strictEqual(record.status, 'validated');
+    assert.deepStrictEqual(await feeder.mergeReviews(), []);
+});
+
+test('mergeReviews leaves records the feeder has moved on from', async () => {
+    const options = files();
+    const feeder = new FeederState(options);
+    feeder.put(held('independent-auditor:A'));
+    await feeder.save();
+    await decide(options, 'independent-auditor:A', 'approved');
+
+    // The feeder has since submitted the approved statement; a stale file view must not roll it back
+    await feeder.mergeReviews();
+    feeder.get('independent-auditor:A').status = 'submitted';
+    assert.deepStrictEqual(await feeder.mergeReviews(), []);
+    assert.strictEqual(feeder.get('independent-auditor:A').status, 'submitted');
+
+    assert.deepStrictEqual(await new FeederState(files()).mergeReviews(), []);
+});
@@ -0,0 +1,103 @@
+/**
+ * GatewayRouter ledger: accounting rebuilt from events and replayed source transactions
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const GatewayLedger = require('../gateway-ledger');
+
+const ALICE = '0x00000000000000000000000000000000000A11CE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+const usd = value => ethers.parseEther(String(value));
+
+const ledger = new GatewayLedger({
+    name: 'test',
+    chainId: 31337,
+    quorum: 1,
+    rpcUrls: ['http://127.0.0.1:9'],
+    contracts: { gatewayRouter: '0x00000000000000000000000000000000000000c9' }
+});
+
+let logCount = 0;
+
+function deposit(fields) {
+    logCount++;
+    return Object.assign({
+        blockNumber: 100 + logCount,
+        txHash: ethers.id(`deposit-${logCount}`),
+        user: ALICE,
+        kind: 'proof',
+        fromChain: 'ethereum',
+        fromTxHash: '0xaaaa',
+        netAmount: usd(990),
+        fee: usd(10),
+        proof: null
+    }, fields);
+}
+
+test('rebuild credits net amounts, counts fees and only adds proofs to chain totals', () => {
+    const rebuilt = ledger.rebuild({
+        deposits: [
+            deposit({ fromTxHash: '0x01' }),
+            deposit({ fromChain: 'tron', fromTxHash: 'ab01', user: BOB, netAmount: usd(495), fee: usd(5) }),
+            deposit({ kind: 'direct', fromTxHash: '', netAmount: usd(198), fee: usd(2) })
+        ],
+        withdrawals: [{ user: ALICE, amount: usd(500) }]
+    });
+
+    assert.strictEqual(rebuilt.users.get(ethers.getAddress(ALICE)), usd(990 + 198 - 500));
+    assert.strictEqual(rebuilt.users.get(ethers.getAddress(BOB)), usd(495));
+    assert.strictEqual(rebuilt.fees, usd(17));
+    assert.strictEqual(rebuilt.chains.get('ethereum'), usd(1000));
+    assert.strictEqual(rebuilt.chains.get('tron'), usd(500));
+    // Configured chains without deposits are still compared against getChainTotal
+    assert.strictEqual(rebuilt.chains.get('polygon'), 0n);
+});
+
+test('rebuild reads a saved ledger: decimal strings and lower-case addresses', () => {
+    const saved = JSON.parse(JSON.stringify({
+        deposits: [deposit({ user: ALICE.toLowerCase(), netAmount: usd(990).toString(), fee: usd(10).toString() })],
+        withdrawals: [{ user: ALICE, amount: usd(90).toString() }]
+    }));
+
+    const rebuilt = ledger.rebuild(saved);
+    assert.deepStrictEqual(Array.from(rebuilt.users.entries()), [[ethers.getAddress(ALICE), usd(900)]]);
+    assert.strictEqual(rebuilt.fees, usd(10));
+});
+
+test('rebuild lets a withdrawal take a user below zero so the mismatch shows', () => {
+    const rebuilt = ledger.rebuild({ deposits: [], withdrawals: [{ user: BOB, amount: usd(1) }] });
+    assert.strictEqual(rebuilt.users.get(ethers.getAddress(BOB)), -usd(1));
+});
+
+test('findDuplicates groups proofs for one source transaction regardless of hash spelling', () => {
+    const duplicates = ledger.findDuplicates({
+        deposits: [
+            deposit({ fromTxHash: '0xABCD', proof: { hash: '0x01', nonce: 1n } }),
+            deposit({ fromTxHash: 'abcd', user: BOB, netAmount: usd(495), proof: { hash: '0x02', nonce: 2n } }),
+            deposit({ fromTxHash: '0xabcd', fromChain: 'polygon' }),
+            deposit({ fromTxHash: '0x9999' })
+        ]
+    });
+
+    assert.strictEqual(duplicates.length, 1);
+    const [duplicate] = duplicates;
+    assert.strictEqual(duplicate.key, 'ethereum:abcd');
+    assert.strictEqual(duplicate.count, 2);
+    assert.strictEqual(duplicate.totalNet, usd(990 + 495));
+    assert.deepStrictEqual(duplicate.deposits.map(item => [item.user, item.proofHash, item.nonce]), [[ALICE, '0x01', 1n], [BOB, '0x02', 2n]]);
+});
+
+test('findDuplicates ignores direct deposits, which carry no source transaction', () => {
+    const duplicates = ledger.findDuplicates({
+        deposits: [
+            deposit({ kind: 'direct', fromTxHash: '' }),
+            deposit({ kind: 'direct', fromTxHash: '' }),
+            deposit({ kind: 'proof', fromTxHash: '' }),
+            deposit({ kind: 'proof', fromTxHash: '' })
+        ]
+    });
+    assert.deepStrictEqual(duplicates, []);
+});
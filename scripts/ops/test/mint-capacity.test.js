@@ -0,0 +1,97 @@
+/**
+ * Mint capacity: issuance headroom over the coverage floor and the checked mint proposal
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const { MintCapacity, computeCapacity, coverageBps, simulateIssuance } = require('../mint-capacity');
+
+const kg = value => ethers.parseEther(String(value));
+
+const tool = new MintCapacity({
+    name: 'test',
+    chainId: 31337,
+    quorum: 1,
+    rpcUrls: ['http://127.0.0.1:9'],
+    contracts: { reserveOracle: '0x00000000000000000000000000000000000000a1' }
+});
+
+function snapshot(data, oracle = { stale: false, ageSec: 600 }) {
+    return { oracle, capacity: computeCapacity(data) };
+}
+
+test('computeCapacity reports coverage, headroom and what is left after committed allocations', () => {
+    const capacity = computeCapacity({ goldKG: kg(102), tokensIssued: kg(90), floorBps: 10000n, warningBps: 10200n, committed: kg(5) });
+
+    assert.strictEqual(capacity.coverageBps, 11333n);
+    assert.strictEqual(capacity.headroomBps, 1333n);
+    assert.strictEqual(capacity.maxMintable, kg(12));
+    assert.strictEqual(capacity.maxMintableAtWarning, kg(10));
+    assert.strictEqual(capacity.availableForSubscriptions, kg(7));
+
+    const overCommitted = computeCapacity({ goldKG: kg(102), tokensIssued: kg(90), floorBps: 10000n, committed: kg(20) });
+    assert.strictEqual(overCommitted.availableForSubscriptions, 0n);
+    assert.strictEqual(overCommitted.warningBps, 10000n);
+});
+
+test('computeCapacity is zero below the floor and unbounded before any issuance', () => {
+    const breached = computeCapacity({ goldKG: kg(95), tokensIssued: kg(100), floorBps: 10000n });
+    assert.strictEqual(breached.maxMintable, 0n);
+    assert.strictEqual(breached.headroomBps, -500n);
+
+    const empty = computeCapacity({ goldKG: kg(50), tokensIssued: 0n, floorBps: 10000n });
+    assert.strictEqual(empty.coverageBps, ethers.MaxUint256);
+    assert.strictEqual(empty.headroomBps, null);
+    assert.strictEqual(empty.maxMintable, kg(50));
+});
+
+test('maxMintable is the exact boundary under ReserveOracle integer division', () => {
+    const cases = [
+        [kg(100) + 7n, kg(33), 10000n],
+        [kg(1234.5), kg(1000) + 1n, 10500n],
+        [kg(10), kg(9.99), 10001n],
+        [kg(7), kg(3), 12345n]
+    ];
+
+    for (const [goldKG, tokensIssued, floorBps] of cases) {
+        const capacity = computeCapacity({ goldKG, tokensIssued, floorBps });
+        assert.ok(capacity.maxMintable > 0n);
+        assert.ok(coverageBps(goldKG, tokensIssued + capacity.maxMintable) >= floorBps);
+        assert.ok(coverageBps(goldKG, tokensIssued + capacity.maxMintable + 1n) < floorBps);
+        assert.strictEqual(simulateIssuance(capacity, capacity.maxMintable).breach, false);
+        assert.strictEqual(simulateIssuance(capacity, capacity.maxMintable + 1n).breach, true);
+    }
+});
+
+test('simulateIssuance reports post-issuance coverage, the warning band and remaining capacity', () => {
+    const capacity = computeCapacity({ goldKG: kg(102), tokensIssued: kg(90), floorBps: 10000n, warningBps: 10200n });
+
+    const small = simulateIssuance(capacity, kg(5));
+    assert.strictEqual(small.tokensAfter, kg(95));
+    assert.strictEqual(small.coverageAfterBps, 10736n);
+    assert.strictEqual(small.belowWarning, false);
+    assert.strictEqual(small.remaining, kg(7));
+
+    const large = simulateIssuance(capacity, kg(11));
+    assert.strictEqual(large.breach, false);
+    assert.strictEqual(large.belowWarning, true);
+
+    assert.strictEqual(simulateIssuance(capacity, kg(20)).remaining, 0n);
+});
+
+test('assertWithinCapacity refuses a mint that breaches the floor', () => {
+    const fresh = snapshot({ goldKG: kg(102), tokensIssued: kg(90), floorBps: 10000n });
+
+    assert.strictEqual(tool.assertWithinCapacity(fresh, kg(12)).coverageAfterBps, 10000n);
+    assert.throws(() => tool.assertWithinCapacity(fresh, kg(12) + 1n), /Refusing to issue .*below the 100\.00% floor \(max 12\.0 kg\)/);
+    assert.throws(() => tool.assertWithinCapacity(fresh, kg(13), { force: true }), /Refusing to issue/);
+});
+
+test('assertWithinCapacity refuses stale oracle data unless forced', () => {
+    const stale = snapshot({ goldKG: kg(102), tokensIssued: kg(90), floorBps: 10000n }, { stale: true, ageSec: 30 * 3600 });
+
+    assert.throws(() => tool.assertWithinCapacity(stale, kg(1)), /stale \(30h old\).*--force/);
+    assert.strictEqual(tool.assertWithinCapacity(stale, kg(1), { force: true }).breach, false);
+});
@@ -0,0 +1,96 @@
+/**
+ * CoverageMonitor event handling: backfilled history is recorded without paging
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CoverageMonitor = require('../monitor-coverage');
+const CoverageStore = require('../store/coverage-store');
+
+const NETWORK = {
+    name: 'test',
+    chainId: 31337,
+    quorum: 1,
+    rpcUrls: ['http://127.0.0.1:9'],
+    contracts: { reserveOracle: '0x00000000000000000000000000000000000000a1' }
+};
+
+const SOURCE_ID = ethers.id('vault-statement');
+
+/**
+ * Monitor wired to canned logs: no RPC, no files outside a temp dir, alerts captured
+ */
+function monitor(logs) {
+    const instance = new CoverageMonitor(NETWORK);
+    instance.store = new CoverageStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-events-')) });
+    instance.provider = { getLogs: async () => logs.splice(0) };
+    instance.lastProcessedBlock = 0;
+    instance.saveState = async () => {};
+    instance.log = () => {};
+    instance.sent = [];
+    instance.sendAlert = async (level, message) => { instance.sent.push({ level, message }); };
+    instance.triggered = [];
+    instance.triggerCheck = name => instance.triggered.push(name);
+    return instance;
+}
+
+function logs(entries) {
+    const iface = new ethers.Interface([
+        'event CoverageUpdated(uint256 goldKG, uint256 tokensIssued, uint256 coverageRatio, uint256 timestamp)',
+        'event CoverageThresholdBreached(uint256 coverageRatio, uint256 threshold)',
+        'event SourceDeactivated(bytes32 indexed sourceId, string reason)'
+    ]);
+    return entries.map(([blockNumber, name, args]) => Object.assign({ blockNumber }, iface.encodeEventLog(name, args)));
+}
+
+function updated(blockNumber, ratio) {
+    return [blockNumber, 'CoverageUpdated', [ethers.parseEther(String(ratio / 100)), ethers.parseEther('100'), ratio, 1790000000 + blockNumber]];
+}
+
+function breached(blockNumber, ratio) {
+    return [blockNumber, 'CoverageThresholdBreached', [ratio, 10000]];
+}
+
+test('backfilled breaches are recorded but only the latest reading alerts', async () => {
+    const instance = monitor(logs([updated(10, 9500), breached(10, 9500), updated(20, 10500)]));
+    await instance.syncEvents(100, true);
+
+    assert.deepStrictEqual(instance.sent.map(alert => alert.level), ['INFO']);
+    assert.match(instance.sent[0].message, /RECOVERED/);
+    assert.deepStrictEqual((await instance.store.query()).map(sample => sample.ratio), [9500, 10500]);
+    assert.strictEqual(instance.lastCoverage, 10500);
+    assert.strictEqual(instance.lastProcessedBlock, 100);
+});
+
+test('a backfill that ends below the floor raises one CRITICAL', async () => {
+    const instance = monitor(logs([updated(10, 9900), breached(10, 9900), updated(20, 9700), breached(20, 9700)]));
+    await instance.syncEvents(100, true);
+
+    assert.deepStrictEqual(instance.sent.map(alert => alert.level), ['CRITICAL']);
+    assert.match(instance.sent[0].message, /97\.00%/);
+});
+
+test('live breaches alert as they arrive', async () => {
+    const instance = monitor(logs([updated(110, 9500), breached(110, 9500)]));
+    instance.lastProcessedBlock = 100;
+    await instance.syncEvents(120, false);
+
+    assert.deepStrictEqual(instance.sent.map(alert => alert.level), ['CRITICAL', 'CRITICAL']);
+});
+
+test('backfilled SourceDeactivated defers to the liveness check', async () => {
+    const instance = monitor(logs([[10, 'SourceDeactivated', [SOURCE_ID, 'custodian offboarded']]]));
+    await instance.syncEvents(100, true);
+    assert.deepStrictEqual(instance.sent, []);
+    assert.deepStrictEqual(instance.triggered, ['reserve-oracle-liveness']);
+
+    const live = monitor(logs([[110, 'SourceDeactivated', [SOURCE_ID, 'custodian offboarded']]]));
+    live.lastProcessedBlock = 100;
+    await live.syncEvents(120, false);
+    assert.deepStrictEqual(live.sent.map(alert => alert.level), ['WARNING']);
+});
@@ -0,0 +1,67 @@
+/**
+ * Network setup: GatewayRouter-only networks and invalid entries do not stop the others
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CoverageMonitor = require('../monitor-coverage');
+const { loadNetworks } = require('../networks');
+
+const GATEWAY_ONLY = {
+    name: 'polygon',
+    chainId: 137,
+    quorum: 1,
+    rpcUrls: ['http://127.0.0.1:9'],
+    contracts: { gatewayRouter: '0x00000000000000000000000000000000000000b2' }
+};
+
+function networksFile(networks) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-networks-'));
+    const file = path.join(dir, 'networks.json');
+    fs.writeFileSync(file, JSON.stringify({ networks }));
+    return { MONITOR_NETWORKS_FILE: file, DEPLOYMENTS_DIR: path.join(dir, 'deployments') };
+}
+
+test('a network without a ReserveOracle builds and skips coverage reads', async () => {
+    const monitor = new CoverageMonitor(GATEWAY_ONLY);
+    monitor.log = () => {};
+
+    assert.strictEqual(monitor.reserveOracle, null);
+    assert.strictEqual(monitor.quorumOracle, null);
+    assert.deepStrictEqual(monitor.checks.map(entry => entry.check.name), ['gateway-router']);
+    assert.strictEqual(await monitor.checkCoverage(), null);
+    assert.strictEqual(await monitor.reconcileOracles(), null);
+});
+
+test('health follows the contract checks when there is no ReserveOracle', async () => {
+    const monitor = new CoverageMonitor(GATEWAY_ONLY);
+    monitor.log = () => {};
+    const [entry] = monitor.checks;
+    entry.check = Object.assign({}, entry.check, {
+        read: async () => ({ paused: false }),
+        evaluate: () => [],
+        summarize: () => 'ok'
+    });
+
+    assert.strictEqual(monitor.getHealth().healthy, false);
+    await monitor.runCheck(entry);
+    assert.strictEqual(monitor.getHealth().healthy, true);
+});
+
+test('loadNetworks throws on an invalid entry unless asked to skip it', () => {
+    const env = networksFile([
+        { name: 'sepolia', rpcUrls: ['http://127.0.0.1:9'], contracts: { reserveOracle: '0x00000000000000000000000000000000000000a1' } },
+        { name: 'polygon', rpcUrls: ['${RPC_POLYGON}'], contracts: GATEWAY_ONLY.contracts }
+    ]);
+
+    assert.throws(() => loadNetworks(env), /polygon has no RPC endpoints/);
+
+    const skipped = [];
+    const networks = loadNetworks(env, (name, error) => skipped.push([name, error.message]));
+    assert.deepStrictEqual(networks.map(network => network.name), ['sepolia']);
+    assert.deepStrictEqual(skipped, [['polygon', 'Network polygon has no RPC endpoints configured']]);
+});
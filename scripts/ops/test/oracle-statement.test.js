@@ -0,0 +1,92 @@
+/**
+ * Custodian statements for the oracle feeder: troy ounce to kg conversion and bar list totals
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const { parseStatement, toKG, validateStatement } = require('../../oracle/statement');
+
+const kg = value => ethers.parseEther(String(value));
+const NOW = new Date('2025-01-15T17:00:00Z');
+
+const CSV = [
+    '# statementId: BRK-DXB-2025-01-15',
+    '# custodian: Brinks Dubai DMCC',
+    '# asOf: 2025-01-15T16:00:00Z',
+    '# unit: troy oz',
+    '# totalFineWeight: 799.920',
+    'serial,refiner,gross_weight,fineness,fine_weight',
+    'BRK2025001001,Emirates Gold,400.000,999.9,399.960',
+    '"BRK2025001002","Emirates Gold, Dubai",400.000,999.9,399.960'
+].join('\n');
+
+function statement(fields = {}) {
+    return Object.assign({
+        statementId: 'VAULT-2025-01-15',
+        asOf: '2025-01-15T16:00:00Z',
+        unit: 'ozt',
+        totalFineWeight: '150',
+        bars: [
+            { serial: 'A1', fineWeight: '100' },
+            { serial: 'A2', fineWeight: '50' }
+        ]
+    }, fields);
+}
+
+test('toKG converts troy ounces and grams exactly', () => {
+    assert.strictEqual(toKG('1', 'ozt'), kg('0.0311034768'));
+    assert.strictEqual(toKG('100', 'troy ounces'), kg('3.11034768'));
+    assert.strictEqual(toKG('1000', 'g'), kg(1));
+    assert.throws(() => toKG('1', 'lb'), /Unknown weight unit "lb"/);
+});
+
+test('parseStatement reads CSV header fields and quoted bar rows', () => {
+    const parsed = parseStatement(CSV, 'csv');
+    assert.strictEqual(parsed.statementId, 'BRK-DXB-2025-01-15');
+    assert.strictEqual(parsed.unit, 'troy oz');
+    assert.strictEqual(parsed.totalFineWeight, '799.920');
+    assert.deepStrictEqual(parsed.bars[1], {
+        serial: 'BRK2025001002',
+        refiner: 'Emirates Gold, Dubai',
+        grossWeight: '400.000',
+        fineness: '999.9',
+        fineWeight: '399.960'
+    });
+
+    assert.throws(() => parseStatement('[]', 'json'), /must be a JSON object/);
+    assert.throws(() => parseStatement('serial', 'xml'), /Unsupported statement format/);
+});
+
+test('an ounce statement is submitted as the kg sum of its bars', () => {
+    const result = validateStatement(parseStatement(CSV, 'csv'), {}, { now: NOW });
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.barCount, 2);
+    // 799.92 ozt × 31.1034768 g
+    assert.strictEqual(result.goldKG, kg('24.880293161856'));
+});
+
+test('the bar list must match the declared total within the kg tolerance', () => {
+    // 0.03 ozt is 0.93 g, inside the 1 g default tolerance
+    assert.deepStrictEqual(validateStatement(statement({ totalFineWeight: '150.03' }), {}, { now: NOW }).errors, []);
+
+    const off = validateStatement(statement({ totalFineWeight: '150.1' }), {}, { now: NOW });
+    assert.deepStrictEqual(off.errors, ['bar list totals 4.66552152 kg but the statement declares 4.66863186768 kg']);
+    assert.strictEqual(off.goldKG, null);
+});
+
+test('bar fine weight must equal gross × fineness', () => {
+    const result = validateStatement(statement({
+        totalFineWeight: '',
+        bars: [{ serial: 'A1', grossWeight: '400', fineness: '0.9999', fineWeight: '399.5' }]
+    }), {}, { now: NOW });
+    assert.deepStrictEqual(result.errors, ['bar A1: fine weight 399.5 does not match gross 400 × fineness 0.9999']);
+});
+
+test('a large change from the last submission is held, not rejected', () => {
+    const last = { goldKG: kg(4).toString(), asOf: '2025-01-14T16:00:00Z' };
+    const result = validateStatement(statement(), {}, { now: NOW, last });
+    assert.deepStrictEqual(result.errors, []);
+    assert.match(result.holds[0], /16\.63% from the last submission \(4\.0 kg\), above 5%/);
+});
@@ -0,0 +1,43 @@
+/**
+ * Sanctions list parsing shared by the compliance CLI and the compliance check
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readSanctionsList } = require('../sanctions');
+
+const LISTED = '0x00000000000000000000000000000000000000AA';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+
+function listFile(name, content) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fthg-sanctions-')), name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('JSON lists take plain addresses and { address } entries', () => {
+    const list = readSanctionsList(listFile('list.json', JSON.stringify([LISTED, { address: OTHER, program: 'SDN' }, { name: 'no address' }])));
+    assert.deepStrictEqual(Array.from(list.addresses), [LISTED.toLowerCase(), OTHER]);
+});
+
+test('text and CSV lists take the first address per line and skip # comments', () => {
+    const list = readSanctionsList(listFile('list.csv', [
+        '# exported 2026-10-01',
+        'name,address,program',
+        `Listed Entity,${LISTED},SDN`,
+        `  # ${OTHER} delisted`,
+        ''
+    ].join('\n')));
+    assert.deepStrictEqual(Array.from(list.addresses), [LISTED.toLowerCase()]);
+});
+
+test('the hash changes with the file so holders are re-screened', () => {
+    const before = readSanctionsList(listFile('list.txt', `${LISTED}\n`));
+    const after = readSanctionsList(listFile('list.txt', `${LISTED}\n${OTHER}\n`));
+    assert.notStrictEqual(before.hash, after.hash);
+    assert.strictEqual(after.addresses.size, 2);
+});
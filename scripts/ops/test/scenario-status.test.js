@@ -0,0 +1,28 @@
+/**
+ * Scenario simulator: a reproduced known gap is reported apart from passes and failures
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { scenarioStatus } = require('../simulate-scenarios');
+const deviatingSource = require('../scenarios/deviating-source');
+
+const step = (fields = {}) => Object.assign({ label: 'step', failures: [] }, fields);
+
+test('a scenario passes only when every step met its expectations without a known gap', () => {
+    assert.strictEqual(scenarioStatus([step(), step()]), 'pass');
+});
+
+test('a step reproducing a known gap makes the scenario known-gap, not pass', () => {
+    assert.strictEqual(scenarioStatus([step(), step({ knownGap: 'no deviation check' })]), 'known-gap');
+});
+
+test('failures outrank known gaps', () => {
+    assert.strictEqual(scenarioStatus([step({ knownGap: 'no deviation check' }), step({ failures: ['coverage 9800 bps, expected 11000 bps'] })]), 'fail');
+});
+
+test('deviating-source marks the accepted 80% update as a known gap', () => {
+    const marked = deviatingSource.steps.filter(item => item.knownGap);
+    assert.deepStrictEqual(marked.map(item => item.label), ['auditor reports 80%']);
+});
@@ -0,0 +1,101 @@
+/**
+ * Local HTTP and SMTP stubs the alert channels can be pointed at
+ */
+
+const http = require('http');
+const net = require('net');
+
+/**
+ * HTTP server recording every request; `statuses` are answered in order, then 200
+ */
+async function httpStub(statuses = []) {
+    const requests = [];
+    const queue = statuses.slice();
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+            res.statusCode = queue.length > 0 ? queue.shift() : 200;
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: path => `http://127.0.0.1:${server.address().port}${path}`,
+        requests,
+        on: path => requests.filter(request => request.path === path),
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * SMTP server speaking just enough of RFC 5321 for sendMail; `extensions` are advertised in the EHLO reply
+ */
+async function smtpStub({ extensions = [] } = {}) {
+    const commands = [];
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = false;
+
+        socket.setEncoding('utf8');
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+
+            for (;;) {
+                if (data) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    messages.push(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 5);
+                    data = false;
+                    socket.write('250 queued\r\n');
+                    continue;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                commands.push(line);
+
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') {
+                    const lines = ['stub', ...extensions];
+                    socket.write(lines.map((text, i) => `250${i === lines.length - 1 ? ' ' : '-'}${text}\r\n`).join(''));
+                } else if (verb === 'DATA') {
+                    data = true;
+                    socket.write('354 end with .\r\n');
+                } else if (verb === 'STARTTLS') {
+                    socket.write('454 TLS not available\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        commands,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    httpStub,
+    smtpStub
+};
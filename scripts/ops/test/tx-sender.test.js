@@ -0,0 +1,40 @@
+/**
+ * Oracle feeder transaction sender: replacement fees stay under the cap and above the node's minimum bump
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const TxSender = require('../../oracle/tx-sender');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+const wallet = { address: '0x00000000000000000000000000000000000000d1', provider: null };
+
+test('bump raises every fee by feeBumpPct', () => {
+    const sender = new TxSender(wallet, { feeBumpPct: 15 });
+    assert.deepStrictEqual(sender.bump({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(2) }), {
+        maxFeePerGas: gwei(115),
+        maxPriorityFeePerGas: gwei('2.3')
+    });
+    assert.deepStrictEqual(sender.bump({ gasPrice: gwei(20) }), { gasPrice: gwei(23) });
+});
+
+test('bump never goes below the 10% nodes require for a replacement', () => {
+    const sender = new TxSender(wallet, { feeBumpPct: 5 });
+    assert.deepStrictEqual(sender.bump({ gasPrice: gwei(20) }), { gasPrice: gwei(22) });
+});
+
+test('bump clamps to the fee cap while that is still an accepted replacement', () => {
+    const sender = new TxSender(wallet, { feeBumpPct: 15, maxFeeGwei: 110 });
+    assert.deepStrictEqual(sender.bump({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(2) }), {
+        maxFeePerGas: gwei(110),
+        maxPriorityFeePerGas: gwei('2.3')
+    });
+});
+
+test('bump returns null when the cap leaves no room for a 10% increase', () => {
+    const sender = new TxSender(wallet, { feeBumpPct: 15, maxFeeGwei: 105 });
+    assert.strictEqual(sender.bump({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(2) }), null);
+    assert.strictEqual(sender.bump({ gasPrice: gwei(105) }), null);
+});
@@ -0,0 +1,65 @@
+/**
+ * Yield epochs: a core without isEligible is reported instead of guessed around
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const YieldEpochTool = require('../yield-epochs');
+
+const HOLDER = '0x00000000000000000000000000000000000000c3';
+
+function tool(core) {
+    const instance = new YieldEpochTool({
+        name: 'test',
+        chainId: 31337,
+        quorum: 1,
+        rpcUrls: ['http://127.0.0.1:9'],
+        contracts: { yieldDistributor: '0x00000000000000000000000000000000000000d4' }
+    });
+    instance.core = Object.assign({
+        getAddress: async () => '0x00000000000000000000000000000000000000e5',
+        balanceOf: async () => 1000n,
+        isInCliff: async () => false,
+        cliffEnd: async () => 0n
+    }, core);
+    return instance;
+}
+
+// What ethers throws for a call to a function the contract does not have
+function missingFunction() {
+    return Object.assign(new Error('missing revert data'), { code: 'CALL_EXCEPTION' });
+}
+
+test('a core with isEligible is read per holder', async () => {
+    const instance = tool({ isEligible: async () => true });
+    instance.claimsRevert = await instance.checkCore();
+
+    assert.strictEqual(instance.claimsRevert, null);
+    const [holder] = await instance.readHolders([HOLDER]);
+    assert.strictEqual(holder.eligible, true);
+});
+
+test('a core without isEligible makes every holder ineligible and says why', async () => {
+    let calls = 0;
+    const instance = tool({ isEligible: async () => { calls++; throw missingFunction(); } });
+    instance.claimsRevert = await instance.checkCore();
+
+    assert.match(instance.claimsRevert, /has no isEligible\(address\).*revert for every holder/);
+    const [holder] = await instance.readHolders([HOLDER]);
+    assert.strictEqual(holder.eligible, false);
+    assert.strictEqual(calls, 1);
+});
+
+test('an RPC failure while probing the core is not mistaken for a missing isEligible', async () => {
+    const instance = tool({ isEligible: async () => { throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' }); } });
+    await assert.rejects(instance.checkCore(), /timeout/);
+});
+
+test('propose refuses an epoch nobody can claim', async () => {
+    const instance = tool({});
+    instance.preview = async () => ({ claimsRevert: 'core has no isEligible(address)' });
+    instance.printPreview = () => {};
+
+    await assert.rejects(instance.propose(), /Not proposing an epoch holders cannot claim: core has no isEligible/);
+});
@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Yield Epoch Tool
+ * Previews the next FTHGYieldDistributor epoch, proposes multisig transactions
+ * and reconciles YieldClaimed events against getClaimableAmount
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, resolveNetwork } = require('./networks');
+const { fetchLogs, parseOptions } = require('./cli');
+const { buildSafeBatch, writeSafeBatch } = require('./safe-tx');
+
+// Configuration
+const CONFIG = {
+    // Holders are discovered from FTHG Transfer logs starting at this block
+    fromBlock: parseInt(process.env.FTHG_DEPLOY_BLOCK) || 0,
+    safeAddress: process.env.ADMIN_MULTISIG,
+    outputDir: './reports/yield'
+};
+
+const YIELD_DISTRIBUTOR_ABI = [
+    'function core() external view returns (address)',
+    'function distributionToken() external view returns (address)',
+    'function currentEpoch() external view returns (uint256)',
+    'function epochs(uint256 epoch) external view returns (uint256 startTime, uint256 endTime, uint256 totalDistributed, uint256 rateBps, uint256 eligibleSupply, bool finalized)',
+    'function defaultRateBps() external view returns (uint256)',
+    'function minRateBps() external view returns (uint256)',
+    'function maxRateBps() external view returns (uint256)',
+    'function distributionsPaused() external view returns (bool)',
+    'function epochClaimed(uint256 epoch, address user) external view returns (bool)',
+    'function getClaimableAmount(uint256 epoch, address user) external view returns (uint256)',
+    'function getTotalClaimable(address user) external view returns (uint256)',
+    'function startNewEpoch(uint256 rateBps) external',
+    'function finalizeEpoch(uint256 epoch) external',
+    'function withdrawFunds(address token, uint256 amount, address to) external',
+    'event YieldClaimed(address indexed user, uint256 indexed epoch, uint256 amount)'
+];
+
+const FTHG_CORE_ABI = [
+    'function balanceOf(address user) external view returns (uint256)',
+    'function totalSupply() external view returns (uint256)',
+    'function isEligible(address user) external view returns (bool)',
+    'function isInCliff(address user) external view returns (bool)',
+    'function cliffEnd(address user) external view returns (uint256)',
+    'function getCliffEnd(address user) external view returns (uint256)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address account) external view returns (uint256)',
+    'function decimals() external view returns (uint8)',
+    'function symbol() external view returns (string)',
+    'function transfer(address to, uint256 amount) external returns (bool)'
+];
+
+class YieldEpochTool {
+    constructor(network) {
+        if (!network.contracts.yieldDistributor) {
+            throw new Error(`No yieldDistributor address configured for ${network.name} (YIELD_DISTRIBUTOR_ADDRESS)`);
+        }
+
+        this.network = network;
+        // Env override, else the deploy block recorded in deployments/{network}.json
+        this.fromBlock = CONFIG.fromBlock || (network.deployBlocks || {}).fthgToken || 0;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.distributor = new ethers.Contract(network.contracts.yieldDistributor, YIELD_DISTRIBUTOR_ABI, this.provider);
+        this.core = null;
+        this.token = null;
+        this.claimsRevert = null;
+    }
+
+    async initialize() {
+        this.core = new ethers.Contract(await this.distributor.core(), FTHG_CORE_ABI, this.provider);
+        this.token = new ethers.Contract(await this.distributor.distributionToken(), ERC20_ABI, this.provider);
+        this.tokenDecimals = Number(await this.token.decimals());
+        this.tokenSymbol = await this.token.symbol();
+        this.claimsRevert = await this.checkCore();
+    }
+
+    /**
+     * FTHGYieldDistributor._isEligible calls core.isEligible, which only the addon IFTHGCore has;
+     * FTHG itself does not, so with FTHG as the core every claim and claimable view reverts
+     * @returns {string|null} why every claim reverts, or null when the core implements isEligible
+     */
+    async checkCore() {
+        try {
+            await this.core.isEligible(ethers.ZeroAddress);
+            return null;
+        } catch (error) {
+            if (error.code !== 'CALL_EXCEPTION') throw error;
+            return `core ${await this.core.getAddress()} has no isEligible(address), so claimYield, getClaimableAmount and getTotalClaimable revert for every holder`;
+        }
+    }
+
+    formatAmount(amount) {
+        return `${ethers.formatUnits(amount, this.tokenDecimals)} ${this.tokenSymbol}`;
+    }
+
+    formatRate(bps) {
+        return `${(Number(bps) / 100).toFixed(2)}%`;
+    }
+
+    async readEpoch(epoch) {
+        const data = await this.distributor.epochs(epoch);
+        return {
+            epoch,
+            startTime: Number(data.startTime),
+            endTime: Number(data.endTime),
+            totalDistributed: data.totalDistributed,
+            rateBps: Number(data.rateBps),
+            eligibleSupply: data.eligibleSupply,
+            finalized: data.finalized
+        };
+    }
+
+    /**
+     * Every address that ever received FTHG, from Transfer logs
+     */
+    async findHolders(fromBlock = this.fromBlock) {
+        const head = await this.provider.getBlockNumber();
+        const logs = await fetchLogs(this.provider, {
+            address: await this.core.getAddress(),
+            topics: [this.core.interface.getEvent('Transfer').topicHash]
+        }, fromBlock, head);
+
+        const holders = new Set();
+        for (const entry of logs) {
+            const { args } = this.core.interface.parseLog(entry);
+            if (args.to !== ethers.ZeroAddress) holders.add(args.to);
+        }
+        return Array.from(holders);
+    }
+
+    /**
+     * FTHG exposes cliffEnd(address); the addon IFTHGCore interface names it getCliffEnd
+     */
+    async readCliffEnd(address) {
+        try {
+            return Number(await this.core.cliffEnd(address));
+        } catch (error) {
+            return Number(await this.core.getCliffEnd(address));
+        }
+    }
+
+    /**
+     * Mirror FTHGYieldDistributor._isEligible for each holder; nobody is eligible when claims revert
+     */
+    async readHolders(holders) {
+        const results = [];
+        for (const address of holders) {
+            const balance = await this.core.balanceOf(address);
+            if (balance === 0n) continue;
+
+            const [eligible, inCliff, cliffEnd] = await Promise.all([
+                this.claimsRevert ? false : this.core.isEligible(address),
+                this.core.isInCliff(address),
+                this.readCliffEnd(address)
+            ]);
+            results.push({ address, balance, eligible: eligible && !inCliff, inCliff, cliffEnd });
+        }
+        return results;
+    }
+
+    /**
+     * Preview finalizing the current epoch and starting the next one
+     * Claims are computed like _calculateClaim (balance * rateBps / 10000) at claim time,
+     * so liabilities are estimates based on current balances.
+     */
+    async preview(options = {}) {
+        await this.initialize();
+
+        const currentEpoch = Number(await this.distributor.currentEpoch());
+        const current = await this.readEpoch(currentEpoch);
+        const [defaultRateBps, minRateBps, maxRateBps, paused] = await Promise.all([
+            this.distributor.defaultRateBps(),
+            this.distributor.minRateBps(),
+            this.distributor.maxRateBps(),
+            this.distributor.distributionsPaused()
+        ]);
+
+        const nextRateBps = options.rate !== undefined ? parseInt(options.rate) : Number(defaultRateBps);
+        const rateInBounds = nextRateBps >= Number(minRateBps) && nextRateBps <= Number(maxRateBps);
+
+        const holders = await this.readHolders(await this.findHolders(options['from-block'] !== undefined ? parseInt(options['from-block']) : undefined));
+        const eligible = holders.filter(holder => holder.eligible);
+        const eligibleSupply = eligible.reduce((sum, holder) => sum + holder.balance, 0n);
+        const totalSupply = await this.core.totalSupply();
+
+        // Unclaimed amounts from epochs that are already finalized
+        let outstanding = 0n;
+        for (const holder of eligible) {
+            outstanding += await this.distributor.getTotalClaimable(holder.address);
+        }
+
+        const currentLiability = current.finalized ? 0n : eligibleSupply * BigInt(current.rateBps) / 10000n;
+        const nextLiability = eligibleSupply * BigInt(nextRateBps) / 10000n;
+        const required = outstanding + currentLiability;
+        const balance = await this.token.balanceOf(await this.distributor.getAddress());
+        const shortfall = required > balance ? required - balance : 0n;
+        const now = Math.floor(Date.now() / 1000);
+
+        return {
+            network: this.network.name,
+            distributor: await this.distributor.getAddress(),
+            paused,
+            claimsRevert: this.claimsRevert,
+            current: {
+                epoch: currentEpoch,
+                rateBps: current.rateBps,
+                startTime: new Date(current.startTime * 1000).toISOString(),
+                endTime: new Date(current.endTime * 1000).toISOString(),
+                ended: now >= current.endTime,
+                finalized: current.finalized
+            },
+            next: {
+                epoch: currentEpoch + 1,
+                rateBps: nextRateBps,
+                rateInBounds,
+                minRateBps: Number(minRateBps),
+                maxRateBps: Number(maxRateBps)
+            },
+            holders: {
+                total: holders.length,
+                eligible: eligible.length,
+                inCliff: holders.filter(holder => holder.inCliff).length,
+                // Earliest cliff end among locked holders, when eligible supply next grows
+                nextCliffEnd: holders.filter(holder => holder.inCliff).reduce((next, holder) => next === null || holder.cliffEnd < next ? holder.cliffEnd : next, null),
+                eligibleSupply,
+                totalSupply
+            },
+            funding: {
+                outstanding,
+                currentLiability,
+                nextLiability,
+                required,
+                balance,
+                shortfall
+            },
+            eligible
+        };
+    }
+
+    printPreview(preview) {
+        const { current, next, holders, funding } = preview;
+
+        console.log(`💰 FTHGYieldDistributor ${preview.distributor} (${preview.network})`);
+        console.log(`Distributions: ${preview.paused ? '⏸️ PAUSED' : '▶️ active'}`);
+        if (preview.claimsRevert) {
+            console.log(`❌ Every claim on this distributor will revert: ${preview.claimsRevert}`);
+        }
+        console.log(`Current epoch #${current.epoch}: ${this.formatRate(current.rateBps)} | ${current.startTime} → ${current.endTime} | ${current.finalized ? 'finalized' : current.ended ? 'ended, awaiting finalization' : 'running'}`);
+        console.log(`Next epoch #${next.epoch}: ${this.formatRate(next.rateBps)} ${next.rateInBounds ? '✅' : `❌ outside ${this.formatRate(next.minRateBps)}-${this.formatRate(next.maxRateBps)}`}`);
+        console.log(`Holders: ${holders.total} | Eligible: ${holders.eligible} | In cliff: ${holders.inCliff}${holders.nextCliffEnd ? ` (next cliff ends ${new Date(holders.nextCliffEnd * 1000).toISOString()})` : ''}`);
+        console.log(`Eligible supply: ${ethers.formatEther(holders.eligibleSupply)} FTH-G of ${ethers.formatEther(holders.totalSupply)} (eligibleSupply recorded on finalize = totalSupply)`);
+        console.log(`Unclaimed from finalized epochs: ${this.formatAmount(funding.outstanding)}`);
+        console.log(`Epoch #${current.epoch} liability on finalize: ${this.formatAmount(funding.currentLiability)}`);
+        console.log(`Epoch #${next.epoch} projected liability: ${this.formatAmount(funding.nextLiability)}`);
+        console.log(`Required: ${this.formatAmount(funding.required)} | Contract balance: ${this.formatAmount(funding.balance)} | ${funding.shortfall > 0n ? `❌ Shortfall ${this.formatAmount(funding.shortfall)}` : '✅ Funded'}`);
+        console.log('Liabilities use current balances; claims read balanceOf at claim time.');
+    }
+
+    /**
+     * Build an unsigned Safe batch: optional funding transfer, then startNewEpoch
+     * (which finalizes the current epoch) or finalizeEpoch alone with --finalize-only
+     */
+    async propose(options = {}) {
+        const preview = await this.preview(options);
+        this.printPreview(preview);
+
+        if (preview.claimsRevert) {
+            throw new Error(`Not proposing an epoch holders cannot claim: ${preview.claimsRevert}`);
+        }
+
+        if (!preview.next.rateInBounds && !options['finalize-only']) {
+            throw new Error(`Rate ${preview.next.rateBps} bps is outside ${preview.next.minRateBps}-${preview.next.maxRateBps} bps; startNewEpoch would revert`);
+        }
+
+        const distributor = preview.distributor;
+        const transactions = [];
+
+        if (options.fund && preview.funding.shortfall > 0n) {
+            transactions.push({
+                to: await this.token.getAddress(),
+                data: this.token.interface.encodeFunctionData('transfer', [distributor, preview.funding.shortfall]),
+                description: `Fund distributor shortfall of ${this.formatAmount(preview.funding.shortfall)}`
+            });
+        }
+
+        if (options['finalize-only']) {
+            if (preview.current.finalized) {
+                throw new Error(`Epoch ${preview.current.epoch} is already finalized`);
+            }
+            transactions.push({
+                to: distributor,
+                data: this.distributor.interface.encodeFunctionData('finalizeEpoch', [preview.current.epoch]),
+                description: `Finalize epoch ${preview.current.epoch}`
+            });
+        } else {
+            transactions.push({
+                to: distributor,
+                data: this.distributor.interface.encodeFunctionData('startNewEpoch', [preview.next.rateBps]),
+                description: `${preview.current.finalized ? '' : `Finalize epoch ${preview.current.epoch} and `}start epoch ${preview.next.epoch} at ${this.formatRate(preview.next.rateBps)}`
+            });
+        }
+
+        if (preview.funding.shortfall > 0n && !options.fund) {
+            console.log(`⚠️ Distributor is short ${this.formatAmount(preview.funding.shortfall)}; add --fund to include a transfer from the Safe`);
+        }
+
+        const safeAddress = options.safe || CONFIG.safeAddress;
+        const batch = buildSafeBatch({
+            chainId: this.network.chainId || Number((await this.provider.getNetwork()).chainId),
+            safeAddress,
+            name: `FTHG yield epoch ${options['finalize-only'] ? preview.current.epoch : preview.next.epoch}`,
+            description: transactions.map(tx => tx.description).join('; '),
+            transactions
+        });
+
+        const file = options.out || path.join(CONFIG.outputDir, `${this.network.name}-epoch-${preview.next.epoch}-proposal.json`);
+        await writeSafeBatch(file, batch);
+
+        console.log(`📝 Unsigned Safe batch (${transactions.length} txs) for ${safeAddress || 'multisig'} written to ${file}`);
+        for (const tx of transactions) {
+            console.log(`  → ${tx.to}: ${tx.description}`);
+        }
+        return batch;
+    }
+
+    /**
+     * Compare YieldClaimed events for a finalized epoch with what each holder was owed
+     */
+    async reconcile(options = {}) {
+        await this.initialize();
+
+        const epoch = options.epoch !== undefined ? parseInt(options.epoch) : Number(await this.distributor.currentEpoch()) - 1;
+        const data = await this.readEpoch(epoch);
+        if (!data.finalized) {
+            throw new Error(`Epoch ${epoch} is not finalized`);
+        }
+
+        const fromBlock = options['from-block'] !== undefined ? parseInt(options['from-block']) : this.fromBlock;
+        const head = await this.provider.getBlockNumber();
+        const event = this.distributor.interface.getEvent('YieldClaimed');
+        const logs = await fetchLogs(this.provider, {
+            address: await this.distributor.getAddress(),
+            topics: [event.topicHash, null, ethers.zeroPadValue(ethers.toBeHex(epoch), 32)]
+        }, fromBlock, head);
+
+        const claims = new Map();
+        for (const entry of logs) {
+            const { args } = this.distributor.interface.parseLog(entry);
+            const claim = claims.get(args.user) || { amount: 0n, events: [] };
+            claim.amount += args.amount;
+            claim.events.push({ blockNumber: entry.blockNumber, txHash: entry.transactionHash, amount: args.amount });
+            claims.set(args.user, claim);
+        }
+
+        const holders = new Set([...await this.findHolders(fromBlock), ...claims.keys()]);
+        const rows = [];
+        const warnings = [];
+
+        for (const address of holders) {
+            const claim = claims.get(address);
+            const [claimable, claimedFlag] = await Promise.all([
+                this.claimsRevert ? 0n : this.distributor.getClaimableAmount(epoch, address),
+                this.distributor.epochClaimed(epoch, address)
+            ]);
+
+            if (!claim && claimable === 0n) continue;
+
+            const row = {
+                address,
+                claimed: claim ? claim.amount : 0n,
+                claimEvents: claim ? claim.events.length : 0,
+                claimable,
+                expected: null,
+                overClaimed: 0n,
+                issues: []
+            };
+
+            if (claim) {
+                // Entitlement is balanceOf at claim time; read the block before the first claim (archive node)
+                try {
+                    const balance = await this.core.balanceOf(address, { blockTag: claim.events[0].blockNumber - 1 });
+                    row.expected = balance * BigInt(data.rateBps) / 10000n;
+                    if (row.claimed > row.expected) {
+                        row.overClaimed = row.claimed - row.expected;
+                        row.issues.push(`claimed ${this.formatAmount(row.claimed)} but entitled to ${this.formatAmount(row.expected)}`);
+                    }
+                } catch (error) {
+                    warnings.push(`${address}: could not read historical balance (${error.shortMessage || error.message})`);
+                }
+
+                if (claim.events.length > 1) {
+                    row.issues.push(`${claim.events.length} YieldClaimed events for one epoch`);
+                }
+                if (!claimedFlag) {
+                    row.issues.push('YieldClaimed emitted but epochClaimed is false');
+                }
+            }
+
+            rows.push(row);
+        }
+
+        const totalClaimed = rows.reduce((sum, row) => sum + row.claimed, 0n);
+        const report = {
+            network: this.network.name,
+            distributor: await this.distributor.getAddress(),
+            epoch,
+            rateBps: data.rateBps,
+            claimsRevert: this.claimsRevert,
+            eligibleSupply: data.eligibleSupply,
+            totalDistributed: data.totalDistributed,
+            totalClaimed,
+            totalUnclaimed: rows.reduce((sum, row) => sum + row.claimable, 0n),
+            totalOverClaimed: rows.reduce((sum, row) => sum + row.overClaimed, 0n),
+            claimants: rows.filter(row => row.claimed > 0n).length,
+            unclaimedHolders: rows.filter(row => row.claimable > 0n).length,
+            distributedMatchesEvents: totalClaimed === data.totalDistributed,
+            rows,
+            warnings,
+            generatedAt: new Date().toISOString()
+        };
+
+        this.printReconciliation(report);
+
+        const file = options.out || path.join(CONFIG.outputDir, `${this.network.name}-epoch-${epoch}-reconciliation.json`);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify(report, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n');
+        console.log(`Report saved to: ${file}`);
+
+        return report;
+    }
+
+    printReconciliation(report) {
+        console.log(`🧾 Epoch #${report.epoch} reconciliation (${report.network}) at ${this.formatRate(report.rateBps)}`);
+        if (report.claimsRevert) {
+            console.log(`❌ Every claim on this distributor will revert: ${report.claimsRevert}`);
+        }
+        console.log(`Claimed: ${this.formatAmount(report.totalClaimed)} by ${report.claimants} holders | totalDistributed: ${this.formatAmount(report.totalDistributed)} ${report.distributedMatchesEvents ? '✅' : '❌ mismatch'}`);
+        console.log(`Unclaimed: ${this.formatAmount(report.totalUnclaimed)} across ${report.unclaimedHolders} holders`);
+        console.log(`Over-claimed: ${this.formatAmount(report.totalOverClaimed)}`);
+
+        for (const row of report.rows) {
+            if (row.issues.length > 0) {
+                console.log(`  ❌ ${row.address}: ${row.issues.join('; ')}`);
+            }
+        }
+        for (const warning of report.warnings) {
+            console.log(`  ⚠️ ${warning}`);
+        }
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const options = parseOptions(process.argv.slice(3));
+    const tool = new YieldEpochTool(resolveNetwork(options.network));
+
+    switch (command) {
+        case 'preview':
+            tool.printPreview(await tool.preview(options));
+            break;
+
+        case 'propose':
+            await tool.propose(options);
+            break;
+
+        case 'reconcile':
+            await tool.reconcile(options);
+            break;
+
+        default:
+            console.log('Usage: yield-epochs.js <command> [--network name] [--from-block N]');
+            console.log('  preview   [--rate bps]                                   Next epoch rate, eligible supply and funding');
+            console.log('  propose   [--rate bps] [--fund] [--finalize-only] [--safe addr] [--out file]');
+            console.log('                                                          Unsigned Safe batch for the multisig');
+            console.log('  reconcile [--epoch N] [--out file]                      YieldClaimed vs getClaimableAmount per holder');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = YieldEpochTool;
@@ -0,0 +1,80 @@
+/**
+ * File drop adapter
+ * Picks up .json and .csv statements written into a directory; custodians should write to a
+ * dotfile or .part name and rename when complete so half-written files are never read
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = { '.json': 'json', '.csv': 'csv' };
+
+class FileDropAdapter {
+    /**
+     * @param {Object} config  { dir, archiveDir }
+     * @param {Object} source  source config, for the adapter name
+     */
+    constructor(config, source) {
+        if (!config.dir) {
+            throw new Error(`File adapter for ${source.sourceId} needs a "dir"`);
+        }
+        this.source = source;
+        this.dir = config.dir;
+        this.archiveDir = config.archiveDir || path.join(config.dir, 'processed');
+    }
+
+    get name() {
+        return `${this.source.sourceId}:file`;
+    }
+
+    async start() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    async stop() {}
+
+    /**
+     * Statements waiting in the drop directory, oldest file name first
+     * @returns {Array} [{ ref, name, format, body, receivedAt }]
+     */
+    async poll() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const items = [];
+        for (const file of files.filter(entry => entry.isFile() && !entry.name.startsWith('.')).map(entry => entry.name).sort()) {
+            const format = FORMATS[path.extname(file).toLowerCase()];
+            if (!format) continue;
+
+            const ref = path.join(this.dir, file);
+            const stat = await fs.promises.stat(ref);
+            items.push({
+                ref,
+                name: file,
+                format,
+                body: await fs.promises.readFile(ref, 'utf8'),
+                receivedAt: stat.mtime.toISOString()
+            });
+        }
+        return items;
+    }
+
+    /**
+     * Move a statement out of the drop directory once the feeder has recorded it
+     */
+    async done(item) {
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        let target = path.join(this.archiveDir, item.name);
+        if (fs.existsSync(target)) {
+            target = path.join(this.archiveDir, `${Date.now()}-${item.name}`);
+        }
+        await fs.promises.rename(item.ref, target);
+    }
+}
+
+module.exports = FileDropAdapter;
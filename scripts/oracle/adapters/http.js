@@ -0,0 +1,138 @@
+/**
+ * Local HTTP adapter
+ * Accepts statements POSTed to /statements (application/json or text/csv) and spools them to
+ * disk before answering, so an accepted statement survives a feeder restart. The spool is then
+ * read like a file drop.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FileDropAdapter = require('./file-drop');
+const { parseStatement } = require('../statement');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK = ['127.0.0.1', '::1', 'localhost'];
+
+class HttpAdapter extends FileDropAdapter {
+    /**
+     * @param {Object} config  { port, host, token, spoolDir }
+     * @param {Object} source
+     */
+    constructor(config, source) {
+        const dir = config.spoolDir || path.join('./data/oracle-feeder/spool', source.sourceId);
+        super(Object.assign({}, config, { dir }), source);
+
+        if (!config.port) {
+            throw new Error(`HTTP adapter for ${source.sourceId} needs a "port"`);
+        }
+        this.port = parseInt(config.port);
+        this.host = config.host || '127.0.0.1';
+        this.token = config.token || null;
+        this.server = null;
+
+        if (!this.token && !LOOPBACK.includes(this.host)) {
+            throw new Error(`HTTP adapter for ${source.sourceId} listens on ${this.host} and needs a "token"`);
+        }
+    }
+
+    get name() {
+        return `${this.source.sourceId}:http`;
+    }
+
+    authorized(req) {
+        if (!this.token) return true;
+
+        const header = String(req.headers.authorization || '');
+        const presented = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+        const expected = Buffer.from(this.token);
+        return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    json(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/health') {
+                return this.json(res, 200, { ok: true, source: this.source.sourceId });
+            }
+            if (url.pathname !== '/statements' || req.method !== 'POST') {
+                return this.json(res, 404, { error: 'Not found' });
+            }
+            if (!this.authorized(req)) {
+                return this.json(res, 401, { error: 'Unauthorized' });
+            }
+
+            const contentType = String(req.headers['content-type'] || '');
+            const format = contentType.includes('csv') ? 'csv' : contentType.includes('json') ? 'json' : null;
+            if (!format) {
+                return this.json(res, 415, { error: 'Content-Type must be application/json or text/csv' });
+            }
+
+            const body = await this.readBody(req);
+            let statement;
+            try {
+                statement = parseStatement(body, format);
+            } catch (error) {
+                return this.json(res, 400, { error: error.message });
+            }
+
+            // Full validation needs the last submission; the feeder records the outcome
+            const name = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}.${format}`;
+            const tmp = path.join(this.dir, `.${name}.part`);
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.writeFile(tmp, body);
+            await fs.promises.rename(tmp, path.join(this.dir, name));
+
+            console.log(`📥 [${this.name}] Received statement ${statement.statementId || '(no id)'} from ${req.socket.remoteAddress}`);
+            return this.json(res, 202, { accepted: true, statementId: statement.statementId || null, file: name });
+        } catch (error) {
+            return this.json(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    async start() {
+        await super.start();
+        await new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        console.log(`📬 [${this.name}] Listening on ${this.host}:${this.port}/statements`);
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = HttpAdapter;
@@ -0,0 +1,28 @@
+/**
+ * Registry of custodian statement adapters used by the oracle feeder
+ *
+ * Each adapter is constructed with its adapter config and the source config, and exposes:
+ *   name            - label used in logs
+ *   start() / stop()
+ *   poll()          -> [{ ref, name, format, body, receivedAt }] statements not yet handed over
+ *   done(item)      - called once the feeder has recorded the statement, so it is not polled again
+ */
+
+const ADAPTERS = {
+    file: require('./file-drop'),
+    http: require('./http')
+};
+
+function createAdapter(source) {
+    const config = source.adapter || {};
+    const Adapter = ADAPTERS[config.type];
+    if (!Adapter) {
+        throw new Error(`Unknown adapter type "${config.type}" for source ${source.sourceId} (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return new Adapter(config, source);
+}
+
+module.exports = {
+    ADAPTERS,
+    createAdapter
+};
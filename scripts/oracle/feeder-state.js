@@ -0,0 +1,110 @@
+/**
+ * Oracle feeder state: one record per custodian statement and the last confirmed submission per source
+ * Written atomically (tmp file + rename) after every change; the append-only audit log sits next to it.
+ * The approve/reject CLI writes the same file while the feeder runs, so review decisions on disk
+ * are merged in before every save instead of being overwritten from memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function bigintReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+class FeederState {
+    /**
+     * @param {Object} options  { file, auditFile }
+     */
+    constructor({ file, auditFile }) {
+        this.file = file;
+        this.auditFile = auditFile;
+        this.data = { sources: {}, statements: {} };
+    }
+
+    async load() {
+        try {
+            this.data = Object.assign(this.data, JSON.parse(await fs.promises.readFile(this.file, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Adopt approve/reject decisions the review CLI wrote to the file for statements still held in memory
+     * @returns {Object[]} the records that took a review decision
+     */
+    async mergeReviews() {
+        let stored;
+        try {
+            stored = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const reviewed = [];
+        for (const [key, record] of Object.entries(stored.statements || {})) {
+            const current = this.data.statements[key];
+            if (current && current.status === 'held' && record.review) {
+                // Updated in place: callers may hold a reference to the record
+                reviewed.push(Object.assign(current, record));
+            }
+        }
+        return reviewed;
+    }
+
+    async save() {
+        await this.mergeReviews();
+
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(this.data, bigintReplacer, 2));
+        await fs.promises.rename(tmp, this.file);
+    }
+
+    /**
+     * Append one line per statement status change; never rewritten
+     */
+    async audit(record, event = {}) {
+        const entry = Object.assign({
+            at: new Date().toISOString(),
+            key: record.key,
+            sourceId: record.sourceId,
+            statementId: record.statementId,
+            documentHash: record.documentHash,
+            status: record.status
+        }, event);
+
+        await fs.promises.mkdir(path.dirname(this.auditFile), { recursive: true });
+        await fs.promises.appendFile(this.auditFile, JSON.stringify(entry, bigintReplacer) + '\n');
+    }
+
+    get(key) {
+        return this.data.statements[key] || null;
+    }
+
+    put(record) {
+        record.updatedAt = new Date().toISOString();
+        this.data.statements[record.key] = record;
+    }
+
+    records(status, sourceId) {
+        return Object.values(this.data.statements)
+            .filter(record => (!status || record.status === status) && (!sourceId || record.sourceId === sourceId));
+    }
+
+    /**
+     * Last confirmed submission for a source: { key, goldKG, tokensIssued, asOf, txHash, blockNumber, at }
+     */
+    lastSubmission(sourceId) {
+        return this.data.sources[sourceId] || null;
+    }
+
+    setLastSubmission(sourceId, submission) {
+        this.data.sources[sourceId] = submission;
+    }
+}
+
+module.exports = FeederState;
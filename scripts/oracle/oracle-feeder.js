@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+
+/**
+ * FTH-GOLD Oracle Feeder
+ * Reads custodian vault statements from pluggable adapters, validates them and submits each
+ * source's reading to ReserveOracle.updateReserveData, recording every statement for the audit trail
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const { RpcPool, expandEnv, resolveNetwork } = require('../ops/networks');
+const { parseOptions } = require('../ops/cli');
+const { createAdapter } = require('./adapters');
+const { parseStatement, validateStatement } = require('./statement');
+const FeederState = require('./feeder-state');
+const TxSender = require('./tx-sender');
+
+// Configuration
+const CONFIG = {
+    configFile: process.env.ORACLE_FEEDER_CONFIG_FILE || './config/oracle-feeder.json',
+    stateDir: process.env.ORACLE_FEEDER_STATE_DIR || './data/oracle-feeder',
+    pollIntervalMs: parseInt(process.env.ORACLE_FEEDER_POLL_INTERVAL_MS) || 60000,
+    maxFeeGwei: process.env.ORACLE_FEEDER_MAX_FEE_GWEI || null,
+    replaceAfterMs: parseInt(process.env.ORACLE_FEEDER_REPLACE_AFTER_MS) || 180000,
+    maxReplacements: parseInt(process.env.ORACLE_FEEDER_MAX_REPLACEMENTS) || 3,
+    logFile: './logs/oracle-feeder.log'
+};
+
+const RESERVE_ORACLE_ABI = [
+    'function updateReserveData(bytes32 sourceId, uint256 goldReservesKG, uint256 tokensIssued) external',
+    'function dataSources(bytes32 sourceId) external view returns (string name, address provider, uint256 lastUpdate, bool active, uint256 weight)',
+    'function paused() external view returns (bool)',
+    'error EnforcedPause()'
+];
+
+const FTHG_ABI = [
+    'function totalSupply() external view returns (uint256)'
+];
+
+// Reverts that will fail the same way on every retry
+const PERMANENT_ERRORS = ['Source not active', 'Unauthorized provider'];
+
+function loadFeederConfig(file = CONFIG.configFile, env = process.env) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Oracle feeder config not found: ${file} (see config/oracle-feeder.example.json)`);
+    }
+    return expandEnv(JSON.parse(fs.readFileSync(file, 'utf8')), env);
+}
+
+function createState(networkName) {
+    return new FeederState({
+        file: path.join(CONFIG.stateDir, `${networkName}.json`),
+        auditFile: path.join(CONFIG.stateDir, `${networkName}-audit.jsonl`)
+    });
+}
+
+function revertReason(error) {
+    return error.reason || (error.revert ? error.revert.name : null) || error.shortMessage || error.message;
+}
+
+function formatKG(amount) {
+    return `${ethers.formatEther(amount)} kg`;
+}
+
+class OracleFeeder {
+    constructor(config, network) {
+        if (!network.contracts.reserveOracle) {
+            throw new Error(`No reserveOracle address configured for ${network.name} (RESERVE_ORACLE_ADDRESS)`);
+        }
+        if (!network.contracts.fthgToken) {
+            throw new Error(`No fthgToken address configured for ${network.name} (FTHG_TOKEN_ADDRESS)`);
+        }
+
+        this.config = config;
+        this.network = network;
+        this.rpc = new RpcPool(network);
+        this.provider = this.rpc.provider;
+        this.oracle = new ethers.Contract(network.contracts.reserveOracle, RESERVE_ORACLE_ABI, this.provider);
+        this.token = new ethers.Contract(network.contracts.fthgToken, FTHG_ABI, this.provider);
+
+        // Each source signs with its own key: ReserveOracle checks msg.sender against the registered provider
+        this.sources = config.sources.map(source => {
+            if (!source.sourceId) throw new Error('Every oracle feeder source needs a "sourceId"');
+            if (!source.signerKey) throw new Error(`signerKey for source ${source.sourceId} is empty`);
+
+            return {
+                config: source,
+                sourceId: source.sourceId,
+                id: ethers.encodeBytes32String(source.sourceId),
+                adapter: createAdapter(source),
+                sender: new TxSender(new ethers.Wallet(source.signerKey, this.provider), {
+                    maxFeeGwei: CONFIG.maxFeeGwei,
+                    replaceAfterMs: CONFIG.replaceAfterMs,
+                    maxReplacements: CONFIG.maxReplacements
+                })
+            };
+        });
+
+        this.state = createState(network.name);
+    }
+
+    async initialize() {
+        await this.state.load();
+
+        for (const source of this.sources) {
+            const registered = await this.oracle.dataSources(source.id);
+            if (!registered.active) {
+                throw new Error(`Source ${source.sourceId} is not active on ReserveOracle ${this.network.contracts.reserveOracle}`);
+            }
+            if (registered.provider.toLowerCase() !== source.sender.address.toLowerCase()) {
+                throw new Error(`${source.sender.address} is not the provider for ${source.sourceId} (ReserveOracle has ${registered.provider})`);
+            }
+
+            await source.adapter.start();
+            this.log(`Source ${source.sourceId} (weight ${Number(registered.weight) / 100}%) | Signer ${source.sender.address} | Adapter ${source.adapter.name}`);
+        }
+    }
+
+    async pollOnce() {
+        // Pick up approve/reject decisions made with the CLI since the last poll
+        for (const record of await this.state.mergeReviews()) {
+            this.log(`${record.key} ${record.review.decision} by review → ${record.status}${record.review.note ? `: ${record.review.note}` : ''}`);
+        }
+
+        await this.resumePending();
+
+        for (const source of this.sources) {
+            try {
+                for (const item of await source.adapter.poll()) {
+                    await this.receive(source, item);
+                }
+            } catch (error) {
+                this.log(`[${source.adapter.name}] Poll failed: ${error.message}`, 'ERROR');
+            }
+        }
+
+        for (const source of this.sources) {
+            await this.submitLatest(source);
+        }
+    }
+
+    /**
+     * Record a statement from an adapter as rejected, held or validated
+     */
+    async receive(source, item) {
+        const documentHash = ethers.keccak256(ethers.toUtf8Bytes(item.body));
+        const record = {
+            key: null,
+            sourceId: source.sourceId,
+            statementId: null,
+            documentHash,
+            document: item.name,
+            format: item.format,
+            adapter: source.adapter.name,
+            receivedAt: item.receivedAt,
+            createdAt: new Date().toISOString()
+        };
+
+        let statement = null;
+        try {
+            statement = parseStatement(item.body, item.format);
+            record.statementId = statement.statementId || null;
+        } catch (error) {
+            record.reason = error.message;
+        }
+        record.key = `${source.sourceId}:${record.statementId || documentHash.slice(0, 18)}`;
+
+        const existing = this.state.get(record.key);
+        if (existing) {
+            if (existing.documentHash === documentHash) {
+                this.log(`[${source.adapter.name}] ${item.name} is ${record.key}, already ${existing.status}`);
+            } else {
+                // A corrected statement must carry a new statementId so both versions stay on record
+                this.log(`[${source.adapter.name}] ${item.name} reuses statement id ${record.key} with different content (${documentHash}); ignored`, 'ERROR');
+                await this.state.audit(existing, { event: 'conflict', conflictingHash: documentHash, document: item.name });
+            }
+            return source.adapter.done(item);
+        }
+
+        if (statement) {
+            const result = validateStatement(statement, source.config.validation, {
+                last: this.state.lastSubmission(source.sourceId)
+            });
+
+            Object.assign(record, {
+                custodian: statement.custodian || null,
+                vault: statement.vault || null,
+                asOf: result.asOf,
+                barCount: result.barCount,
+                goldKG: result.goldKG !== null ? result.goldKG.toString() : null
+            });
+
+            if (result.errors.length > 0) {
+                record.reason = result.errors.join('; ');
+            } else if (result.holds.length > 0) {
+                record.reason = result.holds.join('; ');
+            }
+            record.status = result.errors.length > 0 ? 'rejected' : result.holds.length > 0 ? 'held' : 'validated';
+        } else {
+            record.status = 'rejected';
+        }
+
+        await this.finish(record, record.status, record.reason);
+        await source.adapter.done(item);
+    }
+
+    async finish(record, status, reason, event = {}) {
+        record.status = status;
+        if (reason) record.reason = reason;
+        this.state.put(record);
+        await this.state.save();
+        await this.state.audit(record, Object.assign(reason ? { reason } : {}, event));
+
+        const level = { rejected: 'ERROR', failed: 'ERROR', held: 'WARNING' }[status] || 'INFO';
+        const reading = record.goldKG !== null && record.goldKG !== undefined ? ` ${formatKG(record.goldKG)}` : '';
+        this.log(`${record.key}${reading} → ${status}${reason ? `: ${reason}` : ''}`, level);
+    }
+
+    /**
+     * Submit the newest validated statement for a source; older ones are superseded
+     */
+    async submitLatest(source) {
+        if (this.state.records('submitted', source.sourceId).length > 0) return;
+
+        const ready = this.state.records('validated', source.sourceId)
+            .sort((a, b) => a.asOf.localeCompare(b.asOf));
+        if (ready.length === 0) return;
+
+        const record = ready.pop();
+        for (const older of ready) {
+            await this.finish(older, 'superseded', `newer statement ${record.key} submitted instead`);
+        }
+
+        const last = this.state.lastSubmission(source.sourceId);
+        if (last && record.asOf <= last.asOf) {
+            return this.finish(record, 'superseded', `${last.key} as of ${last.asOf} was submitted first`);
+        }
+
+        await this.submit(source, record);
+    }
+
+    async submit(source, record) {
+        try {
+            if (await this.oracle.paused()) {
+                this.log(`ReserveOracle is paused, holding ${record.key}`, 'WARNING');
+                return;
+            }
+
+            const goldKG = BigInt(record.goldKG);
+            const tokensIssued = await this.token.totalSupply();
+            const args = [source.id, goldKG, tokensIssued];
+
+            // Surface reverts before a nonce is spent
+            await this.oracle.updateReserveData.staticCall(...args, { from: source.sender.address });
+
+            record.tokensIssued = tokensIssued.toString();
+            record.coverageBps = tokensIssued === 0n ? null : Number(goldKG * 10000n / tokensIssued);
+            delete record.lastError;
+
+            const request = await this.oracle.updateReserveData.populateTransaction(...args);
+            const { receipt, hashes } = await source.sender.send(request, {
+                onBroadcast: async ({ hash, nonce, fees, replacement }) => {
+                    record.status = 'submitted';
+                    record.nonce = nonce;
+                    record.txHashes = (record.txHashes || []).concat(hash);
+                    this.state.put(record);
+                    await this.state.save();
+                    await this.state.audit(record, { event: replacement ? 'replaced' : 'broadcast', txHash: hash, nonce, fees, signer: source.sender.address });
+                    this.log(`${replacement ? 'Replaced' : 'Submitted'} ${record.key} (${formatKG(goldKG)} / ${ethers.formatEther(tokensIssued)} FTH-G, ${record.coverageBps} bps) in ${hash} nonce ${nonce}`);
+                }
+            });
+
+            if (!receipt) {
+                this.log(`${record.key} still unmined after ${hashes.length} transactions; settling on a later poll`, 'WARNING');
+                return;
+            }
+            await this.settle(record, receipt);
+
+        } catch (error) {
+            const reason = revertReason(error);
+
+            if (PERMANENT_ERRORS.includes(reason)) {
+                return this.finish(record, 'failed', reason);
+            }
+
+            // Transient (RPC, fee cap, pause race, too few fresh sources): retry on the next poll
+            record.lastError = reason;
+            this.state.put(record);
+            await this.state.save();
+            this.log(`Submission of ${record.key} failed, will retry: ${reason}`, 'WARNING');
+        }
+    }
+
+    async settle(record, receipt) {
+        const event = { txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+        record.txHash = receipt.hash;
+        record.blockNumber = receipt.blockNumber;
+
+        if (receipt.status !== 1) {
+            return this.finish(record, 'failed', `transaction ${receipt.hash} reverted`, event);
+        }
+
+        this.state.setLastSubmission(record.sourceId, {
+            key: record.key,
+            goldKG: record.goldKG,
+            tokensIssued: record.tokensIssued,
+            asOf: record.asOf,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            at: new Date().toISOString()
+        });
+        return this.finish(record, 'confirmed', null, event);
+    }
+
+    /**
+     * Settle submissions left open by a restart or by a transaction that outlived its replacements
+     */
+    async resumePending() {
+        for (const record of this.state.records('submitted')) {
+            const source = this.sources.find(item => item.sourceId === record.sourceId);
+            if (!source) continue;
+
+            try {
+                let receipt = null;
+                for (const hash of record.txHashes) {
+                    receipt = receipt || await this.provider.getTransactionReceipt(hash);
+                }
+                if (receipt) {
+                    await this.settle(record, receipt);
+                    continue;
+                }
+
+                const spent = await this.provider.getTransactionCount(source.sender.address, 'latest') > record.nonce;
+                let known = false;
+                for (const hash of record.txHashes) {
+                    known = known || Boolean(await this.provider.getTransaction(hash));
+                }
+
+                if (spent || !known) {
+                    // Dropped, or the nonce went to another transaction: resubmitting the reading is harmless
+                    source.sender.resync();
+                    record.status = 'validated';
+                    record.lastError = spent ? `nonce ${record.nonce} was used by another transaction` : 'transaction dropped from the mempool';
+                    this.state.put(record);
+                    await this.state.save();
+                    await this.state.audit(record, { event: 'dropped', reason: record.lastError, txHashes: record.txHashes });
+                    this.log(`${record.key}: ${record.lastError}, resubmitting`, 'WARNING');
+                }
+            } catch (error) {
+                this.log(`Could not settle ${record.key}: ${error.shortMessage || error.message}`, 'ERROR');
+            }
+        }
+    }
+
+    async start({ once = false } = {}) {
+        this.log('🚀 Starting FTH-GOLD Oracle Feeder');
+        await this.initialize();
+
+        do {
+            await this.pollOnce();
+            if (!once) await new Promise(resolve => setTimeout(resolve, CONFIG.pollIntervalMs));
+        } while (!once);
+
+        await Promise.all(this.sources.map(source => source.adapter.stop()));
+        this.log('✅ Poll complete');
+    }
+
+    log(message, level = 'INFO') {
+        const logMessage = `[${new Date().toISOString()}] [${level}] ${message}`;
+        console.log(logMessage);
+
+        fs.promises.mkdir(path.dirname(CONFIG.logFile), { recursive: true })
+            .then(() => fs.promises.appendFile(CONFIG.logFile, logMessage + '\n'))
+            .catch(() => {});
+    }
+}
+
+/**
+ * Operator decision on a held statement: approve releases it for submission, reject closes it
+ */
+async function review(state, key, status, note) {
+    await state.load();
+    const record = state.get(key);
+
+    if (!record) throw new Error(`Unknown statement ${key}`);
+    if (record.status !== 'held') {
+        throw new Error(`Statement ${key} is ${record.status}; only held statements can be approved or rejected`);
+    }
+
+    const last = state.lastSubmission(record.sourceId);
+    if (status === 'approved' && last && record.asOf <= last.asOf) {
+        throw new Error(`Statement ${key} is as of ${record.asOf}, not after the last submission ${last.key} (${last.asOf})`);
+    }
+
+    record.status = status === 'approved' ? 'validated' : 'rejected';
+    record.review = { decision: status, note: note || null, at: new Date().toISOString() };
+    state.put(record);
+    await state.save();
+    await state.audit(record, { event: status, note: note || null });
+    return record;
+}
+
+/**
+ * Validate a statement file without submitting it, against the source's last confirmed submission
+ */
+function checkFile(file, source, state) {
+    const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const statement = parseStatement(fs.readFileSync(file, 'utf8'), format);
+    const last = state.lastSubmission(source.sourceId);
+    const result = validateStatement(statement, source.validation, { last });
+
+    console.log(`🔎 ${path.basename(file)} for ${source.sourceId}: statement ${statement.statementId || '(no id)'} as of ${result.asOf || '?'}`);
+    console.log(`Bars: ${result.barCount}${result.goldKG !== null ? ` | Fine gold: ${formatKG(result.goldKG)}` : ''}${last ? ` | Last submitted: ${formatKG(last.goldKG)} as of ${last.asOf}` : ''}`);
+    for (const error of result.errors) console.log(`  ❌ ${error}`);
+    for (const hold of result.holds) console.log(`  ⏸️ ${hold}`);
+    if (result.errors.length === 0 && result.holds.length === 0) console.log('  ✅ Valid');
+
+    return result.errors.length === 0;
+}
+
+function printStatus(state, networkName) {
+    const records = state.records();
+    const counts = {};
+    for (const record of records) {
+        counts[record.status] = (counts[record.status] || 0) + 1;
+    }
+
+    console.log(`🛰️ Oracle feeder (${networkName})`);
+    console.log(`Statements: ${records.length} | ${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(' | ') || 'none'}`);
+    for (const [sourceId, last] of Object.entries(state.data.sources)) {
+        console.log(`Last ${sourceId}: ${formatKG(last.goldKG)} / ${ethers.formatEther(last.tokensIssued)} FTH-G as of ${last.asOf} (${last.txHash}, block ${last.blockNumber})`);
+    }
+    for (const record of records.filter(item => ['held', 'validated', 'submitted'].includes(item.status))) {
+        console.log(`  ${record.status.toUpperCase()} ${record.key}${record.reason ? ` - ${record.reason}` : ''}${record.lastError ? ` - ${record.lastError}` : ''}`);
+    }
+}
+
+// Main execution
+async function main() {
+    const command = process.argv[2];
+    const target = process.argv[3] && !process.argv[3].startsWith('--') ? process.argv[3] : null;
+    const options = parseOptions(process.argv.slice(3));
+    const config = loadFeederConfig();
+    const networkName = options.network || config.network;
+    if (!networkName) throw new Error(`Set "network" in ${CONFIG.configFile} or pass --network`);
+
+    const requireTarget = (usage) => {
+        if (!target) {
+            console.error(`Usage: oracle-feeder.js ${usage}`);
+            process.exit(1);
+        }
+    };
+
+    switch (command) {
+        case 'run': {
+            const feeder = new OracleFeeder(config, resolveNetwork(networkName));
+            await feeder.start({ once: Boolean(options.once) });
+            break;
+        }
+
+        case 'status': {
+            const state = await createState(networkName).load();
+            printStatus(state, networkName);
+            break;
+        }
+
+        case 'check': {
+            requireTarget('check <statement-file> --source <sourceId>');
+            const source = config.sources.find(item => item.sourceId === options.source)
+                || (config.sources.length === 1 && !options.source ? config.sources[0] : null);
+            if (!source) throw new Error(`--source must be one of: ${config.sources.map(item => item.sourceId).join(', ')}`);
+
+            const state = await createState(networkName).load();
+            if (!checkFile(target, source, state)) process.exit(1);
+            break;
+        }
+
+        case 'approve': {
+            requireTarget('approve <statement-key> [--note text]');
+            const record = await review(createState(networkName), target, 'approved', options.note);
+            console.log(`✅ ${record.key} approved - submitted on the next poll`);
+            break;
+        }
+
+        case 'reject': {
+            requireTarget('reject <statement-key> --reason text');
+            if (!options.reason || options.reason === true) throw new Error('--reason is required to reject a statement');
+            const record = await review(createState(networkName), target, 'rejected', options.reason);
+            console.log(`🚫 ${record.key} rejected`);
+            break;
+        }
+
+        default:
+            console.log('Usage: oracle-feeder.js <command> [--network name]');
+            console.log('  run [--once]                                   Poll adapters and submit to ReserveOracle');
+            console.log('  status                                         Last submission per source and open statements');
+            console.log('  check <statement-file> [--source sourceId]     Validate a statement without submitting it');
+            console.log('  approve <statement-key> [--note text]          Release a statement held by the sanity bounds');
+            console.log('  reject <statement-key> --reason text');
+            process.exit(command ? 1 : 0);
+    }
+
+    process.exit(0);
+}
+
+// Handle process termination
+process.on('SIGTERM', () => {
+    console.log('📴 Oracle feeder shutting down...');
+    process.exit(0);
+});
+
+process.on('SIGINT', () => {
+    console.log('📴 Oracle feeder shutting down...');
+    process.exit(0);
+});
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.shortMessage || error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    OracleFeeder,
+    loadFeederConfig
+};
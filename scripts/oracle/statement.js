@@ -0,0 +1,332 @@
+/**
+ * Custodian vault statements: parsing, unit conversion and validation for the oracle feeder
+ *
+ * A statement is
+ *   { statementId, custodian, vault, asOf, unit, totalFineWeight, bars: [{ serial, refiner, grossWeight, fineness, fineWeight }] }
+ * with weights as decimal strings in `unit` (kg, g or ozt) and fineness as 0.9999 or 999.9.
+ *
+ * JSON files carry those fields directly. CSV files are a bar list with the statement fields
+ * in "# key: value" lines above the header row:
+ *
+ *   # statementId: BRK-DXB-2025-01-15
+ *   # asOf: 2025-01-15T16:00:00Z
+ *   # unit: ozt
+ *   # totalFineWeight: 1203.482
+ *   serial,refiner,gross_weight,fineness,fine_weight
+ *   BRK2025001001,Emirates Gold,401.125,999.9,401.085
+ */
+
+const { ethers } = require('ethers');
+
+const WAD = 10n ** 18n;
+
+// Kilograms per unit with 18 decimals; a troy ounce is exactly 31.1034768 g
+const KG_PER_UNIT = {
+    kg: WAD,
+    g: WAD / 1000n,
+    ozt: 31103476800000000n
+};
+
+const UNIT_ALIASES = {
+    kg: 'kg',
+    kgs: 'kg',
+    kilogram: 'kg',
+    kilograms: 'kg',
+    g: 'g',
+    gram: 'g',
+    grams: 'g',
+    oz: 'ozt',
+    ozt: 'ozt',
+    'troy oz': 'ozt',
+    'troy ounce': 'ozt',
+    'troy ounces': 'ozt'
+};
+
+// CSV header and "# key:" names (lowercase, without spaces or underscores) => statement fields
+const FIELD_ALIASES = {
+    statementid: 'statementId',
+    id: 'statementId',
+    custodian: 'custodian',
+    vault: 'vault',
+    asof: 'asOf',
+    date: 'asOf',
+    unit: 'unit',
+    totalfineweight: 'totalFineWeight',
+    total: 'totalFineWeight',
+    serial: 'serial',
+    barserial: 'serial',
+    serialnumber: 'serial',
+    refiner: 'refiner',
+    grossweight: 'grossWeight',
+    fineness: 'fineness',
+    fineweight: 'fineWeight'
+};
+
+const DEFAULT_VALIDATION = {
+    requireBarList: true,
+    minFineness: '0.995',       // LBMA Good Delivery minimum
+    weightToleranceKG: '0.001', // Rounding allowed between bar weights and declared totals
+    maxStatementAgeHours: 48,
+    maxFutureSkewSec: 300,
+    minGoldKG: null,
+    maxGoldKG: null,
+    maxChangeBps: 500           // Hold for operator approval beyond 5% change since the last submission
+};
+
+function fieldName(name) {
+    return FIELD_ALIASES[String(name).trim().toLowerCase().replace(/[\s_-]/g, '')] || null;
+}
+
+function normalizeUnit(unit) {
+    const normalized = UNIT_ALIASES[String(unit || '').trim().toLowerCase()];
+    if (!normalized) {
+        throw new Error(`Unknown weight unit "${unit}" (use kg, g or ozt)`);
+    }
+    return normalized;
+}
+
+/**
+ * Decimal weight string in `unit` => kg with 18 decimals (rounded down)
+ */
+function toKG(value, unit) {
+    let amount;
+    try {
+        amount = ethers.parseUnits(String(value).trim(), 18);
+    } catch (error) {
+        throw new Error(`Invalid weight "${value}"`);
+    }
+    if (amount < 0n) throw new Error(`Negative weight "${value}"`);
+    return amount * KG_PER_UNIT[normalizeUnit(unit)] / WAD;
+}
+
+/**
+ * 0.9999 or 999.9 (parts per thousand) => fraction with 18 decimals
+ */
+function parseFineness(value) {
+    let fineness;
+    try {
+        fineness = ethers.parseUnits(String(value).trim(), 18);
+    } catch (error) {
+        throw new Error(`Invalid fineness "${value}"`);
+    }
+    if (fineness > WAD) fineness = fineness / 1000n;
+    if (fineness <= 0n || fineness > WAD) {
+        throw new Error(`Fineness "${value}" is out of range`);
+    }
+    return fineness;
+}
+
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseCsvStatement(text) {
+    const statement = { bars: [] };
+    let columns = null;
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+
+        if (line.trim().startsWith('#')) {
+            const match = line.trim().slice(1).match(/^\s*([^:]+):\s*(.*)$/);
+            const field = match ? fieldName(match[1]) : null;
+            if (field) statement[field] = match[2].trim();
+            return;
+        }
+
+        const cells = splitCsvLine(line);
+        if (!columns) {
+            columns = cells.map(fieldName);
+            if (!columns.includes('serial')) {
+                throw new Error(`CSV header on line ${index + 1} has no serial column`);
+            }
+            return;
+        }
+
+        const bar = {};
+        columns.forEach((field, column) => {
+            if (field && cells[column] !== undefined && cells[column] !== '') bar[field] = cells[column];
+        });
+        statement.bars.push(bar);
+    });
+
+    return statement;
+}
+
+/**
+ * Statement object from a file or request body
+ * @param {string} body
+ * @param {string} format 'json' or 'csv'
+ */
+function parseStatement(body, format) {
+    if (format === 'csv') return parseCsvStatement(body);
+    if (format !== 'json') throw new Error(`Unsupported statement format "${format}"`);
+
+    let statement;
+    try {
+        statement = JSON.parse(body);
+    } catch (error) {
+        throw new Error(`Invalid JSON statement: ${error.message}`);
+    }
+    if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+        throw new Error('Statement must be a JSON object');
+    }
+    return statement;
+}
+
+/**
+ * Check a statement and convert it to the value the source submits
+ * @param {Object} statement  parsed statement
+ * @param {Object} rules      DEFAULT_VALIDATION overrides from the source config
+ * @param {Object} context    { now: Date, last: previous submission { goldKG, asOf } or null }
+ * @returns {{ errors: string[], holds: string[], goldKG: bigint|null, barCount: number, asOf: string|null }}
+ *   errors reject the statement; holds need operator approval before it is submitted
+ */
+function validateStatement(statement, rules = {}, { now = new Date(), last = null } = {}) {
+    const options = Object.assign({}, DEFAULT_VALIDATION, rules);
+    const errors = [];
+    const holds = [];
+    const result = { errors, holds, goldKG: null, barCount: 0, asOf: null };
+
+    if (!statement.statementId || !/^[A-Za-z0-9._:-]{1,96}$/.test(String(statement.statementId))) {
+        errors.push('statementId is required (letters, digits and . _ : - only)');
+    }
+
+    const asOf = new Date(statement.asOf);
+    if (!statement.asOf || isNaN(asOf.getTime())) {
+        errors.push('asOf must be an ISO 8601 date');
+    } else {
+        result.asOf = asOf.toISOString();
+        const ageSec = (now.getTime() - asOf.getTime()) / 1000;
+        if (ageSec < -options.maxFutureSkewSec) {
+            errors.push(`asOf ${result.asOf} is in the future`);
+        } else if (ageSec > options.maxStatementAgeHours * 3600) {
+            errors.push(`statement is ${Math.floor(ageSec / 3600)}h old (max ${options.maxStatementAgeHours}h)`);
+        }
+        if (last && last.asOf && asOf.getTime() <= new Date(last.asOf).getTime()) {
+            errors.push(`asOf ${result.asOf} is not after the last submitted statement (${last.asOf})`);
+        }
+    }
+
+    let unit;
+    try {
+        unit = normalizeUnit(statement.unit);
+    } catch (error) {
+        errors.push(error.message);
+        return result;
+    }
+
+    const tolerance = toKG(options.weightToleranceKG, 'kg');
+    const minFineness = parseFineness(options.minFineness);
+    const bars = Array.isArray(statement.bars) ? statement.bars : [];
+    const serials = new Set();
+    let barTotal = 0n;
+
+    bars.forEach((bar, index) => {
+        const label = bar.serial ? `bar ${bar.serial}` : `bar #${index + 1}`;
+        try {
+            if (!bar.serial) throw new Error('missing serial');
+            if (serials.has(bar.serial)) throw new Error('duplicate serial');
+            serials.add(bar.serial);
+
+            const gross = bar.grossWeight !== undefined ? toKG(bar.grossWeight, unit) : null;
+            const fineness = bar.fineness !== undefined ? parseFineness(bar.fineness) : null;
+            let fine = bar.fineWeight !== undefined ? toKG(bar.fineWeight, unit) : null;
+
+            if (fineness !== null && fineness < minFineness) {
+                throw new Error(`fineness ${bar.fineness} is below ${options.minFineness}`);
+            }
+            if (gross !== null && fineness !== null) {
+                const computed = gross * fineness / WAD;
+                if (fine === null) {
+                    fine = computed;
+                } else if (fine > computed + tolerance || fine + tolerance < computed) {
+                    throw new Error(`fine weight ${bar.fineWeight} does not match gross ${bar.grossWeight} × fineness ${bar.fineness}`);
+                }
+            }
+            if (fine === null) throw new Error('needs fineWeight, or grossWeight and fineness');
+            if (gross !== null && fine > gross) throw new Error('fine weight exceeds gross weight');
+            if (fine === 0n) throw new Error('zero fine weight');
+
+            barTotal += fine;
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+        }
+    });
+    result.barCount = bars.length;
+
+    let declared = null;
+    if (statement.totalFineWeight !== undefined && statement.totalFineWeight !== '') {
+        try {
+            declared = toKG(statement.totalFineWeight, unit);
+        } catch (error) {
+            errors.push(`totalFineWeight: ${error.message}`);
+        }
+    }
+
+    if (bars.length === 0) {
+        if (options.requireBarList) errors.push('statement has no bar list');
+        if (declared === null) errors.push('totalFineWeight is required without a bar list');
+        result.goldKG = declared;
+    } else if (declared !== null && (barTotal > declared + tolerance || barTotal + tolerance < declared)) {
+        errors.push(`bar list totals ${ethers.formatEther(barTotal)} kg but the statement declares ${ethers.formatEther(declared)} kg`);
+    } else {
+        result.goldKG = barTotal;
+    }
+
+    if (result.goldKG !== null) {
+        if (options.minGoldKG !== null && result.goldKG < toKG(options.minGoldKG, 'kg')) {
+            errors.push(`${ethers.formatEther(result.goldKG)} kg is below the configured minimum of ${options.minGoldKG} kg`);
+        }
+        if (options.maxGoldKG !== null && result.goldKG > toKG(options.maxGoldKG, 'kg')) {
+            errors.push(`${ethers.formatEther(result.goldKG)} kg is above the configured maximum of ${options.maxGoldKG} kg`);
+        }
+
+        if (last && last.goldKG !== undefined) {
+            const previous = BigInt(last.goldKG);
+            const change = result.goldKG > previous ? result.goldKG - previous : previous - result.goldKG;
+            if (previous > 0n && change * 10000n > previous * BigInt(options.maxChangeBps)) {
+                holds.push(`${ethers.formatEther(result.goldKG)} kg is ${(Number(change * 10000n / previous) / 100).toFixed(2)}% from the last submission (${ethers.formatEther(previous)} kg), above ${options.maxChangeBps / 100}%`);
+            }
+        }
+    }
+
+    if (errors.length > 0) result.goldKG = null;
+    return result;
+}
+
+module.exports = {
+    DEFAULT_VALIDATION,
+    KG_PER_UNIT,
+    normalizeUnit,
+    parseFineness,
+    parseStatement,
+    toKG,
+    validateStatement
+};
@@ -0,0 +1,159 @@
+/**
+ * Transaction sending for one oracle source key
+ * Tracks the nonce locally, sizes gas from an estimate, refuses fees above a cap and replaces
+ * a transaction left unmined with a fee-bumped one on the same nonce
+ */
+
+const { ethers } = require('ethers');
+
+// Nodes reject a replacement unless every fee rises by at least 10%
+const MIN_REPLACEMENT_BUMP_PCT = 10n;
+
+class TxSender {
+    /**
+     * @param {ethers.Wallet} wallet  signer connected to a provider
+     * @param {Object} options  { gasLimitMultiplierPct, maxFeeGwei, feeBumpPct, replaceAfterMs, maxReplacements, pollIntervalMs }
+     */
+    constructor(wallet, {
+        gasLimitMultiplierPct = 120,
+        maxFeeGwei = null,
+        feeBumpPct = 15,
+        replaceAfterMs = 180000,
+        maxReplacements = 3,
+        pollIntervalMs = 4000
+    } = {}) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.gasLimitMultiplierPct = BigInt(gasLimitMultiplierPct);
+        this.maxFee = maxFeeGwei ? ethers.parseUnits(String(maxFeeGwei), 'gwei') : null;
+        this.feeBumpPct = BigInt(Math.max(feeBumpPct, Number(MIN_REPLACEMENT_BUMP_PCT)));
+        this.replaceAfterMs = replaceAfterMs;
+        this.maxReplacements = maxReplacements;
+        this.pollIntervalMs = pollIntervalMs;
+        this.nextNonce = null;
+    }
+
+    get address() {
+        return this.wallet.address;
+    }
+
+    /**
+     * Next nonce to use; read from the pending count once, then tracked locally
+     */
+    async nonce() {
+        if (this.nextNonce === null) {
+            this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        }
+        return this.nextNonce;
+    }
+
+    /**
+     * Forget the tracked nonce after a failed broadcast; the next send re-reads it
+     */
+    resync() {
+        this.nextNonce = null;
+    }
+
+    /**
+     * Current fees, or an error when the network is above the configured cap
+     */
+    async fees() {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas !== null) {
+            const block = await this.provider.getBlock('latest');
+            const priority = feeData.maxPriorityFeePerGas;
+            let maxFeePerGas = feeData.maxFeePerGas;
+
+            if (this.maxFee !== null) {
+                if (block.baseFeePerGas + priority > this.maxFee) {
+                    throw new Error(`base fee ${ethers.formatUnits(block.baseFeePerGas, 'gwei')} gwei + tip is above the ${ethers.formatUnits(this.maxFee, 'gwei')} gwei cap`);
+                }
+                if (maxFeePerGas > this.maxFee) maxFeePerGas = this.maxFee;
+            }
+            return { maxFeePerGas, maxPriorityFeePerGas: priority };
+        }
+
+        if (this.maxFee !== null && feeData.gasPrice > this.maxFee) {
+            throw new Error(`gas price ${ethers.formatUnits(feeData.gasPrice, 'gwei')} gwei is above the ${ethers.formatUnits(this.maxFee, 'gwei')} gwei cap`);
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Fees for a replacement, or null when the cap leaves no room for an accepted bump
+     */
+    bump(fees) {
+        const bumped = {};
+        for (const [key, value] of Object.entries(fees)) {
+            let fee = value * (100n + this.feeBumpPct) / 100n;
+            if (this.maxFee !== null && fee > this.maxFee) fee = this.maxFee;
+            if (fee * 100n < value * (100n + MIN_REPLACEMENT_BUMP_PCT)) return null;
+            bumped[key] = fee;
+        }
+        return bumped;
+    }
+
+    async waitForAny(hashes, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        for (;;) {
+            for (const hash of hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (receipt) return receipt;
+            }
+            if (Date.now() >= deadline) return null;
+            await new Promise(resolve => setTimeout(resolve, Math.min(this.pollIntervalMs, Math.max(deadline - Date.now(), 0))));
+        }
+    }
+
+    /**
+     * Send a populated transaction and wait for it, replacing it while it stays unmined
+     * @param {Object} request  { to, data }
+     * @param {Object} hooks    { onBroadcast({ hash, nonce, fees, replacement }) } called before waiting
+     * @returns {{ receipt: Object|null, hashes: string[], nonce: number }} receipt null when still unmined
+     *   after every replacement; the caller settles it later from the hashes
+     */
+    async send(request, { onBroadcast = async () => {} } = {}) {
+        const nonce = await this.nonce();
+        const estimate = await this.provider.estimateGas(Object.assign({}, request, { from: this.address }));
+        const gasLimit = estimate * this.gasLimitMultiplierPct / 100n;
+        let fees = await this.fees();
+
+        let tx;
+        try {
+            tx = await this.wallet.sendTransaction(Object.assign({}, request, fees, { nonce, gasLimit }));
+        } catch (error) {
+            this.resync();
+            throw error;
+        }
+        this.nextNonce = nonce + 1;
+
+        const hashes = [tx.hash];
+        await onBroadcast({ hash: tx.hash, nonce, fees, replacement: false });
+
+        for (let replacements = 0; ; replacements++) {
+            const receipt = await this.waitForAny(hashes, this.replaceAfterMs);
+            if (receipt || replacements >= this.maxReplacements) {
+                return { receipt, hashes, nonce };
+            }
+
+            const bumped = this.bump(fees);
+            if (!bumped) continue;
+
+            try {
+                tx = await this.wallet.sendTransaction(Object.assign({}, request, bumped, { nonce, gasLimit }));
+            } catch (error) {
+                // The nonce is already spent on the hashes sent so far; keep waiting on them
+                // (NONCE_EXPIRED usually means one was mined and the next wait finds it)
+                continue;
+            }
+
+            fees = bumped;
+            hashes.push(tx.hash);
+            await onBroadcast({ hash: tx.hash, nonce, fees, replacement: true });
+        }
+    }
+}
+
+module.exports = TxSender;
@@ -0,0 +1,79 @@
+import React from "react";
+import type { Position } from "../../../lib/position";
+
+const Card = ({ title, children, className = "" }: { title: string; children: React.ReactNode; className?: string }) => (
+  <div className={`rounded-2xl shadow-lg border p-6 bg-white/90 backdrop-blur ${className}`}>
+    <div className="text-sm text-zinc-500 mb-2">{title}</div>
+    {children}
+  </div>
+);
+
+const Missing = ({ error }: { error?: string }) => error ? (
+  <div className="text-sm text-red-600">Unavailable: {error}</div>
+) : (
+  <div className="text-sm text-zinc-400">Contract address not configured</div>
+);
+
+export function formatDate(timestamp: number) {
+  return new Date(timestamp * 1000).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+function daysBetween(from: number, to: number) {
+  return Math.ceil((to - from) / 86400);
+}
+
+export default function Overview({ position }: { position: Position }) {
+  const { balance, cliff, kyc, errors, readAt } = position;
+
+  return (
+    <section className="grid md:grid-cols-3 gap-6">
+      <Card title="FTH-G Balance">
+        {balance === null ? <Missing error={errors.balance} /> : (
+          <>
+            <div className="text-3xl font-extrabold text-zinc-900">{Number(balance).toLocaleString(undefined, { maximumFractionDigits: 4 })}</div>
+            <div className="text-sm text-zinc-500 mt-1">≈ {Number(balance).toLocaleString(undefined, { maximumFractionDigits: 4 })} kg allocated gold</div>
+          </>
+        )}
+      </Card>
+
+      <Card title="Cliff Status">
+        {cliff === null ? <Missing error={errors.cliff} /> : cliff.end === 0 ? (
+          <div className="font-semibold text-zinc-700">No cliff set</div>
+        ) : cliff.over ? (
+          <>
+            <div className="text-xl font-bold text-green-600">Cliff complete</div>
+            <div className="text-sm text-zinc-500 mt-1">Ended {formatDate(cliff.end)} — transfers and yield enabled</div>
+          </>
+        ) : (
+          <>
+            <div className="text-xl font-bold text-amber-600">{daysBetween(readAt, cliff.end)} days remaining</div>
+            <div className="text-sm text-zinc-500 mt-1">Locked until {formatDate(cliff.end)}</div>
+          </>
+        )}
+      </Card>
+
+      <Card title="KYC Status">
+        {kyc === null ? <Missing error={errors.kyc} /> : kyc.blocked ? (
+          <div className="text-xl font-bold text-red-600">Account blocked</div>
+        ) : !kyc.verified || !kyc.completed ? (
+          <>
+            <div className="text-xl font-bold text-zinc-700">Not verified</div>
+            <div className="text-sm text-zinc-500 mt-1">Complete onboarding with our compliance team</div>
+          </>
+        ) : kyc.expiry <= readAt ? (
+          <>
+            <div className="text-xl font-bold text-red-600">KYC expired</div>
+            <div className="text-sm text-zinc-500 mt-1">Expired {formatDate(kyc.expiry)} — refresh required</div>
+          </>
+        ) : (
+          <>
+            <div className="text-xl font-bold text-green-600">Verified</div>
+            <div className="text-sm text-zinc-500 mt-1">
+              Valid until {formatDate(kyc.expiry)} • {kyc.riskLevel} risk{kyc.sanctionsScreened ? " • Sanctions screened" : ""}
+            </div>
+          </>
+        )}
+      </Card>
+    </section>
+  );
+}
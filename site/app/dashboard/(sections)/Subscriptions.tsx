@@ -0,0 +1,66 @@
+import React from "react";
+import type { Subscription } from "../../../lib/position";
+import { formatDate } from "./Overview";
+
+function status(subscription: Subscription, now: number) {
+  if (subscription.matured) return { label: "Matured", className: "bg-green-100 text-green-700" };
+  if (subscription.cliffEnd > now) return { label: "In cliff", className: "bg-amber-100 text-amber-700" };
+  return { label: "Awaiting maturity", className: "bg-zinc-100 text-zinc-700" };
+}
+
+type Props = { subscriptions: Subscription[] | null; error?: string; now: number };
+
+export default function Subscriptions({ subscriptions, error, now }: Props) {
+  return (
+    <section className="rounded-2xl shadow-lg border p-6 bg-white/90 backdrop-blur">
+      <h3 className="text-lg font-semibold text-zinc-800 mb-4">Subscriptions</h3>
+
+      {subscriptions === null ? (
+        error ? (
+          <p className="text-sm text-red-600">Subscriptions unavailable: {error}</p>
+        ) : (
+          <p className="text-sm text-zinc-400">SubscriptionPool address not configured</p>
+        )
+      ) : subscriptions.length === 0 ? (
+        <p className="text-sm text-zinc-500">No subscriptions for this wallet yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-zinc-500 border-b">
+                <th className="py-2 pr-4 font-medium">#</th>
+                <th className="py-2 pr-4 font-medium">Subscribed</th>
+                <th className="py-2 pr-4 font-medium text-right">Deposit (USD)</th>
+                <th className="py-2 pr-4 font-medium text-right">Gold (kg)</th>
+                <th className="py-2 pr-4 font-medium">Lock</th>
+                <th className="py-2 pr-4 font-medium">Cliff ends</th>
+                <th className="py-2 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.map((subscription) => {
+                const badge = status(subscription, now);
+                return (
+                  <tr key={subscription.id} className="border-b last:border-0">
+                    <td className="py-3 pr-4 text-zinc-500">{subscription.id}</td>
+                    <td className="py-3 pr-4">{formatDate(subscription.subscribedAt)}</td>
+                    <td className="py-3 pr-4 text-right font-medium">${Number(subscription.depositUSD).toLocaleString(undefined, { maximumFractionDigits: 2 })}</td>
+                    <td className="py-3 pr-4 text-right">{Number(subscription.kgAllocated).toLocaleString(undefined, { maximumFractionDigits: 4 })}</td>
+                    <td className="py-3 pr-4">
+                      {subscription.lockMode}
+                      {subscription.fiveYearEnd > 0 && <span className="block text-xs text-zinc-500">until {formatDate(subscription.fiveYearEnd)}</span>}
+                    </td>
+                    <td className="py-3 pr-4">{formatDate(subscription.cliffEnd)}</td>
+                    <td className="py-3">
+                      <span className={`rounded-full px-3 py-1 text-xs font-medium ${badge.className}`}>{badge.label}</span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,113 @@
+"use client";
+
+import React, { useState } from "react";
+import { Contract, JsonRpcSigner } from "ethers";
+import { ADDRESSES, CHAIN, YIELD_DISTRIBUTOR_ABI } from "../../../lib/contracts";
+import type { Position } from "../../../lib/position";
+
+type Props = {
+  yieldInfo: Position["yield"];
+  // Set when the distributor is configured but could not be read
+  yieldError?: string;
+  cliffOver: boolean;
+  getSigner: () => Promise<JsonRpcSigner>;
+  onClaimed: () => void;
+};
+
+function describeError(err: any) {
+  if (err?.code === "ACTION_REJECTED") return "Transaction rejected in wallet";
+  if (err?.revert?.name === "NotEligible") return "Not eligible: KYC, cliff or balance requirements not met";
+  if (err?.revert?.name === "InsufficientFunds") return "Distributor is not funded for this claim yet — try again later";
+  return err?.shortMessage || err?.message || "Claim failed";
+}
+
+export default function YieldClaim({ yieldInfo, yieldError, cliffOver, getSigner, onClaimed }: Props) {
+  const [pending, setPending] = useState(false);
+  const [message, setMessage] = useState<{ text: string; error: boolean } | null>(null);
+  const [txHash, setTxHash] = useState<string | null>(null);
+
+  const claim = async () => {
+    if (!yieldInfo) return;
+    setPending(true);
+    setMessage(null);
+    setTxHash(null);
+    try {
+      const distributor = new Contract(ADDRESSES.yieldDistributor, YIELD_DISTRIBUTOR_ABI, await getSigner());
+      // Simulate first so reverts show the decoded reason instead of a wallet gas error
+      await distributor.claimMultipleEpochs.staticCall(yieldInfo.claimableEpochs);
+      const tx = await distributor.claimMultipleEpochs(yieldInfo.claimableEpochs);
+      setTxHash(tx.hash);
+      setMessage({ text: "Claim submitted, waiting for confirmation…", error: false });
+      await tx.wait();
+      setMessage({
+        text: `Claimed ${yieldInfo.claimable} ${yieldInfo.symbol} for epochs ${yieldInfo.claimableEpochs.join(", ")}`,
+        error: false,
+      });
+      onClaimed();
+    } catch (err: any) {
+      setMessage({ text: describeError(err), error: true });
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const canClaim = Boolean(yieldInfo && yieldInfo.claimableEpochs.length > 0);
+
+  return (
+    <section className="rounded-2xl shadow-lg border p-6 bg-gradient-to-br from-white/90 to-amber-50/90">
+      <h3 className="text-lg font-semibold text-zinc-800 mb-4">Yield</h3>
+
+      {yieldInfo === null ? (
+        yieldError ? (
+          <p className="text-sm text-red-600" role="status">Yield unavailable: {yieldError}</p>
+        ) : (
+          <p className="text-sm text-zinc-400">Yield distributor address not configured</p>
+        )
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-6">
+            <div className="space-y-1">
+              <div className="text-sm text-zinc-500">Claimable</div>
+              <div className="text-2xl font-extrabold text-amber-600">
+                {Number(yieldInfo.claimable).toLocaleString(undefined, { maximumFractionDigits: 2 })} {yieldInfo.symbol}
+              </div>
+              {canClaim && <div className="text-xs text-zinc-500">Epochs {yieldInfo.claimableEpochs.join(", ")}</div>}
+            </div>
+            <div className="space-y-1">
+              <div className="text-sm text-zinc-500">Claimed to date</div>
+              <div className="text-2xl font-bold text-zinc-900">
+                {Number(yieldInfo.totalClaimed).toLocaleString(undefined, { maximumFractionDigits: 2 })} {yieldInfo.symbol}
+              </div>
+            </div>
+          </div>
+
+          <button
+            className="mt-6 rounded-2xl px-6 py-3 font-semibold shadow transition-all duration-200 bg-amber-600 text-white hover:bg-amber-700 disabled:bg-zinc-300 disabled:cursor-not-allowed"
+            disabled={!canClaim || pending}
+            onClick={claim}
+          >
+            {pending ? "Claiming…" : "Claim Yield"}
+          </button>
+
+          {!canClaim && (
+            <p className="mt-3 text-sm text-zinc-500">
+              {cliffOver ? "Nothing to claim for finalized epochs." : "Yield becomes claimable after your cliff period ends."}
+            </p>
+          )}
+          {message && (
+            <p className={`mt-3 text-sm break-all ${message.error ? "text-red-600" : "text-zinc-600"}`} role="status">
+              {message.text}
+              {txHash && (CHAIN.explorerUrl ? (
+                <a className="ml-2 underline" href={`${CHAIN.explorerUrl}/tx/${txHash}`} target="_blank" rel="noreferrer">
+                  View transaction
+                </a>
+              ) : (
+                <span className="block text-xs text-zinc-500 mt-1">{txHash}</span>
+              ))}
+            </p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,139 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { CHAIN } from "../../lib/contracts";
+import { Position, readPosition } from "../../lib/position";
+import { useWallet } from "../../lib/useWallet";
+import Overview from "./(sections)/Overview";
+import Subscriptions from "./(sections)/Subscriptions";
+import YieldClaim from "./(sections)/YieldClaim";
+
+const Button = ({ children, className = "", ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+  <button className={`rounded-2xl px-6 py-3 font-semibold shadow transition-all duration-200 ${className}`} {...props}>
+    {children}
+  </button>
+);
+
+function shortAddress(address: string) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+export default function DashboardPage() {
+  const wallet = useWallet();
+  const [position, setPosition] = useState<Position | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const ready = Boolean(wallet.account && wallet.provider && !wallet.wrongChain);
+
+  const refresh = useCallback(async () => {
+    if (!wallet.account || !wallet.provider || wallet.wrongChain) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setPosition(await readPosition(wallet.provider, wallet.account));
+    } catch (err: any) {
+      setError(err?.shortMessage || err?.message || "Could not read on-chain position");
+    } finally {
+      setLoading(false);
+    }
+  }, [wallet.account, wallet.provider, wallet.wrongChain]);
+
+  useEffect(() => {
+    setPosition(null);
+    refresh();
+  }, [refresh]);
+
+  return (
+    <main className="min-h-screen w-full bg-gradient-to-br from-zinc-50 via-white to-amber-50 text-zinc-900">
+      <header className="max-w-6xl mx-auto px-6 pt-10 pb-6 flex items-center justify-between">
+        <Link href="/" className="flex items-center gap-3">
+          <div className="h-10 w-10 rounded-xl bg-gradient-to-br from-amber-500 to-amber-600 flex items-center justify-center">
+            <span className="text-white font-bold text-sm">FTH</span>
+          </div>
+          <h1 className="text-xl font-bold tracking-tight">Investor Dashboard</h1>
+        </Link>
+        {wallet.account ? (
+          <div className="flex items-center gap-3 text-sm">
+            <span className={`w-2 h-2 rounded-full ${wallet.wrongChain ? "bg-red-500" : "bg-green-500"}`}></span>
+            <span className="font-mono">{shortAddress(wallet.account)}</span>
+          </div>
+        ) : (
+          <Button
+            className="bg-amber-600 text-white hover:bg-amber-700 disabled:bg-zinc-300"
+            onClick={wallet.connect}
+            disabled={wallet.connecting}
+          >
+            {wallet.connecting ? "Connecting…" : "Connect Wallet"}
+          </Button>
+        )}
+      </header>
+
+      <div className="max-w-6xl mx-auto px-6 pb-16 space-y-6">
+        {wallet.error && (
+          <div className="rounded-lg bg-red-50 border border-red-200 p-4 text-sm text-red-700">{wallet.error}</div>
+        )}
+
+        {!wallet.available && (
+          <div className="rounded-lg bg-zinc-100/50 p-4 text-sm text-zinc-600">
+            No browser wallet detected. Install MetaMask or another injected wallet to view your position.
+          </div>
+        )}
+
+        {wallet.available && !wallet.account && (
+          <div className="rounded-2xl shadow-lg border p-10 bg-white/90 text-center space-y-4">
+            <h2 className="text-2xl font-extrabold">Connect your investor wallet</h2>
+            <p className="text-zinc-600">
+              View your FTH-G balance, cliff schedule, subscriptions, KYC status and claimable yield.
+            </p>
+          </div>
+        )}
+
+        {wallet.wrongChain && (
+          <div className="rounded-lg bg-amber-50 border border-amber-200 p-4 text-sm text-amber-800 flex items-center justify-between gap-4">
+            <span>Your wallet is on chain {wallet.chainId}. The dashboard reads {CHAIN.name} (chain {CHAIN.id}).</span>
+            <Button className="bg-amber-600 text-white hover:bg-amber-700 px-4 py-2 text-sm" onClick={wallet.switchChain}>
+              Switch Network
+            </Button>
+          </div>
+        )}
+
+        {ready && (
+          <>
+            <div className="flex items-center justify-between text-sm text-zinc-500">
+              <span>
+                {position ? `Read at block time ${new Date(position.readAt * 1000).toLocaleString()}` : loading ? "Reading on-chain position…" : ""}
+              </span>
+              <button className="hover:underline disabled:text-zinc-300" onClick={refresh} disabled={loading}>
+                Refresh
+              </button>
+            </div>
+
+            {error && <div className="rounded-lg bg-red-50 border border-red-200 p-4 text-sm text-red-700">{error}</div>}
+
+            {position && (
+              <>
+                <Overview position={position} />
+                <YieldClaim
+                  yieldInfo={position.yield}
+                  yieldError={position.errors.yield}
+                  cliffOver={position.cliff ? position.cliff.over : false}
+                  getSigner={wallet.getSigner}
+                  onClaimed={refresh}
+                />
+                <Subscriptions subscriptions={position.subscriptions} error={position.errors.subscriptions} now={position.readAt} />
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      <footer className="max-w-6xl mx-auto px-6 pb-12 text-sm text-zinc-500 text-center">
+        <div className="border-t border-zinc-200 pt-8">
+          <p>Balances and schedules are read directly from the FTH-GOLD contracts on {CHAIN.name}.</p>
+        </div>
+      </footer>
+    </main>
+  );
+}
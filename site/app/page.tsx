@@ -1,4 +1,5 @@
 import React from "react";
+import Link from "next/link";
 import Hero from "./(sections)/Hero";
 import Stats from "./(sections)/Stats";
 import Product from "./(sections)/Product";
@@ -21,6 +22,7 @@ export default function HomePage() {
           <a href="#compliance" className="hover:underline transition-colors">Compliance</a>
           <a href="#docs" className="hover:underline transition-colors">Docs</a>
           <a href="#contact" className="hover:underline transition-colors">Contact</a>
+          <Link href="/dashboard" className="rounded-xl bg-amber-600 text-white px-4 py-2 font-semibold hover:bg-amber-700 transition-colors">Investor Dashboard</Link>
         </nav>
       </header>
 
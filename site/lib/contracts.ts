@@ -0,0 +1,68 @@
+// Contract addresses and ABIs for the investor dashboard.
+// Defaults target a local anvil chain; set NEXT_PUBLIC_* in .env.local (see .env.example).
+
+export const CHAIN = {
+  id: Number(process.env.NEXT_PUBLIC_CHAIN_ID || 31337),
+  name: process.env.NEXT_PUBLIC_CHAIN_NAME || "Anvil Local",
+  rpcUrl: process.env.NEXT_PUBLIC_RPC_URL || "http://127.0.0.1:8545",
+  explorerUrl: process.env.NEXT_PUBLIC_EXPLORER_URL || "",
+};
+
+export const ADDRESSES = {
+  fthgToken: process.env.NEXT_PUBLIC_FTHG_ADDRESS || "",
+  subscriptionPool: process.env.NEXT_PUBLIC_SUBSCRIPTION_POOL_ADDRESS || "",
+  yieldDistributor: process.env.NEXT_PUBLIC_YIELD_DISTRIBUTOR_ADDRESS || "",
+  complianceRegistry: process.env.NEXT_PUBLIC_COMPLIANCE_REGISTRY_ADDRESS || "",
+  identitySBT: process.env.NEXT_PUBLIC_IDENTITY_SBT_ADDRESS || "",
+};
+
+export type ContractKey = keyof typeof ADDRESSES;
+
+// FTHG exposes cliffEnd/isInCliff; the addon IFTHGCore interface names them getCliffEnd/cliffOver
+// and is the only one with isEligible
+export const FTHG_ABI = [
+  "function balanceOf(address user) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function cliffOver(address user) view returns (bool)",
+  "function getCliffEnd(address user) view returns (uint256)",
+  "function cliffEnd(address user) view returns (uint256)",
+  "function isInCliff(address user) view returns (bool)",
+  "function isEligible(address user) view returns (bool)",
+];
+
+export const SUBSCRIPTION_POOL_ABI = [
+  "function getAllUserSubscriptions(address user) view returns (tuple(address user, uint256 depositAmount, uint256 kgAllocated, uint8 lockMode, uint256 cliffEnd, uint256 fiveYearEnd, bool matured, uint256 subscriptionTime)[])",
+];
+
+export const YIELD_DISTRIBUTOR_ABI = [
+  "function core() view returns (address)",
+  "function distributionToken() view returns (address)",
+  "function currentEpoch() view returns (uint256)",
+  "function getClaimableAmount(uint256 epoch, address user) view returns (uint256)",
+  "function getTotalClaimable(address user) view returns (uint256)",
+  "function getUserClaimHistory(address user) view returns (uint256 lastClaimedEpoch, uint256 totalClaimed)",
+  "function claimMultipleEpochs(uint256[] epochIds)",
+  "event YieldClaimed(address indexed user, uint256 indexed epoch, uint256 amount)",
+  "error NotEligible(address user)",
+  "error InsufficientFunds(uint256 needed, uint256 available)",
+];
+
+export const COMPLIANCE_REGISTRY_ABI = [
+  "function getUserComplianceStatus(address user) view returns (bool kycCompleted, bool sanctionsScreened, uint8 riskLevel, uint256 kycExpiry, bool blocked)",
+];
+
+export const IDENTITY_SBT_ABI = [
+  "function isVerified(address user) view returns (bool)",
+];
+
+export const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+export const LOCK_MODES = ["Standard", "5-Year"];
+export const RISK_LEVELS = ["Low", "Medium", "High", "Prohibited"];
+
+export function isConfigured(key: ContractKey): boolean {
+  return /^0x[0-9a-fA-F]{40}$/.test(ADDRESSES[key]);
+}
@@ -0,0 +1,189 @@
+import { Contract, Provider, ZeroAddress, formatUnits } from "ethers";
+import {
+  ADDRESSES,
+  COMPLIANCE_REGISTRY_ABI,
+  ERC20_ABI,
+  FTHG_ABI,
+  IDENTITY_SBT_ABI,
+  LOCK_MODES,
+  RISK_LEVELS,
+  SUBSCRIPTION_POOL_ABI,
+  YIELD_DISTRIBUTOR_ABI,
+  isConfigured,
+} from "./contracts";
+
+export type Subscription = {
+  id: number;
+  depositUSD: string;
+  kgAllocated: string;
+  lockMode: string;
+  cliffEnd: number;
+  fiveYearEnd: number;
+  matured: boolean;
+  subscribedAt: number;
+};
+
+export type Section = "balance" | "cliff" | "subscriptions" | "yield" | "kyc";
+
+export type Position = {
+  balance: string | null;
+  cliff: { end: number; over: boolean } | null;
+  subscriptions: Subscription[] | null;
+  yield: {
+    symbol: string;
+    decimals: number;
+    claimable: string;
+    claimableEpochs: number[];
+    totalClaimed: string;
+  } | null;
+  kyc: {
+    verified: boolean;
+    completed: boolean;
+    sanctionsScreened: boolean;
+    riskLevel: string;
+    expiry: number;
+    blocked: boolean;
+  } | null;
+  // Why a configured section could not be read; its value stays null
+  errors: Partial<Record<Section, string>>;
+  readAt: number;
+};
+
+/**
+ * Cliff from the core FTHG (cliffEnd/isInCliff) or the IFTHGCore interface (getCliffEnd/cliffOver)
+ */
+async function readCliff(token: Contract, user: string, now: number) {
+  let end: number;
+  try {
+    end = Number(await token.getCliffEnd(user));
+  } catch {
+    end = Number(await token.cliffEnd(user));
+  }
+
+  let over: boolean;
+  try {
+    over = await token.cliffOver(user);
+  } catch {
+    over = end <= now;
+  }
+  return { end, over };
+}
+
+/**
+ * FTHGYieldDistributor checks eligibility through core.isEligible, which FTHG itself lacks;
+ * with FTHG as the core every claimable view and claim reverts, so say that instead of a raw revert
+ */
+async function checkYieldCore(distributor: Contract, provider: Provider) {
+  const core = new Contract(await distributor.core(), FTHG_ABI, provider);
+  try {
+    await core.isEligible(ZeroAddress);
+  } catch (err: any) {
+    if (err?.code !== "CALL_EXCEPTION") throw err;
+    throw new Error("the distributor's core token has no isEligible, so every claim reverts");
+  }
+}
+
+async function readYield(distributor: Contract, provider: Provider, user: string) {
+  await checkYieldCore(distributor, provider);
+  const token = new Contract(await distributor.distributionToken(), ERC20_ABI, provider);
+  const [decimals, symbol, claimable, history, currentEpoch] = await Promise.all([
+    token.decimals(),
+    token.symbol(),
+    distributor.getTotalClaimable(user),
+    distributor.getUserClaimHistory(user),
+    distributor.currentEpoch(),
+  ]);
+
+  // claimMultipleEpochs needs the epoch ids; only epochs with something to claim are sent
+  const claimableEpochs: number[] = [];
+  if (claimable > 0n) {
+    const epochs = Array.from({ length: Number(currentEpoch) }, (_, index) => index + 1);
+    const amounts = await Promise.all(epochs.map((epoch) => distributor.getClaimableAmount(epoch, user)));
+    epochs.forEach((epoch, index) => {
+      if (amounts[index] > 0n) claimableEpochs.push(epoch);
+    });
+  }
+
+  return {
+    symbol,
+    decimals: Number(decimals),
+    claimable: formatUnits(claimable, decimals),
+    claimableEpochs,
+    totalClaimed: formatUnits(history.totalClaimed, decimals),
+  };
+}
+
+function readError(err: any) {
+  return err?.shortMessage || err?.message || "Read failed";
+}
+
+/**
+ * Everything the dashboard shows for one investor; sections whose contract is not configured are null,
+ * and a section that fails to read is null with its reason in errors while the others still load
+ */
+export async function readPosition(provider: Provider, user: string): Promise<Position> {
+  const block = await provider.getBlock("latest");
+  const now = block ? block.timestamp : Math.floor(Date.now() / 1000);
+  const position: Position = { balance: null, cliff: null, subscriptions: null, yield: null, kyc: null, errors: {}, readAt: now };
+
+  const reads: { section: Section; read: Promise<void> }[] = [];
+  const track = (section: Section, run: () => Promise<void>) => reads.push({ section, read: run() });
+
+  if (isConfigured("fthgToken")) {
+    const token = new Contract(ADDRESSES.fthgToken, FTHG_ABI, provider);
+    track("balance", async () => {
+      position.balance = formatUnits(await token.balanceOf(user), 18);
+    });
+    track("cliff", async () => {
+      position.cliff = await readCliff(token, user, now);
+    });
+  }
+
+  if (isConfigured("subscriptionPool")) {
+    const pool = new Contract(ADDRESSES.subscriptionPool, SUBSCRIPTION_POOL_ABI, provider);
+    track("subscriptions", async () => {
+      const subscriptions = await pool.getAllUserSubscriptions(user);
+      position.subscriptions = subscriptions.map((subscription: any, id: number) => ({
+        id,
+        depositUSD: formatUnits(subscription.depositAmount, 18),
+        kgAllocated: formatUnits(subscription.kgAllocated, 18),
+        lockMode: LOCK_MODES[Number(subscription.lockMode)] || `Mode ${subscription.lockMode}`,
+        cliffEnd: Number(subscription.cliffEnd),
+        fiveYearEnd: Number(subscription.fiveYearEnd),
+        matured: subscription.matured,
+        subscribedAt: Number(subscription.subscriptionTime),
+      }));
+    });
+  }
+
+  if (isConfigured("yieldDistributor")) {
+    const distributor = new Contract(ADDRESSES.yieldDistributor, YIELD_DISTRIBUTOR_ABI, provider);
+    track("yield", async () => {
+      position.yield = await readYield(distributor, provider, user);
+    });
+  }
+
+  if (isConfigured("complianceRegistry")) {
+    const registry = new Contract(ADDRESSES.complianceRegistry, COMPLIANCE_REGISTRY_ABI, provider);
+    track("kyc", async () => {
+      const status = await registry.getUserComplianceStatus(user);
+      const verified = isConfigured("identitySBT")
+        ? await new Contract(ADDRESSES.identitySBT, IDENTITY_SBT_ABI, provider).isVerified(user)
+        : status.kycCompleted;
+      position.kyc = {
+        verified,
+        completed: status.kycCompleted,
+        sanctionsScreened: status.sanctionsScreened,
+        riskLevel: RISK_LEVELS[Number(status.riskLevel)] || String(status.riskLevel),
+        expiry: Number(status.kycExpiry),
+        blocked: status.blocked,
+      };
+    });
+  }
+
+  const results = await Promise.allSettled(reads.map(({ read }) => read));
+  results.forEach((result, index) => {
+    if (result.status === "rejected") position.errors[reads[index].section] = readError(result.reason);
+  });
+  return position;
+}
@@ -0,0 +1,126 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { BrowserProvider, JsonRpcSigner, toQuantity } from "ethers";
+import { CHAIN } from "./contracts";
+
+type Eip1193Provider = {
+  request: (args: { method: string; params?: unknown[] }) => Promise<any>;
+  on?: (event: string, handler: (...args: any[]) => void) => void;
+  removeListener?: (event: string, handler: (...args: any[]) => void) => void;
+};
+
+declare global {
+  interface Window {
+    ethereum?: Eip1193Provider;
+  }
+}
+
+export type WalletState = {
+  available: boolean;
+  account: string | null;
+  chainId: number | null;
+  wrongChain: boolean;
+  provider: BrowserProvider | null;
+  connecting: boolean;
+  error: string | null;
+  connect: () => Promise<void>;
+  switchChain: () => Promise<void>;
+  getSigner: () => Promise<JsonRpcSigner>;
+};
+
+/**
+ * Injected wallet (MetaMask, Rabby, ...) connection; reconnects silently when already authorized
+ */
+export function useWallet(): WalletState {
+  const [available, setAvailable] = useState(false);
+  const [account, setAccount] = useState<string | null>(null);
+  const [chainId, setChainId] = useState<number | null>(null);
+  const [provider, setProvider] = useState<BrowserProvider | null>(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const sync = useCallback(async (accounts: string[]) => {
+    const ethereum = window.ethereum!;
+    setAccount(accounts[0] || null);
+    setChainId(Number(await ethereum.request({ method: "eth_chainId" })));
+    // A new BrowserProvider per network change; ethers v6 providers do not follow chain switches
+    setProvider(new BrowserProvider(ethereum));
+  }, []);
+
+  useEffect(() => {
+    const ethereum = window.ethereum;
+    if (!ethereum) return;
+    setAvailable(true);
+
+    ethereum.request({ method: "eth_accounts" }).then(sync).catch(() => undefined);
+
+    const onAccounts = (accounts: string[]) => sync(accounts);
+    const onChain = () => ethereum.request({ method: "eth_accounts" }).then(sync);
+    ethereum.on?.("accountsChanged", onAccounts);
+    ethereum.on?.("chainChanged", onChain);
+    return () => {
+      ethereum.removeListener?.("accountsChanged", onAccounts);
+      ethereum.removeListener?.("chainChanged", onChain);
+    };
+  }, [sync]);
+
+  const connect = useCallback(async () => {
+    if (!window.ethereum) {
+      setError("No injected wallet found. Install MetaMask or another browser wallet.");
+      return;
+    }
+    setConnecting(true);
+    setError(null);
+    try {
+      await sync(await window.ethereum.request({ method: "eth_requestAccounts" }));
+    } catch (err: any) {
+      setError(err?.message || "Wallet connection rejected");
+    } finally {
+      setConnecting(false);
+    }
+  }, [sync]);
+
+  const switchChain = useCallback(async () => {
+    const ethereum = window.ethereum;
+    if (!ethereum) return;
+    const chainIdHex = toQuantity(CHAIN.id);
+    try {
+      await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: chainIdHex }] });
+    } catch (err: any) {
+      // 4902: chain not added to the wallet yet (e.g. a fresh anvil)
+      if (err?.code !== 4902) {
+        setError(err?.message || "Network switch rejected");
+        return;
+      }
+      await ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [{
+          chainId: chainIdHex,
+          chainName: CHAIN.name,
+          rpcUrls: [CHAIN.rpcUrl],
+          nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+          ...(CHAIN.explorerUrl ? { blockExplorerUrls: [CHAIN.explorerUrl] } : {}),
+        }],
+      });
+    }
+  }, []);
+
+  const getSigner = useCallback(async () => {
+    if (!provider || !account) throw new Error("Wallet not connected");
+    return provider.getSigner(account);
+  }, [provider, account]);
+
+  return {
+    available,
+    account,
+    chainId,
+    wrongChain: chainId !== null && chainId !== CHAIN.id,
+    provider,
+    connecting,
+    error,
+    connect,
+    switchChain,
+    getSigner,
+  };
+}
@@ -0,0 +1,169 @@
+// Investor eligibility rules for access requests (docs/COMPLIANCE-DUBAI.md)
+// Loaded by the website form and by scripts/ops/access-requests.js so both validate identically
+
+const AED_PER_USD = 3.6725;
+
+// SubscriptionPool.minSubscriptionUSD
+const MIN_SUBSCRIPTION_USD = 20000;
+
+const INVESTOR_CATEGORIES = {
+    'uae-institution': {
+        label: 'Professional Client - UAE regulated bank or investment firm',
+        entity: true
+    },
+    'uae-government': {
+        label: 'Professional Client - government entity or sovereign wealth fund',
+        entity: true
+    },
+    'uae-corporate': {
+        label: 'Professional Client - corporate with net assets > AED 6M or revenue > AED 20M',
+        entity: true
+    },
+    'uae-hnwi': {
+        label: 'Professional Client - individual with liquid net worth > AED 4M'
+    },
+    'uae-exempt-offer': {
+        label: 'Exempt offer - minimum investment above AED 200,000',
+        minInvestmentUSD: Math.ceil(200000 / AED_PER_USD)
+    },
+    'eu-professional': {
+        label: 'Professional client (MiFID II Article 4(1)(10))'
+    },
+    'uk-high-net-worth': {
+        label: 'Certified high net worth investor (COBS 4.7)'
+    },
+    'uk-sophisticated': {
+        label: 'Certified sophisticated investor (COBS 4.7)'
+    },
+    'ca-accredited': {
+        label: 'Accredited investor (NI 45-106)'
+    },
+    'au-wholesale': {
+        label: 'Wholesale client (Corporations Act s761G)'
+    },
+    'sg-accredited': {
+        label: 'Accredited or institutional investor (SFA Section 304/305)'
+    },
+    'professional': {
+        label: 'Professional or institutional investor under equivalent local standards',
+        review: true
+    }
+};
+
+const EU_CATEGORIES = ['eu-professional'];
+
+const EU_MEMBER_STATES = {
+    AT: 'Austria', BE: 'Belgium', BG: 'Bulgaria', HR: 'Croatia', CY: 'Cyprus', CZ: 'Czechia',
+    DK: 'Denmark', EE: 'Estonia', FI: 'Finland', FR: 'France', DE: 'Germany', GR: 'Greece',
+    HU: 'Hungary', IE: 'Ireland', IT: 'Italy', LV: 'Latvia', LT: 'Lithuania', LU: 'Luxembourg',
+    MT: 'Malta', NL: 'Netherlands', PL: 'Poland', PT: 'Portugal', RO: 'Romania', SK: 'Slovakia',
+    SI: 'Slovenia', ES: 'Spain', SE: 'Sweden'
+};
+
+// Codes match the ComplianceRegistry jurisdiction configuration
+const JURISDICTIONS = Object.assign({
+    AE: {
+        name: 'United Arab Emirates',
+        categories: ['uae-institution', 'uae-government', 'uae-corporate', 'uae-hnwi', 'uae-exempt-offer']
+    },
+    // ComplianceRegistry configures US as Prohibited; a Reg D 501(a) category only makes
+    // sense once that changes on-chain (docs/COMPLIANCE-DUBAI.md)
+    US: {
+        name: 'United States',
+        prohibited: 'US persons are not eligible for this offering'
+    },
+    GB: {
+        name: 'United Kingdom',
+        categories: ['uk-high-net-worth', 'uk-sophisticated']
+    },
+    SG: {
+        name: 'Singapore',
+        categories: ['sg-accredited']
+    },
+    CA: {
+        name: 'Canada',
+        categories: ['ca-accredited']
+    },
+    AU: {
+        name: 'Australia',
+        categories: ['au-wholesale']
+    },
+    OTHER: {
+        name: 'Other jurisdiction',
+        categories: ['professional']
+    }
+}, Object.fromEntries(Object.entries(EU_MEMBER_STATES).map(([code, name]) => [code, { name, categories: EU_CATEGORIES }])));
+
+const REQUEST_TYPES = ['access', 'whitepaper', 'consultation'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+
+function categoriesFor(jurisdiction) {
+    const entry = JURISDICTIONS[jurisdiction];
+    return entry && entry.categories ? entry.categories : [];
+}
+
+/**
+ * Validate an access request; errors are keyed by form field name
+ * @returns {{ valid: boolean, errors: Object, request: Object }} request is the trimmed copy to submit or store
+ */
+function validateAccessRequest(input) {
+    const request = {};
+    const errors = {};
+
+    for (const field of ['type', 'name', 'entity', 'jurisdiction', 'category', 'email', 'phone', 'investmentUSD']) {
+        const value = input && input[field] !== undefined && input[field] !== null ? String(input[field]).trim() : '';
+        request[field] = value.slice(0, 200);
+    }
+    request.attestation = Boolean(input && (input.attestation === true || input.attestation === 'on' || input.attestation === 'true'));
+
+    if (!REQUEST_TYPES.includes(request.type)) request.type = 'access';
+
+    if (request.name.length < 2) errors.name = 'Enter your full name';
+
+    const jurisdiction = JURISDICTIONS[request.jurisdiction];
+    if (!jurisdiction) {
+        errors.jurisdiction = 'Select your jurisdiction of residence or incorporation';
+    } else if (jurisdiction.prohibited) {
+        errors.jurisdiction = jurisdiction.prohibited;
+    }
+
+    const category = INVESTOR_CATEGORIES[request.category];
+    if (jurisdiction && !jurisdiction.prohibited) {
+        if (!category || !categoriesFor(request.jurisdiction).includes(request.category)) {
+            errors.category = `Select an investor category available in ${jurisdiction.name}`;
+        } else if (category.entity && request.entity.length < 2) {
+            errors.entity = 'Entity name is required for institutional investors';
+        }
+    }
+
+    if (!EMAIL_PATTERN.test(request.email)) errors.email = 'Enter a valid email address';
+    if (request.phone && !PHONE_PATTERN.test(request.phone)) errors.phone = 'Enter a valid phone number including country code';
+
+    const minimum = Math.max(MIN_SUBSCRIPTION_USD, category && category.minInvestmentUSD ? category.minInvestmentUSD : 0);
+    const investment = Number(request.investmentUSD.replace(/[,$\s]/g, ''));
+    if (!Number.isFinite(investment) || investment < minimum) {
+        errors.investmentUSD = `Minimum investment is $${minimum.toLocaleString('en-US')}`;
+    } else {
+        request.investmentUSD = String(Math.floor(investment));
+    }
+
+    if (!request.attestation) errors.attestation = 'Confirm that you meet the selected qualification';
+
+    request.review = Boolean(category && category.review);
+
+    return { valid: Object.keys(errors).length === 0, errors, request };
+}
+
+// Export for testing and for the Node access request handler
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INVESTOR_CATEGORIES,
+        JURISDICTIONS,
+        MIN_SUBSCRIPTION_USD,
+        REQUEST_TYPES,
+        categoriesFor,
+        validateAccessRequest
+    };
+}
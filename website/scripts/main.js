@@ -31,35 +31,13 @@ document.addEventListener('DOMContentLoaded', function() {
         lastScrollY = currentScrollY;
     });
 
-    // Animate chart bars on scroll
+    // Shared by the scroll-triggered animations below
     const observerOptions = {
         threshold: 0.5,
         rootMargin: '0px 0px -100px 0px'
     };
 
-    const chartObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const bars = entry.target.querySelectorAll('.chart-bar');
-                bars.forEach((bar, index) => {
-                    setTimeout(() => {
-                        bar.style.transform = 'scaleY(1)';
-                        bar.style.transformOrigin = 'bottom';
-                    }, index * 200);
-                });
-            }
-        });
-    }, observerOptions);
-
-    const chartContainer = document.querySelector('.chart-container');
-    if (chartContainer) {
-        // Initially hide bars
-        document.querySelectorAll('.chart-bar').forEach(bar => {
-            bar.style.transform = 'scaleY(0)';
-            bar.style.transition = 'transform 0.6s ease';
-        });
-        chartObserver.observe(chartContainer);
-    }
+    initCoverageChart();
 
     // Animate feature cards on scroll
     const cardObserver = new IntersectionObserver((entries) => {
@@ -79,25 +57,20 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     // Counter animation for hero stats
-    function animateCounter(element, target, duration = 2000) {
-        const start = 0;
-        const increment = target / (duration / 16);
-        let current = start;
+    function animateCounter(element, duration = 2000) {
+        let current = 0;
+        element.dataset.animated = 'true';
         
         const timer = setInterval(() => {
-            current += increment;
+            // Live data can move the target while the counter is running
+            const target = parseFloat(element.dataset.target);
+            current += target / (duration / 16);
             if (current >= target) {
                 current = target;
                 clearInterval(timer);
             }
             
-            if (element.textContent.includes('%')) {
-                element.textContent = Math.floor(current) + '%';
-            } else if (element.textContent.includes('B')) {
-                element.textContent = '$' + (current / 1000).toFixed(1) + 'B';
-            } else if (element.textContent.includes('t')) {
-                element.textContent = Math.floor(current) + 't';
-            }
+            element.textContent = formatStat(current, element.dataset.format, current === target);
         }, 16);
     }
 
@@ -105,17 +78,10 @@ document.addEventListener('DOMContentLoaded', function() {
     const statsObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
-                const statNumbers = entry.target.querySelectorAll('.stat-number');
-                statNumbers.forEach(stat => {
-                    const text = stat.textContent;
-                    if (text.includes('$2B')) {
-                        animateCounter(stat, 2000);
-                    } else if (text.includes('100t')) {
-                        animateCounter(stat, 100);
-                    } else if (text.includes('5-10%')) {
-                        stat.textContent = '5-10%'; // Keep as is
-                    } else if (text.includes('105%')) {
-                        animateCounter(stat, 105);
+                // Stats without a numeric target (e.g. 5-10%) keep their text
+                entry.target.querySelectorAll('.stat-number[data-target]').forEach(stat => {
+                    if (stat.dataset.animated !== 'true') {
+                        animateCounter(stat);
                     }
                 });
             }
@@ -149,17 +115,217 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
 
-    // Mock functions for user interactions
+    document.querySelectorAll('[data-action="whitepaper"]').forEach(link => {
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            downloadWhitepaper();
+        });
+    });
+
+    // Investor access request modal (rules shared with scripts/ops/access-requests.js)
+    const ACCESS_STORAGE_KEY = 'fthg-access-request';
+    const ACCESS_FALLBACK_EMAIL = 'access@futuretechholdings.com';
+    const ACCESS_MODAL_COPY = {
+        access: {
+            title: 'Request Access',
+            intro: 'FTH-GOLD is a private placement available only to qualified investors. Our compliance team reviews every request.',
+            submit: 'Submit Request'
+        },
+        whitepaper: {
+            title: 'Request the Whitepaper',
+            intro: 'The technical whitepaper is released to qualified investors once our compliance team approves an access request.',
+            submit: 'Request Whitepaper'
+        },
+        consultation: {
+            title: 'Schedule a Consultation',
+            intro: 'Consultations with our investment team (Monday-Friday, 9 AM - 6 PM GST) are available to pre-qualified investors.',
+            submit: 'Request Consultation'
+        }
+    };
+    
+    const accessModal = document.getElementById('access-modal');
+    const accessForm = accessModal ? accessModal.querySelector('.access-form') : null;
+    const accessEndpoint = statusMeta('fthg-access-endpoint', '').replace(/\/$/, '');
+    let accessTrigger = null;
+    
+    function storedAccessRequest() {
+        try {
+            return JSON.parse(localStorage.getItem(ACCESS_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    function populateJurisdictions() {
+        const select = accessForm.elements.jurisdiction;
+        const codes = Object.keys(JURISDICTIONS)
+            .filter(code => code !== 'AE' && code !== 'OTHER')
+            .sort((a, b) => JURISDICTIONS[a].name.localeCompare(JURISDICTIONS[b].name));
+        
+        ['AE', ...codes, 'OTHER'].forEach(code => {
+            select.add(new Option(JURISDICTIONS[code].name, code));
+        });
+        
+        select.addEventListener('change', () => {
+            const category = accessForm.elements.category;
+            const available = categoriesFor(select.value);
+            
+            category.length = 0;
+            category.add(new Option(available.length ? 'Select…' : (JURISDICTIONS[select.value] || {}).prohibited || 'Select jurisdiction first', ''));
+            available.forEach(key => category.add(new Option(INVESTOR_CATEGORIES[key].label, key)));
+            category.disabled = available.length === 0;
+        });
+    }
+    
+    function showFieldErrors(errors) {
+        Array.from(accessForm.elements).forEach(input => {
+            const errorElement = input.name && document.getElementById(input.getAttribute('aria-describedby'));
+            if (!errorElement) return;
+            
+            errorElement.textContent = errors[input.name] || '';
+            if (errors[input.name]) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+        });
+        
+        const firstInvalid = accessForm.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+    
+    function setAccessStatus(message) {
+        accessForm.querySelector('.form-status').textContent = message;
+    }
+    
+    function openAccessModal(type, message) {
+        // Without a deployed handler the request goes to the compliance mailbox
+        if (!accessModal || !accessEndpoint) {
+            window.location.href = `mailto:${ACCESS_FALLBACK_EMAIL}`;
+            return;
+        }
+        
+        const copy = ACCESS_MODAL_COPY[type];
+        accessTrigger = document.activeElement;
+        accessModal.querySelector('.modal-title').textContent = copy.title;
+        accessModal.querySelector('.modal-intro').textContent = message || copy.intro;
+        accessForm.hidden = Boolean(message);
+        accessForm.elements.type.value = type;
+        accessForm.querySelector('[type="submit"]').textContent = copy.submit;
+        setAccessStatus('');
+        
+        accessModal.hidden = false;
+        document.body.classList.add('modal-open');
+        (message ? accessModal.querySelector('.modal-close') : accessForm.elements.name).focus();
+    }
+    
+    function closeAccessModal() {
+        accessModal.hidden = true;
+        document.body.classList.remove('modal-open');
+        if (accessTrigger) accessTrigger.focus();
+    }
+    
+    async function submitAccessRequest(e) {
+        e.preventDefault();
+        
+        const input = Object.fromEntries(new FormData(accessForm));
+        const { valid, errors, request } = validateAccessRequest(input);
+        showFieldErrors(errors);
+        if (!valid) return;
+        
+        const submit = accessForm.querySelector('[type="submit"]');
+        submit.disabled = true;
+        setAccessStatus('Submitting…');
+        
+        try {
+            const response = await fetch(`${accessEndpoint}/access-requests`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+            const body = await response.json();
+            
+            if (response.status === 422) {
+                showFieldErrors(body.errors || {});
+                setAccessStatus('Please correct the highlighted fields.');
+                return;
+            }
+            if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+            
+            localStorage.setItem(ACCESS_STORAGE_KEY, JSON.stringify({ id: body.id, token: body.token, type: body.type }));
+            accessForm.reset();
+            accessForm.hidden = true;
+            accessModal.querySelector('.modal-intro').textContent =
+                `Request ${body.id} received. Our compliance team will review your qualification and contact you at ${request.email}.`;
+            accessModal.querySelector('.modal-close').focus();
+        } catch (error) {
+            console.warn('Access request failed:', error.message);
+            setAccessStatus(`We could not submit your request. Please try again or email ${ACCESS_FALLBACK_EMAIL}.`);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+    
+    if (accessModal) {
+        populateJurisdictions();
+        accessForm.addEventListener('submit', submitAccessRequest);
+        accessModal.querySelectorAll('[data-close]').forEach(element => element.addEventListener('click', closeAccessModal));
+        
+        accessModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeAccessModal();
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog
+                const focusable = Array.from(accessModal.querySelectorAll('button, input, select, a[href]'))
+                    .filter(element => !element.disabled && element.offsetParent !== null);
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+    }
+
     function showAccessModal() {
-        alert('Access Request\n\nThank you for your interest in FTH-GOLD.\n\nThis is a private placement offering available only to qualified investors.\n\nPlease contact our team at:\n📧 access@futuretechholdings.com\n📞 +971-4-XXX-XXXX\n\nOur compliance team will review your qualification and provide access if eligible.');
+        openAccessModal('access');
     }
 
-    function downloadWhitepaper() {
-        alert('Whitepaper Download\n\nThe FTH-GOLD technical whitepaper is available to qualified investors upon completion of initial screening.\n\nPlease contact:\n📧 documents@futuretechholdings.com\n\nRequired: Investor qualification verification');
+    async function downloadWhitepaper() {
+        const stored = storedAccessRequest();
+        if (!stored || !accessEndpoint) return openAccessModal('whitepaper');
+        
+        try {
+            const response = await fetch(`${accessEndpoint}/access-requests/${stored.id}`, {
+                cache: 'no-store',
+                headers: { 'X-Access-Token': stored.token }
+            });
+            if (response.status === 404) {
+                localStorage.removeItem(ACCESS_STORAGE_KEY);
+                return openAccessModal('whitepaper');
+            }
+            
+            const record = await response.json();
+            if (record.status === 'approved') {
+                window.location.href = `${accessEndpoint}/access-requests/${stored.id}/whitepaper?token=${encodeURIComponent(stored.token)}`;
+            } else if (record.status === 'rejected') {
+                openAccessModal('whitepaper', `Request ${stored.id} was not approved. Please contact ${ACCESS_FALLBACK_EMAIL} for details.`);
+            } else {
+                openAccessModal('whitepaper', `Request ${stored.id} is pending compliance review. The whitepaper download unlocks once it is approved.`);
+            }
+        } catch (error) {
+            console.warn('Access request status unavailable:', error.message);
+            openAccessModal('whitepaper', `We could not check request ${stored.id} right now. Please try again later or email ${ACCESS_FALLBACK_EMAIL}.`);
+        }
     }
 
     function scheduleConsultation() {
-        alert('Schedule Consultation\n\nTo schedule a consultation with our investment team:\n\n📧 consultation@futuretechholdings.com\n📞 +971-4-XXX-XXXX\n\nAvailable: Monday-Friday, 9 AM - 6 PM GST\n\nNote: Consultations are available only to pre-qualified investors.');
+        openAccessModal('consultation');
     }
 
     // Add loading animation for page transitions
@@ -268,29 +434,343 @@ document.addEventListener('DOMContentLoaded', function() {
     `;
     document.head.appendChild(style);
 
+    updateSystemStatus();
+
     console.log('🏛️ Future Tech Holdings website loaded');
     console.log('💎 FTH-GOLD platform ready');
     console.log('🔒 Dubai DMCC licensed and regulated');
 });
 
-// Real-time system status (mock)
-function updateSystemStatus() {
-    const statusIndicators = {
-        coverage: Math.random() * 10 + 100, // 100-110%
-        oracles: Math.random() > 0.1 ? 'online' : 'degraded',
-        contracts: Math.random() > 0.05 ? 'operational' : 'maintenance'
+// Live reserve status from the coverage monitor (/status/public) or its static snapshot
+const STATUS_REFRESH_MS = 30000;
+const STATUS_TIMEOUT_MS = 8000;
+const STATUS_LABELS = {
+    online: '✅ Online',
+    operational: '✅ Operational',
+    degraded: '⚠️ Degraded',
+    paused: '⏸️ Paused',
+    offline: '❌ Offline',
+    unknown: '—'
+};
+
+function formatStat(value, format, final = true) {
+    switch (format) {
+        case 'usd-b':
+            return '$' + (value / 1000).toFixed(final && value % 1000 === 0 ? 0 : 1) + 'B';
+        case 't':
+            return (final && value < 100 ? value.toFixed(1) : Math.floor(value)) + 't';
+        case '%':
+            return (final ? value.toFixed(value % 1 === 0 ? 0 : 1) : Math.floor(value)) + '%';
+        default:
+            return String(Math.floor(value));
+    }
+}
+
+function statusMeta(name, fallback) {
+    const meta = typeof document !== 'undefined' && document.querySelector(`meta[name="${name}"]`);
+    return meta && meta.content ? meta.content : fallback;
+}
+
+/**
+ * Pick one network from a /status/public payload; null when it has no coverage reading
+ */
+function summarizeStatus(payload, network) {
+    const networks = payload && payload.networks ? payload.networks : {};
+    const entry = network && networks[network] ? networks[network] : Object.values(networks)[0];
+    if (!entry || !entry.coverage) return null;
+    
+    const ratioBps = Number(entry.coverage.ratioBps);
+    return {
+        network: entry.network,
+        // The oracle reports uint256 max while no tokens are issued
+        coverage: Number.isFinite(ratioBps) && ratioBps < 1e9 ? ratioBps / 100 : null,
+        healthy: entry.coverage.healthy,
+        goldKG: parseFloat(entry.coverage.goldKG),
+        tokensIssued: parseFloat(entry.coverage.tokensIssued),
+        oracle: entry.oracle || 'unknown',
+        contracts: entry.contracts || 'unknown',
+        updatedAt: entry.updatedAt || payload.generatedAt,
+        dataTimestamp: entry.coverage.dataTimestamp
     };
+}
 
-    // Update any status displays on the page
-    console.log('System Status:', statusIndicators);
+async function fetchPublicFeed(url) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller && setTimeout(() => controller.abort(), STATUS_TIMEOUT_MS);
+    
+    try {
+        const response = await fetch(url, { cache: 'no-store', signal: controller ? controller.signal : undefined });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } finally {
+        if (timeout) clearTimeout(timeout);
+    }
+}
+
+function setStat(name, value) {
+    const element = document.querySelector(`.stat-number[data-stat="${name}"]`);
+    if (!element || value === null || !Number.isFinite(value)) return;
+    
+    element.dataset.target = value;
+    if (element.dataset.animated === 'true') {
+        element.textContent = formatStat(value, element.dataset.format);
+    }
+}
+
+/**
+ * Fill the status panel and hero stats; null keeps the published static figures
+ */
+function renderSystemStatus(status) {
+    const panel = document.querySelector('.status-panel');
+    const field = name => panel ? panel.querySelector(`[data-field="${name}"]`) : null;
+    const set = (name, text) => {
+        const element = field(name);
+        if (element) element.textContent = text;
+    };
+    
+    if (!status) {
+        if (panel) {
+            panel.dataset.status = 'static';
+            panel.querySelector('.status-mode').textContent = 'Live data unavailable - showing published figures';
+        }
+        return;
+    }
+    
+    const kg = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    
+    setStat('coverage', status.coverage);
+    setStat('reserves', status.goldKG / 1000);
+    
+    if (!panel) return;
+    panel.dataset.status = status.healthy === false ? 'alert' : status.oracle === 'online' ? 'live' : 'degraded';
+    panel.querySelector('.status-mode').textContent = status.healthy === false
+        ? 'Live - coverage below floor'
+        : `Live on-chain data${status.network ? ` (${status.network})` : ''}`;
+    
+    set('coverage', status.coverage === null ? '—' : `${status.coverage.toFixed(2)}%`);
+    set('goldKG', `${kg(status.goldKG)} kg`);
+    set('tokensIssued', `${kg(status.tokensIssued)} FTH-G`);
+    set('oracle', STATUS_LABELS[status.oracle] || status.oracle);
+    set('contracts', STATUS_LABELS[status.contracts] || status.contracts);
+    set('updatedAt', status.updatedAt
+        ? `Last updated ${new Date(status.updatedAt).toLocaleString()}${status.dataTimestamp ? ` · oracle data from ${new Date(status.dataTimestamp).toLocaleString()}` : ''}`
+        : 'Awaiting first reading');
+}
+
+async function updateSystemStatus() {
+    let status = null;
+    
+    try {
+        const payload = await fetchPublicFeed(statusMeta('fthg-status-url', 'data/status.json'));
+        status = summarizeStatus(payload, statusMeta('fthg-status-network'));
+    } catch (error) {
+        console.warn('Reserve status unavailable:', error.message);
+    }
+    
+    if (typeof document !== 'undefined') {
+        renderSystemStatus(status);
+    }
+    return status;
 }
 
 // Update status every 30 seconds
-setInterval(updateSystemStatus, 30000);
+if (typeof window !== 'undefined') {
+    setInterval(updateSystemStatus, STATUS_REFRESH_MS);
+}
+
+// Coverage history chart (daily min/avg, floor and warning lines, breach markers) rendered as plain SVG
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_SIZE = { width: 600, height: 260, top: 16, right: 16, bottom: 28, left: 48 };
+const DAY_MS = 86400000;
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+function formatBps(bps) {
+    return `${(bps / 100).toFixed(2)}%`;
+}
+
+function formatDuration(seconds) {
+    return seconds >= 3600 ? `${(seconds / 3600).toFixed(1)}h` : `${Math.max(1, Math.round(seconds / 60))}m`;
+}
+
+/**
+ * One network from a /status/history payload, trimmed to the last rangeDays UTC days
+ * @returns {{ start, end, days, floorBps, warningBps }|null}
+ */
+function selectHistory(payload, network, rangeDays, now = new Date()) {
+    const networks = payload && payload.networks ? payload.networks : {};
+    const entry = network && networks[network] ? networks[network] : Object.values(networks)[0];
+    if (!entry || !Array.isArray(entry.days)) return null;
+    
+    const end = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const start = end - (rangeDays - 1) * DAY_MS;
+    const days = entry.days
+        .map(day => Object.assign({ time: Date.parse(`${day.date}T00:00:00Z`) }, day))
+        .filter(day => day.time >= start && day.time <= end);
+    
+    return days.length ? { start, end, days, floorBps: entry.floorBps, warningBps: entry.warningBps } : null;
+}
+
+function renderCoverageChart(container, history, rangeDays) {
+    const canvas = container.querySelector('.chart-canvas');
+    const tooltip = container.querySelector('.chart-tooltip');
+    const { width, height, top, right, bottom, left } = CHART_SIZE;
+    
+    canvas.textContent = '';
+    tooltip.hidden = true;
+    
+    if (!history) {
+        const empty = document.createElement('p');
+        empty.className = 'chart-empty';
+        empty.textContent = `No coverage history for the last ${rangeDays} days.`;
+        canvas.appendChild(empty);
+        return;
+    }
+    
+    const { start, end, days, floorBps, warningBps } = history;
+    const values = days.flatMap(day => [day.minBps, day.avgBps]).concat([floorBps, warningBps]);
+    const padding = Math.max(50, (Math.max(...values) - Math.min(...values)) * 0.1);
+    const yMin = Math.min(...values) - padding;
+    const yMax = Math.max(...values) + padding;
+    
+    const x = time => left + (end === start ? (width - left - right) / 2 : (time - start) / (end - start) * (width - left - right));
+    const y = bps => top + (yMax - bps) / (yMax - yMin) * (height - top - bottom);
+    
+    const belowFloor = days.filter(day => day.breach);
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        tabindex: '0',
+        'aria-label': `Reserve coverage over the last ${rangeDays} days: lowest ${formatBps(Math.min(...days.map(day => day.minBps)))}, ` +
+            `floor ${formatBps(floorBps)}, ${belowFloor.length} ${belowFloor.length === 1 ? 'day' : 'days'} below the floor. Use the arrow keys to read daily values.`
+    });
+    
+    // Horizontal grid with percentage labels
+    for (let i = 0; i <= 4; i++) {
+        const bps = yMin + (yMax - yMin) * i / 4;
+        svg.appendChild(svgElement('line', { class: 'chart-grid', x1: left, x2: width - right, y1: y(bps), y2: y(bps) }));
+        const label = svgElement('text', { class: 'chart-axis', x: left - 8, y: y(bps) + 4, 'text-anchor': 'end' });
+        label.textContent = `${(bps / 100).toFixed(1)}%`;
+        svg.appendChild(label);
+    }
+    
+    [start, start + (end - start) / 2, end].forEach((time, index) => {
+        const label = svgElement('text', { class: 'chart-axis', x: x(time), y: height - 8, 'text-anchor': ['start', 'middle', 'end'][index] });
+        label.textContent = new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        svg.appendChild(label);
+    });
+    
+    [['chart-warning', warningBps], ['chart-floor', floorBps]].forEach(([className, bps]) => {
+        svg.appendChild(svgElement('line', { class: className, x1: left, x2: width - right, y1: y(bps), y2: y(bps) }));
+    });
+    
+    // Lines break where a day has no samples
+    ['minBps', 'avgBps'].forEach(field => {
+        const path = days.map((day, index) => {
+            const joined = index > 0 && day.time - days[index - 1].time === DAY_MS;
+            return `${joined ? 'L' : 'M'}${x(day.time).toFixed(1)},${y(day[field]).toFixed(1)}`;
+        }).join(' ');
+        svg.appendChild(svgElement('path', { class: field === 'avgBps' ? 'chart-line-avg' : 'chart-line-min', d: path }));
+    });
+    
+    days.forEach(day => {
+        svg.appendChild(svgElement('circle', {
+            class: day.breach ? 'chart-point chart-breach' : 'chart-point',
+            cx: x(day.time),
+            cy: y(day.breach ? day.minBps : day.avgBps),
+            r: day.breach ? 5 : 2.5
+        }));
+    });
+    
+    const cursor = svgElement('line', { class: 'chart-cursor', y1: top, y2: height - bottom, visibility: 'hidden' });
+    svg.appendChild(cursor);
+    
+    let selected = -1;
+    const select = index => {
+        selected = Math.max(0, Math.min(days.length - 1, index));
+        const day = days[selected];
+        const position = x(day.time);
+        
+        cursor.setAttribute('x1', position);
+        cursor.setAttribute('x2', position);
+        cursor.setAttribute('visibility', 'visible');
+        
+        tooltip.textContent = [
+            new Date(day.time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }),
+            `Average ${formatBps(day.avgBps)}`,
+            `Minimum ${formatBps(day.minBps)}`,
+            `Maximum ${formatBps(day.maxBps)}`,
+            day.breach ? `⚠️ Below floor for ${formatDuration(day.breachSec)}` : null
+        ].filter(Boolean).join(' · ');
+        tooltip.classList.toggle('chart-tooltip-breach', day.breach);
+        tooltip.style.left = `${position / width * 100}%`;
+        tooltip.hidden = false;
+    };
+    const clear = () => {
+        cursor.setAttribute('visibility', 'hidden');
+        tooltip.hidden = true;
+    };
+    
+    svg.addEventListener('mousemove', (e) => {
+        const bounds = svg.getBoundingClientRect();
+        const time = start + ((e.clientX - bounds.left) / bounds.width * width - left) / (width - left - right) * (end - start);
+        const nearest = days.reduce((best, day, index) => Math.abs(day.time - time) < Math.abs(days[best].time - time) ? index : best, 0);
+        select(nearest);
+    });
+    svg.addEventListener('mouseleave', clear);
+    svg.addEventListener('blur', clear);
+    svg.addEventListener('focus', () => select(selected < 0 ? days.length - 1 : selected));
+    svg.addEventListener('keydown', (e) => {
+        const step = { ArrowLeft: -1, ArrowRight: 1, Home: -days.length, End: days.length }[e.key];
+        if (step === undefined) return;
+        e.preventDefault();
+        select(selected + step);
+    });
+    
+    canvas.appendChild(svg);
+}
+
+function initCoverageChart() {
+    const container = document.querySelector('.coverage-chart');
+    if (!container) return;
+    
+    let payload = null;
+    const draw = () => {
+        const range = parseInt(container.dataset.range);
+        container.querySelectorAll('.chart-range button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.range === container.dataset.range));
+        });
+        if (payload) {
+            renderCoverageChart(container, selectHistory(payload, statusMeta('fthg-status-network'), range), range);
+        }
+    };
+    
+    container.querySelectorAll('.chart-range button').forEach(button => {
+        button.addEventListener('click', () => {
+            container.dataset.range = button.dataset.range;
+            draw();
+        });
+    });
+    
+    // Monitor /status/history endpoint or the static snapshot; 90 days are fetched once and sliced per range
+    fetchPublicFeed(statusMeta('fthg-history-url', 'data/coverage-history.json'))
+        .then(history => {
+            payload = history;
+            draw();
+        })
+        .catch(error => console.warn('Coverage history unavailable:', error.message));
+}
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        formatStat,
+        selectHistory,
+        summarizeStatus,
         updateSystemStatus
     };
 }
\ No newline at end of file